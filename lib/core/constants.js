@@ -112,6 +112,62 @@ export const SM2_SUITE_CONTEXT_V1_URL =
  */
 export const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
 
+/**
+ * DID Core Context URL
+ *
+ * Base JSON-LD context of DID documents.
+ *
+ * @constant {string}
+ * @see {@link https://www.w3.org/TR/did-core/|DID Core}
+ */
+export const DID_CONTEXT_V1_URL = 'https://www.w3.org/ns/did/v1';
+
+/**
+ * Data Integrity Context URL
+ *
+ * JSON-LD context defining DataIntegrityProof and its properties
+ * (cryptosuite, proofValue, proofPurpose, ...).
+ *
+ * @constant {string}
+ * @see {@link https://www.w3.org/TR/vc-data-integrity/|Data Integrity}
+ */
+export const DATA_INTEGRITY_CONTEXT_V2_URL = 'https://w3id.org/security/data-integrity/v2';
+
+/**
+ * Data Integrity Proof Type
+ *
+ * Proof type shared by all Data Integrity cryptosuites. The concrete
+ * algorithm is named by the proof's `cryptosuite` property.
+ *
+ * @constant {string}
+ * @default 'DataIntegrityProof'
+ */
+export const DATA_INTEGRITY_PROOF_TYPE = 'DataIntegrityProof';
+
+/**
+ * Verifiable Credentials Context URLs
+ *
+ * Base contexts of the VC Data Model 1.1 and 2.0. One of them must be the
+ * first @context entry of every credential and presentation.
+ *
+ * @constant {string}
+ * @see {@link https://www.w3.org/TR/vc-data-model-2.0/|VC Data Model 2.0}
+ */
+export const CREDENTIALS_CONTEXT_V1_URL = 'https://www.w3.org/2018/credentials/v1';
+export const CREDENTIALS_CONTEXT_V2_URL = 'https://www.w3.org/ns/credentials/v2';
+
+/**
+ * Authorization Capabilities Context URL
+ *
+ * JSON-LD context of ZCAP-LD capabilities. Root capability ids are
+ * `urn:zcap:root:` followed by the URI-encoded invocation target.
+ *
+ * @constant {string}
+ * @see {@link https://w3c-ccg.github.io/zcap-spec/|Authorization Capabilities for Linked Data}
+ */
+export const ZCAP_CONTEXT_V1_URL = 'https://w3id.org/zcap/v1';
+export const ZCAP_ROOT_PREFIX = 'urn:zcap:root:';
+
 /**
  * Base58BTC Multibase Prefix
  * 
@@ -237,6 +293,25 @@ export const SM2_CURVE = {
  */
 export const SM2_HASH = 'SM3';
 
+/**
+ * SM2 Default Distinguishing Identifier
+ *
+ * User ID mixed into ZA when the caller does not supply one. This is the
+ * value recommended by GM/T 0009-2012 and used by GmSSL, BouncyCastle and
+ * most certificate authorities.
+ *
+ * ZA Construction:
+ * ```
+ * ZA = SM3(ENTL || ID || a || b || xG || yG || xA || yA)
+ * ENTL = bit length of ID (2 bytes, big-endian)
+ * ```
+ *
+ * @constant {string}
+ * @default '1234567812345678'
+ * @see {@link http://www.gmbz.org.cn/main/viewfile/20180108023812835219.html|GB/T 32918.2}
+ */
+export const SM2_DEFAULT_USER_ID = '1234567812345678';
+
 /**
  * Key Usage Flags
  * 
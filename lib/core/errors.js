@@ -470,7 +470,8 @@ export const ErrorCodes = {
   ERR_EXPORT_FAILED: 'ERR_EXPORT_FAILED',     // Export failed
 
   // Operation errors
-  ERR_OPERATION_INVALID: 'ERR_OPERATION_INVALID' // Invalid operation
+  ERR_OPERATION_INVALID: 'ERR_OPERATION_INVALID', // Invalid operation
+  ERR_DECRYPTION_FAILED: 'ERR_DECRYPTION_FAILED' // Decryption failed
 };
 
 /**
@@ -508,7 +509,8 @@ export const ErrorMessages = {
   [ErrorCodes.ERR_VERIFICATION_FAILED]: 'Verification failed: {details}', // Verification failed: {details}
   [ErrorCodes.ERR_IMPORT_FAILED]: 'Import failed: {details}', // Import failed: {details}
   [ErrorCodes.ERR_EXPORT_FAILED]: 'Export failed: {details}', // Export failed: {details}
-  [ErrorCodes.ERR_OPERATION_INVALID]: 'Invalid operation: {details}' // Invalid operation: {details}
+  [ErrorCodes.ERR_OPERATION_INVALID]: 'Invalid operation: {details}', // Invalid operation: {details}
+  [ErrorCodes.ERR_DECRYPTION_FAILED]: 'Decryption failed: {details}' // Decryption failed: {details}
 };
 
 /**
@@ -659,6 +661,7 @@ export function createError(code, params = {}, cause) {
       return new ExportError(message, errorOptions);
 
     case ErrorCodes.ERR_OPERATION_INVALID:
+    case ErrorCodes.ERR_DECRYPTION_FAILED:
       return new OperationError(message, errorOptions);
 
     default:
@@ -11,8 +11,17 @@
  * 
  * Key Features:
  * - SM2 key pair generation and management
- * - Support for multiple key formats (JWK, Multibase)
+ * - Support for multiple key formats (JWK, Multibase, did:key, PEM/DER)
+ * - Password-encrypted PKCS#8 private keys (PBES2 with SM4 or AES)
+ * - GM/T 0009 keys, signatures and SM2EnvelopedKey key envelopes
+ * - GM/T 0010 SignedData and EnvelopedData messages
+ * - Public keys from SM2 X.509 certificates, with signature check
+ * - Self-signed and issued certificates and PKCS#10 requests (SM2-with-SM3)
  * - Digital signature creation and verification
+ * - Batch signature verification
+ * - Public key encryption (GB/T 32918.4)
+ * - Key exchange (GB/T 32918.3)
+ * - Raw ECDH shared secret derivation
  * - Key compression and encoding utilities
  * - Platform-agnostic implementation with pluggable crypto backend
  * 
@@ -43,16 +52,20 @@
  * 
  * // Create a signer
  * const signer = keyPair.signer();
- * const signature = await signer.sign(message);
+ * const signature = await signer.sign({ data: message });
  * 
  * // Create a verifier
  * const verifier = keyPair.verifier();
- * const isValid = await verifier.verify(message, signature);
+ * const isValid = await verifier.verify({ data: message, signature });
  * ```
  * 
  * Standards and Specifications:
  * - SM2 Digital Signature Algorithm (GM/T 0003-2012)
  * - JWK (RFC 7517)
+ * - SPKI (RFC 5480), PKCS#8 (RFC 5208) and SEC1 (RFC 5915) keys
+ * - PBES2 encrypted private keys (RFC 8018) with SM4 (GB/T 32907)
+ * - GM/T 0009-2012 SM2 data structures
+ * - X.509 certificates (RFC 5280, GM/T 0015) and PKCS#10 requests (RFC 2986)
  * - Multicodec and Multibase
  * 
  * @module SM2Multikey
@@ -68,6 +81,8 @@ import {
     SM2Error,
     ErrorCodes,
     ArgumentError,
+    VerificationError,
+    OperationError,
     createError
 } from './errors.js';
 import {
@@ -87,10 +102,76 @@ import {
     exportKeyPair as _exportKeyPair,
     importKeyPair as _importKeyPair
 } from '../utils/key-pair.js';
+import {
+    KEY_FORMATS,
+    ENCRYPTED_PRIVATE_KEY_LABEL,
+    CERTIFICATE_LABEL,
+    CERTIFICATE_REQUEST_LABEL,
+    decodePem,
+    encodePem,
+    keyFromDer,
+    keyFromPem,
+    keyToDer,
+    keyToPem
+} from '../formats/pem.js';
+import {
+    PBES2_CIPHERS,
+    assertIterations,
+    encodeEncryptedPrivateKeyInfo,
+    decodeEncryptedPrivateKeyInfo
+} from '../formats/pbes2.js';
+import {
+    SIGNATURE_FORMATS,
+    assertSignatureFormat,
+    encodeSM2Signature,
+    decodeSM2Signature,
+    encodeSM2EnvelopedKey,
+    decodeSM2EnvelopedKey
+} from '../formats/gmt0009.js';
+import {
+    parseCertificate,
+    encodeIssuerAndSerialNumber,
+    encodeCertificationRequestInfo,
+    encodeTBSCertificate,
+    encodeSignedData
+} from '../formats/x509.js';
+import {
+    encodeSignedMessage,
+    decodeSignedMessage,
+    encodeEnvelopedMessage,
+    decodeEnvelopedMessage
+} from '../formats/gmt0010.js';
+import {
+    CIPHERTEXT_MODES,
+    assertCiphertextMode,
+    encodeCiphertext,
+    decodeCiphertext
+} from '../formats/ciphertext.js';
+import { isValidBinaryData, matchBinaryType, timingSafeEqual } from '../utils/binary.js';
+import { kdf, getPublicKey } from '../crypto/sm2.js';
+import { randomBytes } from '../utils/random.js';
+import { sm4EcbEncrypt, sm4EcbDecrypt } from '../crypto/sm4.js';
+import { sm3 } from '../crypto/sm3.js';
+import { validateMessageInput } from '../utils/signature.js';
 
 // multibase/multicodec constants
 const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
 const ALGORITHM = 'SM2';
+const DID_KEY_PREFIX = 'did:key:';
+
+// encrypted private key defaults
+const DEFAULT_PBES2_CIPHER = 'sm4-cbc';
+const DEFAULT_PBKDF2_ITERATIONS = 10000;
+const PBKDF2_SALT_LENGTH = 16;
+const CBC_IV_LENGTH = 16;
+
+// SM2EnvelopedKey and EnvelopedData symmetric key size (SM4)
+const ENVELOPE_KEY_LENGTH = 16;
+
+// certificate and request output
+const OUTPUT_ENCODINGS = ['pem', 'der'];
+const DEFAULT_SERIAL_LENGTH = 16;
+const DEFAULT_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000;
 
 /**
  * Default implementation for crypto functions.
@@ -104,6 +185,28 @@ function no_implementation() {
     throw new Error('No crypto implementation set');
 }
 
+/**
+ * Throws if an optional AbortSignal has fired.
+ * The signal's reason is rethrown as-is, matching fetch() and other
+ * WHATWG APIs, so callers can test for `err.name === 'AbortError'`.
+ * 
+ * @private
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {ArgumentError} If signal is not an AbortSignal
+ * @throws {*} The signal's abort reason, if aborted
+ */
+function throwIfAborted(signal) {
+    if (signal === undefined) {
+        return;
+    }
+    if (!signal || typeof signal.aborted !== 'boolean') {
+        throw new ArgumentError('signal must be an AbortSignal', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    if (signal.aborted) {
+        throw signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+    }
+}
+
 /**
  * Default cryptographic implementation object.
  * All methods will throw errors until a proper implementation is set.
@@ -116,9 +219,146 @@ let cryptoImpl = {
     generateKey: no_implementation,
     createSigner: no_implementation,
     createVerifier: no_implementation,
-    digest: no_implementation
+    verifyBatch: no_implementation,
+    createSignStream: no_implementation,
+    createVerifyStream: no_implementation,
+    digest: no_implementation,
+    encrypt: no_implementation,
+    decrypt: no_implementation,
+    exchangeKey: no_implementation,
+    deriveSecret: no_implementation,
+    pbkdf2: no_implementation,
+    encryptCbc: no_implementation,
+    decryptCbc: no_implementation
 };
 
+/**
+ * Key exchange roles
+ * 
+ * @private
+ * @constant {string[]}
+ */
+const EXCHANGE_ROLES = ['initiator', 'responder'];
+
+/**
+ * Encode a password for PBKDF2.
+ * Strings are encoded as UTF-8, as OpenSSL does for passphrases.
+ * 
+ * @private
+ * @param {string|Buffer|Uint8Array} password - Password
+ * @returns {Buffer} Password bytes
+ * @throws {ArgumentError} If the password is missing or empty
+ */
+function passwordBytes(password) {
+    if (typeof password === 'string' && password.length > 0) {
+        return Buffer.from(password, 'utf8');
+    }
+    if (isValidBinaryData(password) && password.length > 0) {
+        return Buffer.from(password);
+    }
+    throw new ArgumentError('password must be a non-empty string, Buffer or Uint8Array', {
+        code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+}
+
+/**
+ * Check the output encoding of createCsr() and createCertificate().
+ * 
+ * @private
+ * @param {string} encoding - 'pem' or 'der'
+ * @throws {ArgumentError} If encoding is not supported
+ */
+function assertOutputEncoding(encoding) {
+    if (!OUTPUT_ENCODINGS.includes(encoding)) {
+        throw new ArgumentError(`encoding must be one of ${OUTPUT_ENCODINGS.join(', ')}`, {
+            code: ErrorCodes.ERR_ARGUMENT_INVALID
+        });
+    }
+}
+
+/**
+ * Generate a random positive certificate serial number.
+ * The top bit is cleared so the INTEGER needs no sign byte.
+ * 
+ * @private
+ * @returns {Buffer} Serial number bytes
+ */
+function randomSerial() {
+    const serial = randomBytes(DEFAULT_SERIAL_LENGTH);
+    serial[0] &= 0x7f;
+    return serial;
+}
+
+/**
+ * Convert a DER signature given to a verifier to R || S.
+ * Non-binary values are passed through for the backend to reject.
+ * 
+ * @private
+ * @param {*} signature - GM/T 0009 SM2Signature
+ * @returns {Buffer|*|null} Raw signature, or null if the DER is malformed
+ */
+function rawSignatureOf(signature) {
+    if (!isValidBinaryData(signature)) {
+        return signature;
+    }
+    try {
+        return decodeSM2Signature(signature);
+    } catch (error) {
+        if (error instanceof FormatError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Resolve a public key argument to raw bytes.
+ * Accepts raw 64-byte public keys or objects with a publicKey property
+ * (such as SM2Multikey instances).
+ * 
+ * @private
+ * @param {SM2Multikey|Buffer|Uint8Array} value - Key or raw public key
+ * @param {string} name - Argument name for error messages
+ * @returns {Buffer|Uint8Array} Raw public key
+ * @throws {ArgumentError} If no public key can be found
+ */
+function publicKeyOf(value, name) {
+    const publicKey = isValidBinaryData(value) ? value : value && value.publicKey;
+    if (!isValidBinaryData(publicKey) || publicKey.length !== 64) {
+        throw new ArgumentError(`${name} must be an SM2Multikey or a 64-byte public key`, {
+            code: ErrorCodes.ERR_ARGUMENT_INVALID
+        });
+    }
+    return publicKey;
+}
+
+/**
+ * Resolve a certificate argument to DER bytes.
+ * PEM text must contain a CERTIFICATE block; the first one is used.
+ * 
+ * @private
+ * @param {string|Buffer|Uint8Array} certificate - PEM text or DER bytes
+ * @param {string} name - Argument name for error messages
+ * @returns {Buffer|Uint8Array} DER encoded certificate
+ * @throws {ArgumentError} If the value is neither a string nor binary data
+ * @throws {FormatError} If the PEM text has no certificate
+ */
+function certificateDer(certificate, name) {
+    if (typeof certificate === 'string') {
+        const block = decodePem(certificate).find(({ label }) => label === CERTIFICATE_LABEL);
+        if (!block) {
+            throw new FormatError('No certificate found in PEM', { code: ErrorCodes.ERR_FORMAT_INVALID });
+        }
+        return block.der;
+    }
+    if (!isValidBinaryData(certificate)) {
+        throw new ArgumentError(`${name} must be a PEM string, Buffer or Uint8Array`, {
+            code: ErrorCodes.ERR_ARGUMENT_INVALID
+        });
+    }
+    return certificate;
+}
+
 /**
  * SM2 Key Pair Class
  * 
@@ -161,14 +401,33 @@ class SM2Multikey {
      * - generateKey(): Generates a new SM2 key pair
      * - createSigner(): Creates a signing function
      * - createVerifier(): Creates a verification function
+     * - verifyBatch(): Verifies many signatures at once
+     * - createSignStream(): Creates a streaming signer
+     * - createVerifyStream(): Creates a streaming verifier
      * - digest(): Creates a message digest
+     * - encrypt(): Encrypts data to a public key
+     * - decrypt(): Decrypts ciphertext components
+     * - exchangeKey(): Runs one side of the SM2 key exchange
+     * - deriveSecret(): Computes a raw ECDH shared secret
+     * - pbkdf2(): Derives a key from a password (async)
+     * - encryptCbc() / decryptCbc(): SM4 or AES-256 in CBC mode (async)
      * 
      * @static
      * @param {Object} impl - Crypto implementation object
      * @param {Function} impl.generateKey - Generates a new key pair
      * @param {Function} impl.createSigner - Creates a signing function
      * @param {Function} impl.createVerifier - Creates a verification function
+     * @param {Function} impl.verifyBatch - Verifies an array of items, returning booleans
+     * @param {Function} impl.createSignStream - Creates a stream exposing a `signature` promise
+     * @param {Function} impl.createVerifyStream - Creates a stream exposing a `result` promise
      * @param {Function} impl.digest - Creates a message digest
+     * @param {Function} impl.encrypt - Encrypts data, returning { c1, c2, c3 }
+     * @param {Function} impl.decrypt - Decrypts { c1, c2, c3 } components
+     * @param {Function} impl.exchangeKey - Derives a shared key and confirmation hashes
+     * @param {Function} impl.deriveSecret - Computes x(d * P) for a peer public key
+     * @param {Function} impl.pbkdf2 - Derives a key with PBKDF2 for the 'sm3', 'sha256' or 'sha1' PRF
+     * @param {Function} impl.encryptCbc - Encrypts with 'sm4-cbc' or 'aes-256-cbc' and PKCS#7 padding
+     * @param {Function} impl.decryptCbc - Decrypts with 'sm4-cbc' or 'aes-256-cbc'
      * @throws {ArgumentError} If the implementation object is invalid or missing required methods
      */
     static setCryptoImpl(impl) {
@@ -652,6 +911,856 @@ class SM2Multikey {
         });
     }
 
+    /**
+     * Imports a key pair from DER.
+     * Public keys are read from SubjectPublicKeyInfo; private keys from
+     * PKCS#8 PrivateKeyInfo or SEC1 ECPrivateKey, with the public key
+     * derived from the private key.
+     * 
+     * Both algorithm identifier forms are accepted: id-ecPublicKey with
+     * the SM2 named curve (OpenSSL) and the SM2 OID 1.2.156.10197.1.301
+     * itself (GM/T 0010 tooling).
+     * 
+     * @static
+     * @param {Buffer|Uint8Array} der - DER encoded key
+     * @param {Object} [options={}] - Import options
+     * @param {string} [options.format] - 'spki', 'pkcs8', 'sec1', 'sm2-public-key' or
+     *   'sm2-private-key'; detected when omitted
+     * @param {string} [options.id] - Key identifier
+     * @param {string} [options.controller] - Controller identifier
+     * @returns {SM2Multikey} Imported key instance
+     * @throws {ArgumentError} If arguments are invalid
+     * @throws {FormatError} If der is not an SM2 key
+     * @throws {KeyError} If the embedded public key does not match the private key
+     */
+    static fromDer(der, { format, id, controller } = {}) {
+        return SM2Multikey._fromKeyPair(keyFromDer(der, format), { id, controller });
+    }
+
+    /**
+     * Imports a key pair from PEM.
+     * The format follows the PEM label: `PUBLIC KEY` (SPKI),
+     * `PRIVATE KEY` (PKCS#8), or `EC PRIVATE KEY` / `SM2 PRIVATE KEY`
+     * (SEC1). Other blocks, such as `EC PARAMETERS`, are skipped.
+     * 
+     * @static
+     * @param {string} pem - PEM text
+     * @param {Object} [options={}] - Import options
+     * @param {string} [options.id] - Key identifier
+     * @param {string} [options.controller] - Controller identifier
+     * @returns {SM2Multikey} Imported key instance
+     * @throws {ArgumentError} If arguments are invalid
+     * @throws {FormatError} If no SM2 key is found
+     * @throws {KeyError} If the embedded public key does not match the private key
+     */
+    static fromPem(pem, { id, controller } = {}) {
+        return SM2Multikey._fromKeyPair(keyFromPem(pem), { id, controller });
+    }
+
+    /**
+     * Imports a private key from a password-encrypted PKCS#8 PEM
+     * (`ENCRYPTED PRIVATE KEY`).
+     * 
+     * Supported Schemes (PBES2 with PBKDF2):
+     * - SM4-CBC or AES-256-CBC
+     * - PRF HMAC-SM3, HMAC-SHA256 or HMAC-SHA1
+     * 
+     * This reads keys written by toEncryptedPem(), by
+     * `openssl pkcs8 -topk8 -v2 sm4-cbc` or `-v2 aes-256-cbc`, and by
+     * GmSSL. PBES1 and PKCS#12 schemes are not supported.
+     * 
+     * @static
+     * @param {Object} options - Import options
+     * @param {string} options.pem - PEM text
+     * @param {string|Buffer|Uint8Array} options.password - Password; strings are UTF-8 encoded
+     * @param {string} [options.id] - Key identifier
+     * @param {string} [options.controller] - Controller identifier
+     * @returns {Promise<SM2Multikey>} Imported key instance
+     * @throws {ArgumentError} If arguments are invalid
+     * @throws {FormatError} If no encrypted private key is found or its scheme is unsupported
+     * @throws {OperationError} If the password is wrong or the key is corrupted
+     */
+    static async fromEncryptedPem({ pem, password, id, controller } = {}) {
+        // 1. Find and decode the EncryptedPrivateKeyInfo
+        const secret = passwordBytes(password);
+        const block = decodePem(pem).find(({ label }) => label === ENCRYPTED_PRIVATE_KEY_LABEL);
+        if (!block) {
+            throw new FormatError('No encrypted private key found in PEM', { code: ErrorCodes.ERR_FORMAT_INVALID });
+        }
+        const { cipher, hash, keyLength, salt, iterations, iv, encryptedData } = decodeEncryptedPrivateKeyInfo(block.der);
+
+        // 2. Derive the key and decrypt
+        const key = await cryptoImpl.pbkdf2({ password: secret, salt, iterations, length: keyLength, hash });
+        const der = await cryptoImpl.decryptCbc({ cipher, key, iv, data: encryptedData });
+
+        // 3. Parse the PrivateKeyInfo; garbage means a wrong password
+        // whose padding happened to check out
+        let keyPair;
+        try {
+            keyPair = keyFromDer(der, KEY_FORMATS.PKCS8);
+        } catch (error) {
+            if (error instanceof FormatError && error.code !== ErrorCodes.ERR_FORMAT_OID) {
+                throw new OperationError('Incorrect password or corrupted key', {
+                    code: ErrorCodes.ERR_DECRYPTION_FAILED,
+                    cause: error
+                });
+            }
+            throw error;
+        }
+        return SM2Multikey._fromKeyPair(keyPair, { id, controller });
+    }
+
+    /**
+     * Imports a key pair from a GM/T 0009 SM2EnvelopedKey.
+     * 
+     * The envelope carries an SM4 key encrypted to the recipient's public
+     * key and the protected private key encrypted with that SM4 key (ECB).
+     * Both the 32-byte private key and the 64-byte zero-padded form used
+     * by SKF devices are accepted.
+     * 
+     * @static
+     * @param {Buffer|Uint8Array} envelopedKey - DER encoded SM2EnvelopedKey
+     * @param {Object} options - Import options
+     * @param {SM2Multikey} options.recipient - Key pair the envelope is addressed to
+     * @param {string} [options.id] - Key identifier
+     * @param {string} [options.controller] - Controller identifier
+     * @returns {SM2Multikey} Imported key pair
+     * @throws {ArgumentError} If arguments are invalid
+     * @throws {KeyError} If the recipient has no private key, or the
+     *   envelope's public key does not match its private key
+     * @throws {FormatError} If the envelope is malformed
+     * @throws {OperationError} If the envelope is not addressed to the recipient
+     */
+    static fromEnvelopedKey(envelopedKey, { recipient, id, controller } = {}) {
+        // 1. Argument validation
+        if (!isValidBinaryData(envelopedKey)) {
+            throw new ArgumentError('envelopedKey must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!(recipient instanceof SM2Multikey)) {
+            throw new ArgumentError('recipient must be an SM2Multikey', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!recipient.secretKey) {
+            throw new KeyError('Recipient has no private key', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+
+        // 2. Recover the SM4 key, then the private key
+        const { symEncryptedKey, publicKey, encryptedPrivateKey } = decodeSM2EnvelopedKey(envelopedKey);
+        const key = cryptoImpl.decrypt({ secretKey: recipient.secretKey, ...symEncryptedKey });
+        if (key.length !== ENVELOPE_KEY_LENGTH) {
+            throw new FormatError('SM2EnvelopedKey must carry a 16-byte SM4 key', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+        }
+        if (encryptedPrivateKey.length !== 32 && encryptedPrivateKey.length !== 64) {
+            throw new FormatError('Invalid SM2EnvelopedKey private key length', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+        }
+        let secretKey = sm4EcbDecrypt({ key, data: encryptedPrivateKey });
+        if (secretKey.length === 64) {
+            if (secretKey.subarray(0, 32).some((byte) => byte !== 0)) {
+                throw new FormatError('Invalid SM2EnvelopedKey private key', { code: ErrorCodes.ERR_FORMAT_VALUE });
+            }
+            secretKey = secretKey.subarray(32);
+        }
+
+        // 3. The private key must belong to the enclosed public key
+        if (!getPublicKey(secretKey).equals(publicKey)) {
+            throw new KeyError('Public key does not match the private key', { code: ErrorCodes.ERR_KEY_PAIR });
+        }
+        return SM2Multikey._fromKeyPair({ publicKey, secretKey }, { id, controller });
+    }
+
+    /**
+     * Imports the public key of an SM2 X.509 certificate.
+     * 
+     * The certificate signature (SM2-with-SM3, default user ID) is checked
+     * against `issuer`, or against the certificate's own key when it is
+     * self-issued. Certificates from another issuer need `issuer`.
+     * 
+     * The parsed certificate is kept as `certificate` on the returned key:
+     * `subject` and `issuer` ({ text, attributes }), `serialNumber`,
+     * `validity` ({ notBefore, notAfter }), `keyUsage`, `extendedKeyUsage`,
+     * `basicConstraints`, key identifiers and the raw `extensions`.
+     * 
+     * Security Note:
+     * - Only the one signature is checked; validity dates, key usage,
+     *   revocation and chains up to a trust anchor are left to the caller
+     * 
+     * @static
+     * @param {string|Buffer|Uint8Array} certificate - PEM text or DER bytes
+     * @param {Object} [options={}] - Import options
+     * @param {SM2Multikey|Buffer|Uint8Array} [options.issuer] - Issuer key or 64-byte public key
+     * @param {string} [options.id] - Key identifier
+     * @param {string} [options.controller] - Controller identifier
+     * @returns {Promise<SM2Multikey>} Public key instance with certificate metadata
+     * @throws {ArgumentError} If arguments are invalid, or the certificate
+     *   is not self-issued and no issuer is given
+     * @throws {FormatError} If the certificate is malformed or not SM2
+     * @throws {VerificationError} If the certificate signature is invalid
+     * 
+     * @example
+     * ```javascript
+     * const root = await SM2Multikey.fromCertificate(rootPem);
+     * const key = await SM2Multikey.fromCertificate(leafPem, { issuer: root });
+     * console.log(key.certificate.subject.text);
+     * ```
+     */
+    static async fromCertificate(certificate, { issuer, id, controller } = {}) {
+        // 1. Find and parse the certificate
+        const { tbsCertificate, signature, subjectPublicKeyInfo, ...metadata } = parseCertificate(
+            certificateDer(certificate, 'certificate')
+        );
+        const { publicKey } = keyFromDer(subjectPublicKeyInfo, KEY_FORMATS.SPKI);
+
+        // 2. Pick the key the certificate must be signed with
+        let issuerKey;
+        if (issuer !== undefined) {
+            issuerKey = publicKeyOf(issuer, 'issuer');
+        } else if (metadata.issuer.text === metadata.subject.text) {
+            issuerKey = publicKey;
+        } else {
+            throw new ArgumentError('issuer is required for certificates that are not self-issued', {
+                code: ErrorCodes.ERR_ARGUMENT_INVALID
+            });
+        }
+
+        // 3. Verify the signature over the TBSCertificate
+        const verify = cryptoImpl.createVerifier({ publicKey: issuerKey });
+        if (!await verify({ data: tbsCertificate, signature })) {
+            throw new VerificationError('Certificate signature verification failed', {
+                code: ErrorCodes.ERR_VERIFICATION_FAILED
+            });
+        }
+
+        const key = SM2Multikey._fromKeyPair({ publicKey }, { id, controller });
+        key.certificate = metadata;
+        return key;
+    }
+
+    /**
+     * Verifies a GM/T 0010 SignedData message.
+     * 
+     * Every signer is looked up by issuer and serial number among the
+     * certificates embedded in the message and those passed in
+     * `certificates`, and its SM2 signature (default user ID) is checked
+     * against the certificate's public key. When the signer used
+     * authenticated attributes, their messageDigest must also equal the
+     * SM3 digest of the content.
+     * 
+     * Security Note:
+     * - Signer certificates are not validated; check `signers[i].certificate`
+     *   or pass the certificates to fromCertificate() with their issuer
+     * 
+     * @static
+     * @param {Buffer|Uint8Array} signedData - DER encoded ContentInfo
+     * @param {Object} [options={}] - Verification options
+     * @param {Buffer|Uint8Array} [options.data] - Content of a detached message
+     * @param {Array<string|Buffer|Uint8Array>} [options.certificates=[]] - Extra
+     *   signer certificates, PEM text or DER bytes
+     * @returns {Promise<{content: Buffer, signers: SM2Multikey[]}>} Signed
+     *   content and one public key per signer, with certificate metadata
+     * @throws {ArgumentError} If arguments are invalid, or a detached
+     *   message comes without data
+     * @throws {FormatError} If the message or a certificate is malformed
+     * @throws {VerificationError} If a signer certificate is missing or a
+     *   signature is invalid
+     * 
+     * @example
+     * ```javascript
+     * const { content, signers } = await SM2Multikey.verifySignedData(signedData);
+     * console.log(signers[0].certificate.subject.text);
+     * ```
+     */
+    static async verifySignedData(signedData, { data, certificates = [] } = {}) {
+        // 1. Argument validation
+        if (!isValidBinaryData(signedData)) {
+            throw new ArgumentError('signedData must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (data !== undefined && !isValidBinaryData(data)) {
+            throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!Array.isArray(certificates)) {
+            throw new ArgumentError('certificates must be an array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        // 2. Decode the message and index the certificates by issuer and serial number
+        const message = decodeSignedMessage(signedData);
+        const content = message.content ?? data;
+        if (content === undefined) {
+            throw new ArgumentError('data is required for a detached SignedData', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (message.signerInfos.length === 0) {
+            throw new VerificationError('SignedData has no signers', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+        }
+        const pool = new Map();
+        for (const der of [...message.certificates, ...certificates.map((value) => certificateDer(value, 'certificate'))]) {
+            pool.set(encodeIssuerAndSerialNumber(der).toString('hex'), der);
+        }
+
+        // 3. Check every signer
+        const signers = [];
+        for (const { issuerAndSerialNumber, signature, signedAttributes, messageDigest } of message.signerInfos) {
+            const der = pool.get(Buffer.from(issuerAndSerialNumber).toString('hex'));
+            if (!der) {
+                throw new VerificationError('SignedData signer certificate not found', {
+                    code: ErrorCodes.ERR_VERIFICATION_FAILED
+                });
+            }
+            const { tbsCertificate, signature: certificateSignature, subjectPublicKeyInfo, ...metadata } = parseCertificate(der);
+            const { publicKey } = keyFromDer(subjectPublicKeyInfo, KEY_FORMATS.SPKI);
+
+            if (signedAttributes && !(messageDigest && timingSafeEqual(messageDigest, sm3(content)))) {
+                throw new VerificationError('SignedData message digest does not match the content', {
+                    code: ErrorCodes.ERR_VERIFICATION_FAILED
+                });
+            }
+            const verify = cryptoImpl.createVerifier({ publicKey });
+            if (!await verify({ data: signedAttributes ?? content, signature })) {
+                throw new VerificationError('SignedData signature verification failed', {
+                    code: ErrorCodes.ERR_VERIFICATION_FAILED
+                });
+            }
+
+            const key = SM2Multikey._fromKeyPair({ publicKey }, {});
+            key.certificate = metadata;
+            signers.push(key);
+        }
+        return { content: Buffer.from(content), signers };
+    }
+
+    /**
+     * Encrypts data to certificate holders as a GM/T 0010 EnvelopedData
+     * message.
+     * 
+     * A fresh SM4 key encrypts the data (CBC with a random IV) and is
+     * itself encrypted to each recipient's public key (SM2Cipher). The
+     * recipient certificates are not validated.
+     * 
+     * @static
+     * @param {Object} options - Encryption options
+     * @param {Buffer|Uint8Array} options.data - Data to encrypt
+     * @param {Array<string|Buffer|Uint8Array>} options.recipients - Recipient
+     *   certificates, PEM text or DER bytes
+     * @returns {Promise<Buffer>} DER encoded ContentInfo
+     * @throws {ArgumentError} If the data or the recipient list is invalid
+     * @throws {FormatError} If a certificate is malformed
+     * 
+     * @example
+     * ```javascript
+     * const envelopedData = await SM2Multikey.createEnvelopedData({ data, recipients: [aliceCert, bobCert] });
+     * const data = await alice.openEnvelopedData(envelopedData);
+     * ```
+     */
+    static async createEnvelopedData({ data, recipients } = {}) {
+        if (!isValidBinaryData(data)) {
+            throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            throw new ArgumentError('recipients must be a non-empty array of certificates', {
+                code: ErrorCodes.ERR_ARGUMENT_INVALID
+            });
+        }
+
+        const key = randomBytes(ENVELOPE_KEY_LENGTH);
+        const iv = randomBytes(CBC_IV_LENGTH);
+        const recipientInfos = recipients.map((recipient) => {
+            const der = certificateDer(recipient, 'recipient');
+            const { publicKey } = keyFromDer(parseCertificate(der).subjectPublicKeyInfo, KEY_FORMATS.SPKI);
+            return {
+                issuerAndSerialNumber: encodeIssuerAndSerialNumber(der),
+                encryptedKey: cryptoImpl.encrypt({ publicKey, data: key })
+            };
+        });
+        return encodeEnvelopedMessage({
+            recipientInfos,
+            iv,
+            encryptedContent: await cryptoImpl.encryptCbc({ cipher: 'sm4-cbc', key, iv, data })
+        });
+    }
+
+    /**
+     * Creates an instance from raw key bytes and optional identifiers,
+     * deriving the id from the controller as generate() does.
+     * 
+     * @static
+     * @private
+     * @param {Object} keyPair - { publicKey, secretKey? }
+     * @param {Object} options - { id?, controller? }
+     * @returns {SM2Multikey} Key instance
+     * @throws {ArgumentError} If id or controller is not a string
+     */
+    static _fromKeyPair({ publicKey, secretKey }, { id, controller }) {
+        if (id && typeof id !== 'string') {
+            throw new ArgumentError('ID must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (controller && typeof controller !== 'string') {
+            throw new ArgumentError('Controller must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const instance = SM2Multikey.from({ publicKey, secretKey });
+        instance.controller = controller;
+        instance.id = id || (controller ? `${controller}#${instance.publicKeyMultibase}` : undefined);
+        return instance;
+    }
+
+    /**
+     * Imports a public key from a did:key identifier.
+     * The DID may carry a fragment, which must then be the key's own
+     * multibase value.
+     * 
+     * did:key Format:
+     * ```
+     * did:key:z<base58btc(0x8624 || compressed public key)>
+     * ```
+     * 
+     * The resulting key has the DID as controller and
+     * `did:key:z...#z...` as id, matching the DID document produced by
+     * resolveDidKey().
+     * 
+     * @static
+     * @param {string} didKey - did:key identifier or verification method id
+     * @returns {SM2Multikey} Public key instance
+     * @throws {ArgumentError} If didKey is not a did:key identifier
+     * @throws {FormatError} If the identifier does not encode an SM2 public key
+     */
+    static fromDidKey(didKey) {
+        // 1. Argument validation
+        if (typeof didKey !== 'string' || !didKey.startsWith(DID_KEY_PREFIX)) {
+            throw new ArgumentError('Invalid did:key identifier', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const [did, fragment] = didKey.split('#');
+        const publicKeyMultibase = did.slice(DID_KEY_PREFIX.length);
+        if (fragment !== undefined && fragment !== publicKeyMultibase) {
+            throw new ArgumentError('did:key fragment must match the key', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        // 2. Check the multicodec header before importing
+        let prefix;
+        try {
+            ({ prefix } = decodeKey(publicKeyMultibase));
+        } catch (error) {
+            throw new FormatError('did:key is not an SM2 public key', { code: ErrorCodes.ERR_KEY_FORMAT, cause: error });
+        }
+        if (!prefix.equals(MULTICODEC_SM2_PUB_HEADER)) {
+            throw new FormatError('did:key is not an SM2 public key', { code: ErrorCodes.ERR_KEY_FORMAT });
+        }
+
+        // 3. Import as a Multikey controlled by the DID
+        return SM2Multikey.from({ publicKeyMultibase, controller: did });
+    }
+
+    /**
+     * Verifies many signatures in one call.
+     * 
+     * Each item names the key, the signed data (or a precomputed digest),
+     * the signature and optionally the user ID it was signed with. Parsed
+     * public keys and ZA values are shared between items that use the same
+     * key. The pure-JS backend, and precomputed digests on every backend,
+     * then verify all items in one interleaved multi-scalar pass instead
+     * of one scalar multiplication pair per item.
+     * 
+     * Performance Notes:
+     * - The pass shares field inversions and the base point table across
+     *   all items: about 1.4 times the speed of a verifier().verify loop at
+     *   64 distinct keys, more for larger batches
+     * - Keys used by eight or more items get comb tables, so batches from a
+     *   few issuers verify about three times as fast as a loop
+     * - Below about 24 distinct keys the gain is negligible
+     * - The Node.js backend checks message items with OpenSSL one by one,
+     *   which is already faster than the pure-JS pass
+     * 
+     * Result Semantics:
+     * - One boolean per item, in input order
+     * - Invalid or malformed signatures give false for that item only
+     * - Structural problems with an item (missing key, non-binary data)
+     *   reject the whole call
+     * 
+     * @static
+     * @param {Array<Object>} items - Items to verify
+     * @param {SM2Multikey} items[].key - Key with a public key
+     * @param {Buffer|Uint8Array} [items[].data] - Signed data
+     * @param {Buffer|Uint8Array} [items[].digest] - Precomputed 32-byte e, instead of data
+     * @param {Buffer|Uint8Array} items[].signature - Signature to check
+     * @param {string|Buffer|Uint8Array|null} [items[].userId] - SM2 distinguishing identifier
+     * @returns {Promise<boolean[]>} Verification result per item
+     * @throws {ArgumentError} If items or any item is malformed
+     * @throws {KeyError} If an item's key has no public key
+     */
+    static async verifyBatch(items) {
+        if (!Array.isArray(items)) {
+            throw new ArgumentError('items must be an array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const batch = items.map((item, index) => {
+            const { key, data, digest, signature, userId } = item || {};
+            if (!(key instanceof SM2Multikey)) {
+                throw new ArgumentError(`items[${index}].key must be an SM2Multikey`, {
+                    code: ErrorCodes.ERR_ARGUMENT_INVALID
+                });
+            }
+            if (!key.publicKey) {
+                throw new KeyError(`items[${index}].key has no public key`, { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+            }
+            validateMessageInput({ data, digest });
+            if (!isValidBinaryData(signature)) {
+                throw new ArgumentError(`items[${index}].signature must be Buffer or Uint8Array`, {
+                    code: ErrorCodes.ERR_ARGUMENT_INVALID
+                });
+            }
+
+            return { publicKey: key.publicKey, data, digest, signature, userId };
+        });
+
+        return cryptoImpl.verifyBatch(batch);
+    }
+
+    /**
+     * Returns the did:key identifier of this key's public key.
+     * 
+     * @returns {string} did:key identifier, without fragment
+     * @throws {KeyError} If no public key is available
+     */
+    toDidKey() {
+        if (!this.publicKey) {
+            throw new KeyError('No public key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        return DID_KEY_PREFIX + encodeKey(MULTICODEC_SM2_PUB_HEADER, compressPublicKey(this.publicKey));
+    }
+
+    /**
+     * Exports the key as DER.
+     * 
+     * Formats:
+     * - spki: SubjectPublicKeyInfo (public key, default)
+     * - pkcs8: PKCS#8 PrivateKeyInfo
+     * - sec1: SEC1 ECPrivateKey with curve OID and public key
+     * - sm2-public-key: GM/T 0009 SM2PublicKey (BIT STRING)
+     * - sm2-private-key: GM/T 0009 SM2PrivateKey (INTEGER)
+     * 
+     * Keys are written with id-ecPublicKey and the SM2 named curve, the
+     * form read by OpenSSL and GmSSL.
+     * 
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.format='spki'] - One of the formats above
+     * @returns {Buffer} DER encoded key
+     * @throws {ArgumentError} If the format is invalid
+     * @throws {KeyError} If the key needed for the format is not available
+     */
+    toDer({ format = KEY_FORMATS.SPKI } = {}) {
+        return keyToDer({ keyPair: this, format });
+    }
+
+    /**
+     * Exports the key as PEM.
+     * Labels are `PUBLIC KEY`, `PRIVATE KEY` and `EC PRIVATE KEY`.
+     * 
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.format='spki'] - 'spki', 'pkcs8' or 'sec1'
+     * @returns {string} PEM text
+     * @throws {ArgumentError} If the format is invalid or has no PEM encoding
+     * @throws {KeyError} If the key needed for the format is not available
+     */
+    toPem({ format = KEY_FORMATS.SPKI } = {}) {
+        return keyToPem({ keyPair: this, format });
+    }
+
+    /**
+     * Exports the private key as a password-encrypted PKCS#8 PEM
+     * (`ENCRYPTED PRIVATE KEY`, PBES2 with PBKDF2).
+     * 
+     * Ciphers:
+     * - sm4-cbc: SM4-CBC with PBKDF2-HMAC-SM3 (default, GmSSL compatible;
+     *   OpenSSL 3 does not implement the hmacWithSM3 PRF)
+     * - aes-256-cbc: AES-256-CBC with PBKDF2-HMAC-SHA256, the scheme
+     *   OpenSSL writes by default
+     * 
+     * A fresh random salt and IV are used on every call.
+     * 
+     * @param {Object} options - Export options
+     * @param {string|Buffer|Uint8Array} options.password - Password; strings are UTF-8 encoded
+     * @param {string} [options.cipher='sm4-cbc'] - 'sm4-cbc' or 'aes-256-cbc'
+     * @param {number} [options.iterations=10000] - PBKDF2 iteration count
+     * @returns {Promise<string>} PEM text
+     * @throws {ArgumentError} If the password, cipher or iteration count is invalid
+     * @throws {KeyError} If no private key is available
+     */
+    async toEncryptedPem({ password, cipher = DEFAULT_PBES2_CIPHER, iterations = DEFAULT_PBKDF2_ITERATIONS } = {}) {
+        // 1. Validate options
+        const secret = passwordBytes(password);
+        if (!Object.hasOwn(PBES2_CIPHERS, cipher)) {
+            throw new ArgumentError(`Unsupported cipher: ${cipher}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        assertIterations(iterations);
+        const der = this.toDer({ format: KEY_FORMATS.PKCS8 });
+
+        // 2. Derive the key and encrypt the PrivateKeyInfo
+        const { keyLength, hash } = PBES2_CIPHERS[cipher];
+        const salt = randomBytes(PBKDF2_SALT_LENGTH);
+        const iv = randomBytes(CBC_IV_LENGTH);
+        const key = await cryptoImpl.pbkdf2({ password: secret, salt, iterations, length: keyLength, hash });
+        const encryptedData = await cryptoImpl.encryptCbc({ cipher, key, iv, data: der });
+
+        // 3. Wrap in EncryptedPrivateKeyInfo
+        return encodePem(
+            encodeEncryptedPrivateKeyInfo({ cipher, hash, salt, iterations, iv, encryptedData }),
+            ENCRYPTED_PRIVATE_KEY_LABEL
+        );
+    }
+
+    /**
+     * Exports the key pair as a GM/T 0009 SM2EnvelopedKey addressed to a
+     * recipient, for example when a key management centre hands an
+     * encryption key pair to its owner.
+     * 
+     * A fresh SM4 key encrypts the private key (ECB) and is itself
+     * encrypted to the recipient's public key (SM2Cipher).
+     * 
+     * @param {Object} options - Export options
+     * @param {SM2Multikey|Buffer|Uint8Array} options.recipient - Recipient key or 64-byte public key
+     * @returns {Buffer} DER encoded SM2EnvelopedKey
+     * @throws {KeyError} If no private key is available
+     * @throws {ArgumentError} If the recipient is invalid
+     */
+    toEnvelopedKey({ recipient } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        const recipientKey = publicKeyOf(recipient, 'recipient');
+
+        const key = randomBytes(ENVELOPE_KEY_LENGTH);
+        return encodeSM2EnvelopedKey({
+            symEncryptedKey: cryptoImpl.encrypt({ publicKey: recipientKey, data: key }),
+            publicKey: this.publicKey,
+            encryptedPrivateKey: sm4EcbEncrypt({ key, data: this.secretKey })
+        });
+    }
+
+    /**
+     * Signs data as a GM/T 0010 SignedData message.
+     * 
+     * The signature is an SM2 signature with the default user ID over the
+     * data itself, without authenticated attributes. The signer is named by
+     * the issuer and serial number of `certificate`, which must certify this
+     * key and is embedded in the message.
+     * 
+     * @param {Object} options - Signing options
+     * @param {Buffer|Uint8Array} options.data - Data to sign
+     * @param {string|Buffer|Uint8Array} options.certificate - This key's
+     *   certificate, PEM text or DER bytes
+     * @param {boolean} [options.detached=false] - Leave the data out of the message
+     * @returns {Promise<Buffer>} DER encoded ContentInfo
+     * @throws {KeyError} If no private key is available, or the certificate
+     *   is for another key
+     * @throws {ArgumentError} If the data or certificate is invalid
+     * @throws {FormatError} If the certificate is malformed
+     * 
+     * @example
+     * ```javascript
+     * const signedData = await key.toSignedData({ data, certificate: keyCert });
+     * const { content } = await SM2Multikey.verifySignedData(signedData);
+     * ```
+     */
+    async toSignedData({ data, certificate, detached = false } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (!isValidBinaryData(data)) {
+            throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const der = certificateDer(certificate, 'certificate');
+        const { publicKey } = keyFromDer(parseCertificate(der).subjectPublicKeyInfo, KEY_FORMATS.SPKI);
+        if (!Buffer.from(publicKey).equals(Buffer.from(this.publicKey))) {
+            throw new KeyError('Certificate is for another key', { code: ErrorCodes.ERR_KEY_PAIR });
+        }
+
+        return encodeSignedMessage({
+            content: data,
+            detached,
+            certificates: [der],
+            signerInfos: [{
+                issuerAndSerialNumber: encodeIssuerAndSerialNumber(der),
+                signature: await this.signer().sign({ data })
+            }]
+        });
+    }
+
+    /**
+     * Decrypts a GM/T 0010 EnvelopedData message addressed to this key.
+     * 
+     * With `certificate`, only the recipient entry for that certificate
+     * is used; otherwise each entry is tried until the SM4 key decrypts,
+     * which SM2's C3 hash detects.
+     * 
+     * @param {Buffer|Uint8Array} envelopedData - DER encoded ContentInfo
+     * @param {Object} [options={}] - Decryption options
+     * @param {string|Buffer|Uint8Array} [options.certificate] - This key's
+     *   certificate, PEM text or DER bytes
+     * @returns {Promise<Buffer>} Decrypted data
+     * @throws {KeyError} If no private key is available
+     * @throws {ArgumentError} If arguments are invalid
+     * @throws {FormatError} If the message is malformed
+     * @throws {OperationError} If the message is not addressed to this key,
+     *   or the content does not decrypt
+     */
+    async openEnvelopedData(envelopedData, { certificate } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (!isValidBinaryData(envelopedData)) {
+            throw new ArgumentError('envelopedData must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const { recipientInfos, iv, encryptedContent } = decodeEnvelopedMessage(envelopedData);
+        let candidates = recipientInfos;
+        if (certificate !== undefined) {
+            const recipient = encodeIssuerAndSerialNumber(certificateDer(certificate, 'certificate'));
+            candidates = recipientInfos.filter(({ issuerAndSerialNumber }) => recipient.equals(issuerAndSerialNumber));
+        }
+
+        for (const { encryptedKey } of candidates) {
+            let key;
+            try {
+                key = cryptoImpl.decrypt({ secretKey: this.secretKey, ...encryptedKey });
+            } catch (err) {
+                if (!(err instanceof OperationError)) {
+                    throw err;
+                }
+                continue;
+            }
+            if (key.length !== ENVELOPE_KEY_LENGTH) {
+                throw new FormatError('EnvelopedData must carry a 16-byte SM4 key', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+            }
+            return cryptoImpl.decryptCbc({ cipher: 'sm4-cbc', key, iv, data: encryptedContent });
+        }
+        throw new OperationError('EnvelopedData is not addressed to this key', { code: ErrorCodes.ERR_DECRYPTION_FAILED });
+    }
+
+    /**
+     * Creates a PKCS#10 certification request for this key pair, signed
+     * with SM2-with-SM3 and the default user ID.
+     * 
+     * Extensions are requested through the extensionRequest attribute; a
+     * CA may copy or ignore them.
+     * 
+     * @param {Object} options - Request options
+     * @param {string|Array<{type: string, value: string}>} options.subject - Subject
+     *   name, such as 'C=CN, O=Example, CN=Alice'
+     * @param {Object} [options.extensions] - basicConstraints ({ ca, pathLength }),
+     *   keyUsage, extendedKeyUsage, subjectKeyIdentifier, authorityKeyIdentifier
+     * @param {string} [options.encoding='pem'] - 'pem' or 'der'
+     * @returns {Promise<string|Buffer>} `CERTIFICATE REQUEST` PEM or DER bytes
+     * @throws {KeyError} If no private key is available
+     * @throws {ArgumentError} If the subject, an extension or the encoding is invalid
+     * 
+     * @example
+     * ```javascript
+     * const csr = await key.createCsr({
+     *   subject: 'C=CN, O=Example, CN=service.example.com',
+     *   extensions: { keyUsage: ['digitalSignature'], extendedKeyUsage: ['serverAuth'] }
+     * });
+     * ```
+     */
+    async createCsr({ subject, extensions, encoding = 'pem' } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        assertOutputEncoding(encoding);
+
+        const info = encodeCertificationRequestInfo({
+            subject,
+            subjectPublicKeyInfo: this.toDer(),
+            extensions
+        });
+        const signature = await this.signer({ signatureFormat: SIGNATURE_FORMATS.DER }).sign({ data: info });
+        const der = encodeSignedData(info, signature);
+        return encoding === 'pem' ? encodePem(der, CERTIFICATE_REQUEST_LABEL) : der;
+    }
+
+    /**
+     * Creates an X.509 v3 certificate for this key's public key, signed
+     * with SM2-with-SM3 and the default user ID.
+     * 
+     * Without `issuerKey` the certificate is self-signed and `issuer`
+     * defaults to `subject`. With another issuer key, pass the issuer's
+     * subject name as `issuer`, for example `caKey.certificate.subject`
+     * from fromCertificate().
+     * 
+     * Security Note:
+     * - Requested extensions are written as given; nothing checks that
+     *   the issuer may issue them
+     * - Key identifiers are only written when given
+     * 
+     * @param {Object} options - Certificate options
+     * @param {string|Array<{type: string, value: string}>} options.subject - Subject name
+     * @param {SM2Multikey} [options.issuerKey=this] - Key pair that signs the certificate
+     * @param {string|Array|Object} [options.issuer] - Issuer name; required with another issuerKey
+     * @param {string|number|bigint|Buffer|Uint8Array} [options.serial] - Serial number;
+     *   a random positive 16-byte integer by default
+     * @param {Date} [options.notBefore=new Date()] - Start of validity
+     * @param {Date} [options.notAfter] - End of validity; one year after notBefore by default
+     * @param {Object} [options.extensions] - As for createCsr()
+     * @param {string} [options.encoding='pem'] - 'pem' or 'der'
+     * @returns {Promise<string|Buffer>} `CERTIFICATE` PEM or DER bytes
+     * @throws {KeyError} If this key has no public key or the issuer key has no private key
+     * @throws {ArgumentError} If an option is invalid
+     * 
+     * @example
+     * ```javascript
+     * const ca = SM2Multikey.generate();
+     * const root = await ca.createCertificate({
+     *   subject: 'C=CN, O=Example, CN=Example Root',
+     *   extensions: { basicConstraints: { ca: true }, keyUsage: ['keyCertSign', 'cRLSign'] }
+     * });
+     * const leaf = await key.createCertificate({
+     *   subject: 'C=CN, O=Example, CN=Alice',
+     *   issuerKey: ca,
+     *   issuer: 'C=CN, O=Example, CN=Example Root'
+     * });
+     * ```
+     */
+    async createCertificate({
+        subject,
+        issuerKey = this,
+        issuer,
+        serial = randomSerial(),
+        notBefore = new Date(),
+        notAfter,
+        extensions,
+        encoding = 'pem'
+    } = {}) {
+        // 1. Argument validation
+        if (!this.publicKey) {
+            throw new KeyError('No public key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (!(issuerKey instanceof SM2Multikey)) {
+            throw new ArgumentError('issuerKey must be an SM2Multikey', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!issuerKey.secretKey) {
+            throw new KeyError('Issuer key has no private key', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (issuer === undefined && issuerKey !== this) {
+            throw new ArgumentError('issuer is required when issuerKey is another key', {
+                code: ErrorCodes.ERR_ARGUMENT_INVALID
+            });
+        }
+        assertOutputEncoding(encoding);
+
+        // 2. Build and sign the TBSCertificate
+        const tbs = encodeTBSCertificate({
+            serialNumber: serial,
+            issuer: issuer ?? subject,
+            subject,
+            notBefore,
+            notAfter: notAfter ?? (notBefore instanceof Date
+                ? new Date(notBefore.getTime() + DEFAULT_VALIDITY_MS)
+                : undefined),
+            subjectPublicKeyInfo: this.toDer(),
+            extensions
+        });
+        const signature = await issuerKey.signer({ signatureFormat: SIGNATURE_FORMATS.DER }).sign({ data: tbs });
+        const der = encodeSignedData(tbs, signature);
+        return encoding === 'pem' ? encodePem(der, CERTIFICATE_LABEL) : der;
+    }
+
     /**
      * Creates a signer function for this key pair.
      * The signer function is used to create digital signatures.
@@ -659,29 +1768,79 @@ class SM2Multikey {
      * Signer Object:
      * - algorithm: Signature algorithm (SM2)
      * - id: Key identifier
-     * - sign: Signing function
+     * - sign: Async signing function, called with { data } or a precomputed
+     *   32-byte { digest } (e = SM3(ZA || M), hashed elsewhere), plus an
+     *   optional { signal }; resolves to the R || S signature
+     * - createStream: Returns a stream that signs everything written to it;
+     *   the signature is available as `stream.signature` (a Promise) once
+     *   the stream ends (Node Transform, or WritableStream in the browser)
+     * 
+     * User ID:
+     * - Omitted: the default ID '1234567812345678' is used for ZA
+     * - null: raw mode, the message is hashed without ZA
+     * 
+     * Deterministic Mode:
+     * - k is derived from the secret key and e with HMAC-SM3 (RFC 6979)
+     * - The same key, user ID and message always give the same signature
+     * - Output is identical across the node and browser backends
+     * 
+     * Signature Formats:
+     * - raw: 64-byte R || S (default)
+     * - der: GM/T 0009 SM2Signature, as used in certificates and CMS
+     * 
+     * The { algorithm, id, sign } shape is the signer interface used by
+     * Data Integrity suites. The backend signer may be synchronous or
+     * return a promise (remote or worker-backed backends); either way
+     * sign() always returns a promise and rejects with the signal's reason
+     * if it is aborted before or while signing.
      * 
      * Security Note:
      * - Private key must be available
      * - Signing operation is performed in memory
      * 
      * @param {Object} [options={}] - Options
-     * @param {string} [options.id] - Key identifier
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 distinguishing identifier
+     * @param {boolean} [options.deterministic=false] - Use RFC 6979 nonces instead of random k
+     * @param {string} [options.signatureFormat='raw'] - 'raw' or 'der'
      * @returns {Object} Signer object with sign function
      * @throws {KeyError} If no private key is available
+     * @throws {ArgumentError} If the user ID, deterministic flag or signature format is invalid
      */
-    signer() {
+    signer({ userId, deterministic = false, signatureFormat = SIGNATURE_FORMATS.RAW } = {}) {
         if (!this.secretKey) {
             throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
         }
+        if (typeof deterministic !== 'boolean') {
+            throw new ArgumentError('deterministic must be a boolean', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        assertSignatureFormat(signatureFormat);
+        const der = signatureFormat === SIGNATURE_FORMATS.DER;
+
+        const options = {
+            publicKey: this.publicKey,
+            secretKey: this.secretKey,
+            userId,
+            deterministic
+        };
+
+        const sign = cryptoImpl.createSigner(options);
 
         return {
             algorithm: ALGORITHM,
             id: this.id,
-            sign: cryptoImpl.createSigner({
-                publicKey: this.publicKey,
-                secretKey: this.secretKey
-            })
+            async sign({ data, digest, signal } = {}) {
+                throwIfAborted(signal);
+                const signature = await sign({ data, digest, signal });
+                throwIfAborted(signal);
+                return der ? encodeSM2Signature(signature) : signature;
+            },
+            createStream: () => {
+                const stream = cryptoImpl.createSignStream(options);
+                if (der) {
+                    stream.signature = stream.signature.then(encodeSM2Signature);
+                }
+                return stream;
+            }
         };
     }
 
@@ -692,30 +1851,276 @@ class SM2Multikey {
      * Verifier Object:
      * - algorithm: Signature algorithm (SM2)
      * - id: Key identifier
-     * - verify: Verification function
+     * - verify: Async verification function, called with { data, signature }
+     *   or { digest, signature } for a precomputed e, plus an optional
+     *   { signal }; resolves to a boolean
+     * - createStream({ signature }): Returns a writable stream whose
+     *   `result` Promise resolves to the verification outcome at the end
+     * 
+     * The user ID must match the one used when signing. As with signer(),
+     * verify() always returns a promise, whatever the backend returns.
+     * With signatureFormat 'der', signatures are GM/T 0009 SM2Signature
+     * structures and malformed ones verify as false.
      * 
      * Security Note:
      * - Only requires public key
      * - Safe to use in untrusted environments
      * 
      * @param {Object} [options={}] - Options
-     * @param {string} [options.id] - Key identifier
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 distinguishing identifier
+     * @param {string} [options.signatureFormat='raw'] - 'raw' or 'der'
      * @returns {Object} Verifier object with verify function
      * @throws {KeyError} If no public key is available
+     * @throws {ArgumentError} If the user ID or signature format is invalid
      */
-    verifier() {
+    verifier({ userId, signatureFormat = SIGNATURE_FORMATS.RAW } = {}) {
         if (!this.publicKey) {
             throw new KeyError('No public key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
         }
+        assertSignatureFormat(signatureFormat);
+        const der = signatureFormat === SIGNATURE_FORMATS.DER;
+
+        const verify = cryptoImpl.createVerifier({
+            publicKey: this.publicKey,
+            userId
+        });
 
         return {
             algorithm: ALGORITHM,
             id: this.id,
-            verify: cryptoImpl.createVerifier({
-                publicKey: this.publicKey
+            async verify({ data, digest, signature, signal } = {}) {
+                throwIfAborted(signal);
+                if (der) {
+                    signature = rawSignatureOf(signature);
+                    if (!signature) {
+                        validateMessageInput({ data, digest });
+                        return false;
+                    }
+                }
+                const isValid = await verify({ data, digest, signature, signal });
+                throwIfAborted(signal);
+                return isValid;
+            },
+            createStream: ({ signature } = {}) => cryptoImpl.createVerifyStream({
+                publicKey: this.publicKey,
+                // R = S = 0 never verifies, so malformed DER gives false
+                signature: der ? rawSignatureOf(signature) ?? Buffer.alloc(64) : signature,
+                userId
             })
         };
     }
+
+    /**
+     * Encrypts data to this key's public key (GB/T 32918.4).
+     * 
+     * Ciphertext Modes:
+     * - C1C3C2: 0x04 || x1 || y1 || C3 || C2 (default, current standard)
+     * - C1C2C3: 0x04 || x1 || y1 || C2 || C3 (legacy layout)
+     * - DER: GM/T 0009 SM2Cipher structure
+     * 
+     * Security Note:
+     * - Only requires public key
+     * - A fresh random k is used for every call
+     * 
+     * @param {Object} options - Encryption options
+     * @param {Buffer|Uint8Array} options.data - Plaintext
+     * @param {string} [options.mode='C1C3C2'] - Ciphertext layout
+     * @returns {Buffer|Uint8Array} Ciphertext, same type as data
+     * @throws {KeyError} If no public key is available
+     * @throws {ArgumentError} If data or mode is invalid
+     */
+    encrypt({ data, mode = CIPHERTEXT_MODES.C1C3C2 } = {}) {
+        if (!this.publicKey) {
+            throw new KeyError('No public key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (!isValidBinaryData(data)) {
+            throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        assertCiphertextMode(mode);
+
+        const parts = cryptoImpl.encrypt({ publicKey: this.publicKey, data });
+        return matchBinaryType(data, encodeCiphertext(parts, mode));
+    }
+
+    /**
+     * Decrypts ciphertext with this key's private key.
+     * 
+     * When mode is omitted the layout is detected: DER input starts with a
+     * SEQUENCE tag, and raw input is tried as C1C3C2 and then C1C2C3, with
+     * the C3 integrity check deciding which one is correct.
+     * 
+     * Security Note:
+     * - Private key must be available
+     * - Fails unless the C3 hash matches the recovered plaintext
+     * 
+     * @param {Object} options - Decryption options
+     * @param {Buffer|Uint8Array} options.ciphertext - Ciphertext
+     * @param {string} [options.mode] - Ciphertext layout, detected when omitted
+     * @returns {Buffer|Uint8Array} Plaintext, same type as ciphertext
+     * @throws {KeyError} If no private key is available
+     * @throws {ArgumentError} If ciphertext or mode is invalid
+     * @throws {FormatError} If the ciphertext is malformed
+     * @throws {OperationError} If the integrity check fails
+     */
+    decrypt({ ciphertext, mode } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (!isValidBinaryData(ciphertext)) {
+            throw new ArgumentError('ciphertext must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        let modes;
+        if (mode !== undefined) {
+            assertCiphertextMode(mode);
+            modes = [mode];
+        } else if (ciphertext[0] === 0x30) {
+            modes = [CIPHERTEXT_MODES.DER];
+        } else {
+            modes = [CIPHERTEXT_MODES.C1C3C2, CIPHERTEXT_MODES.C1C2C3];
+        }
+
+        let lastError;
+        for (const candidate of modes) {
+            try {
+                const parts = decodeCiphertext(ciphertext, candidate);
+                const data = cryptoImpl.decrypt({ secretKey: this.secretKey, ...parts });
+                return matchBinaryType(ciphertext, data);
+            } catch (err) {
+                if (err.code !== ErrorCodes.ERR_DECRYPTION_FAILED) {
+                    throw err;
+                }
+                lastError = err;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Runs one side of the SM2 key exchange protocol (GB/T 32918.3).
+     * 
+     * This key is the local party's static key. Each run also needs a fresh
+     * ephemeral key pair (for example SM2Multikey.generate()) whose public
+     * key is sent to the peer. ZA/ZB are derived from both parties' static
+     * keys and user IDs.
+     * 
+     * Exchange Flow:
+     * ```
+     * A (initiator)                        B (responder)
+     * send RA            --- RA --->
+     *                                      exchangeKey({ role: 'responder', ... })
+     *                    <-- RB, SB ---
+     * exchangeKey({ role: 'initiator', peerConfirmation: SB, ... })
+     *                    --- SA --->       check SA === expectedConfirmation
+     * ```
+     * 
+     * Confirmation:
+     * - confirmation: hash to send to the peer (SA or SB)
+     * - expectedConfirmation: hash the peer should send back
+     * - peerConfirmation: when given, checked against expectedConfirmation
+     * 
+     * Security Note:
+     * - Private key and ephemeral private key must be available
+     * - Ephemeral keys must never be reused across exchanges
+     * 
+     * @param {Object} options - Exchange options
+     * @param {string} options.role - 'initiator' (A) or 'responder' (B)
+     * @param {SM2Multikey} options.ephemeralKey - Local ephemeral key pair
+     * @param {SM2Multikey|Buffer|Uint8Array} options.peerKey - Peer static public key
+     * @param {SM2Multikey|Buffer|Uint8Array} options.peerEphemeralKey - Peer ephemeral public key
+     * @param {string|Buffer|Uint8Array} [options.userId] - Local user ID (default '1234567812345678')
+     * @param {string|Buffer|Uint8Array} [options.peerUserId] - Peer user ID (default '1234567812345678')
+     * @param {number} [options.length=16] - Shared key length in bytes
+     * @param {Buffer|Uint8Array} [options.peerConfirmation] - Confirmation hash received from the peer
+     * @returns {{sharedKey: Buffer, confirmation: Buffer, expectedConfirmation: Buffer}} Exchange result
+     * @throws {KeyError} If a private key is not available
+     * @throws {ArgumentError} If any option is invalid
+     * @throws {VerificationError} If peerConfirmation does not match
+     */
+    exchangeKey({
+        role,
+        ephemeralKey,
+        peerKey,
+        peerEphemeralKey,
+        userId,
+        peerUserId,
+        length = 16,
+        peerConfirmation
+    } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (!EXCHANGE_ROLES.includes(role)) {
+            throw new ArgumentError('role must be "initiator" or "responder"', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!ephemeralKey || !ephemeralKey.secretKey || !ephemeralKey.publicKey) {
+            throw new KeyError('ephemeralKey must include a private key', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (userId === null || peerUserId === null) {
+            throw new ArgumentError('Key exchange requires user IDs', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (!Number.isInteger(length) || length <= 0) {
+            throw new ArgumentError('length must be a positive integer', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        if (peerConfirmation !== undefined && !isValidBinaryData(peerConfirmation)) {
+            throw new ArgumentError('peerConfirmation must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const result = cryptoImpl.exchangeKey({
+            initiator: role === 'initiator',
+            secretKey: this.secretKey,
+            publicKey: this.publicKey,
+            ephemeralSecretKey: ephemeralKey.secretKey,
+            ephemeralPublicKey: ephemeralKey.publicKey,
+            peerPublicKey: publicKeyOf(peerKey, 'peerKey'),
+            peerEphemeralPublicKey: publicKeyOf(peerEphemeralKey, 'peerEphemeralKey'),
+            userId,
+            peerUserId,
+            length
+        });
+
+        if (peerConfirmation !== undefined && !timingSafeEqual(peerConfirmation, result.expectedConfirmation)) {
+            throw new VerificationError('Key confirmation failed', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+        }
+
+        return result;
+    }
+
+    /**
+     * Derives a raw ECDH shared secret with a peer's public key.
+     * 
+     * The result is the x coordinate of d * P. When length is given, the
+     * x coordinate is expanded with the SM3 KDF of GB/T 32918.4 instead of
+     * being returned directly.
+     * 
+     * Security Note:
+     * - Private key must be available
+     * - The raw x coordinate is not uniformly random; pass it through a
+     *   KDF (or set length) before using it as a symmetric key
+     * 
+     * @param {Object} options - Derivation options
+     * @param {SM2Multikey|Buffer|Uint8Array} options.publicKey - Peer key or 64-byte public key
+     * @param {number} [options.length] - Output length for KDF(x, length); raw x when omitted
+     * @returns {Buffer} Shared secret
+     * @throws {KeyError} If no private key is available
+     * @throws {ArgumentError} If options are invalid
+     * @throws {FormatError} If the peer public key is not on the curve
+     */
+    deriveSecret({ publicKey, length } = {}) {
+        if (!this.secretKey) {
+            throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+        }
+        if (length !== undefined && (!Number.isInteger(length) || length <= 0)) {
+            throw new ArgumentError('length must be a positive integer', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const secret = cryptoImpl.deriveSecret({
+            secretKey: this.secretKey,
+            publicKey: publicKeyOf(publicKey, 'publicKey')
+        });
+
+        return length === undefined ? secret : kdf(secret, length, cryptoImpl.digest);
+    }
 }
 
 export { SM2Multikey };
@@ -2,8 +2,9 @@
  * @fileoverview Browser-specific SM2/SM3 Cryptographic Operations
  * 
  * This module implements SM2 and SM3 cryptographic operations for browser
- * environments using the sm-crypto library. It provides a pure JavaScript
- * implementation that works across all modern browsers.
+ * environments using the built-in engine in crypto/sm2.js and crypto/sm3.js.
+ * It provides a pure JavaScript implementation that works across all modern
+ * browsers without any third-party crypto dependency.
  * 
  * Key Features:
  * - Pure JavaScript
@@ -29,8 +30,8 @@
  * Implementation Details:
  * ```
  * Key Generation:
- * 1. Browser RNG
- * 2. Point generation
+ * 1. Browser RNG (getRandomValues)
+ * 2. Scalar multiplication d * G
  * 3. Format conversion
  * 
  * Signing:
@@ -48,6 +49,7 @@
  * - GB/T 32918.1-2016: SM2 Key
  * - GB/T 32918.2-2016: SM2 Sign
  * - GB/T 32905-2016: SM3 Hash
+ * - GB/T 32907-2016: SM4 Block Cipher
  * - RFC 5480: EC Public Key
  * - RFC 5915: EC Private Key
  * 
@@ -69,17 +71,13 @@
  * ```
  * 
  * @module crypto/browser
- * @see {@link https://github.com/JuneAndGreen/sm-crypto|sm-crypto}
  * @see {@link http://www.gmbz.org.cn/main/viewfile/20180108023812835219.html|GB/T 32918}
  */
 
-import smCrypto from 'sm-crypto';
-
-const { sm2, sm3 } = smCrypto;
-
 import {
     ArgumentError,
     FormatError,
+    OperationError,
     ErrorCodes
 } from '../core/errors.js';
 import {
@@ -87,53 +85,109 @@ import {
     toBuffer,
     matchBinaryType
 } from '../utils/binary.js';
+import { computeZA, normalizeUserId } from '../utils/za.js';
+import { validateMessageInput } from '../utils/signature.js';
+import { SM3, sm3, pbkdf2SM3 } from './sm3.js';
+import { sm4CbcEncrypt, sm4CbcDecrypt } from './sm4.js';
+import {
+    decodePoint,
+    generateKeyPair,
+    signDigest,
+    verifyDigest,
+    verifyDigestBatch,
+    deterministicNonce,
+    encrypt as sm2Encrypt,
+    decrypt as sm2Decrypt,
+    exchangeKey as sm2ExchangeKey,
+    deriveSecret as sm2DeriveSecret
+} from './sm2.js';
 
 /**
- * Convert hexadecimal string to byte array
+ * Compute e = SM3(ZA || M), or SM3(M) in raw mode
  * 
- * This function converts a hexadecimal string to an array of bytes,
- * handling odd-length strings by padding with a leading zero. The
- * function is optimized for performance in browser environments.
+ * @private
+ * @param {Buffer|null} za - ZA value, null for raw mode
+ * @param {Buffer} message - Message bytes
+ * @returns {Buffer} 32-byte digest
+ */
+function messageDigest(za, message) {
+    const hasher = new SM3();
+    if (za) {
+        hasher.update(za);
+    }
+    return hasher.update(message).digest();
+}
+
+/**
+ * Validate a chunk written to a signing or verification stream
  * 
- * Processing Steps:
- * 1. Length check
- * 2. Padding if needed
- * 3. Byte conversion
- * 4. Array building
+ * @private
+ * @param {*} chunk - Written chunk
+ * @returns {Buffer} Chunk as Buffer
+ * @throws {ArgumentError} If the chunk is not binary data
+ */
+function toChunk(chunk) {
+    if (!isValidBinaryData(chunk)) {
+        throw new ArgumentError('Stream chunks must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    return toBuffer(chunk);
+}
+
+/**
+ * WebCrypto names of the PBKDF2 hashes it supports
  * 
- * Format Details:
- * ```
- * Input: "1a2b3c"
- * Step 1: Check length (6 chars, even)
- * Step 2: Split into pairs ["1a","2b","3c"]
- * Step 3: Convert to bytes [26,43,60]
+ * @private
+ * @constant {Object<string, string>}
+ */
+const WEBCRYPTO_HASHES = { sha1: 'SHA-1', sha256: 'SHA-256' };
+
+/**
+ * Get the WebCrypto SubtleCrypto interface
  * 
- * Input: "a2b3c"
- * Step 1: Check length (5 chars, odd)
- * Step 2: Pad to "0a2b3c"
- * Step 3: Split into pairs ["0a","2b","3c"]
- * Step 4: Convert to bytes [10,43,60]
- * ```
+ * AES and the SHA-2 PRFs of encrypted private keys are delegated to
+ * WebCrypto; SM3 and SM4 always run in JavaScript.
  * 
  * @private
- * @param {string} hexStr - Hex string to convert
- * @returns {number[]} Array of byte values
- * @throws {Error} If input is not a valid hex string
+ * @returns {SubtleCrypto} SubtleCrypto instance
+ * @throws {OperationError} If WebCrypto is not available
  */
-function hexToArray(hexStr) {
-    const words = []
-    let hexStrLength = hexStr.length
-
-    if (hexStrLength % 2 !== 0) {
-        hexStr = leftPad(hexStr, hexStrLength + 1)
+function subtle() {
+    const instance = globalThis.crypto?.subtle;
+    if (!instance) {
+        throw new OperationError('WebCrypto is not available', { code: ErrorCodes.ERR_OPERATION_INVALID });
     }
+    return instance;
+}
 
-    hexStrLength = hexStr.length
+/**
+ * Import a raw AES-256-CBC key into WebCrypto
+ * 
+ * @private
+ * @param {Buffer|Uint8Array} key - 32-byte key
+ * @param {string} usage - 'encrypt' or 'decrypt'
+ * @returns {Promise<CryptoKey>} Imported key
+ */
+function importAesKey(key, usage) {
+    return subtle().importKey('raw', key, 'AES-CBC', false, [usage]);
+}
 
-    for (let i = 0; i < hexStrLength; i += 2) {
-        words.push(parseInt(hexStr.substr(i, 2), 16))
-    }
-    return words
+/**
+ * Create a promise together with its settle functions
+ * 
+ * The rejection is marked as handled so that a stream error does not
+ * surface as an unhandled rejection when nobody awaits the promise.
+ * 
+ * @private
+ * @returns {{promise: Promise, resolve: Function, reject: Function}} Deferred
+ */
+function deferred() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    promise.catch(() => {});
+    return { promise, resolve, reject };
 }
 
 export default {
@@ -141,8 +195,8 @@ export default {
      * Generate a new SM2 key pair
      * 
      * This function generates a new SM2 key pair using the browser's
-     * cryptographic random number generator via sm-crypto. The keys
-     * are returned in standard formats for compatibility.
+     * cryptographic random number generator and the built-in curve
+     * engine. The keys are returned in standard formats for compatibility.
      * 
      * Processing Steps:
      * 1. Generate random
@@ -167,9 +221,9 @@ export default {
      * 
      * Key Format Details:
      * ```
-     * Public Key (65 bytes):
-     * | Prefix | X-coordinate | Y-coordinate |
-     * | 0x04   | 32 bytes    | 32 bytes     |
+     * Public Key (64 bytes):
+     * | X-coordinate | Y-coordinate |
+     * | 32 bytes    | 32 bytes     |
      * 
      * Private Key (32 bytes):
      * | D-value    |
@@ -185,8 +239,7 @@ export default {
      * const { publicKey, secretKey } = generateKey();
      * 
      * // Verify key formats
-     * console.log(publicKey[0] === 0x04);  // true (uncompressed)
-     * console.log(publicKey.length);       // 65 bytes
+     * console.log(publicKey.length);       // 64 bytes
      * console.log(secretKey.length);       // 32 bytes
      * 
      * // Use the keys
@@ -194,20 +247,15 @@ export default {
      * ```
      */
     generateKey: function () {
-        const keyPairHex = sm2.generateKeyPairHex();
-
-        return {
-            publicKey: Buffer.from(keyPairHex.publicKey.slice(2), 'hex'),
-            secretKey: Buffer.from(keyPairHex.privateKey, 'hex')
-        }
+        return generateKeyPair();
     },
 
     /**
      * Create an SM2 signature function
      * 
-     * This function creates a signing function that uses sm-crypto's SM2
-     * implementation. It handles all necessary format conversions and
-     * provides a simple interface for signing messages.
+     * This function creates a signing function that uses the built-in SM2
+     * engine. It handles all necessary format conversions and provides a
+     * simple interface for signing messages.
      * 
      * Processing Steps:
      * 1. Validate inputs
@@ -233,19 +281,27 @@ export default {
      * Format Details:
      * ```
      * Input Keys:
-     * | Public (65)  | Private (32) |
+     * | Public (64)  | Private (32) |
      * |--------------|--------------|
-     * | 0x04 + X + Y | D value     |
+     * | X + Y        | D value     |
      * 
      * Input Message:
      * | Arbitrary length data |
      * 
+     * Signed Value:
+     * e = SM3(ZA || M), or SM3(M) when userId is null
+     * e = digest, when a precomputed digest is passed instead of data
+     * 
      * Output Signature:
      * | R value | S value |
      * | 32 bytes| 32 bytes|
      * ```
      * 
-     * @param {{publicKey: Buffer|Uint8Array, secretKey: Buffer|Uint8Array}} key - Key pair
+     * @param {Object} options - Signer options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.secretKey - Private key (32 bytes)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
+     * @param {boolean} [options.deterministic=false] - Derive k per RFC 6979 (HMAC-SM3) instead of at random
      * @returns {Function} Signing function
      * @throws {ArgumentError} If key format is invalid
      * 
@@ -253,7 +309,7 @@ export default {
      * ```javascript
      * // Create a signer
      * const sign = createSigner({
-     *   publicKey: Buffer.alloc(65),  // 0x04 + X + Y
+     *   publicKey: Buffer.alloc(64),  // X + Y
      *   secretKey: Buffer.alloc(32)   // D value
      * });
      * 
@@ -264,41 +320,37 @@ export default {
      * const uint8 = new Uint8Array([1, 2, 3]);
      * const sig2 = sign({ data: uint8 });
      * console.log(sig2 instanceof Uint8Array);  // true
+     * 
+     * // Sign a precomputed e = SM3(ZA || M)
+     * const sig3 = sign({ digest: e });
      * ```
      */
-    createSigner: function ({ publicKey, secretKey }) {
-        // Convert keys to Buffer for hex conversion
+    createSigner: function ({ publicKey, secretKey, userId, deterministic = false }) {
         const pubKeyBuf = toBuffer(publicKey);
         const secKeyBuf = toBuffer(secretKey);
-
-        const privateKeyHex = secKeyBuf.toString('hex');
-        const publicKeyHex = '04' + pubKeyBuf.toString('hex');  // Add '04' prefix for uncompressed point format
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
 
         // Returns a function that generates a signature
-        return ({ data }) => {
-            if (!isValidBinaryData(data)) {
-                throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
-            }
-
-            const msgBuf = toBuffer(data);
-            const signHex = sm2.doSignature(
-                hexToArray(sm3(msgBuf)),
-                privateKeyHex,
-                {
-                    publicKey: publicKeyHex
-                });
+        return ({ data, digest }) => {
+            const isDigest = validateMessageInput({ data, digest });
+            const e = isDigest ? toBuffer(digest) : messageDigest(za, toBuffer(data));
+            const signature = signDigest({
+                digest: e,
+                secretKey: secKeyBuf,
+                nonce: deterministic ? deterministicNonce({ secretKey: secKeyBuf, digest: e }) : undefined
+            });
 
             // Return same type as input message
-            return matchBinaryType(data, Buffer.from(signHex, 'hex'));
+            return matchBinaryType(isDigest ? digest : data, signature);
         };
     },
 
     /**
      * Create an SM2 signature verification function
      * 
-     * This function creates a verification function that uses sm-crypto's
-     * SM2 implementation to verify signatures. It handles all format
-     * conversions and provides comprehensive validation.
+     * This function creates a verification function that uses the built-in
+     * SM2 engine to verify signatures. The public point is decoded and
+     * checked against the curve once, when the verifier is created.
      * 
      * Processing Steps:
      * 1. Validate inputs
@@ -323,9 +375,9 @@ export default {
      * 
      * Format Details:
      * ```
-     * Public Key (65 bytes):
-     * | Prefix | X-coordinate | Y-coordinate |
-     * | 0x04   | 32 bytes    | 32 bytes     |
+     * Public Key (64 bytes):
+     * | X-coordinate | Y-coordinate |
+     * | 32 bytes    | 32 bytes     |
      * 
      * Input Message:
      * | Arbitrary length data |
@@ -335,15 +387,18 @@ export default {
      * | 32 bytes    | 32 bytes     |
      * ```
      * 
-     * @param {{publicKey: Buffer|Uint8Array}} key - Public key for verification
+     * @param {Object} options - Verifier options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
      * @returns {Function} Verification function
      * @throws {ArgumentError} If key format is invalid
+     * @throws {FormatError} If the public key is not on the curve
      * 
      * @example
      * ```javascript
      * // Create a verifier
      * const verify = createVerifier({
-     *   publicKey: Buffer.alloc(65)  // 0x04 + X + Y
+     *   publicKey: Buffer.alloc(64)  // X + Y
      * });
      * 
      * // Verify different types
@@ -351,6 +406,9 @@ export default {
      * const signature = Buffer.alloc(64);  // R + S values
      * const isValid = verify({ data: message, signature });
      * 
+     * // Or check against a precomputed e = SM3(ZA || M)
+     * const ok = verify({ digest: e, signature });
+     * 
      * // Error handling
      * try {
      *   verify({
@@ -362,36 +420,233 @@ export default {
      * }
      * ```
      */
-    createVerifier: function ({ publicKey }) {
-        // Convert public key to Buffer for hex conversion
+    createVerifier: function ({ publicKey, userId }) {
         const pubKeyBuf = toBuffer(publicKey);
-        const publicKeyHex = '04' + pubKeyBuf.toString('hex');  // Add '04' prefix for uncompressed point format
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
+        const point = decodePoint(pubKeyBuf);
 
         // Return verification function
-        return ({ data, signature }) => {
-            if (!isValidBinaryData(data)) {
-                throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
-            }
+        return ({ data, digest, signature }) => {
+            const isDigest = validateMessageInput({ data, digest });
             if (!isValidBinaryData(signature)) {
                 throw new ArgumentError('signature must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
             }
 
-            const msgBuf = toBuffer(data);
-            const sigBuf = toBuffer(signature);
-
-            return sm2.doVerifySignature(
-                hexToArray(sm3(msgBuf)),
-                sigBuf.toString('hex'),
-                publicKeyHex
-            );
+            return verifyDigest({
+                digest: isDigest ? toBuffer(digest) : messageDigest(za, toBuffer(data)),
+                signature: toBuffer(signature),
+                publicKey: point
+            });
         };
     },
 
+    /**
+     * Verify a batch of SM2 signatures
+     * 
+     * ZA and the decoded public point are computed once per distinct
+     * (public key, user ID) pair, then all digests go through the engine's
+     * verifyDigestBatch in one pass that shares field inversions, base
+     * point and per-key tables, and comb tables for repeated keys, across
+     * the items.
+     * 
+     * Items whose public key is not on the curve, or whose signature is
+     * malformed, yield false rather than failing the whole batch.
+     * 
+     * @param {Array<Object>} items - Items to verify
+     * @param {Buffer|Uint8Array} items[].publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} [items[].data] - Signed message
+     * @param {Buffer|Uint8Array} [items[].digest] - Precomputed e, instead of data
+     * @param {Buffer|Uint8Array} items[].signature - Signature (R || S)
+     * @param {string|Buffer|Uint8Array|null} [items[].userId] - SM2 user ID, null for raw mode
+     * @returns {boolean[]} Result per item, in order
+     * @throws {ArgumentError} If a user ID is invalid
+     * 
+     * @example
+     * ```javascript
+     * const [ok1, ok2] = verifyBatch([
+     *   { publicKey, data: msg1, signature: sig1 },
+     *   { publicKey, data: msg2, signature: sig2 }
+     * ]);
+     * ```
+     */
+    verifyBatch: function (items) {
+        const prepared = new Map();
+        const results = new Array(items.length).fill(false);
+        const batch = [];
+        const indexes = [];
+
+        items.forEach(({ publicKey, data, digest, signature, userId }, index) => {
+            const id = normalizeUserId(userId);
+            const pubKeyBuf = toBuffer(publicKey);
+            const cacheKey = pubKeyBuf.toString('hex') + (id === null ? '' : ':' + id.toString('hex'));
+
+            if (!prepared.has(cacheKey)) {
+                let entry = null;
+                try {
+                    entry = {
+                        za: computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 }),
+                        point: decodePoint(pubKeyBuf)
+                    };
+                } catch (err) {
+                    if (!(err instanceof FormatError)) {
+                        throw err;
+                    }
+                }
+                prepared.set(cacheKey, entry);
+            }
+
+            const entry = prepared.get(cacheKey);
+            if (!entry) {
+                return;
+            }
+
+            batch.push({
+                digest: digest !== undefined ? toBuffer(digest) : messageDigest(entry.za, toBuffer(data)),
+                signature: toBuffer(signature),
+                publicKey: entry.point
+            });
+            indexes.push(index);
+        });
+
+        verifyDigestBatch(batch).forEach((isValid, i) => {
+            results[indexes[i]] = isValid;
+        });
+        return results;
+    },
+
+    /**
+     * Create a streaming SM2 signer
+     * 
+     * Returns a WHATWG WritableStream that feeds every written chunk into
+     * an incremental SM3 state (primed with ZA unless userId is null). When
+     * the stream is closed, the 64-byte R || S signature resolves the
+     * stream's `signature` promise.
+     * 
+     * Stream Flow:
+     * ```
+     * chunk 1..n ──> SM3(ZA || chunks...) ──close──> signature (R || S)
+     * ```
+     * 
+     * @param {Object} options - Signer options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.secretKey - Private key (32 bytes)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
+     * @param {boolean} [options.deterministic=false] - Derive k per RFC 6979 (HMAC-SM3) instead of at random
+     * @returns {WritableStream} Stream with a `signature` Promise<Buffer> property
+     * @throws {ArgumentError} If key format is invalid
+     * 
+     * @example
+     * ```javascript
+     * const stream = createSignStream({ publicKey, secretKey });
+     * await response.body.pipeTo(stream);
+     * const signature = await stream.signature;
+     * ```
+     */
+    createSignStream: function ({ publicKey, secretKey, userId, deterministic = false }) {
+        const pubKeyBuf = toBuffer(publicKey);
+        const secKeyBuf = toBuffer(secretKey);
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
+
+        const hasher = new SM3();
+        if (za) {
+            hasher.update(za);
+        }
+
+        const { promise, resolve, reject } = deferred();
+        const stream = new WritableStream({
+            write(chunk) {
+                try {
+                    hasher.update(toChunk(chunk));
+                } catch (err) {
+                    reject(err);
+                    throw err;
+                }
+            },
+            close() {
+                try {
+                    const digest = hasher.digest();
+                    resolve(signDigest({
+                        digest,
+                        secretKey: secKeyBuf,
+                        nonce: deterministic ? deterministicNonce({ secretKey: secKeyBuf, digest }) : undefined
+                    }));
+                } catch (err) {
+                    reject(err);
+                    throw err;
+                }
+            },
+            abort: reject
+        });
+        stream.signature = promise;
+        return stream;
+    },
+
+    /**
+     * Create a streaming SM2 verifier
+     * 
+     * Returns a WHATWG WritableStream that hashes every written chunk and
+     * checks the given signature when the stream is closed. The outcome is
+     * exposed as the stream's `result` promise; a signature mismatch
+     * resolves to false rather than erroring the stream.
+     * 
+     * @param {Object} options - Verifier options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.signature - Signature to check (R || S)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
+     * @returns {WritableStream} Stream with a `result` Promise<boolean> property
+     * @throws {ArgumentError} If the key or signature is invalid
+     * 
+     * @example
+     * ```javascript
+     * const stream = createVerifyStream({ publicKey, signature });
+     * await response.body.pipeTo(stream);
+     * const isValid = await stream.result;
+     * ```
+     */
+    createVerifyStream: function ({ publicKey, signature, userId }) {
+        if (!isValidBinaryData(signature)) {
+            throw new ArgumentError('signature must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const pubKeyBuf = toBuffer(publicKey);
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
+        const point = decodePoint(pubKeyBuf);
+        const sigBuf = toBuffer(signature);
+
+        const hasher = new SM3();
+        if (za) {
+            hasher.update(za);
+        }
+
+        const { promise, resolve, reject } = deferred();
+        const stream = new WritableStream({
+            write(chunk) {
+                try {
+                    hasher.update(toChunk(chunk));
+                } catch (err) {
+                    reject(err);
+                    throw err;
+                }
+            },
+            close() {
+                try {
+                    resolve(verifyDigest({ digest: hasher.digest(), signature: sigBuf, publicKey: point }));
+                } catch (err) {
+                    reject(err);
+                    throw err;
+                }
+            },
+            abort: reject
+        });
+        stream.result = promise;
+        return stream;
+    },
+
     /**
      * Compute SM3 cryptographic hash
      * 
      * This function computes the SM3 cryptographic hash of input data
-     * using sm-crypto's implementation. SM3 is a cryptographic hash
+     * using the built-in implementation. SM3 is a cryptographic hash
      * function that produces a 256-bit (32-byte) hash value.
      * 
      * Processing Steps:
@@ -454,10 +709,243 @@ export default {
             throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
         }
 
-        const dataBuf = toBuffer(data);
-        const hashHex = sm3(dataBuf);
-
         // Return same type as input
-        return matchBinaryType(data, Buffer.from(hashHex, 'hex'));
+        return matchBinaryType(data, sm3(toBuffer(data)));
+    },
+
+    /**
+     * Encrypt data to an SM2 public key
+     * 
+     * Output Components:
+     * ```
+     * C1: k * G          (64 bytes x || y)
+     * C2: M XOR KDF(...)  (same length as M)
+     * C3: SM3(x2 || M || y2) (32 bytes)
+     * ```
+     * 
+     * @param {Object} options - Encryption options
+     * @param {Buffer|Uint8Array} options.publicKey - Recipient public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.data - Plaintext
+     * @returns {{c1: Buffer, c2: Buffer, c3: Buffer}} Ciphertext components
+     * @throws {FormatError} If the public key is not on the curve
+     * 
+     * @example
+     * ```javascript
+     * const { c1, c2, c3 } = encrypt({ publicKey, data: Buffer.from('secret') });
+     * ```
+     */
+    encrypt: function ({ publicKey, data }) {
+        return sm2Encrypt({
+            publicKey: toBuffer(publicKey),
+            data: toBuffer(data)
+        });
+    },
+
+    /**
+     * Decrypt SM2 ciphertext components
+     * 
+     * @param {Object} options - Decryption options
+     * @param {Buffer|Uint8Array} options.secretKey - Private key (32 bytes)
+     * @param {Buffer} options.c1 - C1 point (64 bytes x || y)
+     * @param {Buffer} options.c2 - C2 masked plaintext
+     * @param {Buffer} options.c3 - C3 hash (32 bytes)
+     * @returns {Buffer} Plaintext
+     * @throws {FormatError} If C1 is not on the curve
+     * @throws {OperationError} If the integrity check fails
+     * 
+     * @example
+     * ```javascript
+     * const plaintext = decrypt({ secretKey, c1, c2, c3 });
+     * ```
+     */
+    decrypt: function ({ secretKey, c1, c2, c3 }) {
+        return sm2Decrypt({
+            secretKey: toBuffer(secretKey),
+            c1,
+            c2,
+            c3
+        });
+    },
+
+    /**
+     * Run one side of the SM2 key exchange (GB/T 32918.3)
+     * 
+     * ZA and ZB are derived from the parties' static public keys and user
+     * IDs, always in initiator/responder order, before the shared point is
+     * computed.
+     * 
+     * Exchange Flow:
+     * ```
+     * A (initiator)                      B (responder)
+     * RA = rA * G          --- RA --->
+     *                                    K, SB = exchangeKey(...)
+     *                      <-- RB, SB ---
+     * K, SA = exchangeKey(...)
+     * check SB             --- SA --->   check SA
+     * ```
+     * 
+     * @param {Object} options - Exchange options
+     * @param {boolean} options.initiator - True for party A, false for party B
+     * @param {Buffer|Uint8Array} options.secretKey - Local static private key (32 bytes)
+     * @param {Buffer|Uint8Array} options.publicKey - Local static public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.ephemeralSecretKey - Local ephemeral private key (32 bytes)
+     * @param {Buffer|Uint8Array} options.ephemeralPublicKey - Local ephemeral public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.peerPublicKey - Peer static public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.peerEphemeralPublicKey - Peer ephemeral public key (64 bytes)
+     * @param {string|Buffer|Uint8Array} [options.userId] - Local user ID
+     * @param {string|Buffer|Uint8Array} [options.peerUserId] - Peer user ID
+     * @param {number} options.length - Shared key length in bytes
+     * @returns {{sharedKey: Buffer, confirmation: Buffer, expectedConfirmation: Buffer}} Exchange result
+     * @throws {FormatError} If a public key is not on the curve
+     * @throws {OperationError} If the shared point is at infinity
+     * 
+     * @example
+     * ```javascript
+     * const { sharedKey, confirmation } = exchangeKey({
+     *   initiator: false,
+     *   secretKey, publicKey,
+     *   ephemeralSecretKey, ephemeralPublicKey,
+     *   peerPublicKey, peerEphemeralPublicKey,
+     *   length: 16
+     * });
+     * ```
+     */
+    exchangeKey: function ({
+        initiator,
+        secretKey,
+        publicKey,
+        ephemeralSecretKey,
+        ephemeralPublicKey,
+        peerPublicKey,
+        peerEphemeralPublicKey,
+        userId,
+        peerUserId,
+        length
+    }) {
+        const ownZ = computeZA({ publicKey: toBuffer(publicKey), userId, digest: sm3 });
+        const peerZ = computeZA({ publicKey: toBuffer(peerPublicKey), userId: peerUserId, digest: sm3 });
+
+        return sm2ExchangeKey({
+            initiator,
+            secretKey: toBuffer(secretKey),
+            ephemeralSecretKey: toBuffer(ephemeralSecretKey),
+            ephemeralPublicKey: toBuffer(ephemeralPublicKey),
+            peerPublicKey: toBuffer(peerPublicKey),
+            peerEphemeralPublicKey: toBuffer(peerEphemeralPublicKey),
+            za: initiator ? ownZ : peerZ,
+            zb: initiator ? peerZ : ownZ,
+            length
+        });
+    },
+
+    /**
+     * Derive a raw ECDH shared secret
+     * 
+     * This function multiplies the local secret scalar with the peer's
+     * public point and returns the x coordinate of the result. No KDF is
+     * applied here; callers hash or expand the value as their scheme needs.
+     * 
+     * Format Details:
+     * ```
+     * Input:  d (32 bytes), P = x || y (64 bytes)
+     * Output: x(d * P) (32 bytes)
+     * ```
+     * 
+     * @param {Object} options - Derivation options
+     * @param {Buffer|Uint8Array} options.secretKey - Local private key (32 bytes)
+     * @param {Buffer|Uint8Array} options.publicKey - Peer public key (64 bytes)
+     * @returns {Buffer} 32-byte shared secret
+     * @throws {FormatError} If the public key is not on the curve
+     * 
+     * @example
+     * ```javascript
+     * const secret = deriveSecret({ secretKey, publicKey: peerPublicKey });
+     * console.log(secret.length);  // 32
+     * ```
+     */
+    deriveSecret: function ({ secretKey, publicKey }) {
+        return sm2DeriveSecret({
+            secretKey: toBuffer(secretKey),
+            publicKey: toBuffer(publicKey)
+        });
+    },
+
+    /**
+     * Derive a key from a password with PBKDF2 (RFC 8018)
+     * 
+     * HMAC-SM3 runs in JavaScript; HMAC-SHA1 and HMAC-SHA256 use WebCrypto.
+     * 
+     * @param {Object} options - Options
+     * @param {Buffer|Uint8Array} options.password - Password bytes
+     * @param {Buffer|Uint8Array} options.salt - Salt
+     * @param {number} options.iterations - Iteration count
+     * @param {number} options.length - Key length in bytes
+     * @param {string} options.hash - PRF hash: 'sm3', 'sha256' or 'sha1'
+     * @returns {Promise<Buffer>} Derived key
+     * @throws {ArgumentError} If the hash is not supported
+     * 
+     * @example
+     * ```javascript
+     * const key = await pbkdf2({ password, salt, iterations: 10000, length: 16, hash: 'sm3' });
+     * ```
+     */
+    pbkdf2: async function ({ password, salt, iterations, length, hash }) {
+        if (hash === 'sm3') {
+            return pbkdf2SM3(toBuffer(password), toBuffer(salt), iterations, length);
+        }
+        if (!WEBCRYPTO_HASHES[hash]) {
+            throw new ArgumentError(`Unsupported PBKDF2 hash: ${hash}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        const baseKey = await subtle().importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle().deriveBits(
+            { name: 'PBKDF2', hash: WEBCRYPTO_HASHES[hash], salt, iterations },
+            baseKey,
+            length * 8
+        );
+        return Buffer.from(bits);
+    },
+
+    /**
+     * Encrypt with a CBC block cipher and PKCS#7 padding
+     * 
+     * @param {Object} options - Options
+     * @param {string} options.cipher - 'sm4-cbc' or 'aes-256-cbc'
+     * @param {Buffer|Uint8Array} options.key - Cipher key
+     * @param {Buffer|Uint8Array} options.iv - 16-byte IV
+     * @param {Buffer|Uint8Array} options.data - Plaintext
+     * @returns {Promise<Buffer>} Ciphertext
+     * @throws {ArgumentError} If the cipher is not supported
+     */
+    encryptCbc: async function ({ cipher, key, iv, data }) {
+        if (cipher === 'sm4-cbc') {
+            return sm4CbcEncrypt({ key, iv, data });
+        }
+        if (cipher !== 'aes-256-cbc') {
+            throw new ArgumentError(`Unsupported cipher: ${cipher}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        return Buffer.from(await subtle().encrypt({ name: 'AES-CBC', iv }, await importAesKey(key, 'encrypt'), data));
+    },
+
+    /**
+     * Decrypt CBC ciphertext and remove PKCS#7 padding
+     * 
+     * @param {Object} options - Options, as for encryptCbc
+     * @returns {Promise<Buffer>} Plaintext
+     * @throws {ArgumentError} If the cipher is not supported
+     * @throws {OperationError} If the padding is invalid, usually a wrong key
+     */
+    decryptCbc: async function ({ cipher, key, iv, data }) {
+        if (cipher === 'sm4-cbc') {
+            return sm4CbcDecrypt({ key, iv, data });
+        }
+        if (cipher !== 'aes-256-cbc') {
+            throw new ArgumentError(`Unsupported cipher: ${cipher}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        const aesKey = await importAesKey(key, 'decrypt');
+        try {
+            return Buffer.from(await subtle().decrypt({ name: 'AES-CBC', iv }, aesKey, data));
+        } catch (error) {
+            throw new OperationError('Invalid AES ciphertext', { code: ErrorCodes.ERR_DECRYPTION_FAILED, cause: error });
+        }
     }
 };
\ No newline at end of file
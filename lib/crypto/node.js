@@ -48,6 +48,7 @@
  * - GB/T 32918.1-2016: SM2 Key
  * - GB/T 32918.2-2016: SM2 Sign
  * - GB/T 32905-2016: SM3 Hash
+ * - GB/T 32907-2016: SM4 Block Cipher
  * - RFC 5480: EC Public Key
  * - RFC 5915: EC Private Key
  * 
@@ -74,6 +75,7 @@
  */
 
 import crypto from 'node:crypto';
+import { Transform, Writable } from 'node:stream';
 import {
     extractPublicKeyCoordinates,
     extractSecretKeyD
@@ -84,17 +86,36 @@ import {
 } from '../utils/key-validator.js';
 import {
     extractSignatureRS,
-    signatureToDER
+    signatureToDER,
+    validateMessageInput
 } from '../utils/signature.js';
 import {
     ErrorCodes,
-    ArgumentError
+    ArgumentError,
+    FormatError,
+    OperationError
 } from '../core/errors.js';
 import {
     isValidBinaryData,
     toBuffer,
     matchBinaryType
 } from '../utils/binary.js';
+import { computeZA, normalizeUserId } from '../utils/za.js';
+import { setRandomSource } from '../utils/random.js';
+import {
+    decodePoint,
+    signDigest,
+    verifyDigest,
+    verifyDigestBatch,
+    deterministicNonce,
+    encrypt as sm2Encrypt,
+    decrypt as sm2Decrypt,
+    exchangeKey as sm2ExchangeKey
+} from './sm2.js';
+
+// Node.js 16 and 18 have no global getRandomValues; draw the engine's
+// randomness (encryption, key exchange, salts) from OpenSSL instead
+setRandomSource((bytes) => crypto.randomFillSync(bytes));
 
 /** 
  * SM2 Curve Name
@@ -123,6 +144,70 @@ import {
  */
 const SM2_CURVE = 'SM2';
 
+/**
+ * Native SM3 digest used for ZA computation
+ * 
+ * @private
+ * @param {Buffer} data - Data to hash
+ * @returns {Buffer} 32-byte hash value
+ */
+function sm3(data) {
+    return crypto.createHash('SM3').update(data).digest();
+}
+
+/**
+ * Native HMAC-SM3 used for deterministic nonces
+ * 
+ * @private
+ * @param {Buffer} key - HMAC key
+ * @param {Buffer} data - Data to authenticate
+ * @returns {Buffer} 32-byte MAC
+ */
+function hmacSM3(key, data) {
+    return crypto.createHmac('SM3', key).update(data).digest();
+}
+
+/**
+ * PBKDF2 hashes and CBC ciphers used for encrypted private keys
+ * 
+ * @private
+ * @constant {string[]}
+ */
+const PBKDF2_HASHES = ['sm3', 'sha256', 'sha1'];
+const CBC_CIPHERS = ['sm4-cbc', 'aes-256-cbc'];
+
+/**
+ * Check a CBC cipher name
+ * 
+ * @private
+ * @param {string} cipher - Cipher name
+ * @throws {ArgumentError} If the cipher is not supported
+ */
+function assertCbcCipher(cipher) {
+    if (!CBC_CIPHERS.includes(cipher)) {
+        throw new ArgumentError(`Unsupported cipher: ${cipher}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+}
+
+/**
+ * Create a promise together with its settle functions
+ * 
+ * The rejection is marked as handled so that a stream error does not
+ * surface as an unhandled rejection when nobody awaits the promise.
+ * 
+ * @private
+ * @returns {{promise: Promise, resolve: Function, reject: Function}} Deferred
+ */
+function deferred() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    promise.catch(() => {});
+    return { promise, resolve, reject };
+}
+
 export default {
     /**
      * Generate a new SM2 key pair
@@ -235,12 +320,30 @@ export default {
      * |-------------|--------------|
      * | X+Y coords  | D value      |
      * 
+     * Signed Value:
+     * e = SM3(ZA || M), or SM3(M) when userId is null
+     * e = digest, when a precomputed digest is passed instead of data
+     * 
      * Output Signature:
      * | R value | S value |
      * | 32 bytes| 32 bytes|
      * ```
      * 
-     * @param {{publicKey: Buffer|Uint8Array, secretKey: Buffer|Uint8Array}} key - Key pair
+     * Messages are signed by OpenSSL with a random k. Two cases use the
+     * built-in engine instead:
+     * - Deterministic mode: e is hashed natively and k is derived with
+     *   RFC 6979 (HMAC-SM3), so the output matches the browser backend
+     *   byte for byte
+     * - A precomputed digest: Node.js can only sign data it hashes itself,
+     *   so a given e cannot reach OpenSSL. k is still drawn from OpenSSL
+     *   (crypto.randomFillSync), but the scalar arithmetic is the engine's
+     *   variable-time BigInt code; sign data where timing matters
+     * 
+     * @param {Object} options - Signer options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.secretKey - Private key (32 bytes)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
+     * @param {boolean} [options.deterministic=false] - Derive k per RFC 6979 instead of at random
      * @returns {Function} Signing function
      * @throws {ArgumentError} If key format is invalid
      * 
@@ -256,27 +359,46 @@ export default {
      * const message = Buffer.from('test message');
      * const signature = sign({ data: message });
      * console.log(signature.length);  // 64 bytes (R+S)
+     * 
+     * // Sign a precomputed e = SM3(ZA || M)
+     * const signature2 = sign({ digest: e });
      * ```
      */
-    createSigner: function ({ publicKey, secretKey }) {
+    createSigner: function ({ publicKey, secretKey, userId, deterministic = false }) {
         // Convert keys to Buffer for crypto operations
         const pubKeyBuf = toBuffer(publicKey);
         const secKeyBuf = toBuffer(secretKey);
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
 
-        const privateKey = crypto.createPrivateKey({
+        // Sign e with the built-in engine: RFC 6979 k in deterministic
+        // mode, otherwise a random k from the OpenSSL random source
+        const signE = (digest) => signDigest({
+            digest,
+            secretKey: secKeyBuf,
+            nonce: deterministic ? deterministicNonce({ secretKey: secKeyBuf, digest, hmac: hmacSM3 }) : undefined
+        });
+
+        const privateKey = deterministic ? null : crypto.createPrivateKey({
             key: secretKeyToDER(secKeyBuf, pubKeyBuf.subarray(0, 32), pubKeyBuf.subarray(32, 64)),
             format: 'der',
             type: 'pkcs8'
         });
 
         // Return signature function
-        return ({ data }) => {
-            if (!isValidBinaryData(data)) {
-                throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        return ({ data, digest }) => {
+            if (validateMessageInput({ data, digest })) {
+                return matchBinaryType(digest, signE(toBuffer(digest)));
             }
 
             const msgBuf = toBuffer(data);
+            if (deterministic) {
+                return matchBinaryType(data, signE(sm3(za ? Buffer.concat([za, msgBuf]) : msgBuf)));
+            }
+
             const sign = crypto.createSign('SM3');
+            if (za) {
+                sign.update(za);
+            }
             sign.update(msgBuf);
             const derSignature = sign.sign(privateKey);
             
@@ -325,7 +447,9 @@ export default {
      * | 32 bytes    | 32 bytes     |
      * ```
      * 
-     * @param {{publicKey: Buffer|Uint8Array}} key - Public key for verification
+     * @param {Object} options - Verifier options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
      * @returns {Function} Verification function
      * @throws {ArgumentError} If key format is invalid
      * 
@@ -344,29 +468,42 @@ export default {
      * if (isValid) {
      *   console.log('Signature is valid');
      * }
+     * 
+     * // Or check against a precomputed e = SM3(ZA || M)
+     * const ok = verify({ digest: e, signature });
      * ```
      */
-    createVerifier: function ({ publicKey }) {
+    createVerifier: function ({ publicKey, userId }) {
         // Convert public key to Buffer for crypto operations
         const pubKeyBuf = toBuffer(publicKey);
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
         const pubKey = crypto.createPublicKey({
             key: publicKeyToDER(pubKeyBuf.subarray(0, 32), pubKeyBuf.subarray(32, 64)),
             format: 'der',
             type: 'spki'
         });
 
+        // Decoded lazily; only needed for precomputed digests
+        let point = null;
+
         // Return verification function
-        return ({ data, signature }) => {
-            if (!isValidBinaryData(data)) {
-                throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
-            }
+        return ({ data, digest, signature }) => {
+            const isDigest = validateMessageInput({ data, digest });
             if (!isValidBinaryData(signature)) {
                 throw new ArgumentError('signature must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
             }
 
-            const msgBuf = toBuffer(data);
             const sigBuf = toBuffer(signature);
+            if (isDigest) {
+                point = point || decodePoint(pubKeyBuf);
+                return verifyDigest({ digest: toBuffer(digest), signature: sigBuf, publicKey: point });
+            }
+
+            const msgBuf = toBuffer(data);
             const verify = crypto.createVerify('SM3');
+            if (za) {
+                verify.update(za);
+            }
             verify.update(msgBuf);
 
             // Convert signature from raw R+S format to DER format
@@ -376,6 +513,230 @@ export default {
         };
     },
 
+    /**
+     * Verify a batch of SM2 signatures
+     * 
+     * One native verifier (public KeyObject and ZA) and one decoded point
+     * are built per distinct (public key, user ID) pair and reused for
+     * every item that shares it. Message items are checked by OpenSSL, one
+     * verification each, because a native verification is already faster
+     * than the pure JavaScript batch pass. Precomputed digests, which
+     * OpenSSL cannot verify, all go through the engine's verifyDigestBatch
+     * together instead of one verifyDigest call each.
+     * 
+     * Items whose public key or signature is malformed yield false rather
+     * than failing the whole batch.
+     * 
+     * @param {Array<Object>} items - Items to verify
+     * @param {Buffer|Uint8Array} items[].publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} [items[].data] - Signed message
+     * @param {Buffer|Uint8Array} [items[].digest] - Precomputed e, instead of data
+     * @param {Buffer|Uint8Array} items[].signature - Signature (R || S)
+     * @param {string|Buffer|Uint8Array|null} [items[].userId] - SM2 user ID, null for raw mode
+     * @returns {boolean[]} Result per item, in order
+     * @throws {ArgumentError} If a user ID is invalid
+     * 
+     * @example
+     * ```javascript
+     * const [ok1, ok2] = verifyBatch([
+     *   { publicKey, data: msg1, signature: sig1 },
+     *   { publicKey, data: msg2, signature: sig2 }
+     * ]);
+     * ```
+     */
+    verifyBatch: function (items) {
+        const verifiers = new Map();
+        const results = new Array(items.length).fill(false);
+        const batch = [];
+        const indexes = [];
+
+        items.forEach(({ publicKey, data, digest, signature, userId }, index) => {
+            const id = normalizeUserId(userId);
+            const cacheKey = toBuffer(publicKey).toString('hex') + (id === null ? '' : ':' + id.toString('hex'));
+
+            if (!verifiers.has(cacheKey)) {
+                let entry = null;
+                try {
+                    // Reject off-curve keys up front; OpenSSL's error for them has no code
+                    entry = {
+                        point: decodePoint(toBuffer(publicKey)),
+                        verify: this.createVerifier({ publicKey, userId })
+                    };
+                } catch (err) {
+                    if (!(err instanceof FormatError)) {
+                        throw err;
+                    }
+                }
+                verifiers.set(cacheKey, entry);
+            }
+
+            const entry = verifiers.get(cacheKey);
+            if (!entry) {
+                return;
+            }
+
+            if (digest !== undefined) {
+                batch.push({ digest: toBuffer(digest), signature: toBuffer(signature), publicKey: entry.point });
+                indexes.push(index);
+                return;
+            }
+
+            try {
+                results[index] = entry.verify({ data, signature });
+            } catch (err) {
+                if (!(err instanceof FormatError)) {
+                    throw err;
+                }
+            }
+        });
+
+        verifyDigestBatch(batch).forEach((isValid, i) => {
+            results[indexes[i]] = isValid;
+        });
+        return results;
+    },
+
+    /**
+     * Create a streaming SM2 signer
+     * 
+     * Returns a Transform stream that feeds every written chunk into an
+     * incremental SM3 state (primed with ZA unless userId is null). When the
+     * writable side ends, the 64-byte R || S signature is pushed as the only
+     * readable chunk and also resolves the stream's `signature` promise, so
+     * callers can either pipe the output or just await the promise.
+     * 
+     * Stream Flow:
+     * ```
+     * chunk 1..n ──> SM3(ZA || chunks...) ──end──> signature (R || S)
+     * ```
+     * 
+     * @param {Object} options - Signer options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.secretKey - Private key (32 bytes)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
+     * @param {boolean} [options.deterministic=false] - Derive k per RFC 6979 instead of at random
+     * @returns {Transform} Stream with a `signature` Promise<Buffer> property
+     * @throws {ArgumentError} If key format is invalid
+     * 
+     * @example
+     * ```javascript
+     * const stream = createSignStream({ publicKey, secretKey });
+     * await pipeline(fs.createReadStream('archive.tar'), stream);
+     * const signature = await stream.signature;
+     * ```
+     */
+    createSignStream: function ({ publicKey, secretKey, userId, deterministic = false }) {
+        const pubKeyBuf = toBuffer(publicKey);
+        const secKeyBuf = toBuffer(secretKey);
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
+        const privateKey = deterministic ? null : crypto.createPrivateKey({
+            key: secretKeyToDER(secKeyBuf, pubKeyBuf.subarray(0, 32), pubKeyBuf.subarray(32, 64)),
+            format: 'der',
+            type: 'pkcs8'
+        });
+
+        // Native Sign hashes incrementally; deterministic mode only needs e
+        const state = deterministic ? crypto.createHash('SM3') : crypto.createSign('SM3');
+        if (za) {
+            state.update(za);
+        }
+
+        const { promise, resolve, reject } = deferred();
+        const stream = new Transform({
+            transform(chunk, encoding, callback) {
+                state.update(chunk);
+                callback();
+            },
+            flush(callback) {
+                let signature;
+                try {
+                    if (deterministic) {
+                        const digest = state.digest();
+                        signature = signDigest({
+                            digest,
+                            secretKey: secKeyBuf,
+                            nonce: deterministicNonce({ secretKey: secKeyBuf, digest, hmac: hmacSM3 })
+                        });
+                    } else {
+                        signature = extractSignatureRS(state.sign(privateKey));
+                    }
+                } catch (err) {
+                    callback(err);
+                    return;
+                }
+                resolve(signature);
+                callback(null, signature);
+            }
+        });
+        stream.once('error', reject);
+        stream.signature = promise;
+        return stream;
+    },
+
+    /**
+     * Create a streaming SM2 verifier
+     * 
+     * Returns a Writable stream that hashes every written chunk and checks
+     * the given signature once the stream finishes. The outcome is exposed
+     * as the stream's `result` promise; the stream itself only errors on
+     * I/O or argument problems, never on a signature mismatch.
+     * 
+     * @param {Object} options - Verifier options
+     * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.signature - Signature to check (R || S)
+     * @param {string|Buffer|Uint8Array|null} [options.userId] - SM2 user ID, null for raw mode
+     * @returns {Writable} Stream with a `result` Promise<boolean> property
+     * @throws {ArgumentError} If the key or signature is invalid
+     * 
+     * @example
+     * ```javascript
+     * const stream = createVerifyStream({ publicKey, signature });
+     * await pipeline(fs.createReadStream('archive.tar'), stream);
+     * const isValid = await stream.result;
+     * ```
+     */
+    createVerifyStream: function ({ publicKey, signature, userId }) {
+        if (!isValidBinaryData(signature)) {
+            throw new ArgumentError('signature must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+
+        const pubKeyBuf = toBuffer(publicKey);
+        const za = computeZA({ publicKey: pubKeyBuf, userId, digest: sm3 });
+        const pubKey = crypto.createPublicKey({
+            key: publicKeyToDER(pubKeyBuf.subarray(0, 32), pubKeyBuf.subarray(32, 64)),
+            format: 'der',
+            type: 'spki'
+        });
+        const derSignature = signatureToDER(toBuffer(signature));
+
+        const verify = crypto.createVerify('SM3');
+        if (za) {
+            verify.update(za);
+        }
+
+        const { promise, resolve, reject } = deferred();
+        const stream = new Writable({
+            write(chunk, encoding, callback) {
+                verify.update(chunk);
+                callback();
+            },
+            final(callback) {
+                let isValid;
+                try {
+                    isValid = verify.verify(pubKey, derSignature);
+                } catch (err) {
+                    callback(err);
+                    return;
+                }
+                resolve(isValid);
+                callback();
+            }
+        });
+        stream.once('error', reject);
+        stream.result = promise;
+        return stream;
+    },
+
     /**
      * Compute SM3 cryptographic hash
      * 
@@ -441,5 +802,243 @@ export default {
         
         // Return same type as input
         return matchBinaryType(data, hash.digest());
+    },
+
+    /**
+     * Encrypt data to an SM2 public key
+     * 
+     * Node's crypto API does not expose SM2 public key encryption, so the
+     * point arithmetic runs on the built-in engine while the KDF and C3
+     * hash use native SM3.
+     * 
+     * Output Components:
+     * ```
+     * C1: k * G          (64 bytes x || y)
+     * C2: M XOR KDF(...)  (same length as M)
+     * C3: SM3(x2 || M || y2) (32 bytes)
+     * ```
+     * 
+     * @param {Object} options - Encryption options
+     * @param {Buffer|Uint8Array} options.publicKey - Recipient public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.data - Plaintext
+     * @returns {{c1: Buffer, c2: Buffer, c3: Buffer}} Ciphertext components
+     * @throws {FormatError} If the public key is not on the curve
+     * 
+     * @example
+     * ```javascript
+     * const { c1, c2, c3 } = encrypt({ publicKey, data: Buffer.from('secret') });
+     * ```
+     */
+    encrypt: function ({ publicKey, data }) {
+        return sm2Encrypt({
+            publicKey: toBuffer(publicKey),
+            data: toBuffer(data),
+            digest: sm3
+        });
+    },
+
+    /**
+     * Decrypt SM2 ciphertext components
+     * 
+     * @param {Object} options - Decryption options
+     * @param {Buffer|Uint8Array} options.secretKey - Private key (32 bytes)
+     * @param {Buffer} options.c1 - C1 point (64 bytes x || y)
+     * @param {Buffer} options.c2 - C2 masked plaintext
+     * @param {Buffer} options.c3 - C3 hash (32 bytes)
+     * @returns {Buffer} Plaintext
+     * @throws {FormatError} If C1 is not on the curve
+     * @throws {OperationError} If the integrity check fails
+     * 
+     * @example
+     * ```javascript
+     * const plaintext = decrypt({ secretKey, c1, c2, c3 });
+     * ```
+     */
+    decrypt: function ({ secretKey, c1, c2, c3 }) {
+        return sm2Decrypt({
+            secretKey: toBuffer(secretKey),
+            c1,
+            c2,
+            c3,
+            digest: sm3
+        });
+    },
+
+    /**
+     * Run one side of the SM2 key exchange (GB/T 32918.3)
+     * 
+     * ZA and ZB are derived from the parties' static public keys and user
+     * IDs, always in initiator/responder order, before the shared point is
+     * computed.
+     * 
+     * Exchange Flow:
+     * ```
+     * A (initiator)                      B (responder)
+     * RA = rA * G          --- RA --->
+     *                                    K, SB = exchangeKey(...)
+     *                      <-- RB, SB ---
+     * K, SA = exchangeKey(...)
+     * check SB             --- SA --->   check SA
+     * ```
+     * 
+     * @param {Object} options - Exchange options
+     * @param {boolean} options.initiator - True for party A, false for party B
+     * @param {Buffer|Uint8Array} options.secretKey - Local static private key (32 bytes)
+     * @param {Buffer|Uint8Array} options.publicKey - Local static public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.ephemeralSecretKey - Local ephemeral private key (32 bytes)
+     * @param {Buffer|Uint8Array} options.ephemeralPublicKey - Local ephemeral public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.peerPublicKey - Peer static public key (64 bytes)
+     * @param {Buffer|Uint8Array} options.peerEphemeralPublicKey - Peer ephemeral public key (64 bytes)
+     * @param {string|Buffer|Uint8Array} [options.userId] - Local user ID
+     * @param {string|Buffer|Uint8Array} [options.peerUserId] - Peer user ID
+     * @param {number} options.length - Shared key length in bytes
+     * @returns {{sharedKey: Buffer, confirmation: Buffer, expectedConfirmation: Buffer}} Exchange result
+     * @throws {FormatError} If a public key is not on the curve
+     * @throws {OperationError} If the shared point is at infinity
+     * 
+     * @example
+     * ```javascript
+     * const { sharedKey, confirmation } = exchangeKey({
+     *   initiator: false,
+     *   secretKey, publicKey,
+     *   ephemeralSecretKey, ephemeralPublicKey,
+     *   peerPublicKey, peerEphemeralPublicKey,
+     *   length: 16
+     * });
+     * ```
+     */
+    exchangeKey: function ({
+        initiator,
+        secretKey,
+        publicKey,
+        ephemeralSecretKey,
+        ephemeralPublicKey,
+        peerPublicKey,
+        peerEphemeralPublicKey,
+        userId,
+        peerUserId,
+        length
+    }) {
+        const ownZ = computeZA({ publicKey: toBuffer(publicKey), userId, digest: sm3 });
+        const peerZ = computeZA({ publicKey: toBuffer(peerPublicKey), userId: peerUserId, digest: sm3 });
+
+        return sm2ExchangeKey({
+            initiator,
+            secretKey: toBuffer(secretKey),
+            ephemeralSecretKey: toBuffer(ephemeralSecretKey),
+            ephemeralPublicKey: toBuffer(ephemeralPublicKey),
+            peerPublicKey: toBuffer(peerPublicKey),
+            peerEphemeralPublicKey: toBuffer(peerEphemeralPublicKey),
+            za: initiator ? ownZ : peerZ,
+            zb: initiator ? peerZ : ownZ,
+            length,
+            digest: sm3
+        });
+    },
+
+    /**
+     * Derive a raw ECDH shared secret
+     * 
+     * This function multiplies the local secret scalar with the peer's
+     * public point and returns the x coordinate of the result. No KDF is
+     * applied here; callers hash or expand the value as their scheme needs.
+     * 
+     * Format Details:
+     * ```
+     * Input:  d (32 bytes), P = x || y (64 bytes)
+     * Output: x(d * P) (32 bytes)
+     * ```
+     * 
+     * @param {Object} options - Derivation options
+     * @param {Buffer|Uint8Array} options.secretKey - Local private key (32 bytes)
+     * @param {Buffer|Uint8Array} options.publicKey - Peer public key (64 bytes)
+     * @returns {Buffer} 32-byte shared secret
+     * @throws {FormatError} If the public key is not on the curve
+     * 
+     * @example
+     * ```javascript
+     * const secret = deriveSecret({ secretKey, publicKey: peerPublicKey });
+     * console.log(secret.length);  // 32
+     * ```
+     */
+    deriveSecret: function ({ secretKey, publicKey }) {
+        const ecdh = crypto.createECDH(SM2_CURVE);
+        ecdh.setPrivateKey(toBuffer(secretKey));
+
+        try {
+            return ecdh.computeSecret(Buffer.concat([Buffer.from([0x04]), toBuffer(publicKey)]));
+        } catch (err) {
+            throw new FormatError('Public key is not on the SM2 curve', {
+                code: ErrorCodes.ERR_FORMAT_VALUE,
+                cause: err
+            });
+        }
+    },
+
+    /**
+     * Derive a key from a password with PBKDF2 (RFC 8018)
+     * 
+     * Runs on the libuv thread pool, so high iteration counts do not block
+     * the event loop.
+     * 
+     * @param {Object} options - Options
+     * @param {Buffer|Uint8Array} options.password - Password bytes
+     * @param {Buffer|Uint8Array} options.salt - Salt
+     * @param {number} options.iterations - Iteration count
+     * @param {number} options.length - Key length in bytes
+     * @param {string} options.hash - PRF hash: 'sm3', 'sha256' or 'sha1'
+     * @returns {Promise<Buffer>} Derived key
+     * @throws {ArgumentError} If the hash is not supported
+     * 
+     * @example
+     * ```javascript
+     * const key = await pbkdf2({ password, salt, iterations: 10000, length: 16, hash: 'sm3' });
+     * ```
+     */
+    pbkdf2: async function ({ password, salt, iterations, length, hash }) {
+        if (!PBKDF2_HASHES.includes(hash)) {
+            throw new ArgumentError(`Unsupported PBKDF2 hash: ${hash}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+        }
+        return new Promise((resolve, reject) => {
+            crypto.pbkdf2(password, salt, iterations, length, hash, (err, key) => (err ? reject(err) : resolve(key)));
+        });
+    },
+
+    /**
+     * Encrypt with a CBC block cipher and PKCS#7 padding
+     * 
+     * @param {Object} options - Options
+     * @param {string} options.cipher - 'sm4-cbc' or 'aes-256-cbc'
+     * @param {Buffer|Uint8Array} options.key - Cipher key
+     * @param {Buffer|Uint8Array} options.iv - 16-byte IV
+     * @param {Buffer|Uint8Array} options.data - Plaintext
+     * @returns {Promise<Buffer>} Ciphertext
+     * @throws {ArgumentError} If the cipher is not supported
+     */
+    encryptCbc: async function ({ cipher, key, iv, data }) {
+        assertCbcCipher(cipher);
+        const encipher = crypto.createCipheriv(cipher, key, iv);
+        return Buffer.concat([encipher.update(data), encipher.final()]);
+    },
+
+    /**
+     * Decrypt CBC ciphertext and remove PKCS#7 padding
+     * 
+     * @param {Object} options - Options, as for encryptCbc
+     * @returns {Promise<Buffer>} Plaintext
+     * @throws {ArgumentError} If the cipher is not supported
+     * @throws {OperationError} If the padding is invalid, usually a wrong key
+     */
+    decryptCbc: async function ({ cipher, key, iv, data }) {
+        assertCbcCipher(cipher);
+        const decipher = crypto.createDecipheriv(cipher, key, iv);
+        try {
+            return Buffer.concat([decipher.update(data), decipher.final()]);
+        } catch (err) {
+            throw new OperationError(`Invalid ${cipher} ciphertext`, {
+                code: ErrorCodes.ERR_DECRYPTION_FAILED,
+                cause: err
+            });
+        }
     }
 };
\ No newline at end of file
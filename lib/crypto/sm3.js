@@ -0,0 +1,311 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Pure JavaScript SM3 Hash Implementation
+ *
+ * This module implements the SM3 cryptographic hash function as specified
+ * in GB/T 32905-2016. It has no dependencies beyond typed arrays and is
+ * used by the browser crypto backend and the built-in SM2 engine.
+ *
+ * Key Features:
+ * - Incremental hashing
+ * - One-shot helper
+ * - HMAC-SM3
+ * - PBKDF2-HMAC-SM3
+ * - Typed array internals
+ * - No third-party code
+ *
+ * Algorithm Details:
+ * ```
+ * Block size: 64 bytes (512 bits)
+ * Output size: 32 bytes (256 bits)
+ * Word size: 32 bits
+ * Rounds: 64
+ * Padding: 0x80 || 0x00... || bit length (64-bit big-endian)
+ * ```
+ *
+ * Usage Example:
+ * ```javascript
+ * import { SM3, sm3 } from './crypto/sm3.js';
+ *
+ * // One-shot
+ * const hash = sm3(Buffer.from('abc'));
+ *
+ * // Incremental
+ * const hasher = new SM3();
+ * hasher.update(Buffer.from('a')).update(Buffer.from('bc'));
+ * const same = hasher.digest();
+ * ```
+ *
+ * @module crypto/sm3
+ * @see {@link http://www.gmbz.org.cn/main/viewfile/20180108015408199368.html|GB/T 32905}
+ */
+
+import { StateError, ErrorCodes } from '../core/errors.js';
+
+/**
+ * SM3 initial value
+ *
+ * @private
+ * @constant {Uint32Array}
+ */
+const IV = new Uint32Array([
+    0x7380166f, 0x4914b2b9, 0x172442d7, 0xda8a0600,
+    0xa96f30bc, 0x163138aa, 0xe38dee4d, 0xb0fb0e4e
+]);
+
+/**
+ * SM3 block size in bytes, also the HMAC block size
+ *
+ * @private
+ * @constant {number}
+ */
+const BLOCK_SIZE = 64;
+
+/**
+ * Round constants T_j rotated left by j, precomputed for all 64 rounds
+ *
+ * @private
+ * @constant {Uint32Array}
+ */
+const T = new Uint32Array(64);
+for (let j = 0; j < 64; j++) {
+    const t = j < 16 ? 0x79cc4519 : 0x7a879d8a;
+    const s = j % 32;
+    T[j] = s ? (t << s) | (t >>> (32 - s)) : t;
+}
+
+/**
+ * Rotate a 32-bit word left
+ *
+ * @private
+ * @param {number} x - Word
+ * @param {number} n - Shift amount (1..31)
+ * @returns {number} Rotated word
+ */
+function rotl(x, n) {
+    return (x << n) | (x >>> (32 - n));
+}
+
+/**
+ * Incremental SM3 hasher
+ *
+ * Data can be fed in any number of chunks with update(). Once digest()
+ * has been called the instance is finalized and cannot be reused.
+ *
+ * @example
+ * ```javascript
+ * const hasher = new SM3();
+ * hasher.update(chunk1);
+ * hasher.update(chunk2);
+ * const hash = hasher.digest(); // 32-byte Buffer
+ * ```
+ */
+export class SM3 {
+    /**
+     * Create a new SM3 hasher
+     */
+    constructor() {
+        this._state = new Uint32Array(IV);
+        this._buffer = new Uint8Array(64);
+        this._bufferLength = 0;
+        this._length = 0;
+        this._w = new Uint32Array(68);
+        this._finished = false;
+    }
+
+    /**
+     * Feed data into the hash
+     *
+     * @param {Buffer|Uint8Array} data - Data chunk
+     * @returns {SM3} This hasher, for chaining
+     * @throws {StateError} If the hasher has already been finalized
+     */
+    update(data) {
+        if (this._finished) {
+            throw new StateError('SM3 hasher has already been finalized', { code: ErrorCodes.ERR_OPERATION_INVALID });
+        }
+
+        let offset = 0;
+        this._length += data.length;
+
+        if (this._bufferLength > 0) {
+            const take = Math.min(64 - this._bufferLength, data.length);
+            this._buffer.set(data.subarray(0, take), this._bufferLength);
+            this._bufferLength += take;
+            offset = take;
+            if (this._bufferLength < 64) {
+                return this;
+            }
+            this._compress(this._buffer, 0);
+            this._bufferLength = 0;
+        }
+
+        while (offset + 64 <= data.length) {
+            this._compress(data, offset);
+            offset += 64;
+        }
+
+        if (offset < data.length) {
+            this._buffer.set(data.subarray(offset), 0);
+            this._bufferLength = data.length - offset;
+        }
+
+        return this;
+    }
+
+    /**
+     * Finalize the hash
+     *
+     * @returns {Buffer} 32-byte hash value
+     * @throws {StateError} If the hasher has already been finalized
+     */
+    digest() {
+        if (this._finished) {
+            throw new StateError('SM3 hasher has already been finalized', { code: ErrorCodes.ERR_OPERATION_INVALID });
+        }
+
+        const bitLength = this._length * 8;
+        const padLength = this._bufferLength < 56 ? 56 - this._bufferLength : 120 - this._bufferLength;
+        const padding = new Uint8Array(padLength + 8);
+        padding[0] = 0x80;
+
+        // 64-bit big-endian bit length, split to stay within safe integers
+        const high = Math.floor(bitLength / 0x100000000);
+        const low = bitLength >>> 0;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padLength, high);
+        view.setUint32(padLength + 4, low);
+
+        this.update(padding);
+        this._finished = true;
+
+        const out = Buffer.alloc(32);
+        for (let i = 0; i < 8; i++) {
+            out.writeUInt32BE(this._state[i], i * 4);
+        }
+        return out;
+    }
+
+    /**
+     * Process one 64-byte block
+     *
+     * @private
+     * @param {Uint8Array} block - Source bytes
+     * @param {number} offset - Block start offset
+     */
+    _compress(block, offset) {
+        const W = this._w;
+        const V = this._state;
+
+        for (let j = 0; j < 16; j++) {
+            const i = offset + j * 4;
+            W[j] = (block[i] << 24) | (block[i + 1] << 16) | (block[i + 2] << 8) | block[i + 3];
+        }
+        for (let j = 16; j < 68; j++) {
+            const x = W[j - 16] ^ W[j - 9] ^ rotl(W[j - 3], 15);
+            W[j] = (x ^ rotl(x, 15) ^ rotl(x, 23)) ^ rotl(W[j - 13], 7) ^ W[j - 6];
+        }
+
+        let A = V[0], B = V[1], C = V[2], D = V[3];
+        let E = V[4], F = V[5], G = V[6], H = V[7];
+
+        for (let j = 0; j < 64; j++) {
+            const a12 = rotl(A, 12);
+            const SS1 = rotl((a12 + E + T[j]) | 0, 7);
+            const SS2 = SS1 ^ a12;
+            const ff = j < 16 ? (A ^ B ^ C) : ((A & B) | (A & C) | (B & C));
+            const gg = j < 16 ? (E ^ F ^ G) : ((E & F) | (~E & G));
+            const TT1 = (ff + D + SS2 + (W[j] ^ W[j + 4])) | 0;
+            const TT2 = (gg + H + SS1 + W[j]) | 0;
+            D = C;
+            C = rotl(B, 9);
+            B = A;
+            A = TT1;
+            H = G;
+            G = rotl(F, 19);
+            F = E;
+            E = TT2 ^ rotl(TT2, 9) ^ rotl(TT2, 17);
+        }
+
+        V[0] ^= A; V[1] ^= B; V[2] ^= C; V[3] ^= D;
+        V[4] ^= E; V[5] ^= F; V[6] ^= G; V[7] ^= H;
+    }
+}
+
+/**
+ * Compute the SM3 hash of data in one call
+ *
+ * @param {Buffer|Uint8Array} data - Data to hash
+ * @returns {Buffer} 32-byte hash value
+ *
+ * @example
+ * ```javascript
+ * sm3(Buffer.from('abc')).toString('hex');
+ * // '66c7f0f462eeedd9d1f2d46bdc10e4e24167c4875cf2f7a2297da02b8f4ba8e0'
+ * ```
+ */
+export function sm3(data) {
+    return new SM3().update(data).digest();
+}
+
+/**
+ * Compute HMAC-SM3 (RFC 2104 with SM3 as the hash function)
+ *
+ * @param {Buffer|Uint8Array} key - HMAC key, hashed first if longer than 64 bytes
+ * @param {Buffer|Uint8Array} data - Data to authenticate
+ * @returns {Buffer} 32-byte MAC
+ *
+ * @example
+ * ```javascript
+ * const mac = hmacSM3(Buffer.from('key'), Buffer.from('message'));
+ * ```
+ */
+export function hmacSM3(key, data) {
+    const block = new Uint8Array(BLOCK_SIZE);
+    block.set(key.length > BLOCK_SIZE ? sm3(key) : key);
+
+    const ipad = new Uint8Array(BLOCK_SIZE);
+    const opad = new Uint8Array(BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        ipad[i] = block[i] ^ 0x36;
+        opad[i] = block[i] ^ 0x5c;
+    }
+
+    const inner = new SM3().update(ipad).update(data).digest();
+    return new SM3().update(opad).update(inner).digest();
+}
+
+/**
+ * Derive a key from a password with PBKDF2 (RFC 8018) and HMAC-SM3
+ *
+ * @param {Buffer|Uint8Array} password - Password bytes
+ * @param {Buffer|Uint8Array} salt - Salt
+ * @param {number} iterations - Iteration count
+ * @param {number} length - Derived key length in bytes
+ * @returns {Buffer} Derived key
+ *
+ * @example
+ * ```javascript
+ * const key = pbkdf2SM3(Buffer.from('password'), salt, 10000, 16);
+ * ```
+ */
+export function pbkdf2SM3(password, salt, iterations, length) {
+    const out = Buffer.alloc(length);
+    const counter = Buffer.alloc(4);
+    for (let block = 1, offset = 0; offset < length; block++, offset += 32) {
+        counter.writeUInt32BE(block);
+        let u = hmacSM3(password, Buffer.concat([salt, counter]));
+        const t = Buffer.from(u);
+        for (let i = 1; i < iterations; i++) {
+            u = hmacSM3(password, u);
+            for (let j = 0; j < t.length; j++) {
+                t[j] ^= u[j];
+            }
+        }
+        t.copy(out, offset, 0, Math.min(32, length - offset));
+    }
+    return out;
+}
@@ -0,0 +1,333 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Pure JavaScript SM4 Block Cipher
+ *
+ * This module implements the SM4 block cipher as specified in
+ * GB/T 32907-2016, with CBC mode and PKCS#7 padding as used by PBES2
+ * encrypted private keys, and unpadded ECB mode as used by GM/T 0009
+ * enveloped keys. CBC is used by the browser crypto backend; the node
+ * backend uses OpenSSL's sm4-cbc.
+ *
+ * Algorithm Details:
+ * ```
+ * Block size: 16 bytes (128 bits)
+ * Key size: 16 bytes (128 bits)
+ * Rounds: 32
+ * Round function: X[i+4] = X[i] ^ L(tau(X[i+1] ^ X[i+2] ^ X[i+3] ^ rk[i]))
+ * ```
+ *
+ * Usage Example:
+ * ```javascript
+ * import { sm4CbcEncrypt, sm4CbcDecrypt } from './crypto/sm4.js';
+ *
+ * const ciphertext = sm4CbcEncrypt({ key, iv, data });
+ * const plaintext = sm4CbcDecrypt({ key, iv, data: ciphertext });
+ * ```
+ *
+ * @module crypto/sm4
+ * @see {@link http://www.gmbz.org.cn/main/viewfile/20180108015515787986.html|GB/T 32907}
+ */
+
+import { ArgumentError, OperationError, ErrorCodes } from '../core/errors.js';
+
+/**
+ * SM4 block size in bytes, also the key and IV size
+ *
+ * @private
+ * @constant {number}
+ */
+const BLOCK_SIZE = 16;
+
+/**
+ * SM4 S-box
+ *
+ * @private
+ * @constant {Uint8Array}
+ */
+const SBOX = Uint8Array.from(Buffer.from(
+    'd690e9fecce13db716b614c228fb2c052b679a762abe04c3aa441326498606999c4250f491ef987a33540b43edcfac62' +
+    'e4b31ca9c908e89580df94fa758f3fa64707a7fcf37317ba83593c19e6854fa8686b81b27164da8bf8eb0f4b70569d35' +
+    '1e240e5e6358d1a225227c3b01217887d40046579fd327524c3602e7a0c4c89eeabf8ad240c738b5a3f7f2cef96115a1' +
+    'e0ae5da49b341a55ad933230f58cb1e31df6e22e8266ca60c02923ab0d534e6fd5db3745defd8e2f03ff6a726d6c5b51' +
+    '8d1baf92bbddbc7f11d95c411f105ad80ac13188a5cd7bbd2d74d012b8e5b4b08969974a0c96777e65b9f109c56ec684' +
+    '18f07dec3adc4d2079ee5f3ed7cb3948', 'hex'));
+
+/**
+ * System parameter FK
+ *
+ * @private
+ * @constant {Uint32Array}
+ */
+const FK = new Uint32Array([0xa3b1bac6, 0x56aa3350, 0x677d9197, 0xb27022dc]);
+
+/**
+ * Fixed parameters CK, byte j of CK[i] being (4i + j) * 7 mod 256
+ *
+ * @private
+ * @constant {Uint32Array}
+ */
+const CK = new Uint32Array(32);
+for (let i = 0; i < 32; i++) {
+    for (let j = 0; j < 4; j++) {
+        CK[i] = (CK[i] << 8) | (((4 * i + j) * 7) & 0xff);
+    }
+}
+
+/**
+ * Rotate a 32-bit word left
+ *
+ * @private
+ * @param {number} x - Word
+ * @param {number} n - Shift amount (1..31)
+ * @returns {number} Rotated word
+ */
+function rotl(x, n) {
+    return (x << n) | (x >>> (32 - n));
+}
+
+/**
+ * Apply the S-box to each byte of a word
+ *
+ * @private
+ * @param {number} a - Word
+ * @returns {number} Substituted word
+ */
+function tau(a) {
+    return (SBOX[a >>> 24] << 24) | (SBOX[(a >>> 16) & 0xff] << 16) |
+        (SBOX[(a >>> 8) & 0xff] << 8) | SBOX[a & 0xff];
+}
+
+/**
+ * Expand a 16-byte key into 32 round keys
+ *
+ * @private
+ * @param {Buffer|Uint8Array} key - 16-byte key
+ * @returns {Uint32Array} Round keys in encryption order
+ */
+function expandKey(key) {
+    const k = new Uint32Array(36);
+    for (let i = 0; i < 4; i++) {
+        k[i] = ((key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3]) ^ FK[i];
+    }
+    for (let i = 0; i < 32; i++) {
+        const b = tau(k[i + 1] ^ k[i + 2] ^ k[i + 3] ^ CK[i]);
+        k[i + 4] = k[i] ^ b ^ rotl(b, 13) ^ rotl(b, 23);
+    }
+    return k.subarray(4);
+}
+
+/**
+ * Encrypt or decrypt one block in place
+ *
+ * @private
+ * @param {Uint32Array} roundKeys - Round keys, reversed for decryption
+ * @param {Uint8Array} block - 16-byte block, overwritten with the result
+ * @param {number} offset - Block offset
+ */
+function crypt(roundKeys, block, offset) {
+    const x = new Uint32Array(4);
+    for (let i = 0; i < 4; i++) {
+        const j = offset + 4 * i;
+        x[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+    }
+    for (let i = 0; i < 32; i++) {
+        const b = tau(x[1] ^ x[2] ^ x[3] ^ roundKeys[i]);
+        const next = x[0] ^ b ^ rotl(b, 2) ^ rotl(b, 10) ^ rotl(b, 18) ^ rotl(b, 24);
+        x[0] = x[1];
+        x[1] = x[2];
+        x[2] = x[3];
+        x[3] = next;
+    }
+    for (let i = 0; i < 4; i++) {
+        const word = x[3 - i];
+        const j = offset + 4 * i;
+        block[j] = word >>> 24;
+        block[j + 1] = word >>> 16;
+        block[j + 2] = word >>> 8;
+        block[j + 3] = word;
+    }
+}
+
+/**
+ * Check the key size
+ *
+ * @private
+ * @param {Buffer|Uint8Array} key - Key
+ * @throws {ArgumentError} If the key is not 16 bytes
+ */
+function assertKey(key) {
+    if (!(key instanceof Uint8Array) || key.length !== BLOCK_SIZE) {
+        throw new ArgumentError('SM4 key must be 16 bytes', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+}
+
+/**
+ * Check key and IV sizes
+ *
+ * @private
+ * @param {Buffer|Uint8Array} key - Key
+ * @param {Buffer|Uint8Array} iv - IV
+ * @throws {ArgumentError} If either is not 16 bytes
+ */
+function assertKeyAndIv(key, iv) {
+    assertKey(key);
+    if (!(iv instanceof Uint8Array) || iv.length !== BLOCK_SIZE) {
+        throw new ArgumentError('SM4 IV must be 16 bytes', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+}
+
+/**
+ * Encrypt one 16-byte block (ECB, no padding)
+ *
+ * @param {Buffer|Uint8Array} key - 16-byte key
+ * @param {Buffer|Uint8Array} block - 16-byte plaintext block
+ * @returns {Buffer} 16-byte ciphertext block
+ *
+ * @example
+ * ```javascript
+ * const key = Buffer.from('0123456789abcdeffedcba9876543210', 'hex');
+ * sm4EncryptBlock(key, key).toString('hex');
+ * // '681edf34d206965e86b3e94f536e4246'
+ * ```
+ */
+export function sm4EncryptBlock(key, block) {
+    assertKeyAndIv(key, block);
+    const out = Buffer.from(block);
+    crypt(expandKey(key), out, 0);
+    return out;
+}
+
+/**
+ * Decrypt one 16-byte block (ECB, no padding)
+ *
+ * @param {Buffer|Uint8Array} key - 16-byte key
+ * @param {Buffer|Uint8Array} block - 16-byte ciphertext block
+ * @returns {Buffer} 16-byte plaintext block
+ */
+export function sm4DecryptBlock(key, block) {
+    assertKeyAndIv(key, block);
+    const out = Buffer.from(block);
+    crypt(expandKey(key).slice().reverse(), out, 0);
+    return out;
+}
+
+/**
+ * Encrypt whole blocks with SM4 in ECB mode, without padding
+ *
+ * ECB is only used where a standard requires it, such as the private key
+ * of a GM/T 0009 SM2EnvelopedKey.
+ *
+ * @param {Object} options - Options
+ * @param {Buffer|Uint8Array} options.key - 16-byte key
+ * @param {Buffer|Uint8Array} options.data - Plaintext, a multiple of 16 bytes
+ * @returns {Buffer} Ciphertext
+ * @throws {ArgumentError} If the key or data length is invalid
+ */
+export function sm4EcbEncrypt({ key, data }) {
+    return ecb(key, data, expandKey);
+}
+
+/**
+ * Decrypt SM4 ECB ciphertext, without padding
+ *
+ * @param {Object} options - Options
+ * @param {Buffer|Uint8Array} options.key - 16-byte key
+ * @param {Buffer|Uint8Array} options.data - Ciphertext, a multiple of 16 bytes
+ * @returns {Buffer} Plaintext
+ * @throws {ArgumentError} If the key or data length is invalid
+ */
+export function sm4EcbDecrypt({ key, data }) {
+    return ecb(key, data, (k) => expandKey(k).slice().reverse());
+}
+
+/**
+ * Run every block of data through SM4
+ *
+ * @private
+ * @param {Buffer|Uint8Array} key - 16-byte key
+ * @param {Buffer|Uint8Array} data - Whole blocks
+ * @param {Function} schedule - Returns the round keys for the direction
+ * @returns {Buffer} Output blocks
+ */
+function ecb(key, data, schedule) {
+    if (!(data instanceof Uint8Array) || data.length % BLOCK_SIZE !== 0) {
+        throw new ArgumentError('SM4 ECB data must be a multiple of 16 bytes', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    assertKey(key);
+    const roundKeys = schedule(key);
+    const out = Buffer.from(data);
+    for (let offset = 0; offset < out.length; offset += BLOCK_SIZE) {
+        crypt(roundKeys, out, offset);
+    }
+    return out;
+}
+
+/**
+ * Encrypt with SM4 in CBC mode with PKCS#7 padding
+ *
+ * @param {Object} options - Options
+ * @param {Buffer|Uint8Array} options.key - 16-byte key
+ * @param {Buffer|Uint8Array} options.iv - 16-byte IV
+ * @param {Buffer|Uint8Array} options.data - Plaintext
+ * @returns {Buffer} Ciphertext, a multiple of 16 bytes
+ * @throws {ArgumentError} If the key or IV is invalid
+ */
+export function sm4CbcEncrypt({ key, iv, data }) {
+    assertKeyAndIv(key, iv);
+    const roundKeys = expandKey(key);
+    const padding = BLOCK_SIZE - (data.length % BLOCK_SIZE);
+    const out = Buffer.alloc(data.length + padding, padding);
+    out.set(data);
+
+    let previous = iv;
+    for (let offset = 0; offset < out.length; offset += BLOCK_SIZE) {
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            out[offset + i] ^= previous[i];
+        }
+        crypt(roundKeys, out, offset);
+        previous = out.subarray(offset, offset + BLOCK_SIZE);
+    }
+    return out;
+}
+
+/**
+ * Decrypt SM4 CBC ciphertext and remove PKCS#7 padding
+ *
+ * @param {Object} options - Options
+ * @param {Buffer|Uint8Array} options.key - 16-byte key
+ * @param {Buffer|Uint8Array} options.iv - 16-byte IV
+ * @param {Buffer|Uint8Array} options.data - Ciphertext
+ * @returns {Buffer} Plaintext
+ * @throws {ArgumentError} If the key or IV is invalid
+ * @throws {OperationError} If the ciphertext length or padding is invalid,
+ *   which usually means a wrong key
+ */
+export function sm4CbcDecrypt({ key, iv, data }) {
+    assertKeyAndIv(key, iv);
+    if (data.length === 0 || data.length % BLOCK_SIZE !== 0) {
+        throw new OperationError('Invalid SM4 ciphertext length', { code: ErrorCodes.ERR_DECRYPTION_FAILED });
+    }
+
+    const roundKeys = expandKey(key).slice().reverse();
+    const out = Buffer.from(data);
+    for (let offset = 0; offset < out.length; offset += BLOCK_SIZE) {
+        crypt(roundKeys, out, offset);
+        const previous = offset === 0 ? iv : data.subarray(offset - BLOCK_SIZE, offset);
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            out[offset + i] ^= previous[i];
+        }
+    }
+
+    const padding = out[out.length - 1];
+    let valid = padding >= 1 && padding <= BLOCK_SIZE;
+    for (let i = 1; valid && i <= padding; i++) {
+        valid = out[out.length - i] === padding;
+    }
+    if (!valid) {
+        throw new OperationError('Invalid SM4 padding', { code: ErrorCodes.ERR_DECRYPTION_FAILED });
+    }
+    return out.subarray(0, out.length - padding);
+}
@@ -0,0 +1,219 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Minimal CBOR Encoding (RFC 8949)
+ *
+ * This module encodes and decodes the small CBOR subset used by selective
+ * disclosure proof values: unsigned integers, byte strings, text strings,
+ * arrays and maps. Encoding always uses the shortest argument form, so the
+ * output is deterministic.
+ *
+ * Supported Types:
+ * ```
+ * | Major | JavaScript           |
+ * |-------|----------------------|
+ * | 0     | number (safe uint)   |
+ * | 2     | Uint8Array / Buffer  |
+ * | 3     | string               |
+ * | 4     | Array                |
+ * | 5     | Map                  |
+ * ```
+ *
+ * Usage Example:
+ * ```javascript
+ * import { encodeCBOR, decodeCBOR } from './cbor.js';
+ *
+ * const bytes = encodeCBOR([new Uint8Array([1, 2]), new Map([[0, 'a']])]);
+ * const [data, map] = decodeCBOR(bytes);
+ * ```
+ *
+ * @module formats/cbor
+ * @see {@link https://www.rfc-editor.org/rfc/rfc8949|RFC 8949}
+ */
+
+import { FormatError, ErrorCodes } from '../core/errors.js';
+import { isValidBinaryData } from '../utils/binary.js';
+
+const MAJOR_UINT = 0;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('utf-8', { fatal: true });
+
+function encodeHead(major, value, out) {
+  const type = major << 5;
+  if (value < 24) {
+    out.push(Uint8Array.of(type | value));
+  } else if (value < 0x100) {
+    out.push(Uint8Array.of(type | 24, value));
+  } else if (value < 0x10000) {
+    out.push(Uint8Array.of(type | 25, value >> 8, value & 0xff));
+  } else if (value < 0x100000000) {
+    const head = new Uint8Array(5);
+    head[0] = type | 26;
+    new DataView(head.buffer).setUint32(1, value);
+    out.push(head);
+  } else {
+    const head = new Uint8Array(9);
+    head[0] = type | 27;
+    new DataView(head.buffer).setBigUint64(1, BigInt(value));
+    out.push(head);
+  }
+}
+
+function encodeItem(value, out) {
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new FormatError('Only unsigned integers can be encoded', { code: ErrorCodes.ERR_FORMAT_ENCODE });
+    }
+    encodeHead(MAJOR_UINT, value, out);
+  } else if (typeof value === 'string') {
+    const bytes = encoder.encode(value);
+    encodeHead(MAJOR_TEXT, bytes.length, out);
+    out.push(bytes);
+  } else if (isValidBinaryData(value)) {
+    encodeHead(MAJOR_BYTES, value.length, out);
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    encodeHead(MAJOR_ARRAY, value.length, out);
+    for (const item of value) {
+      encodeItem(item, out);
+    }
+  } else if (value instanceof Map) {
+    encodeHead(MAJOR_MAP, value.size, out);
+    for (const [key, item] of value) {
+      encodeItem(key, out);
+      encodeItem(item, out);
+    }
+  } else {
+    throw new FormatError('Unsupported CBOR value', { code: ErrorCodes.ERR_FORMAT_ENCODE });
+  }
+}
+
+/**
+ * Encode a value as CBOR
+ *
+ * @param {number|string|Uint8Array|Array|Map} value - Value to encode
+ * @returns {Uint8Array} CBOR bytes
+ * @throws {FormatError} If the value contains an unsupported type
+ */
+export function encodeCBOR(value) {
+  const out = [];
+  encodeItem(value, out);
+
+  const result = new Uint8Array(out.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of out) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Decode CBOR bytes
+ *
+ * Byte strings are returned as Uint8Array views of the input. The whole
+ * input must be consumed by a single item.
+ *
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @returns {number|string|Uint8Array|Array|Map} Decoded value
+ * @throws {FormatError} If the input is malformed or uses unsupported types
+ */
+export function decodeCBOR(bytes) {
+  if (!isValidBinaryData(bytes)) {
+    throw new FormatError('CBOR input must be binary data', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const fail = () => {
+    throw new FormatError('Malformed CBOR data', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  };
+  const need = (length) => {
+    if (offset + length > bytes.length) {
+      fail();
+    }
+  };
+
+  const readItem = () => {
+    need(1);
+    const initial = bytes[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let value;
+    if (info < 24) {
+      value = info;
+    } else if (info === 24) {
+      need(1);
+      value = view.getUint8(offset);
+      offset += 1;
+    } else if (info === 25) {
+      need(2);
+      value = view.getUint16(offset);
+      offset += 2;
+    } else if (info === 26) {
+      need(4);
+      value = view.getUint32(offset);
+      offset += 4;
+    } else if (info === 27) {
+      need(8);
+      const big = view.getBigUint64(offset);
+      offset += 8;
+      if (big > BigInt(Number.MAX_SAFE_INTEGER)) {
+        fail();
+      }
+      value = Number(big);
+    } else {
+      // Indefinite lengths and reserved values are not used
+      fail();
+    }
+
+    switch (major) {
+      case MAJOR_UINT:
+        return value;
+      case MAJOR_BYTES:
+        need(value);
+        offset += value;
+        return bytes.subarray(offset - value, offset);
+      case MAJOR_TEXT:
+        need(value);
+        offset += value;
+        try {
+          return decoder.decode(bytes.subarray(offset - value, offset));
+        } catch {
+          return fail();
+        }
+      case MAJOR_ARRAY: {
+        const array = [];
+        for (let i = 0; i < value; i++) {
+          array.push(readItem());
+        }
+        return array;
+      }
+      case MAJOR_MAP: {
+        const map = new Map();
+        for (let i = 0; i < value; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      default:
+        return fail();
+    }
+  };
+
+  const result = readItem();
+  if (offset !== bytes.length) {
+    fail();
+  }
+  return result;
+}
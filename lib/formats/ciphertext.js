@@ -0,0 +1,183 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview SM2 Ciphertext Layouts
+ *
+ * This module converts SM2 ciphertext components (C1, C2, C3) to and from
+ * the byte layouts used in practice. The crypto backends only deal with
+ * the separate components; all layout handling lives here.
+ *
+ * Supported Layouts:
+ * ```
+ * C1C3C2 (GB/T 32918.4-2016, default):
+ * | 0x04 | x1 | y1 | C3 | C2      |
+ * | 1B   | 32 | 32 | 32 | n bytes |
+ *
+ * C1C2C3 (GB/T 32918.4-2010 draft, legacy):
+ * | 0x04 | x1 | y1 | C2      | C3 |
+ * | 1B   | 32 | 32 | n bytes | 32 |
+ *
+ * DER (GM/T 0009-2012 SM2Cipher):
+ * SM2Cipher ::= SEQUENCE {
+ *   XCoordinate INTEGER,
+ *   YCoordinate INTEGER,
+ *   HASH        OCTET STRING SIZE(32),
+ *   CipherText  OCTET STRING
+ * }
+ * ```
+ *
+ * Usage Example:
+ * ```javascript
+ * import { encodeCiphertext, decodeCiphertext } from './ciphertext.js';
+ *
+ * const bytes = encodeCiphertext({ c1, c2, c3 }, 'DER');
+ * const { c1, c2, c3 } = decodeCiphertext(bytes, 'DER');
+ * ```
+ *
+ * Standards Compliance:
+ * - GB/T 32918.4-2016: SM2 Public Key Encryption
+ * - GM/T 0009-2012: SM2 Cryptography Algorithm Application Specification
+ *
+ * @module formats/ciphertext
+ */
+
+import { FormatError, ArgumentError, ErrorCodes } from '../core/errors.js';
+import { isValidBinaryData, toBuffer } from '../utils/binary.js';
+import {
+  ASN1,
+  encodeDERSequence,
+  encodeDERInteger,
+  encodeDEROctetString,
+  readDERElement,
+  readDERUnsignedInteger
+} from './der.js';
+
+/**
+ * Supported ciphertext layouts
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const CIPHERTEXT_MODES = Object.freeze({
+  C1C3C2: 'C1C3C2',
+  C1C2C3: 'C1C2C3',
+  DER: 'DER'
+});
+
+/**
+ * Length of an uncompressed C1 point including the 0x04 prefix
+ *
+ * @private
+ * @constant {number}
+ */
+const C1_LENGTH = 65;
+
+/**
+ * Length of C3 (an SM3 hash)
+ *
+ * @private
+ * @constant {number}
+ */
+const C3_LENGTH = 32;
+
+/**
+ * Validate a ciphertext mode name
+ *
+ * @param {string} mode - Mode to check
+ * @throws {ArgumentError} If mode is not one of CIPHERTEXT_MODES
+ */
+export function assertCiphertextMode(mode) {
+  if (!Object.values(CIPHERTEXT_MODES).includes(mode)) {
+    throw new ArgumentError(`mode must be one of ${Object.values(CIPHERTEXT_MODES).join(', ')}`, {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+}
+
+/**
+ * Encode ciphertext components in the given layout
+ *
+ * @param {Object} parts - Ciphertext components
+ * @param {Buffer} parts.c1 - C1 point (64 bytes x || y)
+ * @param {Buffer} parts.c2 - C2 masked plaintext
+ * @param {Buffer} parts.c3 - C3 hash (32 bytes)
+ * @param {string} [mode='C1C3C2'] - Output layout
+ * @returns {Buffer} Encoded ciphertext
+ * @throws {ArgumentError} If mode is invalid
+ *
+ * @example
+ * ```javascript
+ * const der = encodeCiphertext({ c1, c2, c3 }, CIPHERTEXT_MODES.DER);
+ * ```
+ */
+export function encodeCiphertext({ c1, c2, c3 }, mode = CIPHERTEXT_MODES.C1C3C2) {
+  assertCiphertextMode(mode);
+
+  if (mode === CIPHERTEXT_MODES.DER) {
+    return encodeDERSequence([
+      encodeDERInteger(c1.subarray(0, 32)),
+      encodeDERInteger(c1.subarray(32, 64)),
+      encodeDEROctetString(c3),
+      encodeDEROctetString(c2)
+    ]);
+  }
+
+  const point = Buffer.concat([Buffer.from([0x04]), c1]);
+  return mode === CIPHERTEXT_MODES.C1C3C2
+    ? Buffer.concat([point, c3, c2])
+    : Buffer.concat([point, c2, c3]);
+}
+
+/**
+ * Split an encoded ciphertext into its components
+ *
+ * @param {Buffer|Uint8Array} ciphertext - Encoded ciphertext
+ * @param {string} mode - Input layout
+ * @returns {{c1: Buffer, c2: Buffer, c3: Buffer}} Ciphertext components
+ * @throws {ArgumentError} If mode is invalid
+ * @throws {FormatError} If the ciphertext does not match the layout
+ *
+ * @example
+ * ```javascript
+ * const { c1, c2, c3 } = decodeCiphertext(bytes, CIPHERTEXT_MODES.C1C3C2);
+ * ```
+ */
+export function decodeCiphertext(ciphertext, mode) {
+  assertCiphertextMode(mode);
+  if (!isValidBinaryData(ciphertext)) {
+    throw new FormatError('Ciphertext must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const buffer = toBuffer(ciphertext);
+
+  if (mode === CIPHERTEXT_MODES.DER) {
+    const sequence = readDERElement(buffer, 0, ASN1.SEQUENCE);
+    if (sequence.end !== buffer.length) {
+      throw new FormatError('Trailing data after SM2Cipher', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    const x = readDERElement(sequence.value, 0, ASN1.INTEGER);
+    const y = readDERElement(sequence.value, x.end, ASN1.INTEGER);
+    const hash = readDERElement(sequence.value, y.end, ASN1.OCTET_STRING);
+    const cipher = readDERElement(sequence.value, hash.end, ASN1.OCTET_STRING);
+    if (cipher.end !== sequence.value.length || hash.value.length !== C3_LENGTH) {
+      throw new FormatError('Invalid SM2Cipher structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    return {
+      c1: Buffer.concat([readDERUnsignedInteger(x.value, 32), readDERUnsignedInteger(y.value, 32)]),
+      c2: cipher.value,
+      c3: hash.value
+    };
+  }
+
+  if (buffer.length < C1_LENGTH + C3_LENGTH || buffer[0] !== 0x04) {
+    throw new FormatError('Ciphertext must start with an uncompressed C1 point', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  const c1 = buffer.subarray(1, C1_LENGTH);
+  const body = buffer.subarray(C1_LENGTH);
+  return mode === CIPHERTEXT_MODES.C1C3C2
+    ? { c1, c3: body.subarray(0, C3_LENGTH), c2: body.subarray(C3_LENGTH) }
+    : { c1, c2: body.subarray(0, body.length - C3_LENGTH), c3: body.subarray(body.length - C3_LENGTH) };
+}
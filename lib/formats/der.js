@@ -117,6 +117,18 @@ export const ASN1 = {
    */
   OBJECT_IDENTIFIER: 0x06,
   
+  /** 
+   * Universal type for null (0x05)
+   * Used for absent algorithm parameters
+   */
+  NULL: 0x05,
+  
+  /** 
+   * Context-specific type [0] (0xa0)
+   * Used for explicitly tagged optional fields
+   */
+  CONTEXT_SPECIFIC_0: 0xa0,
+  
   /** 
    * Context-specific type (0xa1)
    * Used for application-dependent values
@@ -472,3 +484,368 @@ export function encodeDEROID(oid, outputType) {
 
   return outputType ? matchBinaryType(outputType, result) : result;
 }
+
+/**
+ * Encode an unsigned integer in DER format
+ * 
+ * This function encodes a big-endian unsigned integer as an ASN.1 INTEGER.
+ * Redundant leading zeros are stripped and a single 0x00 is prepended when
+ * the high bit is set, so the value is never read back as negative.
+ * 
+ * Processing Steps:
+ * 1. Input validation
+ * 2. Leading zero removal
+ * 3. Sign byte insertion
+ * 4. Value assembly
+ * 5. Type matching
+ * 
+ * Integer Format:
+ * ```
+ * | Tag    | Length | Value              |
+ * | 0x02   | DER    | [0x00] + Magnitude |
+ * | 1 byte | 1-5B   | n bytes            |
+ * ```
+ * 
+ * @param {Buffer|Uint8Array} value - Unsigned big-endian integer
+ * @param {Buffer|Uint8Array} [outputType] - Optional type to match output format
+ * @returns {Buffer|Uint8Array} DER encoded INTEGER
+ * @throws {FormatError} If value is invalid
+ * 
+ * @example
+ * ```javascript
+ * encodeDERInteger(Buffer.from([0x00, 0x7f]));  // <Buffer 02 01 7f>
+ * encodeDERInteger(Buffer.from([0x80]));        // <Buffer 02 02 00 80>
+ * ```
+ */
+export function encodeDERInteger(value, outputType) {
+  if (!isValidBinaryData(value)) {
+    throw new FormatError('Integer must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  if (outputType && !isValidBinaryData(outputType)) {
+    throw new FormatError('Output type must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  let valueBuf = toBuffer(value);
+  let start = 0;
+  while (start < valueBuf.length - 1 && valueBuf[start] === 0) {
+    start++;
+  }
+  valueBuf = valueBuf.length ? valueBuf.subarray(start) : Buffer.from([0]);
+  if (valueBuf[0] & 0x80) {
+    valueBuf = Buffer.concat([Buffer.from([0]), valueBuf]);
+  }
+
+  const result = Buffer.concat([
+    Buffer.from([ASN1.INTEGER]),
+    encodeDERLength(valueBuf.length),
+    valueBuf
+  ]);
+
+  return outputType ? matchBinaryType(outputType, result) : result;
+}
+
+/**
+ * Encode an octet string in DER format
+ * 
+ * Octet String Format:
+ * ```
+ * | Tag    | Length | Value   |
+ * | 0x04   | DER    | Bytes   |
+ * | 1 byte | 1-5B   | n bytes |
+ * ```
+ * 
+ * @param {Buffer|Uint8Array} value - Octet string contents
+ * @param {Buffer|Uint8Array} [outputType] - Optional type to match output format
+ * @returns {Buffer|Uint8Array} DER encoded OCTET STRING
+ * @throws {FormatError} If value is invalid
+ * 
+ * @example
+ * ```javascript
+ * encodeDEROctetString(Buffer.from('hi'));  // <Buffer 04 02 68 69>
+ * ```
+ */
+export function encodeDEROctetString(value, outputType) {
+  if (!isValidBinaryData(value)) {
+    throw new FormatError('Octet string must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  if (outputType && !isValidBinaryData(outputType)) {
+    throw new FormatError('Output type must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const valueBuf = toBuffer(value);
+  const result = Buffer.concat([
+    Buffer.from([ASN1.OCTET_STRING]),
+    encodeDERLength(valueBuf.length),
+    valueBuf
+  ]);
+
+  return outputType ? matchBinaryType(outputType, result) : result;
+}
+
+/**
+ * Encode a bit string in DER format
+ * 
+ * Only whole bytes are encoded, so the unused bits count is always zero,
+ * as for keys and signatures.
+ * 
+ * Bit String Format:
+ * ```
+ * | Tag    | Length | Unused | Value   |
+ * | 0x03   | DER    | 0x00   | Bytes   |
+ * | 1 byte | 1-5B   | 1 byte | n bytes |
+ * ```
+ * 
+ * @param {Buffer|Uint8Array} value - Bit string contents
+ * @param {Buffer|Uint8Array} [outputType] - Optional type to match output format
+ * @returns {Buffer|Uint8Array} DER encoded BIT STRING
+ * @throws {FormatError} If value is invalid
+ * 
+ * @example
+ * ```javascript
+ * encodeDERBitString(Buffer.from([0x04, 0x01]));  // <Buffer 03 03 00 04 01>
+ * ```
+ */
+export function encodeDERBitString(value, outputType) {
+  if (!isValidBinaryData(value)) {
+    throw new FormatError('Bit string must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  if (outputType && !isValidBinaryData(outputType)) {
+    throw new FormatError('Output type must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const valueBuf = toBuffer(value);
+  const result = Buffer.concat([
+    Buffer.from([ASN1.BIT_STRING]),
+    encodeDERLength(valueBuf.length + 1),
+    Buffer.from([0x00]),
+    valueBuf
+  ]);
+
+  return outputType ? matchBinaryType(outputType, result) : result;
+}
+
+/**
+ * Read one DER element (tag, length and value)
+ * 
+ * This function reads the element starting at offset and returns its
+ * contents as a zero-copy view. When an expected tag is given, any other
+ * tag is rejected.
+ * 
+ * Processing Steps:
+ * 1. Bounds checking
+ * 2. Tag verification
+ * 3. Length decoding
+ * 4. Value slicing
+ * 
+ * @param {Buffer|Uint8Array} data - DER encoded data
+ * @param {number} offset - Offset of the tag byte
+ * @param {number} [expectedTag] - Required tag value
+ * @returns {{tag: number, value: Buffer, end: number}} Element tag, contents and offset just past it
+ * @throws {FormatError} If the element is truncated or has an unexpected tag
+ * 
+ * @example
+ * ```javascript
+ * const der = Buffer.from([0x04, 0x02, 0x68, 0x69]);
+ * const { tag, value, end } = readDERElement(der, 0, ASN1.OCTET_STRING);
+ * console.log(value.toString());  // 'hi'
+ * console.log(end);               // 4
+ * ```
+ */
+export function readDERElement(data, offset, expectedTag) {
+  if (!isValidBinaryData(data)) {
+    throw new FormatError('Input must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const buffer = toBuffer(data);
+  if (offset >= buffer.length) {
+    throw new FormatError('Unexpected end of DER data', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+
+  const tag = buffer[offset];
+  if (expectedTag !== undefined && tag !== expectedTag) {
+    throw new FormatError(`Expected DER tag 0x${expectedTag.toString(16)}, got 0x${tag.toString(16)}`, {
+      code: ErrorCodes.ERR_FORMAT_INVALID
+    });
+  }
+
+  const [length, valueOffset] = readDERLength(buffer, offset + 1);
+  const end = valueOffset + length;
+  if (end > buffer.length) {
+    throw new FormatError('DER element exceeds input length', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+
+  return {
+    tag,
+    value: buffer.subarray(valueOffset, end),
+    end
+  };
+}
+
+/**
+ * Read all elements of a constructed value in order
+ * 
+ * Each element is returned as by readDERElement, plus its start offset so
+ * callers can copy the complete encoding of an element.
+ * 
+ * @param {Buffer|Uint8Array} value - Contents of a SEQUENCE or SET
+ * @returns {Array<{tag: number, value: Buffer, end: number, start: number}>} Elements
+ * @throws {FormatError} If an element is truncated
+ * 
+ * @example
+ * ```javascript
+ * const { value } = readDERElement(der, 0, ASN1.SEQUENCE);
+ * const [first, second] = readDERElements(value);
+ * ```
+ */
+export function readDERElements(value) {
+  const elements = [];
+  let offset = 0;
+  while (offset < value.length) {
+    const element = readDERElement(value, offset);
+    elements.push({ ...element, start: offset });
+    offset = element.end;
+  }
+  return elements;
+}
+
+/**
+ * Read the contents of a non-negative INTEGER as a fixed-size value
+ * 
+ * This function converts the contents returned by readDERElement for an
+ * INTEGER into a big-endian value of the given size, as used for curve
+ * coordinates, private keys and signature components. Redundant leading
+ * zeros are tolerated, as some encoders emit them.
+ * 
+ * @param {Buffer} value - INTEGER contents
+ * @param {number} size - Output size in bytes
+ * @returns {Buffer} Zero-padded big-endian value
+ * @throws {FormatError} If the integer is empty, negative or too large
+ * 
+ * @example
+ * ```javascript
+ * const { value } = readDERElement(Buffer.from([0x02, 0x02, 0x00, 0x80]), 0, ASN1.INTEGER);
+ * readDERUnsignedInteger(value, 4);  // <Buffer 00 00 00 80>
+ * ```
+ */
+export function readDERUnsignedInteger(value, size) {
+  if (value.length === 0 || (value[0] & 0x80)) {
+    throw new FormatError('Integer must be non-negative', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+  let start = 0;
+  while (start < value.length - 1 && value[start] === 0) {
+    start++;
+  }
+  const magnitude = value.subarray(start);
+  if (magnitude.length > size) {
+    throw new FormatError(`Integer exceeds ${size} bytes`, { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+  const out = Buffer.alloc(size);
+  out.set(magnitude, size - magnitude.length);
+  return out;
+}
+
+/**
+ * Convert the contents of an OBJECT IDENTIFIER to dotted notation
+ * 
+ * Arcs are decoded as base-128 numbers; the first byte group holds the
+ * first two arcs as 40 * first + second.
+ * 
+ * @param {Buffer|Uint8Array} value - OID contents, without tag and length
+ * @returns {string} Dotted OID, such as '1.2.156.10197.1.501'
+ * @throws {FormatError} If the encoding is empty or truncated
+ * 
+ * @example
+ * ```javascript
+ * decodeDEROID(Buffer.from('2a811ccf55018375', 'hex'));  // '1.2.156.10197.1.501'
+ * ```
+ */
+export function decodeDEROID(value) {
+  if (!isValidBinaryData(value) || value.length === 0 || (value[value.length - 1] & 0x80)) {
+    throw new FormatError('Invalid OID encoding', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  const arcs = [];
+  let arc = 0;
+  for (const byte of value) {
+    arc = arc * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(arc);
+      arc = 0;
+    }
+  }
+
+  const first = Math.min(Math.floor(arcs[0] / 40), 2);
+  return [first, arcs[0] - first * 40, ...arcs.slice(1)].join('.');
+}
+
+/**
+ * Convert a dotted OID to the contents of an OBJECT IDENTIFIER
+ * 
+ * This is the inverse of decodeDEROID; wrap the result with
+ * encodeDEROID to get the full element.
+ * 
+ * @param {string} oid - Dotted OID, such as '2.5.29.15'
+ * @returns {Buffer} OID contents, without tag and length
+ * @throws {FormatError} If oid is not a valid dotted OID
+ * 
+ * @example
+ * ```javascript
+ * encodeDEROID(encodeDEROIDValue('1.2.156.10197.1.501'));
+ * ```
+ */
+export function encodeDEROIDValue(oid) {
+  const arcs = typeof oid === 'string' && /^[0-2](\.\d+)+$/.test(oid) ? oid.split('.').map(Number) : [];
+  if (arcs.length < 2 || arcs.some((arc) => !Number.isSafeInteger(arc)) || (arcs[0] < 2 && arcs[1] >= 40)) {
+    throw new FormatError(`Invalid OID ${oid}`, { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const bytes = [];
+  for (let arc of [arcs[0] * 40 + arcs[1], ...arcs.slice(2)]) {
+    const group = [arc % 128];
+    while (arc >= 128) {
+      arc = Math.floor(arc / 128);
+      group.unshift((arc % 128) | 0x80);
+    }
+    bytes.push(...group);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode a DER element with any tag
+ * 
+ * Used for the types without a dedicated encoder, such as strings,
+ * times and context-specific tags.
+ * 
+ * @param {number} tag - Tag byte
+ * @param {Buffer|Uint8Array} value - Element contents
+ * @param {Buffer|Uint8Array} [outputType] - Optional type to match output format
+ * @returns {Buffer|Uint8Array} DER encoded element
+ * @throws {FormatError} If value is invalid
+ * 
+ * @example
+ * ```javascript
+ * encodeDERElement(0x0c, Buffer.from('hi'));  // <Buffer 0c 02 68 69>
+ * ```
+ */
+export function encodeDERElement(tag, value, outputType) {
+  if (!isValidBinaryData(value)) {
+    throw new FormatError('Value must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  if (outputType && !isValidBinaryData(outputType)) {
+    throw new FormatError('Output type must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const valueBuf = toBuffer(value);
+  const result = Buffer.concat([
+    Buffer.from([tag]),
+    encodeDERLength(valueBuf.length),
+    valueBuf
+  ]);
+
+  return outputType ? matchBinaryType(outputType, result) : result;
+}
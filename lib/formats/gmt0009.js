@@ -0,0 +1,288 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview GM/T 0009 SM2 Data Structures
+ *
+ * This module encodes and decodes the ASN.1 structures defined by
+ * GM/T 0009-2012 for exchanging SM2 material between Chinese PKI
+ * components (CAs, key management centres, USB keys and their SDKs).
+ * SM2Cipher is handled by the DER mode of formats/ciphertext.js and is
+ * only used here as a building block of SM2EnvelopedKey.
+ *
+ * Structures:
+ * ```asn1
+ * SM2PrivateKey ::= INTEGER
+ * SM2PublicKey ::= BIT STRING -- 04 || X || Y
+ *
+ * SM2Signature ::= SEQUENCE {
+ *   R INTEGER,
+ *   S INTEGER
+ * }
+ *
+ * SM2EnvelopedKey ::= SEQUENCE {
+ *   symAlgID               AlgorithmIdentifier, -- SM4-ECB
+ *   symEncryptedKey        SM2Cipher,           -- SM4 key, encrypted to the recipient
+ *   Sm2PublicKey           SM2PublicKey,        -- public key of the protected pair
+ *   Sm2EncryptedPrivateKey BIT STRING           -- private key, encrypted with the SM4 key
+ * }
+ * ```
+ *
+ * SM2EnvelopedKey is the envelope GM/T 0010 tooling uses to hand a key
+ * pair to its owner, for example an encryption key pair issued by a key
+ * management centre.
+ *
+ * The GM/T 0010 SignedData and EnvelopedData messages are in
+ * formats/gmt0010.js.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { encodeSM2Signature, decodeSM2Signature } from './gmt0009.js';
+ *
+ * const der = encodeSM2Signature(rawSignature);
+ * const raw = decodeSM2Signature(der);
+ * ```
+ *
+ * Standards Compliance:
+ * - GM/T 0009-2012: SM2 Cryptography Algorithm Application Specification
+ * - GM/T 0010-2012: SM2 Cryptography Message Syntax
+ *
+ * @module formats/gmt0009
+ */
+
+import { FormatError, ArgumentError, ErrorCodes } from '../core/errors.js';
+import { isValidBinaryData, toBuffer } from '../utils/binary.js';
+import { signatureToDER } from '../utils/signature.js';
+import { readPublicKeyBits } from '../utils/key-der.js';
+import { encodeCiphertext, decodeCiphertext, CIPHERTEXT_MODES } from './ciphertext.js';
+import {
+  ASN1,
+  encodeDERSequence,
+  encodeDEROID,
+  encodeDERInteger,
+  encodeDERBitString,
+  readDERElement,
+  readDERUnsignedInteger
+} from './der.js';
+
+/**
+ * SM4 in ECB mode (1.2.156.10197.1.104.1), the symmetric algorithm of
+ * SM2EnvelopedKey
+ *
+ * @constant {Buffer}
+ */
+export const SM4_ECB_OID = Buffer.from('2a811ccf55016801', 'hex');
+
+/**
+ * Signature encodings accepted by signers and verifiers
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const SIGNATURE_FORMATS = Object.freeze({
+  RAW: 'raw',
+  DER: 'der'
+});
+
+/**
+ * Validate a signature format name
+ *
+ * @param {string} format - Format to check
+ * @throws {ArgumentError} If format is not one of SIGNATURE_FORMATS
+ */
+export function assertSignatureFormat(format) {
+  if (!Object.values(SIGNATURE_FORMATS).includes(format)) {
+    throw new ArgumentError(`signatureFormat must be one of ${Object.values(SIGNATURE_FORMATS).join(', ')}`, {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+}
+
+/**
+ * Check that binary input has the expected length
+ *
+ * @private
+ * @param {*} value - Value to check
+ * @param {number} length - Required length
+ * @param {string} name - Name for error messages
+ * @throws {ArgumentError} If value is not binary data of that length
+ */
+function assertBytes(value, length, name) {
+  if (!isValidBinaryData(value) || value.length !== length) {
+    throw new ArgumentError(`${name} must be ${length} bytes`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+/**
+ * Read a single top-level element, rejecting trailing data
+ *
+ * @private
+ * @param {Buffer|Uint8Array} der - DER data
+ * @param {number} tag - Expected tag
+ * @param {string} name - Structure name for error messages
+ * @returns {Buffer} Element contents
+ * @throws {FormatError} If der is not exactly one element with that tag
+ */
+function readSingle(der, tag, name) {
+  if (!isValidBinaryData(der)) {
+    throw new FormatError(`${name} must be a Buffer or Uint8Array`, { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+  const buffer = toBuffer(der);
+  const element = readDERElement(buffer, 0, tag);
+  if (element.end !== buffer.length) {
+    throw new FormatError(`Trailing data after ${name}`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return element.value;
+}
+
+/**
+ * Encode an SM2PrivateKey
+ *
+ * @param {Buffer|Uint8Array} secretKey - 32-byte private key
+ * @returns {Buffer} DER encoded INTEGER
+ * @throws {ArgumentError} If secretKey is not 32 bytes
+ */
+export function encodeSM2PrivateKey(secretKey) {
+  assertBytes(secretKey, 32, 'secretKey');
+  return encodeDERInteger(toBuffer(secretKey));
+}
+
+/**
+ * Decode an SM2PrivateKey
+ *
+ * The value is not range checked here; key import derives the public
+ * key, which rejects out-of-range scalars.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded INTEGER
+ * @returns {Buffer} 32-byte private key
+ * @throws {FormatError} If der is not a non-negative INTEGER of at most 32 bytes
+ */
+export function decodeSM2PrivateKey(der) {
+  return readDERUnsignedInteger(readSingle(der, ASN1.INTEGER, 'SM2PrivateKey'), 32);
+}
+
+/**
+ * Encode an SM2PublicKey
+ *
+ * @param {Buffer|Uint8Array} publicKey - 64-byte public key (x || y)
+ * @returns {Buffer} DER encoded BIT STRING holding the uncompressed point
+ * @throws {ArgumentError} If publicKey is not 64 bytes
+ */
+export function encodeSM2PublicKey(publicKey) {
+  assertBytes(publicKey, 64, 'publicKey');
+  return encodeDERBitString(Buffer.concat([Buffer.from([0x04]), publicKey]));
+}
+
+/**
+ * Decode an SM2PublicKey
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded BIT STRING
+ * @returns {Buffer} 64-byte public key (x || y), not yet checked against the curve
+ * @throws {FormatError} If der is not an uncompressed point in a BIT STRING
+ */
+export function decodeSM2PublicKey(der) {
+  return Buffer.from(readPublicKeyBits(readSingle(der, ASN1.BIT_STRING, 'SM2PublicKey')));
+}
+
+/**
+ * Encode an SM2Signature
+ *
+ * @param {Buffer|Uint8Array} signature - 64-byte raw signature (R || S)
+ * @returns {Buffer} DER encoded SM2Signature
+ * @throws {ArgumentError} If signature is not 64 bytes
+ */
+export function encodeSM2Signature(signature) {
+  assertBytes(signature, 64, 'signature');
+  return toBuffer(signatureToDER(signature));
+}
+
+/**
+ * Decode an SM2Signature
+ *
+ * Unlike utils/signature.js extractSignatureRS, trailing data and
+ * components longer than 32 bytes are rejected.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded SM2Signature
+ * @returns {Buffer} 64-byte raw signature (R || S)
+ * @throws {FormatError} If der is not a valid SM2Signature
+ */
+export function decodeSM2Signature(der) {
+  const value = readSingle(der, ASN1.SEQUENCE, 'SM2Signature');
+  const r = readDERElement(value, 0, ASN1.INTEGER);
+  const s = readDERElement(value, r.end, ASN1.INTEGER);
+  if (s.end !== value.length) {
+    throw new FormatError('Invalid SM2Signature structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return Buffer.concat([readDERUnsignedInteger(r.value, 32), readDERUnsignedInteger(s.value, 32)]);
+}
+
+/**
+ * Encode an SM2EnvelopedKey
+ *
+ * @param {Object} envelope - Envelope contents
+ * @param {{c1: Buffer, c2: Buffer, c3: Buffer}} envelope.symEncryptedKey - SM2
+ *   ciphertext components of the SM4 key
+ * @param {Buffer|Uint8Array} envelope.publicKey - 64-byte public key of the protected pair
+ * @param {Buffer|Uint8Array} envelope.encryptedPrivateKey - SM4-ECB encrypted private key
+ * @returns {Buffer} DER encoded SM2EnvelopedKey
+ * @throws {ArgumentError} If a component is invalid
+ *
+ * @example
+ * ```javascript
+ * const der = encodeSM2EnvelopedKey({ symEncryptedKey: { c1, c2, c3 }, publicKey, encryptedPrivateKey });
+ * ```
+ */
+export function encodeSM2EnvelopedKey({ symEncryptedKey, publicKey, encryptedPrivateKey }) {
+  if (!isValidBinaryData(encryptedPrivateKey) || encryptedPrivateKey.length === 0) {
+    throw new ArgumentError('encryptedPrivateKey must be a Buffer or Uint8Array', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+  return encodeDERSequence([
+    encodeDERSequence([encodeDEROID(SM4_ECB_OID)]),
+    encodeCiphertext(symEncryptedKey, CIPHERTEXT_MODES.DER),
+    encodeSM2PublicKey(publicKey),
+    encodeDERBitString(encryptedPrivateKey)
+  ]);
+}
+
+/**
+ * Decode an SM2EnvelopedKey
+ *
+ * Only SM4-ECB is accepted as the symmetric algorithm, with absent or
+ * NULL parameters.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded SM2EnvelopedKey
+ * @returns {{symEncryptedKey: {c1: Buffer, c2: Buffer, c3: Buffer},
+ *   publicKey: Buffer, encryptedPrivateKey: Buffer}} Envelope contents
+ * @throws {FormatError} If der is not a valid SM2EnvelopedKey
+ */
+export function decodeSM2EnvelopedKey(der) {
+  const value = readSingle(der, ASN1.SEQUENCE, 'SM2EnvelopedKey');
+
+  // symAlgID
+  const algorithm = readDERElement(value, 0, ASN1.SEQUENCE);
+  const oid = readDERElement(algorithm.value, 0, ASN1.OBJECT_IDENTIFIER);
+  if (!oid.value.equals(SM4_ECB_OID)) {
+    throw new FormatError('Unsupported SM2EnvelopedKey symmetric algorithm', { code: ErrorCodes.ERR_FORMAT_OID });
+  }
+  const parameters = algorithm.value.subarray(oid.end);
+  if (parameters.length && !parameters.equals(Buffer.from([ASN1.NULL, 0x00]))) {
+    throw new FormatError('Unexpected SM4-ECB parameters', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  // symEncryptedKey, Sm2PublicKey, Sm2EncryptedPrivateKey
+  const cipher = readDERElement(value, algorithm.end, ASN1.SEQUENCE);
+  const publicKey = readDERElement(value, cipher.end, ASN1.BIT_STRING);
+  const privateKey = readDERElement(value, publicKey.end, ASN1.BIT_STRING);
+  if (privateKey.end !== value.length || privateKey.value.length < 2 || privateKey.value[0] !== 0x00) {
+    throw new FormatError('Invalid SM2EnvelopedKey structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  return {
+    symEncryptedKey: decodeCiphertext(value.subarray(algorithm.end, cipher.end), CIPHERTEXT_MODES.DER),
+    publicKey: Buffer.from(readPublicKeyBits(publicKey.value)),
+    encryptedPrivateKey: privateKey.value.subarray(1)
+  };
+}
@@ -0,0 +1,632 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview GM/T 0010 Signed and Enveloped Messages
+ *
+ * This module encodes and decodes the SignedData and EnvelopedData
+ * message types of GM/T 0010-2012, the SM2 profile of PKCS#7 used by
+ * Chinese PKI components to exchange signed documents and documents
+ * encrypted to certificate holders. Signing, verification and the SM2
+ * and SM4 operations are done by SM2Multikey with the crypto backend;
+ * this module only deals with the structures.
+ *
+ * Structures:
+ * ```asn1
+ * ContentInfo ::= SEQUENCE {
+ *   contentType OBJECT IDENTIFIER,
+ *   content     [0] EXPLICIT ANY OPTIONAL
+ * }
+ *
+ * SignedData ::= SEQUENCE {
+ *   version          INTEGER (1),
+ *   digestAlgorithms SET OF AlgorithmIdentifier,      -- SM3
+ *   contentInfo      ContentInfo,                     -- data, no content when detached
+ *   certificates     [0] IMPLICIT SET OF Certificate OPTIONAL,
+ *   crls             [1] IMPLICIT SET OF CertificateList OPTIONAL,
+ *   signerInfos      SET OF SignerInfo
+ * }
+ *
+ * SignerInfo ::= SEQUENCE {
+ *   version                   INTEGER (1),
+ *   issuerAndSerialNumber     IssuerAndSerialNumber,
+ *   digestAlgorithm           AlgorithmIdentifier,    -- SM3
+ *   authenticatedAttributes   [0] IMPLICIT SET OF Attribute OPTIONAL,
+ *   digestEncryptionAlgorithm AlgorithmIdentifier,    -- SM2 signature
+ *   encryptedDigest           OCTET STRING,           -- SM2Signature
+ *   unauthenticatedAttributes [1] IMPLICIT SET OF Attribute OPTIONAL
+ * }
+ *
+ * EnvelopedData ::= SEQUENCE {
+ *   version              INTEGER (1),
+ *   recipientInfos       SET OF RecipientInfo,
+ *   encryptedContentInfo SEQUENCE {
+ *     contentType                OBJECT IDENTIFIER,   -- data
+ *     contentEncryptionAlgorithm AlgorithmIdentifier, -- SM4-CBC, IV as parameters
+ *     encryptedContent           [0] IMPLICIT OCTET STRING OPTIONAL,
+ *     sharedInfo1                [1] IMPLICIT OCTET STRING OPTIONAL,
+ *     sharedInfo2                [2] IMPLICIT OCTET STRING OPTIONAL
+ *   }
+ * }
+ *
+ * RecipientInfo ::= SEQUENCE {
+ *   version                INTEGER (1),
+ *   issuerAndSerialNumber  IssuerAndSerialNumber,
+ *   keyEncryptionAlgorithm AlgorithmIdentifier,       -- SM2 encryption
+ *   encryptedKey           OCTET STRING               -- SM2Cipher
+ * }
+ * ```
+ *
+ * Messages are always wrapped in a ContentInfo. Signers and recipients
+ * are named by the IssuerAndSerialNumber of their certificate, see
+ * formats/x509.js encodeIssuerAndSerialNumber. Decoding accepts version
+ * 0 as written by PKCS#7 tools, the SM2-with-SM3 identifier as the
+ * signature algorithm, and authenticated attributes, whose messageDigest
+ * the verifier must check. SignedAndEnvelopedData and the other message
+ * types are not supported.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { encodeSignedMessage, decodeSignedMessage } from './gmt0010.js';
+ *
+ * const der = encodeSignedMessage({
+ *   content,
+ *   certificates: [certificate],
+ *   signerInfos: [{ issuerAndSerialNumber, signature }]
+ * });
+ * const { content, signerInfos } = decodeSignedMessage(der);
+ * ```
+ *
+ * Standards Compliance:
+ * - GM/T 0010-2012: SM2 Cryptography Message Syntax Specification
+ * - RFC 2315: PKCS #7 Cryptographic Message Syntax Version 1.5
+ *
+ * @module formats/gmt0010
+ */
+
+import { FormatError, ArgumentError, ErrorCodes } from '../core/errors.js';
+import { isValidBinaryData, toBuffer } from '../utils/binary.js';
+import { encodeSM2Signature, decodeSM2Signature } from './gmt0009.js';
+import { SM2_WITH_SM3_OID } from './x509.js';
+import { encodeCiphertext, decodeCiphertext, CIPHERTEXT_MODES } from './ciphertext.js';
+import {
+  ASN1,
+  encodeDERSequence,
+  encodeDEROID,
+  encodeDERInteger,
+  encodeDEROctetString,
+  encodeDERElement,
+  readDERElement,
+  readDERElements
+} from './der.js';
+
+/**
+ * GM/T 0010 data content type (1.2.156.10197.6.1.4.2.1)
+ *
+ * @constant {Buffer}
+ */
+export const DATA_OID = Buffer.from('2a811ccf550601040201', 'hex');
+
+/**
+ * GM/T 0010 signedData content type (1.2.156.10197.6.1.4.2.2)
+ *
+ * @constant {Buffer}
+ */
+export const SIGNED_DATA_OID = Buffer.from('2a811ccf550601040202', 'hex');
+
+/**
+ * GM/T 0010 envelopedData content type (1.2.156.10197.6.1.4.2.3)
+ *
+ * @constant {Buffer}
+ */
+export const ENVELOPED_DATA_OID = Buffer.from('2a811ccf550601040203', 'hex');
+
+/**
+ * SM3 digest algorithm (1.2.156.10197.1.401)
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const SM3_OID = Buffer.from('2a811ccf55018311', 'hex');
+
+/**
+ * SM2 signature algorithm, sm2-1 (1.2.156.10197.1.301.1)
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const SM2_SIGN_OID = Buffer.from('2a811ccf5501822d01', 'hex');
+
+/**
+ * SM2 encryption algorithm, sm2-3 (1.2.156.10197.1.301.3)
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const SM2_ENCRYPT_OID = Buffer.from('2a811ccf5501822d03', 'hex');
+
+/**
+ * SM4 in CBC mode (1.2.156.10197.1.104.2)
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const SM4_CBC_OID = Buffer.from('2a811ccf55016802', 'hex');
+
+/**
+ * PKCS#9 messageDigest attribute (1.2.840.113549.1.9.4)
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const MESSAGE_DIGEST_OID = Buffer.from('2a864886f70d010904', 'hex');
+
+/**
+ * Tags of the message types not in der.js ASN1
+ *
+ * @private
+ * @enum {number}
+ */
+const TAGS = {
+  SET: 0x31,
+  CRLS: 0xa1,
+  UNAUTHENTICATED_ATTRIBUTES: 0xa1,
+  ENCRYPTED_CONTENT: 0x80
+};
+
+/**
+ * Version written to every structure
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const VERSION = encodeDERInteger(Buffer.from([0x01]));
+
+/**
+ * SM4 IV and key size
+ *
+ * @private
+ * @constant {number}
+ */
+const SM4_BLOCK_SIZE = 16;
+
+/**
+ * Encode a SET OF, sorting the elements as DER requires
+ *
+ * @private
+ * @param {Buffer[]} items - Encoded elements
+ * @param {number} [tag=TAGS.SET] - Tag, for IMPLICIT sets
+ * @returns {Buffer} Encoded set
+ */
+function encodeSet(items, tag = TAGS.SET) {
+  return encodeDERElement(tag, Buffer.concat(items.slice().sort(Buffer.compare)));
+}
+
+/**
+ * Encode an AlgorithmIdentifier without parameters
+ *
+ * @private
+ * @param {Buffer} oid - Algorithm OID contents
+ * @returns {Buffer} Encoded AlgorithmIdentifier
+ */
+function encodeAlgorithm(oid) {
+  return encodeDERSequence([encodeDEROID(oid)]);
+}
+
+/**
+ * Check a structure version, accepting the PKCS#7 value 0 as well
+ *
+ * @private
+ * @param {{tag: number, value: Buffer}} element - INTEGER element
+ * @param {string} name - Structure name for error messages
+ * @throws {FormatError} If the version is not 0 or 1
+ */
+function assertVersion(element, name) {
+  if (element?.tag !== ASN1.INTEGER || element.value.length !== 1 || element.value[0] > 1) {
+    throw new FormatError(`Unsupported ${name} version`, { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+}
+
+/**
+ * Check an AlgorithmIdentifier against the accepted OIDs
+ *
+ * @private
+ * @param {{tag: number, value: Buffer}} element - AlgorithmIdentifier element
+ * @param {Buffer[]} oids - Accepted OID contents
+ * @param {string} name - Algorithm role for error messages
+ * @returns {Buffer} Parameters, empty when absent
+ * @throws {FormatError} If the algorithm is not one of oids
+ */
+function readAlgorithm(element, oids, name) {
+  if (element?.tag !== ASN1.SEQUENCE) {
+    throw new FormatError(`Invalid ${name} algorithm`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  const oid = readDERElement(element.value, 0, ASN1.OBJECT_IDENTIFIER);
+  if (!oids.some((accepted) => accepted.equals(oid.value))) {
+    throw new FormatError(`Unsupported ${name} algorithm`, { code: ErrorCodes.ERR_FORMAT_OID });
+  }
+  return element.value.subarray(oid.end);
+}
+
+/**
+ * Check that a value is an encoded IssuerAndSerialNumber
+ *
+ * @private
+ * @param {*} value - Value to check
+ * @param {string} name - Name for error messages
+ * @returns {Buffer} The value as a Buffer
+ * @throws {ArgumentError} If value is not a DER SEQUENCE
+ */
+function assertIssuerAndSerialNumber(value, name) {
+  if (!isValidBinaryData(value) || value[0] !== ASN1.SEQUENCE) {
+    throw new ArgumentError(`${name} must be a DER encoded IssuerAndSerialNumber`, {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+  return toBuffer(value);
+}
+
+/**
+ * Encode a ContentInfo
+ *
+ * @private
+ * @param {Buffer} contentType - Content type OID contents
+ * @param {Buffer} [content] - Encoded content, omitted when undefined
+ * @returns {Buffer} Encoded ContentInfo
+ */
+function encodeContentInfo(contentType, content) {
+  const fields = [encodeDEROID(contentType)];
+  if (content !== undefined) {
+    fields.push(encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, content));
+  }
+  return encodeDERSequence(fields);
+}
+
+/**
+ * Read a ContentInfo
+ *
+ * @private
+ * @param {Buffer} value - ContentInfo contents
+ * @param {Buffer} contentType - Required content type OID contents
+ * @param {string} name - Structure name for error messages
+ * @returns {Buffer|null} Encoded content, null when absent
+ * @throws {FormatError} If the content type differs or the structure is invalid
+ */
+function readContentInfo(value, contentType, name) {
+  const oid = readDERElement(value, 0, ASN1.OBJECT_IDENTIFIER);
+  if (!oid.value.equals(contentType)) {
+    throw new FormatError(`Not a GM/T 0010 ${name}`, { code: ErrorCodes.ERR_FORMAT_OID });
+  }
+  if (oid.end === value.length) {
+    return null;
+  }
+  const content = readDERElement(value, oid.end, ASN1.CONTEXT_SPECIFIC_0);
+  if (content.end !== value.length) {
+    throw new FormatError(`Invalid ${name} ContentInfo`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return content.value;
+}
+
+/**
+ * Read a single top-level ContentInfo of the given type
+ *
+ * @private
+ * @param {Buffer|Uint8Array} der - DER data
+ * @param {Buffer} contentType - Required content type OID contents
+ * @param {string} name - Structure name for error messages
+ * @returns {Array<{tag: number, value: Buffer, end: number, start: number}>}
+ *   Fields of the message SEQUENCE
+ * @throws {FormatError} If der is not a ContentInfo holding that message type
+ */
+function readMessage(der, contentType, name) {
+  if (!isValidBinaryData(der)) {
+    throw new FormatError(`${name} must be a Buffer or Uint8Array`, { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+  const buffer = toBuffer(der);
+  const outer = readDERElement(buffer, 0, ASN1.SEQUENCE);
+  if (outer.end !== buffer.length) {
+    throw new FormatError(`Trailing data after ${name}`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  const content = readContentInfo(outer.value, contentType, name);
+  if (content === null) {
+    throw new FormatError(`${name} has no content`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  const message = readDERElement(content, 0, ASN1.SEQUENCE);
+  if (message.end !== content.length) {
+    throw new FormatError(`Invalid ${name} structure`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return readDERElements(message.value);
+}
+
+/**
+ * Find the messageDigest value in authenticated attributes
+ *
+ * @private
+ * @param {Buffer} value - Contents of the attribute SET
+ * @returns {Buffer|null} Digest, null when the attribute is absent
+ * @throws {FormatError} If an attribute is malformed
+ */
+function readMessageDigest(value) {
+  for (const attribute of readDERElements(value)) {
+    if (attribute.tag !== ASN1.SEQUENCE) {
+      throw new FormatError('Invalid authenticated attribute', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    const type = readDERElement(attribute.value, 0, ASN1.OBJECT_IDENTIFIER);
+    if (type.value.equals(MESSAGE_DIGEST_OID)) {
+      const values = readDERElement(attribute.value, type.end, TAGS.SET);
+      return readDERElement(values.value, 0, ASN1.OCTET_STRING).value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Encode a SignedData message in a ContentInfo
+ *
+ * Signatures are SM2 signatures over the content itself, with the
+ * default user ID and no authenticated attributes.
+ *
+ * @param {Object} message - Message contents
+ * @param {Buffer|Uint8Array} message.content - Signed content
+ * @param {boolean} [message.detached=false] - Leave the content out of the message
+ * @param {Array<Buffer|Uint8Array>} [message.certificates=[]] - DER certificates to embed
+ * @param {Array<Object>} message.signerInfos - One entry per signer
+ * @param {Buffer|Uint8Array} message.signerInfos[].issuerAndSerialNumber - DER
+ *   IssuerAndSerialNumber of the signer's certificate
+ * @param {Buffer|Uint8Array} message.signerInfos[].signature - 64-byte raw signature (R || S)
+ * @returns {Buffer} DER encoded ContentInfo
+ * @throws {ArgumentError} If a component is invalid
+ *
+ * @example
+ * ```javascript
+ * const der = encodeSignedMessage({
+ *   content,
+ *   certificates: [certificate],
+ *   signerInfos: [{ issuerAndSerialNumber, signature }]
+ * });
+ * ```
+ */
+export function encodeSignedMessage({ content, detached = false, certificates = [], signerInfos } = {}) {
+  if (!isValidBinaryData(content)) {
+    throw new ArgumentError('content must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  if (!Array.isArray(certificates) || !certificates.every(isValidBinaryData)) {
+    throw new ArgumentError('certificates must be an array of DER certificates', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+  if (!Array.isArray(signerInfos) || signerInfos.length === 0) {
+    throw new ArgumentError('signerInfos must be a non-empty array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const signers = signerInfos.map(({ issuerAndSerialNumber, signature } = {}) => encodeDERSequence([
+    VERSION,
+    assertIssuerAndSerialNumber(issuerAndSerialNumber, 'issuerAndSerialNumber'),
+    encodeAlgorithm(SM3_OID),
+    encodeAlgorithm(SM2_SIGN_OID),
+    encodeDEROctetString(encodeSM2Signature(signature))
+  ]));
+
+  const fields = [
+    VERSION,
+    encodeSet([encodeAlgorithm(SM3_OID)]),
+    encodeContentInfo(DATA_OID, detached ? undefined : encodeDEROctetString(toBuffer(content)))
+  ];
+  if (certificates.length) {
+    fields.push(encodeSet(certificates.map(toBuffer), ASN1.CONTEXT_SPECIFIC_0));
+  }
+  fields.push(encodeSet(signers));
+
+  return encodeContentInfo(SIGNED_DATA_OID, encodeDERSequence(fields));
+}
+
+/**
+ * Decode a SignedData message from a ContentInfo
+ *
+ * Only the structure is checked here. Each signature covers
+ * `signedAttributes` when it is set, and the content otherwise; in the
+ * first case the verifier must also compare `messageDigest` with the
+ * SM3 digest of the content.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded ContentInfo
+ * @returns {{content: Buffer|null, certificates: Buffer[], signerInfos: Array<{
+ *   issuerAndSerialNumber: Buffer, signature: Buffer, signedAttributes: Buffer|null,
+ *   messageDigest: Buffer|null}>}} Message contents; content is null when detached
+ * @throws {FormatError} If der is not a valid SM2 SignedData message
+ */
+export function decodeSignedMessage(der) {
+  const fields = readMessage(der, SIGNED_DATA_OID, 'SignedData');
+  const [version, digestAlgorithms, contentInfo] = fields;
+  assertVersion(version, 'SignedData');
+  if (digestAlgorithms?.tag !== TAGS.SET || contentInfo?.tag !== ASN1.SEQUENCE) {
+    throw new FormatError('Invalid SignedData structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  for (const algorithm of readDERElements(digestAlgorithms.value)) {
+    readAlgorithm(algorithm, [SM3_OID], 'digest');
+  }
+
+  const wrapped = readContentInfo(contentInfo.value, DATA_OID, 'data');
+  let content = null;
+  if (wrapped !== null) {
+    const octets = readDERElement(wrapped, 0, ASN1.OCTET_STRING);
+    if (octets.end !== wrapped.length) {
+      throw new FormatError('Invalid SignedData content', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    content = octets.value;
+  }
+
+  // certificates [0], crls [1], signerInfos
+  let index = 3;
+  let certificates = [];
+  if (fields[index]?.tag === ASN1.CONTEXT_SPECIFIC_0) {
+    const { value } = fields[index++];
+    certificates = readDERElements(value).map((element) => {
+      if (element.tag !== ASN1.SEQUENCE) {
+        throw new FormatError('Invalid SignedData certificate', { code: ErrorCodes.ERR_FORMAT_INVALID });
+      }
+      return value.subarray(element.start, element.end);
+    });
+  }
+  if (fields[index]?.tag === TAGS.CRLS) {
+    index++;
+  }
+  if (fields[index]?.tag !== TAGS.SET || index !== fields.length - 1) {
+    throw new FormatError('Invalid SignedData structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  const signerInfos = readDERElements(fields[index].value).map((element) => {
+    if (element.tag !== ASN1.SEQUENCE) {
+      throw new FormatError('Invalid SignerInfo structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    const parts = readDERElements(element.value);
+    const [signerVersion, issuerAndSerialNumber, digestAlgorithm] = parts;
+    assertVersion(signerVersion, 'SignerInfo');
+    if (issuerAndSerialNumber?.tag !== ASN1.SEQUENCE) {
+      throw new FormatError('Invalid SignerInfo structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    readAlgorithm(digestAlgorithm, [SM3_OID], 'digest');
+
+    let next = 3;
+    let signedAttributes = null;
+    let messageDigest = null;
+    if (parts[next]?.tag === ASN1.CONTEXT_SPECIFIC_0) {
+      // The signature covers the attributes with their universal SET tag
+      signedAttributes = encodeDERElement(TAGS.SET, parts[next].value);
+      messageDigest = readMessageDigest(parts[next++].value);
+    }
+    readAlgorithm(parts[next++], [SM2_SIGN_OID, SM2_WITH_SM3_OID], 'signature');
+    const signature = parts[next++];
+    if (signature?.tag !== ASN1.OCTET_STRING) {
+      throw new FormatError('Invalid SignerInfo structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    if (parts[next]?.tag === TAGS.UNAUTHENTICATED_ATTRIBUTES) {
+      next++;
+    }
+    if (next !== parts.length) {
+      throw new FormatError('Invalid SignerInfo structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+
+    return {
+      issuerAndSerialNumber: element.value.subarray(issuerAndSerialNumber.start, issuerAndSerialNumber.end),
+      signature: decodeSM2Signature(signature.value),
+      signedAttributes,
+      messageDigest
+    };
+  });
+
+  return { content, certificates, signerInfos };
+}
+
+/**
+ * Encode an EnvelopedData message in a ContentInfo
+ *
+ * The content is encrypted with SM4-CBC, and the SM4 key is encrypted to
+ * each recipient with SM2 (SM2Cipher).
+ *
+ * @param {Object} message - Message contents
+ * @param {Array<Object>} message.recipientInfos - One entry per recipient
+ * @param {Buffer|Uint8Array} message.recipientInfos[].issuerAndSerialNumber - DER
+ *   IssuerAndSerialNumber of the recipient's certificate
+ * @param {{c1: Buffer, c2: Buffer, c3: Buffer}} message.recipientInfos[].encryptedKey - SM2
+ *   ciphertext components of the SM4 key
+ * @param {Buffer|Uint8Array} message.iv - 16-byte SM4-CBC IV
+ * @param {Buffer|Uint8Array} message.encryptedContent - SM4-CBC ciphertext
+ * @returns {Buffer} DER encoded ContentInfo
+ * @throws {ArgumentError} If a component is invalid
+ *
+ * @example
+ * ```javascript
+ * const der = encodeEnvelopedMessage({
+ *   recipientInfos: [{ issuerAndSerialNumber, encryptedKey: { c1, c2, c3 } }],
+ *   iv,
+ *   encryptedContent
+ * });
+ * ```
+ */
+export function encodeEnvelopedMessage({ recipientInfos, iv, encryptedContent } = {}) {
+  if (!Array.isArray(recipientInfos) || recipientInfos.length === 0) {
+    throw new ArgumentError('recipientInfos must be a non-empty array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  if (!isValidBinaryData(iv) || iv.length !== SM4_BLOCK_SIZE) {
+    throw new ArgumentError('iv must be 16 bytes', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  if (!isValidBinaryData(encryptedContent) || encryptedContent.length === 0
+    || encryptedContent.length % SM4_BLOCK_SIZE !== 0) {
+    throw new ArgumentError('encryptedContent must be whole SM4 blocks', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const recipients = recipientInfos.map(({ issuerAndSerialNumber, encryptedKey } = {}) => encodeDERSequence([
+    VERSION,
+    assertIssuerAndSerialNumber(issuerAndSerialNumber, 'issuerAndSerialNumber'),
+    encodeAlgorithm(SM2_ENCRYPT_OID),
+    encodeDEROctetString(encodeCiphertext(encryptedKey, CIPHERTEXT_MODES.DER))
+  ]));
+
+  return encodeContentInfo(ENVELOPED_DATA_OID, encodeDERSequence([
+    VERSION,
+    encodeSet(recipients),
+    encodeDERSequence([
+      encodeDEROID(DATA_OID),
+      encodeDERSequence([encodeDEROID(SM4_CBC_OID), encodeDEROctetString(toBuffer(iv))]),
+      encodeDERElement(TAGS.ENCRYPTED_CONTENT, toBuffer(encryptedContent))
+    ])
+  ]));
+}
+
+/**
+ * Decode an EnvelopedData message from a ContentInfo
+ *
+ * Only SM2 key encryption and SM4-CBC content encryption are accepted.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded ContentInfo
+ * @returns {{recipientInfos: Array<{issuerAndSerialNumber: Buffer,
+ *   encryptedKey: {c1: Buffer, c2: Buffer, c3: Buffer}}>, iv: Buffer,
+ *   encryptedContent: Buffer}} Message contents
+ * @throws {FormatError} If der is not a valid SM2 EnvelopedData message
+ */
+export function decodeEnvelopedMessage(der) {
+  const [version, recipients, encryptedContentInfo, ...rest] = readMessage(der, ENVELOPED_DATA_OID, 'EnvelopedData');
+  assertVersion(version, 'EnvelopedData');
+  if (recipients?.tag !== TAGS.SET || encryptedContentInfo?.tag !== ASN1.SEQUENCE || rest.length) {
+    throw new FormatError('Invalid EnvelopedData structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  const recipientInfos = readDERElements(recipients.value).map((element) => {
+    const parts = element.tag === ASN1.SEQUENCE ? readDERElements(element.value) : [];
+    const [recipientVersion, issuerAndSerialNumber, algorithm, encryptedKey] = parts;
+    assertVersion(recipientVersion, 'RecipientInfo');
+    if (issuerAndSerialNumber?.tag !== ASN1.SEQUENCE || encryptedKey?.tag !== ASN1.OCTET_STRING
+      || parts.length !== 4) {
+      throw new FormatError('Invalid RecipientInfo structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    readAlgorithm(algorithm, [SM2_ENCRYPT_OID], 'key encryption');
+    return {
+      issuerAndSerialNumber: element.value.subarray(issuerAndSerialNumber.start, issuerAndSerialNumber.end),
+      encryptedKey: decodeCiphertext(encryptedKey.value, CIPHERTEXT_MODES.DER)
+    };
+  });
+  if (recipientInfos.length === 0) {
+    throw new FormatError('EnvelopedData has no recipients', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  // contentType, contentEncryptionAlgorithm, encryptedContent, sharedInfo1, sharedInfo2
+  const [contentType, algorithm, encryptedContent] = readDERElements(encryptedContentInfo.value);
+  if (contentType?.tag !== ASN1.OBJECT_IDENTIFIER || !contentType.value.equals(DATA_OID)) {
+    throw new FormatError('Unsupported EnvelopedData content type', { code: ErrorCodes.ERR_FORMAT_OID });
+  }
+  const iv = readAlgorithm(algorithm, [SM4_CBC_OID], 'content encryption');
+  const ivElement = readDERElement(iv, 0, ASN1.OCTET_STRING);
+  if (ivElement.end !== iv.length || ivElement.value.length !== SM4_BLOCK_SIZE) {
+    throw new FormatError('Invalid SM4-CBC IV', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  if (encryptedContent?.tag !== TAGS.ENCRYPTED_CONTENT) {
+    throw new FormatError('EnvelopedData has no encrypted content', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  return {
+    recipientInfos,
+    iv: ivElement.value,
+    encryptedContent: encryptedContent.value
+  };
+}
@@ -0,0 +1,107 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview JSON Canonicalization Scheme (RFC 8785)
+ *
+ * This module serializes JSON values into their canonical form so that
+ * logically equal documents hash to the same bytes. It is the
+ * transformation step of the sm2-jcs-2023 cryptosuite.
+ *
+ * Canonical Form:
+ * - No insignificant whitespace
+ * - Object members sorted by the UTF-16 code units of their names
+ * - Numbers serialized as ECMAScript Number.prototype.toString
+ * - Strings escaped with the minimal JSON escape set
+ *
+ * Input Handling:
+ * - Values are first treated as JSON.stringify would treat them
+ *   (toJSON is honoured, undefined members are dropped)
+ * - Non-finite numbers, BigInt values and lone surrogates are rejected
+ *
+ * Usage Example:
+ * ```javascript
+ * import { canonicalize } from './jcs.js';
+ *
+ * canonicalize({ b: [1, 2.50, '€'], a: null });
+ * // '{"a":null,"b":[1,2.5,"€"]}'
+ * ```
+ *
+ * @module formats/jcs
+ * @see {@link https://www.rfc-editor.org/rfc/rfc8785|RFC 8785}
+ */
+
+import { FormatError, ErrorCodes } from '../core/errors.js';
+
+// Matches an unpaired UTF-16 surrogate, which I-JSON does not allow
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function serializeString(value) {
+  if (LONE_SURROGATE.test(value)) {
+    throw new FormatError('String contains a lone surrogate', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+  // JSON.stringify already uses the RFC 8785 escape rules for well-formed strings
+  return JSON.stringify(value);
+}
+
+function serialize(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new FormatError('Number must be finite', { code: ErrorCodes.ERR_FORMAT_VALUE });
+      }
+      return JSON.stringify(value);
+    case 'string':
+      return serializeString(value);
+    case 'object':
+      break;
+    default:
+      throw new FormatError(`Cannot canonicalize a value of type ${typeof value}`, {
+        code: ErrorCodes.ERR_FORMAT_TYPE
+      });
+  }
+
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(item =>
+      item === undefined || typeof item === 'function' || typeof item === 'symbol' ? 'null' : serialize(item));
+    return `[${items.join(',')}]`;
+  }
+
+  // Default string comparison orders by UTF-16 code units, as RFC 8785 requires
+  const members = [];
+  for (const name of Object.keys(value).sort()) {
+    const member = value[name];
+    if (member === undefined || typeof member === 'function' || typeof member === 'symbol') {
+      continue;
+    }
+    members.push(`${serializeString(name)}:${serialize(member)}`);
+  }
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * Canonicalize a JSON value (RFC 8785)
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ * @throws {FormatError} If the value cannot be represented in I-JSON
+ *
+ * @example
+ * ```javascript
+ * const bytes = new TextEncoder().encode(canonicalize(document));
+ * ```
+ */
+export function canonicalize(value) {
+  return serialize(value);
+}
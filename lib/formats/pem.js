@@ -0,0 +1,365 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview PEM and DER Key Encodings
+ *
+ * This module converts SM2 key pairs to and from the DER structures and
+ * PEM armor used by OpenSSL, GmSSL and most PKI tooling. It sits on top of
+ * the ASN.1 helpers in utils/key-der.js and utils/key-validator.js and
+ * adds format detection, PEM armor and key pair consistency checks.
+ *
+ * Supported Formats:
+ * ```
+ * | Format | Structure                   | PEM label                        |
+ * | spki   | SubjectPublicKeyInfo        | PUBLIC KEY                       |
+ * | pkcs8  | PrivateKeyInfo (RFC 5208)   | PRIVATE KEY                      |
+ * | sec1   | ECPrivateKey (RFC 5915)     | EC PRIVATE KEY / SM2 PRIVATE KEY |
+ * | sm2-public-key  | SM2PublicKey (GM/T 0009)  | (DER only)              |
+ * | sm2-private-key | SM2PrivateKey (GM/T 0009) | (DER only)              |
+ * ```
+ *
+ * Keys are written with id-ecPublicKey and the SM2 named curve, as
+ * OpenSSL does. On import the SM2 OID (1.2.156.10197.1.301) is also
+ * accepted as the algorithm itself.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { keyFromPem, keyToPem } from './pem.js';
+ *
+ * const { publicKey, secretKey } = keyFromPem(pemText);
+ * const pem = keyToPem({ keyPair: { publicKey, secretKey }, format: 'pkcs8' });
+ * ```
+ *
+ * Standards Compliance:
+ * - RFC 7468: Textual Encodings of PKIX Structures
+ * - RFC 5480: Elliptic Curve Cryptography Subject Public Key Information
+ * - RFC 5208 / RFC 5958: PKCS#8 Private Key Information
+ * - RFC 5915: Elliptic Curve Private Key Structure
+ * - GM/T 0009-2012: SM2 Cryptography Algorithm Application Specification
+ * - GM/T 0010-2012: SM2 Cryptography Message Syntax
+ *
+ * @module formats/pem
+ */
+
+import { FormatError, ArgumentError, KeyError, ErrorCodes } from '../core/errors.js';
+import { isValidBinaryData, toBuffer } from '../utils/binary.js';
+import { ASN1, readDERElement } from './der.js';
+import { parsePublicKeyDER, parsePrivateKeyDER, parseECPrivateKeyDER } from '../utils/key-der.js';
+import { publicKeyToDER, secretKeyToDER, secretKeyToSec1DER } from '../utils/key-validator.js';
+import { decodePoint, getPublicKey } from '../crypto/sm2.js';
+import {
+  encodeSM2PublicKey,
+  decodeSM2PublicKey,
+  encodeSM2PrivateKey,
+  decodeSM2PrivateKey
+} from './gmt0009.js';
+
+/**
+ * Supported key encodings
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const KEY_FORMATS = Object.freeze({
+  SPKI: 'spki',
+  PKCS8: 'pkcs8',
+  SEC1: 'sec1',
+  SM2_PUBLIC_KEY: 'sm2-public-key',
+  SM2_PRIVATE_KEY: 'sm2-private-key'
+});
+
+/**
+ * PEM labels written for each key encoding
+ *
+ * @private
+ * @constant {Object<string, string>}
+ */
+const PEM_LABELS = {
+  [KEY_FORMATS.SPKI]: 'PUBLIC KEY',
+  [KEY_FORMATS.PKCS8]: 'PRIVATE KEY',
+  [KEY_FORMATS.SEC1]: 'EC PRIVATE KEY'
+};
+
+/**
+ * PEM label of PKCS#8 EncryptedPrivateKeyInfo
+ *
+ * @constant {string}
+ */
+export const ENCRYPTED_PRIVATE_KEY_LABEL = 'ENCRYPTED PRIVATE KEY';
+
+/**
+ * PEM label of X.509 certificates
+ *
+ * @constant {string}
+ */
+export const CERTIFICATE_LABEL = 'CERTIFICATE';
+
+/**
+ * PEM label of PKCS#10 certification requests
+ *
+ * @constant {string}
+ */
+export const CERTIFICATE_REQUEST_LABEL = 'CERTIFICATE REQUEST';
+
+/**
+ * Key encodings read for each PEM label
+ *
+ * OpenSSL 3 writes SEC1 SM2 keys as `SM2 PRIVATE KEY`.
+ *
+ * @private
+ * @constant {Object<string, string>}
+ */
+const LABEL_FORMATS = {
+  'PUBLIC KEY': KEY_FORMATS.SPKI,
+  'PRIVATE KEY': KEY_FORMATS.PKCS8,
+  'EC PRIVATE KEY': KEY_FORMATS.SEC1,
+  'SM2 PRIVATE KEY': KEY_FORMATS.SEC1
+};
+
+const PEM_BLOCK = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+const LINE_LENGTH = 64;
+
+/**
+ * Check a key encoding name
+ *
+ * @param {string} format - Key encoding
+ * @throws {ArgumentError} If format is not one of KEY_FORMATS
+ */
+export function assertKeyFormat(format) {
+  if (!Object.values(KEY_FORMATS).includes(format)) {
+    throw new ArgumentError(`Invalid key format: ${format}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+/**
+ * Wrap DER data in PEM armor
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded data
+ * @param {string} label - PEM label, e.g. 'PUBLIC KEY'
+ * @returns {string} PEM text with 64-character lines and a final newline
+ * @throws {ArgumentError} If der or label is invalid
+ *
+ * @example
+ * ```javascript
+ * encodePem(spkiDer, 'PUBLIC KEY');
+ * // '-----BEGIN PUBLIC KEY-----\nMFkwEwYHKoZIzj0CAQYIKoEcz1UBgi0DQgAE...'
+ * ```
+ */
+export function encodePem(der, label) {
+  if (!isValidBinaryData(der)) {
+    throw new ArgumentError('DER data must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  if (typeof label !== 'string' || !/^[A-Z0-9 ]+$/.test(label)) {
+    throw new ArgumentError('PEM label must be upper case text', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const base64 = toBuffer(der).toString('base64');
+  const lines = [];
+  for (let i = 0; i < base64.length; i += LINE_LENGTH) {
+    lines.push(base64.slice(i, i + LINE_LENGTH));
+  }
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Read every PEM block in a text
+ *
+ * Text outside the blocks, such as the `openssl` text dump before a
+ * certificate, is ignored. Blocks with RFC 1421 headers (legacy
+ * `Proc-Type: 4,ENCRYPTED` keys) are rejected.
+ *
+ * @param {string} pem - PEM text
+ * @returns {Array<{label: string, der: Buffer}>} Blocks in document order
+ * @throws {ArgumentError} If pem is not a string
+ * @throws {FormatError} If there is no block or a block is not valid base64
+ *
+ * @example
+ * ```javascript
+ * const [{ label, der }] = decodePem(pemText);
+ * console.log(label); // 'PUBLIC KEY'
+ * ```
+ */
+export function decodePem(pem) {
+  if (typeof pem !== 'string') {
+    throw new ArgumentError('PEM must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const blocks = [];
+  for (const [, label, body] of pem.matchAll(PEM_BLOCK)) {
+    if (body.includes(':')) {
+      throw new FormatError(`Unsupported PEM headers in ${label}`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    const base64 = body.replace(/\s+/g, '');
+    if (!base64 || base64.length % 4 !== 0 || !BASE64.test(base64)) {
+      throw new FormatError(`Invalid base64 in ${label}`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    blocks.push({ label, der: Buffer.from(base64, 'base64') });
+  }
+
+  if (blocks.length === 0) {
+    throw new FormatError('No PEM block found', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return blocks;
+}
+
+/**
+ * Guess the encoding of a DER key
+ *
+ * The GM/T 0009 structures are a bare BIT STRING (SM2PublicKey) or
+ * INTEGER (SM2PrivateKey). The others are SEQUENCEs that differ in
+ * their first two fields: SubjectPublicKeyInfo starts with a SEQUENCE,
+ * ECPrivateKey with INTEGER 1 and an OCTET STRING, PrivateKeyInfo with
+ * an INTEGER and a SEQUENCE.
+ *
+ * @private
+ * @param {Buffer} der - DER encoded key
+ * @returns {string} One of KEY_FORMATS
+ * @throws {FormatError} If der is not a key structure
+ */
+function detectKeyFormat(der) {
+  if (der[0] === ASN1.BIT_STRING) {
+    return KEY_FORMATS.SM2_PUBLIC_KEY;
+  }
+  if (der[0] === ASN1.INTEGER) {
+    return KEY_FORMATS.SM2_PRIVATE_KEY;
+  }
+  const { value } = readDERElement(der, 0, ASN1.SEQUENCE);
+  const first = readDERElement(value, 0);
+  if (first.tag === ASN1.SEQUENCE) {
+    return KEY_FORMATS.SPKI;
+  }
+  const second = readDERElement(value, first.end);
+  return second.tag === ASN1.OCTET_STRING ? KEY_FORMATS.SEC1 : KEY_FORMATS.PKCS8;
+}
+
+/**
+ * Import a key pair from DER
+ *
+ * Public keys are checked against the curve equation. For private keys
+ * the public key is derived from the private scalar; an embedded public
+ * key must match it.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded key
+ * @param {string} [format] - One of KEY_FORMATS; detected when omitted
+ * @returns {{publicKey: Buffer, secretKey: (Buffer|undefined)}} 64-byte
+ *   public key and, for private key formats, 32-byte private key
+ * @throws {ArgumentError} If der or format is invalid
+ * @throws {FormatError} If der is not an SM2 key in the given format
+ * @throws {KeyError} If the embedded public key does not match the private key
+ */
+export function keyFromDer(der, format) {
+  if (!isValidBinaryData(der)) {
+    throw new ArgumentError('DER data must be a Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  const buffer = toBuffer(der);
+  if (format === undefined) {
+    format = detectKeyFormat(buffer);
+  }
+  assertKeyFormat(format);
+
+  if (format === KEY_FORMATS.SPKI || format === KEY_FORMATS.SM2_PUBLIC_KEY) {
+    const publicKey = format === KEY_FORMATS.SPKI
+      ? Buffer.from(parsePublicKeyDER(buffer))
+      : decodeSM2PublicKey(buffer);
+    decodePoint(publicKey);
+    return { publicKey, secretKey: undefined };
+  }
+
+  let parsed;
+  if (format === KEY_FORMATS.PKCS8) {
+    parsed = parsePrivateKeyDER(buffer);
+  } else if (format === KEY_FORMATS.SEC1) {
+    parsed = parseECPrivateKeyDER(buffer);
+  } else {
+    parsed = { secretKey: decodeSM2PrivateKey(buffer) };
+  }
+  const secretKey = Buffer.from(parsed.secretKey);
+  const publicKey = getPublicKey(secretKey);
+  if (parsed.publicKey && !publicKey.equals(parsed.publicKey)) {
+    throw new KeyError('Public key does not match the private key', { code: ErrorCodes.ERR_KEY_PAIR });
+  }
+  return { publicKey, secretKey };
+}
+
+/**
+ * Export a key pair as DER
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.keyPair - Key pair with a 64-byte publicKey and
+ *   optional 32-byte secretKey
+ * @param {string} [options.format='spki'] - One of KEY_FORMATS
+ * @returns {Buffer} DER encoded key
+ * @throws {ArgumentError} If the format is invalid
+ * @throws {KeyError} If a required key is missing
+ */
+export function keyToDer({ keyPair, format = KEY_FORMATS.SPKI } = {}) {
+  assertKeyFormat(format);
+  const publicKey = keyPair?.publicKey;
+  if (!isValidBinaryData(publicKey) || publicKey.length !== 64) {
+    throw new KeyError('No public key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+  }
+  const x = publicKey.subarray(0, 32);
+  const y = publicKey.subarray(32, 64);
+
+  if (format === KEY_FORMATS.SPKI) {
+    return toBuffer(publicKeyToDER(x, y));
+  }
+  if (format === KEY_FORMATS.SM2_PUBLIC_KEY) {
+    return encodeSM2PublicKey(publicKey);
+  }
+  if (!keyPair.secretKey) {
+    throw new KeyError('No private key available', { code: ErrorCodes.ERR_KEY_NOT_FOUND });
+  }
+  if (format === KEY_FORMATS.SM2_PRIVATE_KEY) {
+    return encodeSM2PrivateKey(keyPair.secretKey);
+  }
+  const encode = format === KEY_FORMATS.PKCS8 ? secretKeyToDER : secretKeyToSec1DER;
+  return toBuffer(encode(keyPair.secretKey, x, y));
+}
+
+/**
+ * Import a key pair from PEM
+ *
+ * The first block with a key label is used, so `openssl ecparam -genkey`
+ * output with a leading `EC PARAMETERS` block is accepted.
+ *
+ * @param {string} pem - PEM text
+ * @returns {{publicKey: Buffer, secretKey: (Buffer|undefined)}} Key pair
+ * @throws {ArgumentError} If pem is not a string
+ * @throws {FormatError} If no supported key block is found or it is invalid
+ * @throws {KeyError} If the embedded public key does not match the private key
+ */
+export function keyFromPem(pem) {
+  const blocks = decodePem(pem);
+  const block = blocks.find(({ label }) => LABEL_FORMATS[label]);
+  if (!block) {
+    if (blocks.some(({ label }) => label === ENCRYPTED_PRIVATE_KEY_LABEL)) {
+      throw new FormatError('PEM holds an encrypted private key; use fromEncryptedPem', {
+        code: ErrorCodes.ERR_FORMAT_INVALID
+      });
+    }
+    throw new FormatError('No SM2 key found in PEM', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return keyFromDer(block.der, LABEL_FORMATS[block.label]);
+}
+
+/**
+ * Export a key pair as PEM
+ *
+ * @param {Object} options - Options, as for keyToDer
+ * @param {Object} options.keyPair - Key pair
+ * @param {string} [options.format='spki'] - One of KEY_FORMATS
+ * @returns {string} PEM text
+ * @throws {ArgumentError} If the format is invalid or has no PEM label
+ * @throws {KeyError} If a required key is missing
+ */
+export function keyToPem({ keyPair, format = KEY_FORMATS.SPKI } = {}) {
+  assertKeyFormat(format);
+  if (!PEM_LABELS[format]) {
+    throw new ArgumentError(`Key format ${format} has no PEM encoding`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  return encodePem(keyToDer({ keyPair, format }), PEM_LABELS[format]);
+}
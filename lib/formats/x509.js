@@ -0,0 +1,934 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview X.509 Certificates and PKCS#10 Requests
+ *
+ * This module parses SM2 X.509 certificates (RFC 5280 profile, signed
+ * with SM2-with-SM3 as specified in GM/T 0015) into the parts needed to
+ * verify them and the metadata applications usually look at: names,
+ * validity and key usage. It also builds the to-be-signed parts of
+ * certificates and certification requests. Signing and verification
+ * are done by SM2Multikey with the crypto backend.
+ *
+ * Structure:
+ * ```asn1
+ * Certificate ::= SEQUENCE {
+ *   tbsCertificate     TBSCertificate,
+ *   signatureAlgorithm AlgorithmIdentifier, -- SM2-with-SM3
+ *   signatureValue     BIT STRING           -- SM2Signature
+ * }
+ *
+ * TBSCertificate ::= SEQUENCE {
+ *   version              [0] EXPLICIT INTEGER DEFAULT v1,
+ *   serialNumber         INTEGER,
+ *   signature            AlgorithmIdentifier,
+ *   issuer               Name,
+ *   validity             SEQUENCE { notBefore Time, notAfter Time },
+ *   subject              Name,
+ *   subjectPublicKeyInfo SubjectPublicKeyInfo,
+ *   issuerUniqueID       [1] IMPLICIT BIT STRING OPTIONAL,
+ *   subjectUniqueID      [2] IMPLICIT BIT STRING OPTIONAL,
+ *   extensions           [3] EXPLICIT SEQUENCE OF Extension OPTIONAL
+ * }
+ *
+ * CertificationRequest ::= SEQUENCE {
+ *   certificationRequestInfo SEQUENCE {
+ *     version       INTEGER { v1(0) },
+ *     subject       Name,
+ *     subjectPKInfo SubjectPublicKeyInfo,
+ *     attributes    [0] IMPLICIT SET OF Attribute -- extensionRequest
+ *   },
+ *   signatureAlgorithm AlgorithmIdentifier,
+ *   signature          BIT STRING
+ * }
+ * ```
+ *
+ * Names are returned in certificate order as `{ type, oid, value }`
+ * attributes, together with an OpenSSL style one-line text form
+ * (`C=CN, O=Example, CN=Alice`, with `\\` and `,` escaped by a
+ * backslash). Either form is accepted when encoding.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { parseCertificate, encodeTBSCertificate, encodeSignedData } from './x509.js';
+ *
+ * const { subject, validity, keyUsage } = parseCertificate(der);
+ *
+ * const tbs = encodeTBSCertificate({ serialNumber, issuer, subject, ... });
+ * const signature = await key.signer({ signatureFormat: 'der' }).sign({ data: tbs });
+ * const certificate = encodeSignedData(tbs, signature);
+ * ```
+ *
+ * Standards Compliance:
+ * - RFC 5280: Internet X.509 PKI Certificate and CRL Profile
+ * - RFC 2986: PKCS #10 Certification Request Syntax
+ * - GM/T 0015-2012: SM2 Based Digital Certificate Format
+ *
+ * @module formats/x509
+ */
+
+import { FormatError, ArgumentError, ErrorCodes } from '../core/errors.js';
+import { isValidBinaryData, toBuffer } from '../utils/binary.js';
+import { decodeSM2Signature } from './gmt0009.js';
+import {
+  ASN1,
+  encodeDERSequence,
+  encodeDEROID,
+  encodeDERInteger,
+  encodeDEROctetString,
+  encodeDERBitString,
+  encodeDERElement,
+  encodeDEROIDValue,
+  readDERElement,
+  readDERElements,
+  decodeDEROID
+} from './der.js';
+
+/**
+ * SM2-with-SM3 signature algorithm (1.2.156.10197.1.501)
+ *
+ * @constant {Buffer}
+ */
+export const SM2_WITH_SM3_OID = Buffer.from('2a811ccf55018375', 'hex');
+
+/**
+ * PKCS#9 extensionRequest attribute (1.2.840.113549.1.9.14)
+ *
+ * @private
+ * @constant {string}
+ */
+const EXTENSION_REQUEST_OID = '1.2.840.113549.1.9.14';
+
+/**
+ * Encoded SM2-with-SM3 AlgorithmIdentifier, without parameters as
+ * OpenSSL and GmSSL write it
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const SM2_WITH_SM3_ALGORITHM = encodeDERSequence([encodeDEROID(SM2_WITH_SM3_OID)]);
+
+/**
+ * Largest serial number length allowed by RFC 5280
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_SERIAL_LENGTH = 20;
+
+/**
+ * Tags of the X.509 types not in der.js ASN1
+ *
+ * @private
+ * @enum {number}
+ */
+const TAGS = {
+  BOOLEAN: 0x01,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  TELETEX_STRING: 0x14,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  BMP_STRING: 0x1e,
+  SET: 0x31,
+  ISSUER_UNIQUE_ID: 0x81,
+  SUBJECT_UNIQUE_ID: 0x82,
+  EXTENSIONS: 0xa3
+};
+
+/**
+ * Short names of common name attributes
+ *
+ * @private
+ * @constant {Object<string, string>}
+ */
+const ATTRIBUTE_NAMES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.4': 'SN',
+  '2.5.4.5': 'serialNumber',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.9': 'street',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '2.5.4.12': 'title',
+  '2.5.4.42': 'GN',
+  '1.2.840.113549.1.9.1': 'emailAddress',
+  '0.9.2342.19200300.100.1.1': 'UID',
+  '0.9.2342.19200300.100.1.25': 'DC'
+};
+
+/**
+ * KeyUsage bit names, in bit order
+ *
+ * @private
+ * @constant {string[]}
+ */
+const KEY_USAGES = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly'
+];
+
+/**
+ * Names of common extended key usages
+ *
+ * @private
+ * @constant {Object<string, string>}
+ */
+const EXTENDED_KEY_USAGES = {
+  '1.3.6.1.5.5.7.3.1': 'serverAuth',
+  '1.3.6.1.5.5.7.3.2': 'clientAuth',
+  '1.3.6.1.5.5.7.3.3': 'codeSigning',
+  '1.3.6.1.5.5.7.3.4': 'emailProtection',
+  '1.3.6.1.5.5.7.3.8': 'timeStamping',
+  '1.3.6.1.5.5.7.3.9': 'OCSPSigning'
+};
+
+/**
+ * Extensions decoded into metadata and accepted when encoding
+ *
+ * @private
+ * @enum {string}
+ */
+const EXTENSION_OIDS = {
+  SUBJECT_KEY_IDENTIFIER: '2.5.29.14',
+  KEY_USAGE: '2.5.29.15',
+  BASIC_CONSTRAINTS: '2.5.29.19',
+  EXTENDED_KEY_USAGE: '2.5.29.37',
+  AUTHORITY_KEY_IDENTIFIER: '2.5.29.35'
+};
+
+/**
+ * Attribute OIDs by short name, for encoding names
+ *
+ * @private
+ * @constant {Object<string, string>}
+ */
+const ATTRIBUTE_TYPES = Object.fromEntries(Object.entries(ATTRIBUTE_NAMES).map(([oid, type]) => [type, oid]));
+
+/**
+ * Extended key usage OIDs by name
+ *
+ * @private
+ * @constant {Object<string, string>}
+ */
+const EXTENDED_KEY_USAGE_OIDS = Object.fromEntries(
+  Object.entries(EXTENDED_KEY_USAGES).map(([oid, usage]) => [usage, oid])
+);
+
+/**
+ * Attributes RFC 5280 requires as PrintableString (countryName,
+ * serialNumber) or IA5String (emailAddress, domainComponent); all other
+ * attributes are written as UTF8String
+ *
+ * @private
+ * @constant {Object<string, number>}
+ */
+const ATTRIBUTE_STRING_TAGS = {
+  '2.5.4.5': TAGS.PRINTABLE_STRING,
+  '2.5.4.6': TAGS.PRINTABLE_STRING,
+  '1.2.840.113549.1.9.1': TAGS.IA5_STRING,
+  '0.9.2342.19200300.100.1.25': TAGS.IA5_STRING
+};
+
+/**
+ * Characters allowed in each restricted string type
+ *
+ * @private
+ * @constant {Object<number, RegExp>}
+ */
+const STRING_CHARACTERS = {
+  [TAGS.PRINTABLE_STRING]: /^[A-Za-z0-9 '()+,\-./:=?]+$/,
+  [TAGS.IA5_STRING]: /^[\x00-\x7f]+$/
+};
+
+/**
+ * DER BOOLEAN TRUE, used for critical extensions and CA flags
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const DER_TRUE = Buffer.from([TAGS.BOOLEAN, 0x01, 0xff]);
+
+/**
+ * Decode a directory string
+ *
+ * @private
+ * @param {{tag: number, value: Buffer}} element - String element
+ * @returns {string} Decoded text
+ * @throws {FormatError} If the string type is not supported
+ */
+function readString({ tag, value }) {
+  switch (tag) {
+    case TAGS.UTF8_STRING:
+      return value.toString('utf8');
+    case TAGS.PRINTABLE_STRING:
+    case TAGS.IA5_STRING:
+    case TAGS.TELETEX_STRING:
+      return value.toString('latin1');
+    case TAGS.BMP_STRING:
+      return Buffer.from(value).swap16().toString('utf16le');
+    default:
+      throw new FormatError(`Unsupported string type 0x${tag.toString(16)}`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+}
+
+/**
+ * Decode a Name
+ *
+ * @private
+ * @param {Buffer} value - Name SEQUENCE contents
+ * @returns {{text: string, attributes: Array<{type: string, oid: string, value: string}>}} Name
+ */
+function readName(value) {
+  const attributes = [];
+  for (const rdn of readDERElements(value)) {
+    if (rdn.tag !== TAGS.SET) {
+      throw new FormatError('Invalid name', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    for (const attribute of readDERElements(rdn.value)) {
+      const type = readDERElement(attribute.value, 0, ASN1.OBJECT_IDENTIFIER);
+      const oid = decodeDEROID(type.value);
+      attributes.push({
+        type: ATTRIBUTE_NAMES[oid] ?? oid,
+        oid,
+        value: readString(readDERElement(attribute.value, type.end))
+      });
+    }
+  }
+  return {
+    text: attributes.map(({ type, value }) => `${type}=${value.replace(/[\\,]/g, '\\$&')}`).join(', '),
+    attributes
+  };
+}
+
+/**
+ * Decode a UTCTime or GeneralizedTime
+ *
+ * @private
+ * @param {{tag: number, value: Buffer}} element - Time element
+ * @returns {Date} Time
+ * @throws {FormatError} If the time is not in the RFC 5280 form
+ */
+function readTime({ tag, value }) {
+  const text = value.toString('latin1');
+  let match;
+  if (tag === TAGS.UTC_TIME && (match = /^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)Z$/.exec(text))) {
+    // RFC 5280: two-digit years 50-99 are 19xx
+    const year = Number(match[1]);
+    match[1] = String(year >= 50 ? 1900 + year : 2000 + year);
+  } else if (tag !== TAGS.GENERALIZED_TIME || !(match = /^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)Z$/.exec(text))) {
+    throw new FormatError('Invalid certificate time', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Read an AlgorithmIdentifier and require SM2-with-SM3
+ *
+ * @private
+ * @param {Buffer} value - AlgorithmIdentifier contents
+ * @throws {FormatError} If the algorithm is not SM2-with-SM3
+ */
+function assertSM2WithSM3(value) {
+  const oid = readDERElement(value, 0, ASN1.OBJECT_IDENTIFIER);
+  if (!oid.value.equals(SM2_WITH_SM3_OID)) {
+    throw new FormatError(`Unsupported signature algorithm ${decodeDEROID(oid.value)}`, {
+      code: ErrorCodes.ERR_FORMAT_OID
+    });
+  }
+}
+
+/**
+ * Decode the extensions the metadata exposes
+ *
+ * @private
+ * @param {Buffer} value - Extensions SEQUENCE contents
+ * @returns {Object} Raw extensions and decoded known ones
+ */
+function readExtensions(value) {
+  const result = {
+    extensions: [],
+    keyUsage: null,
+    extendedKeyUsage: null,
+    basicConstraints: null,
+    subjectKeyIdentifier: null,
+    authorityKeyIdentifier: null
+  };
+
+  for (const extension of readDERElements(value)) {
+    const id = readDERElement(extension.value, 0, ASN1.OBJECT_IDENTIFIER);
+    let next = readDERElement(extension.value, id.end);
+    let critical = false;
+    if (next.tag === TAGS.BOOLEAN) {
+      critical = next.value[0] !== 0;
+      next = readDERElement(extension.value, next.end);
+    }
+    if (next.tag !== ASN1.OCTET_STRING || next.end !== extension.value.length) {
+      throw new FormatError('Invalid certificate extension', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    const oid = decodeDEROID(id.value);
+    const content = next.value;
+    result.extensions.push({ oid, critical, value: content });
+
+    if (oid === EXTENSION_OIDS.KEY_USAGE) {
+      const bits = readDERElement(content, 0, ASN1.BIT_STRING).value;
+      result.keyUsage = KEY_USAGES.filter((_, bit) => (bits[1 + (bit >> 3)] ?? 0) & (0x80 >> (bit & 7)));
+    } else if (oid === EXTENSION_OIDS.EXTENDED_KEY_USAGE) {
+      result.extendedKeyUsage = readDERElements(readDERElement(content, 0, ASN1.SEQUENCE).value).map((element) => {
+        const usage = decodeDEROID(element.value);
+        return EXTENDED_KEY_USAGES[usage] ?? usage;
+      });
+    } else if (oid === EXTENSION_OIDS.BASIC_CONSTRAINTS) {
+      const fields = readDERElements(readDERElement(content, 0, ASN1.SEQUENCE).value);
+      const ca = fields[0]?.tag === TAGS.BOOLEAN && fields[0].value[0] !== 0;
+      const pathLength = fields.find((field) => field.tag === ASN1.INTEGER);
+      result.basicConstraints = {
+        ca,
+        pathLength: pathLength ? pathLength.value.reduce((n, byte) => n * 256 + byte, 0) : null
+      };
+    } else if (oid === EXTENSION_OIDS.SUBJECT_KEY_IDENTIFIER) {
+      result.subjectKeyIdentifier = readDERElement(content, 0, ASN1.OCTET_STRING).value.toString('hex');
+    } else if (oid === EXTENSION_OIDS.AUTHORITY_KEY_IDENTIFIER) {
+      const keyId = readDERElements(readDERElement(content, 0, ASN1.SEQUENCE).value).find((field) => field.tag === 0x80);
+      result.authorityKeyIdentifier = keyId ? keyId.value.toString('hex') : null;
+    }
+  }
+  return result;
+}
+
+/**
+ * Read a signed structure (certificate or certification request)
+ *
+ * @private
+ * @param {Buffer|Uint8Array} der - DER encoded structure
+ * @param {string} name - Structure name for error messages
+ * @returns {{signed: Buffer, contents: Buffer, algorithm: Buffer, fields: Array, signature: Buffer}}
+ *   Signed element and its contents, AlgorithmIdentifier contents, fields
+ *   of the signed element, and the 64-byte R || S signature
+ * @throws {FormatError} If der is not an SM2-with-SM3 signed structure
+ */
+function readSigned(der, name) {
+  if (!isValidBinaryData(der)) {
+    throw new FormatError(`${name} must be a Buffer or Uint8Array`, { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+  const buffer = toBuffer(der);
+  const outer = readDERElement(buffer, 0, ASN1.SEQUENCE);
+  if (outer.end !== buffer.length) {
+    throw new FormatError(`Trailing data after ${name}`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  // signed data, signatureAlgorithm, signature
+  const signed = readDERElement(outer.value, 0, ASN1.SEQUENCE);
+  const algorithm = readDERElement(outer.value, signed.end, ASN1.SEQUENCE);
+  const signature = readDERElement(outer.value, algorithm.end, ASN1.BIT_STRING);
+  if (signature.end !== outer.value.length || signature.value[0] !== 0x00) {
+    throw new FormatError(`Invalid ${name} structure`, { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  assertSM2WithSM3(algorithm.value);
+
+  return {
+    signed: outer.value.subarray(0, signed.end),
+    contents: signed.value,
+    algorithm: algorithm.value,
+    fields: readDERElements(signed.value),
+    signature: decodeSM2Signature(signature.value.subarray(1))
+  };
+}
+
+/**
+ * Parse an SM2 X.509 certificate
+ *
+ * Only the structure is checked here; the signature is not verified.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded certificate
+ * @returns {Object} Certificate with `tbsCertificate` (signed bytes),
+ *   `signature` (64-byte R || S), `subjectPublicKeyInfo` (DER), and the
+ *   metadata fields `version`, `serialNumber` (hex), `issuer`, `subject`,
+ *   `validity` ({ notBefore, notAfter }), `keyUsage`, `extendedKeyUsage`,
+ *   `basicConstraints`, `subjectKeyIdentifier`, `authorityKeyIdentifier`
+ *   and `extensions` (all extensions as { oid, critical, value })
+ * @throws {FormatError} If der is not an SM2-with-SM3 certificate
+ *
+ * @example
+ * ```javascript
+ * const certificate = parseCertificate(der);
+ * console.log(certificate.subject.text);  // 'C=CN, O=Example, CN=Alice'
+ * ```
+ */
+export function parseCertificate(der) {
+  const { signed, contents, algorithm, fields, signature: signatureValue } = readSigned(der, 'certificate');
+
+  // TBSCertificate
+  let index = 0;
+  let version = 1;
+  if (fields[index]?.tag === ASN1.CONTEXT_SPECIFIC_0) {
+    const { value } = readDERElement(fields[index++].value, 0, ASN1.INTEGER);
+    version = value[value.length - 1] + 1;
+  }
+  const [serialNumber, signature, issuer, validity, subject, spki, ...rest] = fields.slice(index);
+  const expected = [ASN1.INTEGER, ASN1.SEQUENCE, ASN1.SEQUENCE, ASN1.SEQUENCE, ASN1.SEQUENCE, ASN1.SEQUENCE];
+  if ([serialNumber, signature, issuer, validity, subject, spki].some((field, i) => field?.tag !== expected[i])) {
+    throw new FormatError('Invalid TBSCertificate structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  if (!signature.value.equals(algorithm)) {
+    throw new FormatError('Certificate signature algorithms differ', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  const times = readDERElements(validity.value);
+  if (times.length !== 2) {
+    throw new FormatError('Invalid certificate validity', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  let extensions = readExtensions(Buffer.alloc(0));
+  for (const field of rest) {
+    if (field.tag === TAGS.EXTENSIONS) {
+      extensions = readExtensions(readDERElement(field.value, 0, ASN1.SEQUENCE).value);
+    } else if (field.tag !== TAGS.ISSUER_UNIQUE_ID && field.tag !== TAGS.SUBJECT_UNIQUE_ID) {
+      throw new FormatError('Invalid TBSCertificate structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+  }
+
+  return {
+    tbsCertificate: signed,
+    signature: signatureValue,
+    subjectPublicKeyInfo: contents.subarray(spki.start, spki.end),
+    version,
+    serialNumber: serialNumber.value.toString('hex'),
+    issuer: readName(issuer.value),
+    subject: readName(subject.value),
+    validity: {
+      notBefore: readTime(times[0]),
+      notAfter: readTime(times[1])
+    },
+    ...extensions
+  };
+}
+
+/**
+ * Encode the IssuerAndSerialNumber of a certificate
+ *
+ * GM/T 0010 and PKCS#7 name signers and recipients by the issuer name
+ * and serial number of their certificate. Both are copied byte for byte,
+ * since messages are matched to certificates on the encoding.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded certificate
+ * @returns {Buffer} DER encoded IssuerAndSerialNumber
+ * @throws {FormatError} If der is not an SM2-with-SM3 certificate
+ */
+export function encodeIssuerAndSerialNumber(der) {
+  const { contents, fields } = readSigned(der, 'certificate');
+  const [serialNumber, , issuer] = fields.slice(fields[0]?.tag === ASN1.CONTEXT_SPECIFIC_0 ? 1 : 0);
+  if (serialNumber?.tag !== ASN1.INTEGER || issuer?.tag !== ASN1.SEQUENCE) {
+    throw new FormatError('Invalid TBSCertificate structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return encodeDERSequence([
+    contents.subarray(issuer.start, issuer.end),
+    contents.subarray(serialNumber.start, serialNumber.end)
+  ]);
+}
+
+/**
+ * Parse a PKCS#10 certification request with an SM2 key
+ *
+ * Only the structure is checked here; the signature is not verified.
+ * Requested extensions are read from the extensionRequest attribute
+ * and returned like those of parseCertificate; other attributes are
+ * ignored.
+ *
+ * @param {Buffer|Uint8Array} der - DER encoded CertificationRequest
+ * @returns {Object} Request with `certificationRequestInfo` (signed
+ *   bytes), `signature` (64-byte R || S), `subjectPublicKeyInfo` (DER),
+ *   `subject`, and the extension fields of parseCertificate
+ * @throws {FormatError} If der is not an SM2-with-SM3 certification request
+ */
+export function parseCertificationRequest(der) {
+  const { signed, contents, fields, signature } = readSigned(der, 'certification request');
+
+  const [version, subject, spki, attributes] = fields;
+  const expected = [ASN1.INTEGER, ASN1.SEQUENCE, ASN1.SEQUENCE, ASN1.CONTEXT_SPECIFIC_0];
+  if (fields.length !== expected.length || fields.some((field, i) => field.tag !== expected[i])) {
+    throw new FormatError('Invalid CertificationRequestInfo structure', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  if (!version.value.equals(Buffer.from([0x00]))) {
+    throw new FormatError('Unsupported certification request version', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+
+  let extensions = readExtensions(Buffer.alloc(0));
+  for (const attribute of readDERElements(attributes.value)) {
+    const type = readDERElement(attribute.value, 0, ASN1.OBJECT_IDENTIFIER);
+    if (decodeDEROID(type.value) === EXTENSION_REQUEST_OID) {
+      const values = readDERElement(attribute.value, type.end, TAGS.SET);
+      extensions = readExtensions(readDERElement(values.value, 0, ASN1.SEQUENCE).value);
+    }
+  }
+
+  return {
+    certificationRequestInfo: signed,
+    signature,
+    subjectPublicKeyInfo: contents.subarray(spki.start, spki.end),
+    subject: readName(subject.value),
+    ...extensions
+  };
+}
+
+/**
+ * Split a one-line name into attributes
+ *
+ * @private
+ * @param {string} text - Name such as 'C=CN, O=Example, CN=Alice'
+ * @returns {Array<{type: string, value: string}>} Attributes
+ * @throws {ArgumentError} If a component has no type
+ */
+function parseNameText(text) {
+  const parts = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      parts[parts.length - 1] += text[++i];
+    } else if (text[i] === ',') {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += text[i];
+    }
+  }
+  return parts.map((part) => {
+    const separator = part.indexOf('=');
+    if (separator < 1) {
+      throw new ArgumentError(`Invalid name component "${part.trim()}"`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    return { type: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() };
+  });
+}
+
+/**
+ * Convert a dotted OID argument, reporting bad input as ArgumentError
+ *
+ * @private
+ * @param {string} oid - Dotted OID
+ * @param {string} name - Name for error messages
+ * @returns {Buffer} Encoded OBJECT IDENTIFIER
+ * @throws {ArgumentError} If oid is not a dotted OID
+ */
+function encodeOIDArgument(oid, name) {
+  try {
+    return encodeDEROID(encodeDEROIDValue(oid));
+  } catch (error) {
+    throw new ArgumentError(`Unknown ${name} ${oid}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID, cause: error });
+  }
+}
+
+/**
+ * Encode a Name
+ *
+ * Each attribute becomes its own RDN, in the order given. Attribute
+ * types are short names (`CN`, `O`, `C`, ...) or dotted OIDs.
+ *
+ * @param {string|Array<{type: string, value: string}>|{attributes: Array}} name -
+ *   One-line text, attribute list, or a name returned by parseCertificate
+ * @returns {Buffer} DER encoded Name
+ * @throws {ArgumentError} If the name is empty or an attribute is invalid
+ *
+ * @example
+ * ```javascript
+ * encodeName('C=CN, O=Example, CN=Alice');
+ * encodeName([{ type: 'CN', value: '张三' }]);
+ * ```
+ */
+export function encodeName(name) {
+  const attributes = typeof name === 'string' ? parseNameText(name) : Array.isArray(name) ? name : name?.attributes;
+  if (!Array.isArray(attributes) || attributes.length === 0) {
+    throw new ArgumentError('Name must be a non-empty string or attribute list', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  return encodeDERSequence(attributes.map(({ type, oid = ATTRIBUTE_TYPES[type] ?? type, value } = {}) => {
+    const tag = ATTRIBUTE_STRING_TAGS[oid] ?? TAGS.UTF8_STRING;
+    if (typeof value !== 'string' || !value || (STRING_CHARACTERS[tag] && !STRING_CHARACTERS[tag].test(value))) {
+      throw new ArgumentError(`Invalid value for name attribute ${type ?? oid}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    return encodeDERElement(TAGS.SET, encodeDERSequence([
+      encodeOIDArgument(oid, 'name attribute'),
+      encodeDERElement(tag, Buffer.from(value, 'utf8'))
+    ]));
+  }));
+}
+
+/**
+ * Encode a certificate time: UTCTime through 2049, GeneralizedTime after
+ * (RFC 5280 section 4.1.2.5). Milliseconds are dropped.
+ *
+ * @private
+ * @param {Date} date - Time
+ * @param {string} name - Name for error messages
+ * @returns {Buffer} DER encoded time
+ * @throws {ArgumentError} If date is not a valid Date between years 0 and 9999
+ */
+function encodeTime(date, name) {
+  const year = date instanceof Date ? date.getUTCFullYear() : NaN;
+  if (!(year >= 0 && year <= 9999)) {
+    throw new ArgumentError(`${name} must be a valid Date`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  // 'YYYY-MM-DDTHH:MM:SS.sssZ' -> 'YYYYMMDDHHMMSSZ'
+  const text = date.toISOString().replace(/[-:T]|\.\d+/g, '');
+  return year >= 1950 && year < 2050
+    ? encodeDERElement(TAGS.UTC_TIME, Buffer.from(text.slice(2), 'latin1'))
+    : encodeDERElement(TAGS.GENERALIZED_TIME, Buffer.from(text, 'latin1'));
+}
+
+/**
+ * Convert a hex string or bytes argument to a Buffer
+ *
+ * @private
+ * @param {string|Buffer|Uint8Array} value - Hex string or bytes
+ * @param {string} name - Name for error messages
+ * @returns {Buffer} Bytes
+ * @throws {ArgumentError} If value is neither non-empty hex nor bytes
+ */
+function bytesOf(value, name) {
+  if (typeof value === 'string' && /^([0-9a-f]{2})+$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  if (isValidBinaryData(value) && value.length > 0) {
+    return toBuffer(value);
+  }
+  throw new ArgumentError(`${name} must be a hex string, Buffer or Uint8Array`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+}
+
+/**
+ * Encode a certificate serial number
+ *
+ * @private
+ * @param {string|number|bigint|Buffer|Uint8Array} serialNumber - Positive
+ *   integer, as hex string, bytes, number or bigint
+ * @returns {Buffer} DER encoded INTEGER
+ * @throws {ArgumentError} If the serial is not positive or longer than 20 bytes
+ */
+function encodeSerialNumber(serialNumber) {
+  let value = serialNumber;
+  if ((typeof value === 'number' && Number.isSafeInteger(value)) || typeof value === 'bigint') {
+    const hex = value.toString(16);
+    value = value > 0 ? hex.padStart(hex.length + (hex.length & 1), '0') : null;
+  }
+  const encoded = encodeDERInteger(bytesOf(value, 'serial'));
+  const { value: magnitude } = readDERElement(encoded, 0, ASN1.INTEGER);
+  if (magnitude.every((byte) => byte === 0) || magnitude.length > MAX_SERIAL_LENGTH) {
+    throw new ArgumentError(`serial must be a positive integer of at most ${MAX_SERIAL_LENGTH} bytes`, {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+  return encoded;
+}
+
+/**
+ * Encode one Extension
+ *
+ * @private
+ * @param {string} oid - Extension OID
+ * @param {boolean} critical - Criticality
+ * @param {Buffer} value - DER encoded extension value
+ * @returns {Buffer} DER encoded Extension
+ */
+function encodeExtension(oid, critical, value) {
+  return encodeDERSequence([
+    encodeDEROID(encodeDEROIDValue(oid)),
+    ...(critical ? [DER_TRUE] : []),
+    encodeDEROctetString(value)
+  ]);
+}
+
+/**
+ * Encode the supported extensions
+ *
+ * basicConstraints and keyUsage are marked critical, as RFC 5280
+ * recommends for CA certificates; the others are not.
+ *
+ * @private
+ * @param {Object} [extensions={}] - Extensions, in the form parseCertificate returns them
+ * @param {{ca: boolean, pathLength: (number|undefined)}} [extensions.basicConstraints]
+ * @param {string[]} [extensions.keyUsage] - Names such as 'digitalSignature'
+ * @param {string[]} [extensions.extendedKeyUsage] - Names such as 'clientAuth', or dotted OIDs
+ * @param {string|Buffer|Uint8Array} [extensions.subjectKeyIdentifier] - Key identifier
+ * @param {string|Buffer|Uint8Array} [extensions.authorityKeyIdentifier] - Issuer key identifier
+ * @returns {Buffer[]} DER encoded Extensions
+ * @throws {ArgumentError} If an extension is unknown or invalid
+ */
+function encodeExtensions(extensions = {}) {
+  if (typeof extensions !== 'object' || extensions === null || Array.isArray(extensions)) {
+    throw new ArgumentError('extensions must be an object', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  const unknown = Object.keys(extensions).find((key) => !EXTENSION_ENCODERS[key]);
+  if (unknown) {
+    throw new ArgumentError(`Unsupported extension ${unknown}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  return Object.keys(EXTENSION_ENCODERS)
+    .filter((key) => extensions[key] !== undefined)
+    .map((key) => EXTENSION_ENCODERS[key](extensions[key]));
+}
+
+/**
+ * Check a non-empty array argument
+ *
+ * @private
+ * @param {*} value - Value to check
+ * @param {string} name - Name for error messages
+ * @throws {ArgumentError} If value is not a non-empty array
+ */
+function assertList(value, name) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ArgumentError(`${name} must be a non-empty array`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+/**
+ * Encoders of the supported extensions, in the order they are written
+ *
+ * @private
+ * @constant {Object<string, function(*): Buffer>}
+ */
+const EXTENSION_ENCODERS = {
+  basicConstraints({ ca = false, pathLength } = {}) {
+    if (pathLength !== undefined && pathLength !== null && (!ca || !Number.isSafeInteger(pathLength) || pathLength < 0)) {
+      throw new ArgumentError('pathLength must be a non-negative integer and needs ca', {
+        code: ErrorCodes.ERR_ARGUMENT_INVALID
+      });
+    }
+    return encodeExtension(EXTENSION_OIDS.BASIC_CONSTRAINTS, true, encodeDERSequence([
+      ...(ca ? [DER_TRUE] : []),
+      ...(ca && pathLength !== undefined && pathLength !== null
+        ? [encodeDERInteger(Buffer.from(pathLength.toString(16).padStart(16, '0'), 'hex'))]
+        : [])
+    ]));
+  },
+
+  keyUsage(usages) {
+    assertList(usages, 'keyUsage');
+    const bits = usages.map((usage) => {
+      const bit = KEY_USAGES.indexOf(usage);
+      if (bit < 0) {
+        throw new ArgumentError(`Unknown key usage ${usage}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+      }
+      return bit;
+    });
+    // Named bit list: trailing zero bits are dropped (X.690 11.2.2)
+    const last = Math.max(...bits);
+    const bytes = Buffer.alloc((last >> 3) + 1);
+    for (const bit of bits) {
+      bytes[bit >> 3] |= 0x80 >> (bit & 7);
+    }
+    const value = encodeDERElement(ASN1.BIT_STRING, Buffer.concat([Buffer.from([7 - (last & 7)]), bytes]));
+    return encodeExtension(EXTENSION_OIDS.KEY_USAGE, true, value);
+  },
+
+  extendedKeyUsage(usages) {
+    assertList(usages, 'extendedKeyUsage');
+    return encodeExtension(EXTENSION_OIDS.EXTENDED_KEY_USAGE, false, encodeDERSequence(
+      usages.map((usage) => encodeOIDArgument(EXTENDED_KEY_USAGE_OIDS[usage] ?? usage, 'extended key usage'))
+    ));
+  },
+
+  subjectKeyIdentifier(keyId) {
+    const value = encodeDEROctetString(bytesOf(keyId, 'subjectKeyIdentifier'));
+    return encodeExtension(EXTENSION_OIDS.SUBJECT_KEY_IDENTIFIER, false, value);
+  },
+
+  authorityKeyIdentifier(keyId) {
+    // AuthorityKeyIdentifier ::= SEQUENCE { keyIdentifier [0] IMPLICIT OCTET STRING }
+    const value = encodeDERSequence([encodeDERElement(0x80, bytesOf(keyId, 'authorityKeyIdentifier'))]);
+    return encodeExtension(EXTENSION_OIDS.AUTHORITY_KEY_IDENTIFIER, false, value);
+  }
+};
+
+/**
+ * Encode a PKCS#10 CertificationRequestInfo
+ *
+ * Extensions are requested with a PKCS#9 extensionRequest attribute.
+ *
+ * @param {Object} options - Request contents
+ * @param {string|Array|Object} options.subject - Subject name, as for encodeName
+ * @param {Buffer|Uint8Array} options.subjectPublicKeyInfo - DER encoded SPKI
+ * @param {Object} [options.extensions] - Requested extensions: basicConstraints,
+ *   keyUsage, extendedKeyUsage, subjectKeyIdentifier, authorityKeyIdentifier
+ * @returns {Buffer} DER encoded CertificationRequestInfo, ready to sign
+ * @throws {ArgumentError} If a field is invalid
+ */
+export function encodeCertificationRequestInfo({ subject, subjectPublicKeyInfo, extensions } = {}) {
+  const encoded = encodeExtensions(extensions);
+  const attributes = encoded.length
+    ? encodeDERSequence([
+      encodeDEROID(encodeDEROIDValue(EXTENSION_REQUEST_OID)),
+      encodeDERElement(TAGS.SET, encodeDERSequence(encoded))
+    ])
+    : Buffer.alloc(0);
+
+  return encodeDERSequence([
+    encodeDERInteger(Buffer.from([0x00])),
+    encodeName(subject),
+    toBuffer(subjectPublicKeyInfo),
+    encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, attributes)
+  ]);
+}
+
+/**
+ * Encode a version 3 TBSCertificate signed with SM2-with-SM3
+ *
+ * @param {Object} options - Certificate contents
+ * @param {string|number|bigint|Buffer|Uint8Array} options.serialNumber - Positive
+ *   serial number of at most 20 bytes (hex string, bytes, number or bigint)
+ * @param {string|Array|Object} options.issuer - Issuer name, as for encodeName
+ * @param {string|Array|Object} options.subject - Subject name, as for encodeName
+ * @param {Date} options.notBefore - Start of validity
+ * @param {Date} options.notAfter - End of validity
+ * @param {Buffer|Uint8Array} options.subjectPublicKeyInfo - DER encoded SPKI
+ * @param {Object} [options.extensions] - Extensions, as for encodeCertificationRequestInfo
+ * @returns {Buffer} DER encoded TBSCertificate, ready to sign
+ * @throws {ArgumentError} If a field is invalid
+ */
+export function encodeTBSCertificate({
+  serialNumber,
+  issuer,
+  subject,
+  notBefore,
+  notAfter,
+  subjectPublicKeyInfo,
+  extensions
+} = {}) {
+  const validity = encodeDERSequence([encodeTime(notBefore, 'notBefore'), encodeTime(notAfter, 'notAfter')]);
+  if (notAfter <= notBefore) {
+    throw new ArgumentError('notAfter must be later than notBefore', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  const encoded = encodeExtensions(extensions);
+
+  return encodeDERSequence([
+    encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, encodeDERInteger(Buffer.from([0x02]))),
+    encodeSerialNumber(serialNumber),
+    SM2_WITH_SM3_ALGORITHM,
+    encodeName(issuer),
+    validity,
+    encodeName(subject),
+    toBuffer(subjectPublicKeyInfo),
+    ...(encoded.length ? [encodeDERElement(TAGS.EXTENSIONS, encodeDERSequence(encoded))] : [])
+  ]);
+}
+
+/**
+ * Wrap signed data and its SM2-with-SM3 signature into a Certificate or
+ * CertificationRequest
+ *
+ * @param {Buffer|Uint8Array} signed - TBSCertificate or CertificationRequestInfo
+ * @param {Buffer|Uint8Array} signature - DER encoded SM2Signature
+ * @returns {Buffer} DER encoded signed structure
+ */
+export function encodeSignedData(signed, signature) {
+  return encodeDERSequence([toBuffer(signed), SM2_WITH_SM3_ALGORITHM, encodeDERBitString(signature)]);
+}
@@ -50,6 +50,41 @@
  */
 
 import { SM2Multikey } from './core/multikey.js';
+import { cryptosuite } from './suites/jcs.js';
+import { cryptosuite as rdfcCryptosuite } from './suites/rdfc.js';
+import { cryptosuite as sdCryptosuite } from './suites/sd.js';
+import { documentLoader, createDocumentLoader } from './suites/document-loader.js';
+import {
+  issueCredential,
+  verifyCredential,
+  createPresentation,
+  signPresentation,
+  verifyPresentation
+} from './suites/credentials.js';
+import {
+  createRootCapability,
+  delegateCapability,
+  invokeCapability,
+  verifyCapabilityInvocation
+} from './suites/capabilities.js';
+import { addProof, verifyProofSet } from './suites/proof-sets.js';
+import {
+  ProofPurpose,
+  ControllerProofPurpose,
+  AssertionMethod,
+  Authentication,
+  KeyAgreement,
+  CapabilityInvocation,
+  CapabilityDelegation,
+  createProofPurpose,
+  createMemoryNonceStore
+} from './utils/purposes.js';
+import {
+  resolveDidKey,
+  createDidKeyResolver,
+  createMemoryResolver,
+  combineResolvers
+} from './utils/resolver.js';
 import crypto from './crypto/node.js'
 
 /**
@@ -77,7 +112,65 @@ SM2Multikey.setCryptoImpl(crypto);
  * - Standards compliance
  * 
  * @exports SM2Multikey - Core multikey implementation class
+ * @exports cryptosuite - sm2-jcs-2023 Data Integrity cryptosuite
+ * @exports rdfcCryptosuite - sm2-rdfc-2023 Data Integrity cryptosuite
+ * @exports sdCryptosuite - sm2-sd-2023 selective disclosure cryptosuite
+ * @exports documentLoader - Offline loader for the bundled JSON-LD contexts
+ * @exports createDocumentLoader - Builds a loader with additional documents
+ * @exports issueCredential - Secures a credential with an assertionMethod proof
+ * @exports verifyCredential - Verifies a credential against its issuer's key
+ * @exports createPresentation - Wraps credentials in an unsigned presentation
+ * @exports signPresentation - Secures a presentation with an authentication proof
+ * @exports verifyPresentation - Verifies a presentation and its credentials
+ * @exports createRootCapability - Creates the root capability of a resource
+ * @exports delegateCapability - Signs a capability delegated from a parent
+ * @exports invokeCapability - Signs a capability invocation
+ * @exports verifyCapabilityInvocation - Verifies an invocation and its capability chain
+ * @exports addProof - Adds a proof to a document, optionally chained to earlier proofs
+ * @exports verifyProofSet - Verifies every proof of a proof set or chain
+ * @exports ProofPurpose - Base class of proof purposes
+ * @exports ControllerProofPurpose - Base class of purposes checked against a controller document
+ * @exports AssertionMethod - Purpose of credential and assertion proofs
+ * @exports Authentication - Purpose of authentication proofs
+ * @exports KeyAgreement - Purpose of key agreement proofs
+ * @exports CapabilityInvocation - Purpose of capability invocation proofs
+ * @exports CapabilityDelegation - Purpose of capability delegation proofs
+ * @exports createProofPurpose - Creates a purpose from its term
+ * @exports createMemoryNonceStore - In-memory replay protection for Authentication
+ * @exports resolveDidKey - Builds the DID document of a did:key identifier
+ * @exports createDidKeyResolver - Resolves did:key verification methods offline
+ * @exports createMemoryResolver - Resolves methods from known controller documents
+ * @exports combineResolvers - Tries several resolvers in turn
  */
 export {
-  SM2Multikey
+  SM2Multikey,
+  cryptosuite,
+  rdfcCryptosuite,
+  sdCryptosuite,
+  documentLoader,
+  createDocumentLoader,
+  issueCredential,
+  verifyCredential,
+  createPresentation,
+  signPresentation,
+  verifyPresentation,
+  createRootCapability,
+  delegateCapability,
+  invokeCapability,
+  verifyCapabilityInvocation,
+  addProof,
+  verifyProofSet,
+  ProofPurpose,
+  ControllerProofPurpose,
+  AssertionMethod,
+  Authentication,
+  KeyAgreement,
+  CapabilityInvocation,
+  CapabilityDelegation,
+  createProofPurpose,
+  createMemoryNonceStore,
+  resolveDidKey,
+  createDidKeyResolver,
+  createMemoryResolver,
+  combineResolvers
 };
@@ -0,0 +1,365 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Authorization Capability (ZCAP-LD) Helpers
+ *
+ * This module creates, delegates and invokes authorization capabilities
+ * secured with the SM2 Data Integrity cryptosuites, and verifies
+ * invocations with the CapabilityInvocation proof purpose.
+ *
+ * Capability Chain:
+ * ```
+ * root        controller owns invocationTarget; trusted by the verifier
+ * delegated   signed by a controller of the parent (capabilityDelegation),
+ *             embedding the parent in proof.capabilityChain
+ * invocation  document signed by a controller of the capability
+ *             (capabilityInvocation) naming capabilityAction and invocationTarget
+ * ```
+ *
+ * Keys are looked up through a resolver returning `{ key, controllerDocument }`,
+ * such as those of the resolver module. The controller document must list
+ * the key under capabilityDelegation or capabilityInvocation.
+ *
+ * Capabilities use the sm2-jcs-2023 cryptosuite by default. sm2-rdfc-2023
+ * needs a documentLoader that serves the ZCAP context.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { createRootCapability, delegateCapability, invokeCapability,
+ *   verifyCapabilityInvocation } from '@instun/sm2-multikey';
+ *
+ * const root = createRootCapability({ invocationTarget, controller: ownerDid });
+ * const capability = await delegateCapability({
+ *   capability: { controller: aliceDid, allowedAction: ['read'], expires },
+ *   parentCapability: root,
+ *   key: ownerKey
+ * });
+ * const request = await invokeCapability({ document, capability, capabilityAction: 'read', key: aliceKey });
+ * const { verified } = await verifyCapabilityInvocation({
+ *   document: request,
+ *   resolver,
+ *   expectedTarget: invocationTarget,
+ *   expectedAction: 'read',
+ *   expectedRootCapability: root
+ * });
+ * ```
+ *
+ * @module suites/capabilities
+ * @see {@link https://w3c-ccg.github.io/zcap-spec/|Authorization Capabilities for Linked Data}
+ */
+
+import { SM2Multikey } from '../core/multikey.js';
+import { ArgumentError, VerificationError, ErrorCodes } from '../core/errors.js';
+import { ZCAP_CONTEXT_V1_URL, ZCAP_ROOT_PREFIX } from '../core/constants.js';
+import { CapabilityInvocation } from '../utils/purposes.js';
+import { randomUUID } from '../utils/random.js';
+import { cryptosuite as jcsCryptosuite } from './jcs.js';
+import { cryptosuite as rdfcCryptosuite } from './rdfc.js';
+
+const CRYPTOSUITES = new Map(
+  [jcsCryptosuite, rdfcCryptosuite].map((suite) => [suite.name, suite])
+);
+
+function fail(message) {
+  throw new VerificationError(message, { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+}
+
+function argumentError(message, code = ErrorCodes.ERR_ARGUMENT_INVALID) {
+  return new ArgumentError(message, { code });
+}
+
+function assertObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw argumentError(`${name} must be an object`);
+  }
+}
+
+function assertSigningKey(key) {
+  if (!(key instanceof SM2Multikey)) {
+    throw argumentError('key must be an SM2Multikey');
+  }
+}
+
+function assertCryptosuite(cryptosuite) {
+  if (!cryptosuite || typeof cryptosuite.createProof !== 'function') {
+    throw argumentError('cryptosuite must have a createProof function');
+  }
+}
+
+// Controllers that may invoke ('invoker') or delegate ('delegator') a capability
+function controllersOf(capability, term) {
+  return [].concat(capability[term] ?? capability.controller ?? []);
+}
+
+function isAbort(error, signal) {
+  return error?.name === 'AbortError' || error === signal?.reason;
+}
+
+/**
+ * Create a root capability
+ *
+ * A root capability is not signed: verifiers trust it by passing it as
+ * `expectedRootCapability`. Its id is derived from the invocation target.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.invocationTarget - URL of the protected resource
+ * @param {string|string[]} options.controller - Controller of the resource
+ * @returns {Object} Root capability
+ * @throws {ArgumentError} If an option is missing
+ */
+export function createRootCapability({ invocationTarget, controller } = {}) {
+  if (typeof invocationTarget !== 'string') {
+    throw argumentError('invocationTarget is required', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+  if (controller === undefined) {
+    throw argumentError('controller is required', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+  return {
+    '@context': ZCAP_CONTEXT_V1_URL,
+    id: `${ZCAP_ROOT_PREFIX}${encodeURIComponent(invocationTarget)}`,
+    controller,
+    invocationTarget
+  };
+}
+
+/**
+ * Delegate a capability
+ *
+ * The new capability is secured with a capabilityDelegation proof by
+ * `key`, which must be controlled by a delegator of the parent. It
+ * inherits the parent's invocationTarget unless it names its own, and
+ * gets a random `urn:uuid:` id unless it has one.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.capability - Unsigned capability with `controller`
+ *   (or `invoker`) and `expires`, and optionally `allowedAction`
+ * @param {Object} options.parentCapability - Root or delegated parent capability
+ * @param {SM2Multikey} options.key - Delegator key with a private key and an id
+ * @param {Object} [options.cryptosuite=sm2-jcs-2023] - Cryptosuite with createProof
+ * @param {Date|string} [options.created=now] - Proof creation time
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels signing
+ * @returns {Promise<Object>} Delegated capability with a `proof` property
+ * @throws {ArgumentError} If an argument is invalid or the key is not a delegator's
+ */
+export async function delegateCapability({
+  capability,
+  parentCapability,
+  key,
+  cryptosuite = jcsCryptosuite,
+  created,
+  documentLoader,
+  signal
+} = {}) {
+  assertObject(capability, 'capability');
+  assertObject(parentCapability, 'parentCapability');
+  assertSigningKey(key);
+  assertCryptosuite(cryptosuite);
+  if (capability.controller === undefined && capability.invoker === undefined) {
+    throw argumentError('capability must have a controller', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+  if (capability.expires === undefined) {
+    throw argumentError('capability must have an expires time', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+  if (!controllersOf(parentCapability, 'delegator').includes(key.controller)) {
+    throw argumentError('key is not controlled by a delegator of the parent capability');
+  }
+
+  // The root is referenced by id; a delegated parent is embedded
+  let capabilityChain = [parentCapability.id];
+  if (parentCapability.proof !== undefined) {
+    const parentChain = parentCapability.proof?.capabilityChain;
+    if (!Array.isArray(parentChain)) {
+      throw argumentError('parentCapability has no capabilityChain');
+    }
+    capabilityChain = [
+      ...parentChain.map((entry) => (typeof entry === 'string' ? entry : entry.id)),
+      parentCapability
+    ];
+  }
+
+  const { expires } = capability;
+  const delegated = {
+    '@context': ZCAP_CONTEXT_V1_URL,
+    id: `urn:uuid:${randomUUID()}`,
+    invocationTarget: parentCapability.invocationTarget,
+    ...capability,
+    parentCapability: parentCapability.id,
+    expires: expires instanceof Date ? expires.toISOString() : expires
+  };
+  const proof = await cryptosuite.createProof({
+    document: delegated,
+    signer: key.signer(),
+    proofPurpose: 'capabilityDelegation',
+    capabilityChain,
+    created,
+    documentLoader,
+    signal
+  });
+  return { ...delegated, proof };
+}
+
+/**
+ * Invoke a capability
+ *
+ * The document is secured with a capabilityInvocation proof by `key`,
+ * naming the capability, the action and the target.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Unsecured document, such as a request
+ * @param {Object|string} options.capability - Delegated capability, root
+ *   capability or root capability id
+ * @param {string} options.capabilityAction - Invoked action
+ * @param {string} [options.invocationTarget] - Invoked target; defaults to
+ *   the capability's
+ * @param {SM2Multikey} options.key - Invoker key with a private key and an id
+ * @param {Object} [options.cryptosuite=sm2-jcs-2023] - Cryptosuite with createProof
+ * @param {Date|string} [options.created=now] - Proof creation time
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels signing
+ * @returns {Promise<Object>} Document with a `proof` property
+ * @throws {ArgumentError} If an argument is invalid or the key is not an invoker's
+ */
+export async function invokeCapability({
+  document,
+  capability,
+  capabilityAction,
+  invocationTarget,
+  key,
+  cryptosuite = jcsCryptosuite,
+  created,
+  documentLoader,
+  signal
+} = {}) {
+  assertObject(document, 'document');
+  assertSigningKey(key);
+  assertCryptosuite(cryptosuite);
+  if (typeof capabilityAction !== 'string') {
+    throw argumentError('capabilityAction is required', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+  if (typeof capability !== 'string') {
+    assertObject(capability, 'capability');
+    if (!controllersOf(capability, 'invoker').includes(key.controller)) {
+      throw argumentError('key is not controlled by an invoker of the capability');
+    }
+  }
+  const target = invocationTarget ?? capability.invocationTarget;
+  if (typeof target !== 'string') {
+    throw argumentError('invocationTarget is required', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+
+  // Roots are referenced by id; delegated capabilities are embedded
+  const invoked = typeof capability === 'string' || capability.proof !== undefined ? capability : capability.id;
+
+  const proof = await cryptosuite.createProof({
+    document,
+    signer: key.signer(),
+    proofPurpose: 'capabilityInvocation',
+    capability: invoked,
+    capabilityAction,
+    invocationTarget: target,
+    created,
+    documentLoader,
+    signal
+  });
+  return { ...document, proof };
+}
+
+/**
+ * Verify a capability invocation
+ *
+ * Resolves the invoker's key, verifies the document's proof with its
+ * cryptosuite and validates it with a CapabilityInvocation purpose, which
+ * walks the capability chain back to the expected root.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Document with a capabilityInvocation proof
+ * @param {Object} options.resolver - Resolver returning { key, controllerDocument }
+ * @param {string|string[]} options.expectedTarget - Accepted invocationTarget
+ * @param {string} [options.expectedAction] - Required capabilityAction
+ * @param {Object|Object[]} options.expectedRootCapability - Trusted root capabilities
+ * @param {number} [options.maxChainLength=10] - Maximum number of capabilities
+ *   in a chain, including the root
+ * @param {boolean} [options.allowTargetAttenuation=false] - Allow targets
+ *   below the capability's invocationTarget
+ * @param {Date} [options.date=now] - Time used for expiration checks
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels verification
+ * @returns {Promise<{verified: boolean, error?: Error}>} Verification result
+ * @throws {ArgumentError} If the resolver, expected target or root is missing or invalid
+ */
+export async function verifyCapabilityInvocation({
+  document,
+  resolver,
+  expectedTarget,
+  expectedAction,
+  expectedRootCapability,
+  maxChainLength,
+  allowTargetAttenuation,
+  date = new Date(),
+  documentLoader,
+  signal
+} = {}) {
+  if (!resolver || typeof resolver.resolve !== 'function') {
+    throw argumentError('resolver must have a resolve function');
+  }
+  if (expectedRootCapability === undefined) {
+    throw argumentError('expectedRootCapability is required', ErrorCodes.ERR_ARGUMENT_MISSING);
+  }
+  const purpose = new CapabilityInvocation({
+    expectedTarget,
+    expectedAction,
+    expectedRootCapability,
+    resolver,
+    suites: [...CRYPTOSUITES.values()],
+    maxChainLength,
+    allowTargetAttenuation,
+    documentLoader
+  });
+
+  try {
+    assertObject(document, 'document');
+    const { proof } = document;
+    if (!proof || typeof proof !== 'object' || typeof proof.verificationMethod !== 'string') {
+      fail('Document has no capability invocation proof');
+    }
+    const suite = CRYPTOSUITES.get(proof.cryptosuite);
+    if (!suite) {
+      fail(`Unsupported cryptosuite: ${proof.cryptosuite}`);
+    }
+
+    let resolved;
+    try {
+      resolved = await resolver.resolve(proof.verificationMethod);
+    } catch (error) {
+      throw new VerificationError(`Cannot resolve ${proof.verificationMethod}`, {
+        code: ErrorCodes.ERR_VERIFICATION_FAILED,
+        cause: error
+      });
+    }
+    if (!(resolved?.key instanceof SM2Multikey)) {
+      fail(`Cannot resolve ${proof.verificationMethod}`);
+    }
+
+    const { verified, error } = await suite.verifyProof({
+      document,
+      verificationMethod: resolved.key,
+      purpose,
+      controllerDocument: resolved.controllerDocument,
+      date,
+      documentLoader,
+      signal
+    });
+    if (!verified) {
+      throw error;
+    }
+    return { verified: true };
+  } catch (error) {
+    if (isAbort(error, signal)) {
+      throw error;
+    }
+    return { verified: false, error };
+  }
+}
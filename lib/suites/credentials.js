@@ -0,0 +1,470 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Verifiable Credential and Presentation Helpers
+ *
+ * This module wraps the SM2 Data Integrity cryptosuites in the operations
+ * applications actually perform: issuing and verifying credentials, and
+ * wrapping credentials in signed presentations.
+ *
+ * Proof Purposes:
+ * ```
+ * credential   assertionMethod  signed by a key controlled by the issuer
+ * presentation authentication   signed by a key controlled by the holder,
+ *                               bound to a verifier's challenge and domain
+ * ```
+ *
+ * Verification looks up keys through a resolver, an object whose
+ * `resolve(id)` method resolves a verification method id to
+ * `{ key, controllerDocument }`, where `key` is an SM2Multikey. When a
+ * controller document is returned, the proof purpose also checks that it
+ * authorizes the key.
+ * Cryptosuites are selected by the proof's `cryptosuite` property.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { issueCredential, verifyCredential } from '@instun/sm2-multikey';
+ *
+ * const vc = await issueCredential({ credential, key: issuerKey });
+ * const { verified } = await verifyCredential({ credential: vc, resolver });
+ * ```
+ *
+ * @module suites/credentials
+ * @see {@link https://www.w3.org/TR/vc-data-model-2.0/|VC Data Model 2.0}
+ */
+
+import { SM2Multikey } from '../core/multikey.js';
+import { ArgumentError, VerificationError, ErrorCodes } from '../core/errors.js';
+import { CREDENTIALS_CONTEXT_V1_URL, CREDENTIALS_CONTEXT_V2_URL } from '../core/constants.js';
+import { cryptosuite as jcsCryptosuite } from './jcs.js';
+import { cryptosuite as rdfcCryptosuite } from './rdfc.js';
+import { cryptosuite as sdCryptosuite } from './sd.js';
+import { Authentication } from '../utils/purposes.js';
+
+const CREDENTIAL_TYPE = 'VerifiableCredential';
+const PRESENTATION_TYPE = 'VerifiablePresentation';
+
+const CRYPTOSUITES = new Map(
+  [jcsCryptosuite, rdfcCryptosuite, sdCryptosuite].map((suite) => [suite.name, suite])
+);
+
+function fail(message) {
+  throw new VerificationError(message, { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+}
+
+function assertObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ArgumentError(`${name} must be an object`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+function assertSigningKey(key) {
+  if (!(key instanceof SM2Multikey)) {
+    throw new ArgumentError('key must be an SM2Multikey', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+function assertResolver(resolver) {
+  if (!resolver || typeof resolver.resolve !== 'function') {
+    throw new ArgumentError('resolver must have a resolve function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+function assertCryptosuite(cryptosuite) {
+  if (!cryptosuite || typeof cryptosuite.createProof !== 'function') {
+    throw new ArgumentError('cryptosuite must have a createProof function', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+}
+
+// The id of an issuer or holder, which may be a string or an object
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id;
+}
+
+function hasType(document, type) {
+  return [].concat(document.type ?? []).includes(type);
+}
+
+function contextVersion(document) {
+  const [first] = [].concat(document['@context'] ?? []);
+  if (first === CREDENTIALS_CONTEXT_V2_URL) {
+    return 2;
+  }
+  if (first === CREDENTIALS_CONTEXT_V1_URL) {
+    return 1;
+  }
+  return undefined;
+}
+
+/**
+ * Check the shape of a credential
+ *
+ * @private
+ * @param {Object} credential - Credential
+ * @returns {number} VC Data Model major version
+ * @throws {ArgumentError} If the credential is malformed
+ */
+function assertCredential(credential) {
+  assertObject(credential, 'credential');
+  const version = contextVersion(credential);
+  const invalid = (message) => new ArgumentError(message, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+
+  if (version === undefined) {
+    throw invalid('credential @context must start with a Verifiable Credentials context');
+  }
+  if (!hasType(credential, CREDENTIAL_TYPE)) {
+    throw invalid(`credential type must include "${CREDENTIAL_TYPE}"`);
+  }
+  if (typeof idOf(credential.issuer) !== 'string') {
+    throw invalid('credential must have an issuer');
+  }
+  if (!credential.credentialSubject || typeof credential.credentialSubject !== 'object') {
+    throw invalid('credential must have a credentialSubject');
+  }
+  return version;
+}
+
+// validFrom/validUntil in VC 2.0, issuanceDate/expirationDate in VC 1.1
+function assertValidityPeriod(credential, version, date) {
+  const [from, until] = version === 2 ?
+    [credential.validFrom, credential.validUntil] :
+    [credential.issuanceDate, credential.expirationDate];
+
+  if (from !== undefined && !(Date.parse(from) <= date.getTime())) {
+    fail('Credential is not yet valid');
+  }
+  if (until !== undefined && !(Date.parse(until) >= date.getTime())) {
+    fail('Credential has expired');
+  }
+}
+
+/**
+ * Resolve a proof's verification method and check its controller
+ *
+ * @private
+ * @param {Object} resolver - Resolver with a resolve(id) method
+ * @param {Object} proof - Proof naming the verification method
+ * @param {string} [controller] - Required controller of the key, if any
+ * @returns {Promise<Object>} Resolved { key, controllerDocument }
+ * @throws {VerificationError} If the key cannot be resolved or has another controller
+ */
+async function resolveKey(resolver, proof, controller) {
+  if (!proof || typeof proof !== 'object') {
+    fail('Document has no proof');
+  }
+  if (typeof proof.verificationMethod !== 'string') {
+    fail('Proof has no verificationMethod');
+  }
+
+  let resolved;
+  try {
+    resolved = await resolver.resolve(proof.verificationMethod);
+  } catch (error) {
+    throw new VerificationError(`Cannot resolve ${proof.verificationMethod}`, {
+      code: ErrorCodes.ERR_VERIFICATION_FAILED,
+      cause: error
+    });
+  }
+  if (!(resolved?.key instanceof SM2Multikey)) {
+    fail(`Cannot resolve ${proof.verificationMethod}`);
+  }
+  if (controller !== undefined && resolved.key.controller !== controller) {
+    fail(`Verification method is not controlled by ${controller}`);
+  }
+  return resolved;
+}
+
+// Runs the proof's cryptosuite, turning its result into a thrown error
+async function verifyDocument({ document, resolved, expectedProofPurpose, purpose, date, documentLoader, signal }) {
+  const suite = CRYPTOSUITES.get(document.proof?.cryptosuite);
+  if (!suite) {
+    fail(`Unsupported cryptosuite: ${document.proof?.cryptosuite}`);
+  }
+
+  const { verified, error } = await suite.verifyProof({
+    document,
+    verificationMethod: resolved.key,
+    expectedProofPurpose,
+    purpose,
+    controllerDocument: resolved.controllerDocument,
+    date,
+    documentLoader,
+    signal
+  });
+  if (!verified) {
+    throw error;
+  }
+}
+
+function isAbort(error, signal) {
+  return error?.name === 'AbortError' || error === signal?.reason;
+}
+
+/**
+ * Issue a verifiable credential
+ *
+ * The credential is secured with an assertionMethod proof by `key`, whose
+ * id becomes the proof's verificationMethod.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.credential - Unsecured credential
+ * @param {SM2Multikey} options.key - Issuer key with a private key and an id
+ * @param {Object} [options.cryptosuite=sm2-jcs-2023] - Cryptosuite with createProof
+ * @param {Date|string} [options.created=now] - Proof creation time
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels signing
+ * @returns {Promise<Object>} Credential with a `proof` property
+ * @throws {ArgumentError} If the credential or key is invalid
+ */
+export async function issueCredential({
+  credential,
+  key,
+  cryptosuite = jcsCryptosuite,
+  created,
+  documentLoader,
+  signal
+} = {}) {
+  assertCredential(credential);
+  assertSigningKey(key);
+  assertCryptosuite(cryptosuite);
+
+  const proof = await cryptosuite.createProof({
+    document: credential,
+    signer: key.signer(),
+    proofPurpose: 'assertionMethod',
+    created,
+    documentLoader,
+    signal
+  });
+  return { ...credential, proof };
+}
+
+/**
+ * Verify a verifiable credential
+ *
+ * Checks the credential's shape and validity period, resolves the proof's
+ * verification method, requires it to be controlled by the issuer and
+ * verifies an assertionMethod proof with the matching cryptosuite.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.credential - Secured credential
+ * @param {Object} options.resolver - Resolver with a resolve(id) method
+ * @param {Date} [options.date=now] - Time used for validity checks
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels verification
+ * @returns {Promise<{verified: boolean, error?: Error}>} Verification result
+ * @throws {ArgumentError} If the resolver is invalid
+ */
+export async function verifyCredential({
+  credential,
+  resolver,
+  date = new Date(),
+  documentLoader,
+  signal
+} = {}) {
+  assertResolver(resolver);
+
+  try {
+    const version = assertCredential(credential);
+    assertValidityPeriod(credential, version, date);
+    const resolved = await resolveKey(resolver, credential.proof, idOf(credential.issuer));
+    await verifyDocument({
+      document: credential,
+      resolved,
+      expectedProofPurpose: 'assertionMethod',
+      date,
+      documentLoader,
+      signal
+    });
+    return { verified: true };
+  } catch (error) {
+    if (isAbort(error, signal)) {
+      throw error;
+    }
+    return { verified: false, error };
+  }
+}
+
+/**
+ * Create an unsigned verifiable presentation
+ *
+ * The presentation uses the VC Data Model version of its credentials,
+ * 2.0 when there are none.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {Object|Object[]} [options.verifiableCredential=[]] - Credentials to present
+ * @param {string} [options.id] - Presentation id
+ * @param {string} [options.holder] - Holder id
+ * @returns {Object} Presentation
+ * @throws {ArgumentError} If a credential is malformed or versions are mixed
+ */
+export function createPresentation({ verifiableCredential = [], id, holder } = {}) {
+  const credentials = [].concat(verifiableCredential);
+  const versions = new Set(credentials.map(assertCredential));
+  if (versions.size > 1) {
+    throw new ArgumentError('Credentials use different data model versions', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+
+  const [version = 2] = versions;
+  const presentation = {
+    '@context': [version === 2 ? CREDENTIALS_CONTEXT_V2_URL : CREDENTIALS_CONTEXT_V1_URL],
+    type: [PRESENTATION_TYPE]
+  };
+  if (id !== undefined) {
+    presentation.id = id;
+  }
+  if (holder !== undefined) {
+    presentation.holder = holder;
+  }
+  if (credentials.length > 0) {
+    presentation.verifiableCredential = credentials;
+  }
+  return presentation;
+}
+
+/**
+ * Sign a verifiable presentation
+ *
+ * The presentation is secured with an authentication proof bound to the
+ * verifier's `challenge` and, optionally, `domain`.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.presentation - Unsigned presentation
+ * @param {SM2Multikey} options.key - Holder key with a private key and an id
+ * @param {string} options.challenge - Challenge issued by the verifier
+ * @param {string} [options.domain] - Domain of the verifier
+ * @param {Object} [options.cryptosuite=sm2-jcs-2023] - Cryptosuite with createProof
+ * @param {Date|string} [options.created=now] - Proof creation time
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels signing
+ * @returns {Promise<Object>} Presentation with a `proof` property
+ * @throws {ArgumentError} If an argument is invalid or the key is not the holder's
+ */
+export async function signPresentation({
+  presentation,
+  key,
+  challenge,
+  domain,
+  cryptosuite = jcsCryptosuite,
+  created,
+  documentLoader,
+  signal
+} = {}) {
+  assertObject(presentation, 'presentation');
+  assertSigningKey(key);
+  assertCryptosuite(cryptosuite);
+  if (typeof challenge !== 'string') {
+    throw new ArgumentError('challenge is required', { code: ErrorCodes.ERR_ARGUMENT_MISSING });
+  }
+  if (!hasType(presentation, PRESENTATION_TYPE)) {
+    throw new ArgumentError(`presentation type must include "${PRESENTATION_TYPE}"`, {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+  if (presentation.holder !== undefined && idOf(presentation.holder) !== key.controller) {
+    throw new ArgumentError('key is not controlled by the holder', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const proof = await cryptosuite.createProof({
+    document: presentation,
+    signer: key.signer(),
+    proofPurpose: 'authentication',
+    challenge,
+    domain,
+    created,
+    documentLoader,
+    signal
+  });
+  return { ...presentation, proof };
+}
+
+/**
+ * Verify a verifiable presentation and the credentials it contains
+ *
+ * The presentation must carry an authentication proof with the expected
+ * challenge and domain, made by a key controlled by the holder (or by any
+ * resolvable key when there is no holder). The proof is checked by an
+ * Authentication purpose built from the challenge, domain, maxAge,
+ * clockSkew and nonceStore options. Every credential is verified with
+ * verifyCredential.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.presentation - Signed presentation
+ * @param {Object} options.resolver - Resolver with a resolve(id) method
+ * @param {string} options.challenge - Expected challenge
+ * @param {string} [options.domain] - Expected domain
+ * @param {number} [options.maxAge] - Maximum age of proof.created in milliseconds
+ * @param {number} [options.clockSkew] - Tolerated clock difference in milliseconds
+ * @param {Object} [options.nonceStore] - Store used to reject reused challenges
+ * @param {Date} [options.date=now] - Time used for validity checks
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels verification
+ * @returns {Promise<Object>} { verified, error?, presentationResult, credentialResults }
+ * @throws {ArgumentError} If the resolver or challenge is missing, or an
+ *   authentication option is invalid
+ */
+export async function verifyPresentation({
+  presentation,
+  resolver,
+  challenge,
+  domain,
+  maxAge,
+  clockSkew,
+  nonceStore,
+  date = new Date(),
+  documentLoader,
+  signal
+} = {}) {
+  assertResolver(resolver);
+  if (typeof challenge !== 'string') {
+    throw new ArgumentError('challenge is required', { code: ErrorCodes.ERR_ARGUMENT_MISSING });
+  }
+  const purpose = new Authentication({ challenge, domain, maxAge, clockSkew, nonceStore });
+
+  let presentationResult;
+  try {
+    assertObject(presentation, 'presentation');
+    if (!hasType(presentation, PRESENTATION_TYPE)) {
+      fail(`Presentation type must include "${PRESENTATION_TYPE}"`);
+    }
+    const { proof } = presentation;
+    if (!proof || typeof proof !== 'object') {
+      fail('Presentation has no proof');
+    }
+
+    const resolved = await resolveKey(resolver, proof, idOf(presentation.holder));
+    await verifyDocument({
+      document: presentation,
+      resolved,
+      purpose,
+      date,
+      documentLoader,
+      signal
+    });
+    presentationResult = { verified: true };
+  } catch (error) {
+    if (isAbort(error, signal)) {
+      throw error;
+    }
+    presentationResult = { verified: false, error };
+  }
+
+  const credentialResults = [];
+  for (const credential of [].concat(presentation?.verifiableCredential ?? [])) {
+    credentialResults.push(await verifyCredential({ credential, resolver, date, documentLoader, signal }));
+  }
+
+  const failed = [presentationResult, ...credentialResults].find(({ verified }) => !verified);
+  return {
+    verified: !failed,
+    ...(failed && { error: failed.error }),
+    presentationResult,
+    credentialResults
+  };
+}
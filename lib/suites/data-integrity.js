@@ -0,0 +1,590 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Shared Data Integrity Proof Algorithms for SM2 Cryptosuites
+ *
+ * This module implements the proof configuration, hashing, signing and
+ * verification steps common to the SM2 Data Integrity cryptosuites. A
+ * concrete suite only supplies its name and canonicalization algorithm.
+ * The algorithms follow the ecdsa-2019 suites, substituting SM2/SM3 for
+ * ECDSA/SHA-2.
+ *
+ * Algorithm:
+ * ```
+ * proofConfig = proof without proofValue (+ document @context)
+ * verifyData  = SM3(canonize(proofConfig)) || SM3(canonize(document without proof))
+ * proofValue  = base58btc multibase of the 64-byte SM2 signature r || s
+ * ```
+ *
+ * The signature is computed over verifyData with the signer's default
+ * distinguishing identifier, so any SM2Multikey verifier can check it.
+ *
+ * @module suites/data-integrity
+ * @private
+ * @see {@link https://www.w3.org/TR/vc-data-integrity/|Data Integrity}
+ * @see {@link https://www.w3.org/TR/vc-di-ecdsa/|ECDSA Cryptosuites}
+ */
+
+import { base58btc } from 'multiformats/bases/base58';
+import { SM2Multikey } from '../core/multikey.js';
+import { ArgumentError, VerificationError, ErrorCodes } from '../core/errors.js';
+import { DATA_INTEGRITY_PROOF_TYPE, MULTIBASE_BASE58BTC_HEADER } from '../core/constants.js';
+import { canonicalize } from '../formats/jcs.js';
+import { sm3 } from '../crypto/sm3.js';
+import { createProofPurpose } from '../utils/purposes.js';
+import { findVerificationMethod } from '../utils/resolver.js';
+
+const REQUIRED_ALGORITHM = 'SM2';
+
+const encoder = new TextEncoder();
+
+function assertObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ArgumentError(`${name} must be an object`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+// xsd:dateTime without milliseconds, as used by other Data Integrity suites
+function dateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Key instance of a Multikey document or key
+function toMultikey(verificationMethod) {
+  return verificationMethod instanceof SM2Multikey ? verificationMethod : SM2Multikey.from(verificationMethod);
+}
+
+/**
+ * Create a verifier for a verification method
+ *
+ * @param {Object} options - Options
+ * @param {Object|SM2Multikey} options.verificationMethod - Multikey document or key instance
+ * @returns {Promise<Object>} Verifier from SM2Multikey#verifier()
+ * @throws {ArgumentError} If the verification method is not an SM2 Multikey
+ */
+export async function createVerifier({ verificationMethod } = {}) {
+  return toMultikey(verificationMethod).verifier();
+}
+
+/**
+ * Build the options of a new proof, without proofValue
+ *
+ * Optional properties are only included when given. The document's
+ * @context, if any, is copied to the proof. The document may already carry
+ * proofs; those named by previousProof must be among them.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.cryptosuite - Cryptosuite name
+ * @param {Object} options.document - Document, with or without proofs
+ * @param {Object} options.signer - Signer whose id becomes the verificationMethod
+ * @param {string} [options.id] - Proof id, so later proofs can reference it
+ * @param {string|string[]} [options.previousProof] - Ids of existing proofs
+ *   this proof is chained to
+ * @param {string} [options.proofPurpose='assertionMethod'] - Proof purpose
+ * @param {Date|string} [options.created=now] - Creation time
+ * @param {Date|string} [options.expires] - Expiration time
+ * @param {string} [options.challenge] - Challenge
+ * @param {string} [options.domain] - Domain
+ * @param {string} [options.nonce] - Nonce
+ * @param {string|Object} [options.capability] - Invoked capability
+ * @param {string} [options.capabilityAction] - Invoked action
+ * @param {string} [options.invocationTarget] - Invoked target
+ * @param {Array} [options.capabilityChain] - Chain of a delegated capability
+ * @returns {Object} Proof options
+ * @throws {ArgumentError} If the signer has no id, the id is taken or a
+ *   previousProof is not in the document
+ */
+export function createProofOptions({
+  cryptosuite,
+  document,
+  signer,
+  id,
+  previousProof,
+  proofPurpose = 'assertionMethod',
+  created = new Date(),
+  expires,
+  challenge,
+  domain,
+  nonce,
+  capability,
+  capabilityAction,
+  invocationTarget,
+  capabilityChain
+}) {
+  assertObject(document, 'document');
+  if (!signer || typeof signer.id !== 'string') {
+    throw new ArgumentError('signer must have an id', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  if (typeof proofPurpose !== 'string') {
+    throw new ArgumentError('proofPurpose must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const existingIds = [].concat(document.proof ?? []).map((existing) => existing?.id);
+  if (id !== undefined && (typeof id !== 'string' || existingIds.includes(id))) {
+    throw new ArgumentError('Proof id must be a string not used by another proof', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+  for (const previousId of [].concat(previousProof ?? [])) {
+    if (typeof previousId !== 'string' || !existingIds.includes(previousId)) {
+      throw new ArgumentError(`previousProof ${previousId} is not a proof of the document`, {
+        code: ErrorCodes.ERR_ARGUMENT_INVALID
+      });
+    }
+  }
+
+  const proof = {
+    ...(id !== undefined && { id }),
+    type: DATA_INTEGRITY_PROOF_TYPE,
+    cryptosuite,
+    created: created instanceof Date ? dateTime(created) : created,
+    verificationMethod: signer.id,
+    proofPurpose
+  };
+  if (expires !== undefined) {
+    proof.expires = expires instanceof Date ? dateTime(expires) : expires;
+  }
+  const optional = {
+    challenge,
+    domain,
+    nonce,
+    previousProof,
+    capability,
+    capabilityAction,
+    invocationTarget,
+    capabilityChain
+  };
+  for (const [term, value] of Object.entries(optional)) {
+    if (value !== undefined) {
+      proof[term] = value;
+    }
+  }
+  if (document['@context'] !== undefined) {
+    proof['@context'] = document['@context'];
+  }
+
+  return proof;
+}
+
+/**
+ * Select the proofs a proof is chained to through previousProof
+ *
+ * @param {Object|Object[]} [proofs] - Proofs of the document
+ * @param {Object} proof - Proof whose previousProof is followed
+ * @returns {Object[]|undefined} Referenced proofs, in previousProof order,
+ *   or undefined when the proof is not chained
+ * @throws {VerificationError} If a referenced proof is missing or the proof
+ *   references itself
+ */
+export function selectPreviousProofs(proofs, proof) {
+  if (proof.previousProof === undefined) {
+    return undefined;
+  }
+
+  const candidates = [].concat(proofs ?? []);
+  return [].concat(proof.previousProof).map((id) => {
+    const previous = candidates.find((candidate) => candidate?.id === id);
+    if (previous === undefined || (proof.id !== undefined && id === proof.id)) {
+      throw new VerificationError(`previousProof ${id} not found`, { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+    }
+    return previous;
+  });
+}
+
+/**
+ * Check the parts of a proof that do not involve its signature
+ *
+ * @param {Object} document - Secured document
+ * @param {Object} proof - Proof to check
+ * @param {Object} options - Options
+ * @param {string} options.cryptosuite - Expected cryptosuite name
+ * @param {string} options.multibaseHeader - Expected proofValue multibase prefix
+ * @param {Object} options.verifier - Verifier whose id, if any, must match
+ *   proof.verificationMethod
+ * @param {Date} options.date - Time used to check `expires`
+ * @returns {Promise<void>} Resolves when the proof is acceptable
+ * @throws {VerificationError} Describing why the proof cannot be accepted
+ */
+export async function assertProof(document, proof, {
+  cryptosuite,
+  multibaseHeader,
+  verifier,
+  date
+}) {
+  const fail = (message) => {
+    throw new VerificationError(message, { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+  };
+
+  if (!proof || typeof proof !== 'object' || Array.isArray(proof)) {
+    fail('Document has no proof');
+  }
+  if (proof.type !== DATA_INTEGRITY_PROOF_TYPE) {
+    fail(`Proof type must be "${DATA_INTEGRITY_PROOF_TYPE}"`);
+  }
+  if (proof.cryptosuite !== cryptosuite) {
+    fail(`Proof cryptosuite must be "${cryptosuite}"`);
+  }
+  if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith(multibaseHeader)) {
+    fail(`proofValue must be a multibase string starting with "${multibaseHeader}"`);
+  }
+  if (typeof proof.verificationMethod !== 'string') {
+    fail('Proof has no verificationMethod');
+  }
+  if (verifier.id !== undefined && verifier.id !== proof.verificationMethod) {
+    fail('Verification method does not match the proof');
+  }
+
+  // The proof's @context must be a prefix of the document's
+  if (proof['@context'] !== undefined) {
+    const expected = [].concat(proof['@context']);
+    const actual = [].concat(document['@context'] ?? []);
+    if (!expected.every((value, i) => canonicalize(value) === canonicalize(actual[i] ?? null))) {
+      fail('Proof @context does not match the document @context');
+    }
+  }
+
+  if (proof.expires !== undefined) {
+    const expires = Date.parse(proof.expires);
+    if (Number.isNaN(expires) || expires < date.getTime()) {
+      fail('Proof has expired');
+    }
+  }
+}
+
+/**
+ * Check that a proof was made for the expected purpose
+ *
+ * Cryptosuites call this once the signature has been verified, so purposes
+ * with side effects, such as Authentication consuming a challenge, only see
+ * authentic proofs. The caller supplied the verification key, so without a
+ * controller document the purpose is told to trust it and only the
+ * declared proofPurpose is checked.
+ *
+ * With a controller document, proof.verificationMethod is looked up in it
+ * and must carry the key the signature was verified with. Otherwise a proof
+ * signed by one key could borrow the authorization of another method of
+ * the same controller.
+ *
+ * @param {Object} document - Secured document
+ * @param {Object} proof - Proof to check
+ * @param {Object} options - Options
+ * @param {string} [options.expectedProofPurpose] - Required proofPurpose
+ * @param {ProofPurpose} [options.purpose] - Purpose to validate with, used
+ *   instead of expectedProofPurpose
+ * @param {Object} [options.controllerDocument] - Controller document checked
+ *   by the proof purpose
+ * @param {Object|SM2Multikey} options.verificationMethod - Key the signature
+ *   was verified with
+ * @param {Date} options.date - Time passed to the proof purpose
+ * @returns {Promise<void>} Resolves when the proof purpose is acceptable
+ * @throws {VerificationError} Describing why the proof purpose is not acceptable
+ */
+export async function assertProofPurpose(document, proof, {
+  expectedProofPurpose,
+  purpose,
+  controllerDocument,
+  verificationMethod,
+  date
+}) {
+  if (controllerDocument !== undefined) {
+    assertControllerKey(proof, controllerDocument, toMultikey(verificationMethod));
+  }
+
+  if (purpose === undefined) {
+    if (expectedProofPurpose === undefined) {
+      return;
+    }
+    purpose = createProofPurpose(expectedProofPurpose);
+  }
+
+  const { valid, error } = await purpose.validate(proof, document, {
+    controllerDocument,
+    trustVerificationMethod: controllerDocument === undefined,
+    date
+  });
+  if (!valid) {
+    throw error;
+  }
+}
+
+/**
+ * Check that the controller document gives the proof's method the verifying key
+ *
+ * @private
+ * @param {Object} proof - Proof with a verificationMethod id
+ * @param {Object} controllerDocument - Controller document of the signer
+ * @param {SM2Multikey} key - Key the signature was verified with
+ * @throws {VerificationError} If the method is missing or has another key
+ */
+function assertControllerKey(proof, controllerDocument, key) {
+  const fail = (message, cause) => {
+    throw new VerificationError(message, { code: ErrorCodes.ERR_VERIFICATION_FAILED, cause });
+  };
+
+  if (!controllerDocument || typeof controllerDocument !== 'object' || typeof controllerDocument.id !== 'string') {
+    fail('Controller document must have an id');
+  }
+  const id = proof.verificationMethod.startsWith('#') ?
+    `${controllerDocument.id}${proof.verificationMethod}` : proof.verificationMethod;
+  const method = findVerificationMethod(controllerDocument, id);
+  if (method === undefined) {
+    fail('Verification method not found in controller document');
+  }
+
+  let controllerKey;
+  try {
+    controllerKey = SM2Multikey.from(method);
+  } catch (error) {
+    fail('Verification method in controller document is not an SM2 Multikey', error);
+  }
+  if (!Buffer.from(controllerKey.publicKey).equals(Buffer.from(key.publicKey))) {
+    fail('Verification key does not match the controller document');
+  }
+}
+
+/**
+ * Check the purpose option of a verification call
+ *
+ * @param {ProofPurpose} [purpose] - Purpose option
+ * @throws {ArgumentError} If purpose has no validate function
+ */
+export function assertPurposeOption(purpose) {
+  if (purpose !== undefined && typeof purpose?.validate !== 'function') {
+    throw new ArgumentError('purpose must have a validate function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+/**
+ * Build an SM2 Data Integrity cryptosuite
+ *
+ * Besides the members expected by Data Integrity libraries (name,
+ * requiredAlgorithm, canonize, createVerifier) the suite has standalone
+ * helpers to create and verify proofs. Every helper accepts a
+ * `documentLoader` option that is handed to `canonize`.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.name - Value of the proof's `cryptosuite` property
+ * @param {Function} options.canonize - async (input, { documentLoader }) => string
+ * @returns {Object} Cryptosuite
+ */
+export function createCryptosuite({ name, canonize }) {
+  /**
+   * Compute the data that is signed for a proof
+   *
+   * The document's proofs and the proof's proofValue are excluded, except
+   * that the proofs named by previousProof are signed as the document's
+   * `proof` array. The document's @context, if any, becomes part of the
+   * proof configuration.
+   *
+   * @param {Object} options - Options
+   * @param {Object} options.document - Document, with or without proofs
+   * @param {Object} options.proof - Proof options or an existing proof
+   * @param {Function} [options.documentLoader] - JSON-LD document loader
+   * @returns {Promise<Buffer>} 64-byte SM3(proofConfig) || SM3(document)
+   * @throws {ArgumentError} If document or proof is not an object
+   * @throws {FormatError} If either cannot be canonicalized
+   * @throws {VerificationError} If a previousProof is not in the document
+   */
+  async function createVerifyData({ document, proof, documentLoader } = {}) {
+    assertObject(document, 'document');
+    assertObject(proof, 'proof');
+
+    const { proof: proofs, ...unsecured } = document;
+    const { proofValue: _proofValue, ...proofConfig } = proof;
+    const previousProofs = selectPreviousProofs(proofs, proof);
+    if (previousProofs !== undefined) {
+      unsecured.proof = previousProofs;
+    }
+    if (unsecured['@context'] !== undefined) {
+      proofConfig['@context'] = unsecured['@context'];
+    }
+
+    const [canonicalProofConfig, canonicalDocument] = await Promise.all([
+      canonize(proofConfig, { documentLoader }),
+      canonize(unsecured, { documentLoader })
+    ]);
+    return Buffer.concat([
+      sm3(encoder.encode(canonicalProofConfig)),
+      sm3(encoder.encode(canonicalDocument))
+    ]);
+  }
+
+  /**
+   * Sign a document and return the proofValue for the given proof options
+   *
+   * @param {Object} options - Options
+   * @param {Object} options.document - Unsecured document
+   * @param {Object} options.proof - Proof options, without proofValue
+   * @param {Object} options.signer - Signer from SM2Multikey#signer()
+   * @param {Function} [options.documentLoader] - JSON-LD document loader
+   * @param {AbortSignal} [options.signal] - Cancels signing
+   * @returns {Promise<string>} Multibase base58btc signature
+   * @throws {ArgumentError} If the signer is invalid
+   */
+  async function createProofValue({ document, proof, signer, documentLoader, signal } = {}) {
+    if (!signer || typeof signer.sign !== 'function') {
+      throw new ArgumentError('signer must have a sign function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+
+    const data = await createVerifyData({ document, proof, documentLoader });
+    const signature = await signer.sign({ data, signal });
+    return base58btc.encode(signature);
+  }
+
+  /**
+   * Create a DataIntegrityProof for a document
+   *
+   * The returned proof is meant to be attached as the document's `proof`
+   * property, or added to its proof set when the document already has
+   * proofs. Optional proof properties are only included when given.
+   *
+   * @param {Object} options - Options
+   * @param {Object} options.document - Document, with or without proofs
+   * @param {Object} options.signer - Signer from SM2Multikey#signer(); its id
+   *   becomes the proof's verificationMethod
+   * @param {string} [options.id] - Proof id
+   * @param {string|string[]} [options.previousProof] - Ids of existing proofs
+   *   of the document to chain to; they are signed along with the document
+   * @param {string} [options.proofPurpose='assertionMethod'] - Proof purpose
+   * @param {Date|string} [options.created=now] - Creation time
+   * @param {Date|string} [options.expires] - Expiration time
+   * @param {string} [options.challenge] - Challenge, for authentication proofs
+   * @param {string} [options.domain] - Domain, for authentication proofs
+   * @param {string} [options.nonce] - Nonce
+   * @param {string|Object} [options.capability] - Invoked capability, for
+   *   capabilityInvocation proofs
+   * @param {string} [options.capabilityAction] - Invoked action
+   * @param {string} [options.invocationTarget] - Invoked target
+   * @param {Array} [options.capabilityChain] - Capability chain, for
+   *   capabilityDelegation proofs
+   * @param {Function} [options.documentLoader] - JSON-LD document loader
+   * @param {AbortSignal} [options.signal] - Cancels signing
+   * @returns {Promise<Object>} Proof including proofValue
+   * @throws {ArgumentError} If the signer has no id, the id is taken or a
+   *   previousProof is not in the document
+   */
+  async function createProof({
+    document,
+    signer,
+    id,
+    previousProof,
+    proofPurpose = 'assertionMethod',
+    created = new Date(),
+    expires,
+    challenge,
+    domain,
+    nonce,
+    capability,
+    capabilityAction,
+    invocationTarget,
+    capabilityChain,
+    documentLoader,
+    signal
+  } = {}) {
+    const proof = createProofOptions({
+      cryptosuite: name,
+      document,
+      signer,
+      id,
+      previousProof,
+      proofPurpose,
+      created,
+      expires,
+      challenge,
+      domain,
+      nonce,
+      capability,
+      capabilityAction,
+      invocationTarget,
+      capabilityChain
+    });
+    proof.proofValue = await createProofValue({ document, proof, signer, documentLoader, signal });
+    return proof;
+  }
+
+  /**
+   * Verify a document secured with a proof of this cryptosuite
+   *
+   * Failures of the proof itself are reported in the result rather than
+   * thrown, so callers can tell an invalid proof from a misuse of the API.
+   *
+   * @param {Object} options - Options
+   * @param {Object} options.document - Secured document with a `proof` property
+   * @param {Object} [options.proof=document.proof] - Proof to verify, for
+   *   documents with several proofs
+   * @param {Object|SM2Multikey} options.verificationMethod - Key referenced by
+   *   proof.verificationMethod; its id must match when it has one
+   * @param {string} [options.expectedProofPurpose] - Required proofPurpose
+   * @param {ProofPurpose} [options.purpose] - Purpose to validate with instead
+   *   of expectedProofPurpose, e.g. a configured Authentication. Authentication
+   *   proofs need one, since expectedProofPurpose carries no challenge
+   * @param {Object} [options.controllerDocument] - Controller document that
+   *   must authorize the key for the proof purpose
+   * @param {Date} [options.date=now] - Time used to check `expires`
+   * @param {Function} [options.documentLoader] - JSON-LD document loader
+   * @param {AbortSignal} [options.signal] - Cancels verification
+   * @returns {Promise<{verified: boolean, error?: Error}>} Verification result
+   * @throws {ArgumentError} If the document or verification method is missing or invalid
+   */
+  async function verifyProof({
+    document,
+    proof = document?.proof,
+    verificationMethod,
+    expectedProofPurpose,
+    purpose,
+    controllerDocument,
+    date = new Date(),
+    documentLoader,
+    signal
+  } = {}) {
+    assertObject(document, 'document');
+    if (!verificationMethod || typeof verificationMethod !== 'object') {
+      throw new ArgumentError('verificationMethod is required', { code: ErrorCodes.ERR_ARGUMENT_MISSING });
+    }
+    assertPurposeOption(purpose);
+
+    const verifier = await createVerifier({ verificationMethod });
+    try {
+      await assertProof(document, proof, {
+        cryptosuite: name,
+        multibaseHeader: MULTIBASE_BASE58BTC_HEADER,
+        verifier,
+        date
+      });
+
+      const data = await createVerifyData({ document, proof, documentLoader });
+      const signature = base58btc.decode(proof.proofValue);
+      const verified = await verifier.verify({ data, signature, signal });
+      if (!verified) {
+        throw new VerificationError('Invalid signature', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+      }
+
+      await assertProofPurpose(document, proof, {
+        expectedProofPurpose,
+        purpose,
+        controllerDocument,
+        verificationMethod,
+        date
+      });
+      return { verified: true };
+    } catch (error) {
+      if (error?.name === 'AbortError' || error === signal?.reason) {
+        throw error;
+      }
+      return { verified: false, error };
+    }
+  }
+
+  return {
+    name,
+    requiredAlgorithm: REQUIRED_ALGORITHM,
+    canonize,
+    createVerifier,
+    createVerifyData,
+    createProofValue,
+    createProof,
+    verifyProof
+  };
+}
@@ -0,0 +1,72 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Static JSON-LD Document Loader
+ *
+ * This module provides a JSON-LD document loader that serves the contexts
+ * needed to secure SM2 credentials from memory, so RDF canonicalization
+ * never touches the network. Any other URL is rejected.
+ *
+ * Bundled Contexts:
+ * - https://w3id.org/security/multikey/v1
+ * - https://w3id.org/security/data-integrity/v1 and v2
+ * - https://www.w3.org/2018/credentials/v1
+ * - https://www.w3.org/ns/credentials/v2
+ *
+ * Usage Example:
+ * ```javascript
+ * import { documentLoader, createDocumentLoader } from './document-loader.js';
+ *
+ * const { document } = await documentLoader('https://www.w3.org/ns/credentials/v2');
+ *
+ * // Serve additional application contexts, falling back to the bundled ones
+ * const loader = createDocumentLoader({ 'https://example.com/ctx/v1': context });
+ * ```
+ *
+ * @module suites/document-loader
+ * @see {@link https://www.w3.org/TR/json-ld11-api/#loaddocumentcallback|LoadDocumentCallback}
+ */
+
+import { contexts as credentialsContexts } from '@digitalbazaar/credentials-context';
+import { contexts as dataIntegrityContexts } from '@digitalbazaar/data-integrity-context';
+import { contexts as multikeyContexts } from '@digitalbazaar/multikey-context';
+import { OperationError, ArgumentError, ErrorCodes } from '../core/errors.js';
+
+const BUNDLED_DOCUMENTS = new Map([
+  ...multikeyContexts,
+  ...dataIntegrityContexts,
+  ...credentialsContexts
+]);
+
+/**
+ * Create a static document loader
+ *
+ * @param {Object|Map} [documents={}] - Extra documents keyed by URL; these
+ *   take precedence over the bundled contexts
+ * @returns {Function} async (url) => { contextUrl, documentUrl, document }
+ * @throws {ArgumentError} If documents is not an object or Map
+ */
+export function createDocumentLoader(documents = {}) {
+  if (!documents || typeof documents !== 'object') {
+    throw new ArgumentError('documents must be an object or Map', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const extra = documents instanceof Map ? documents : new Map(Object.entries(documents));
+
+  return async function documentLoader(url) {
+    const document = extra.get(url) ?? BUNDLED_DOCUMENTS.get(url);
+    if (document === undefined) {
+      throw new OperationError(`Document not found: ${url}`, { code: ErrorCodes.ERR_OPERATION_INVALID });
+    }
+    return { contextUrl: null, documentUrl: url, document };
+  };
+}
+
+/**
+ * Document loader serving only the bundled contexts
+ *
+ * @type {Function}
+ */
+export const documentLoader = createDocumentLoader();
@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview sm2-jcs-2023 Data Integrity Cryptosuite
+ *
+ * This module implements a Data Integrity cryptosuite for SM2 keys that
+ * canonicalizes documents with the JSON Canonicalization Scheme and hashes
+ * them with SM3. It follows ecdsa-jcs-2019 and needs no JSON-LD processing
+ * or network access.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { SM2Multikey, cryptosuite } from '@instun/sm2-multikey';
+ *
+ * const key = SM2Multikey.generate({ controller: 'did:example:issuer' });
+ * const proof = await cryptosuite.createProof({ document, signer: key.signer() });
+ * const secured = { ...document, proof };
+ *
+ * const { verified } = await cryptosuite.verifyProof({
+ *   document: secured,
+ *   verificationMethod: key.export({ publicKey: true, includeContext: true })
+ * });
+ * ```
+ *
+ * @module suites/jcs
+ * @see {@link https://www.w3.org/TR/vc-di-ecdsa/#ecdsa-jcs-2019|ecdsa-jcs-2019}
+ */
+
+import { canonicalize } from '../formats/jcs.js';
+import { createCryptosuite } from './data-integrity.js';
+
+/**
+ * Canonicalize a document or proof configuration with JCS
+ *
+ * @param {Object} input - JSON document
+ * @returns {Promise<string>} Canonical JSON text
+ * @throws {FormatError} If the input is not representable as I-JSON
+ */
+async function canonize(input) {
+  return canonicalize(input);
+}
+
+/**
+ * sm2-jcs-2023 cryptosuite
+ *
+ * @type {Object}
+ */
+export const cryptosuite = createCryptosuite({ name: 'sm2-jcs-2023', canonize });
@@ -0,0 +1,228 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Proof Sets and Proof Chains
+ *
+ * A document may carry several Data Integrity proofs. In a proof set the
+ * proofs are independent, so parties can sign in any order. In a proof
+ * chain a proof names earlier proofs in `previousProof`; those proofs are
+ * signed along with the document, so the new signer endorses them and the
+ * order of signing becomes verifiable.
+ *
+ * Proof Set Structure:
+ * ```
+ * proof: [
+ *   { id: 'urn:uuid:a', ...},                          // party A
+ *   { id: 'urn:uuid:b', ...},                          // party B
+ *   { id: 'urn:uuid:c', previousProof: ['urn:uuid:a', 'urn:uuid:b'], ...}  // notary
+ * ]
+ * ```
+ *
+ * Proofs use the sm2-jcs-2023 and sm2-rdfc-2023 cryptosuites; sm2-sd-2023
+ * proofs cannot be part of a set because derived documents keep only their
+ * own proof. Verification looks up each proof's key through a resolver
+ * returning `{ key, controllerDocument }`.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { addProof, verifyProofSet } from '@instun/sm2-multikey';
+ *
+ * let signed = await addProof({ document, signer: partyA.signer(), id: 'urn:uuid:a' });
+ * signed = await addProof({ document: signed, signer: partyB.signer(), id: 'urn:uuid:b' });
+ * signed = await addProof({ document: signed, signer: notary.signer(), previousProof: ['urn:uuid:a', 'urn:uuid:b'] });
+ * const { verified, results } = await verifyProofSet({ document: signed, resolver });
+ * ```
+ *
+ * @module suites/proof-sets
+ * @see {@link https://www.w3.org/TR/vc-data-integrity/#proof-sets|Proof Sets}
+ * @see {@link https://www.w3.org/TR/vc-data-integrity/#proof-chains|Proof Chains}
+ */
+
+import { SM2Multikey } from '../core/multikey.js';
+import { ArgumentError, VerificationError, ErrorCodes } from '../core/errors.js';
+import { randomUUID } from '../utils/random.js';
+import { cryptosuite as jcsCryptosuite } from './jcs.js';
+import { cryptosuite as rdfcCryptosuite } from './rdfc.js';
+
+const CRYPTOSUITES = new Map(
+  [jcsCryptosuite, rdfcCryptosuite].map((suite) => [suite.name, suite])
+);
+
+function fail(message) {
+  throw new VerificationError(message, { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+}
+
+function assertObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ArgumentError(`${name} must be an object`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+function isAbort(error, signal) {
+  return error?.name === 'AbortError' || error === signal?.reason;
+}
+
+/**
+ * Add a proof to a document
+ *
+ * The document may be unsecured or already carry one or more proofs. The
+ * new proof gets a random `urn:uuid:` id unless `id` is given, so later
+ * signers can chain to it.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Document, with or without proofs
+ * @param {Object} options.signer - Signer from SM2Multikey#signer()
+ * @param {Object} [options.cryptosuite=sm2-jcs-2023] - Cryptosuite with createProof
+ * @param {string} [options.id] - Proof id
+ * @param {string|string[]} [options.previousProof] - Ids of existing proofs
+ *   the new proof is chained to
+ * @param {string} [options.proofPurpose='assertionMethod'] - Proof purpose
+ * @param {Date|string} [options.created=now] - Creation time
+ * @param {Date|string} [options.expires] - Expiration time
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels signing
+ * @returns {Promise<Object>} Document whose `proof` is the new proof, or an
+ *   array of all proofs when it already had some
+ * @throws {ArgumentError} If an argument is invalid or a previousProof is
+ *   not in the document
+ */
+export async function addProof({
+  document,
+  signer,
+  cryptosuite = jcsCryptosuite,
+  id = `urn:uuid:${randomUUID()}`,
+  previousProof,
+  proofPurpose,
+  created,
+  expires,
+  documentLoader,
+  signal
+} = {}) {
+  assertObject(document, 'document');
+  if (!cryptosuite || typeof cryptosuite.createProof !== 'function') {
+    throw new ArgumentError('cryptosuite must have a createProof function', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+
+  const proof = await cryptosuite.createProof({
+    document,
+    signer,
+    id,
+    previousProof,
+    proofPurpose,
+    created,
+    expires,
+    documentLoader,
+    signal
+  });
+  return {
+    ...document,
+    proof: document.proof === undefined ? proof : [...[].concat(document.proof), proof]
+  };
+}
+
+/**
+ * Verify one proof of a set
+ *
+ * @private
+ * @param {Object} options - Options of verifyProofSet, plus the proof
+ * @returns {Promise<void>} Resolves when the proof is valid
+ * @throws {VerificationError} Describing why the proof is not valid
+ */
+async function verifySetMember({ document, proof, resolver, expectedProofPurpose, date, documentLoader, signal }) {
+  if (!proof || typeof proof !== 'object' || typeof proof.verificationMethod !== 'string') {
+    fail('Proof has no verificationMethod');
+  }
+  const suite = CRYPTOSUITES.get(proof.cryptosuite);
+  if (!suite) {
+    fail(`Unsupported cryptosuite: ${proof.cryptosuite}`);
+  }
+
+  let resolved;
+  try {
+    resolved = await resolver.resolve(proof.verificationMethod);
+  } catch (error) {
+    throw new VerificationError(`Cannot resolve ${proof.verificationMethod}`, {
+      code: ErrorCodes.ERR_VERIFICATION_FAILED,
+      cause: error
+    });
+  }
+  if (!(resolved?.key instanceof SM2Multikey)) {
+    fail(`Cannot resolve ${proof.verificationMethod}`);
+  }
+
+  const { verified, error } = await suite.verifyProof({
+    document,
+    proof,
+    verificationMethod: resolved.key,
+    expectedProofPurpose,
+    controllerDocument: resolved.controllerDocument,
+    date,
+    documentLoader,
+    signal
+  });
+  if (!verified) {
+    throw error;
+  }
+}
+
+/**
+ * Verify every proof of a proof set or chain
+ *
+ * Each proof is verified on its own, with the proofs it names in
+ * previousProof signed along with the document. A chained proof fails when
+ * a previous proof is missing or was altered.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Document with one or more proofs
+ * @param {Object} options.resolver - Resolver with a resolve(id) method
+ * @param {string} [options.expectedProofPurpose] - Required proofPurpose of every proof
+ * @param {Date} [options.date=now] - Time used to check `expires`
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels verification
+ * @returns {Promise<Object>} { verified, error?, results }, where results
+ *   holds { proof, verified, error? } for each proof in document order
+ * @throws {ArgumentError} If the document or resolver is invalid
+ */
+export async function verifyProofSet({
+  document,
+  resolver,
+  expectedProofPurpose,
+  date = new Date(),
+  documentLoader,
+  signal
+} = {}) {
+  assertObject(document, 'document');
+  if (!resolver || typeof resolver.resolve !== 'function') {
+    throw new ArgumentError('resolver must have a resolve function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const proofs = [].concat(document.proof ?? []);
+  if (proofs.length === 0) {
+    const error = new VerificationError('Document has no proof', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+    return { verified: false, error, results: [] };
+  }
+
+  const results = [];
+  for (const proof of proofs) {
+    try {
+      await verifySetMember({ document, proof, resolver, expectedProofPurpose, date, documentLoader, signal });
+      results.push({ proof, verified: true });
+    } catch (error) {
+      if (isAbort(error, signal)) {
+        throw error;
+      }
+      results.push({ proof, verified: false, error });
+    }
+  }
+
+  const failed = results.find(({ verified }) => !verified);
+  return {
+    verified: !failed,
+    ...(failed && { error: failed.error }),
+    results
+  };
+}
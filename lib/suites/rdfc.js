@@ -0,0 +1,72 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview sm2-rdfc-2023 Data Integrity Cryptosuite
+ *
+ * This module implements a Data Integrity cryptosuite for SM2 keys that
+ * canonicalizes JSON-LD documents with RDF Dataset Canonicalization
+ * (RDFC-1.0) and hashes the resulting N-Quads with SM3. It follows
+ * ecdsa-rdfc-2019.
+ *
+ * Contexts are loaded with the bundled static document loader unless a
+ * `documentLoader` is passed, so the Multikey, Data Integrity and VC
+ * contexts resolve offline. Canonicalization runs in JSON-LD safe mode:
+ * terms that are not defined by a context are errors rather than being
+ * silently dropped from the signed data.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { SM2Multikey, rdfcCryptosuite } from '@instun/sm2-multikey';
+ *
+ * const proof = await rdfcCryptosuite.createProof({ document: credential, signer: key.signer() });
+ * const { verified } = await rdfcCryptosuite.verifyProof({
+ *   document: { ...credential, proof },
+ *   verificationMethod: key
+ * });
+ * ```
+ *
+ * @module suites/rdfc
+ * @see {@link https://www.w3.org/TR/rdf-canon/|RDFC-1.0}
+ * @see {@link https://www.w3.org/TR/vc-di-ecdsa/#ecdsa-rdfc-2019|ecdsa-rdfc-2019}
+ */
+
+import jsonld from 'jsonld';
+import { FormatError, ErrorCodes } from '../core/errors.js';
+import { createCryptosuite } from './data-integrity.js';
+import { documentLoader as staticDocumentLoader } from './document-loader.js';
+
+/**
+ * Canonicalize a JSON-LD document to RDFC-1.0 N-Quads
+ *
+ * @param {Object} input - JSON-LD document
+ * @param {Object} [options={}] - Options
+ * @param {Function} [options.documentLoader] - JSON-LD document loader,
+ *   defaults to the bundled static loader
+ * @returns {Promise<string>} Canonical N-Quads
+ * @throws {FormatError} If the document cannot be converted to RDF
+ */
+async function canonize(input, { documentLoader = staticDocumentLoader } = {}) {
+  try {
+    return await jsonld.canonize(input, {
+      // RDFC-1.0 was standardized from URDNA2015 and produces identical output
+      algorithm: 'URDNA2015',
+      format: 'application/n-quads',
+      documentLoader,
+      safe: true
+    });
+  } catch (error) {
+    throw new FormatError('Failed to canonicalize JSON-LD document', {
+      code: ErrorCodes.ERR_FORMAT_INVALID,
+      cause: error
+    });
+  }
+}
+
+/**
+ * sm2-rdfc-2023 cryptosuite
+ *
+ * @type {Object}
+ */
+export const cryptosuite = createCryptosuite({ name: 'sm2-rdfc-2023', canonize });
@@ -0,0 +1,452 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview sm2-sd-2023 Selective Disclosure Cryptosuite
+ *
+ * This module implements a selective disclosure Data Integrity cryptosuite
+ * for SM2 keys, following ecdsa-sd-2023 with SM2 signatures, SM3 hashes
+ * and HMAC-SM3 blank node labels.
+ *
+ * Roles:
+ * ```
+ * issuer   createBaseProof()    signs every statement, marks mandatory ones
+ * holder   deriveProof()        reveals mandatory + selected statements
+ * verifier verifyDerivedProof() checks the revealed statements
+ * ```
+ *
+ * The issuer's key signs SM3(proofConfig) || ephemeralPublicKey ||
+ * SM3(mandatory N-Quads). Every non-mandatory N-Quad is signed with a
+ * fresh ephemeral SM2 key whose private half is discarded, so a holder can
+ * drop statements without invalidating the rest. Blank node labels are
+ * replaced with HMAC-SM3 values so revealed labels say nothing about the
+ * hidden statements.
+ *
+ * Proof values are base64url multibase strings of CBOR data behind a
+ * three-byte header:
+ * ```
+ * base:    0xd9 0x5d 0x00 [baseSignature, publicKey, hmacKey, signatures, mandatoryPointers]
+ * derived: 0xd9 0x5d 0x01 [baseSignature, publicKey, signatures, labelMap, mandatoryIndexes]
+ * ```
+ *
+ * Usage Example:
+ * ```javascript
+ * import { SM2Multikey, sdCryptosuite } from '@instun/sm2-multikey';
+ *
+ * const proof = await sdCryptosuite.createBaseProof({
+ *   document: credential,
+ *   signer: issuerKey.signer(),
+ *   mandatoryPointers: ['/issuer']
+ * });
+ * const derived = await sdCryptosuite.deriveProof({
+ *   document: { ...credential, proof },
+ *   selectivePointers: ['/credentialSubject/name']
+ * });
+ * const { verified } = await sdCryptosuite.verifyDerivedProof({
+ *   document: derived,
+ *   verificationMethod: issuerKey
+ * });
+ * ```
+ *
+ * @module suites/sd
+ * @see {@link https://www.w3.org/TR/vc-di-ecdsa/#ecdsa-sd-2023|ecdsa-sd-2023}
+ */
+
+import { base58btc } from 'multiformats/bases/base58';
+import { base64url } from 'multiformats/bases/base64';
+import { SM2Multikey } from '../core/multikey.js';
+import { ArgumentError, VerificationError, ErrorCodes } from '../core/errors.js';
+import { encodeCBOR, decodeCBOR } from '../formats/cbor.js';
+import { sm3 } from '../crypto/sm3.js';
+import { randomBytes } from '../utils/random.js';
+import { isValidBinaryData } from '../utils/binary.js';
+import {
+  createVerifier,
+  createProofOptions,
+  assertProof,
+  assertProofPurpose,
+  assertPurposeOption
+} from './data-integrity.js';
+import { cryptosuite as rdfcCryptosuite } from './rdfc.js';
+import { documentLoader as staticDocumentLoader } from './document-loader.js';
+import {
+  canonicalizeAndGroup,
+  createHmacIdLabelMapFunction,
+  createLabelMapFunction,
+  labelReplacementCanonicalizeJsonLd,
+  labelReplacementCanonicalizeNQuads,
+  selectJsonLd
+} from './selective-disclosure.js';
+
+const NAME = 'sm2-sd-2023';
+const REQUIRED_ALGORITHM = 'SM2';
+const MULTIBASE_BASE64URL_HEADER = 'u';
+const BASE_PROOF_HEADER = Uint8Array.of(0xd9, 0x5d, 0x00);
+const DERIVED_PROOF_HEADER = Uint8Array.of(0xd9, 0x5d, 0x01);
+const HMAC_KEY_LENGTH = 32;
+
+const encoder = new TextEncoder();
+
+function assertObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ArgumentError(`${name} must be an object`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+function assertPointers(pointers, name) {
+  if (!Array.isArray(pointers) || !pointers.every((pointer) => typeof pointer === 'string')) {
+    throw new ArgumentError(`${name} must be an array of JSON pointers`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+function invalidProofValue() {
+  return new VerificationError('Malformed proofValue', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+}
+
+function serializeProofValue(header, components) {
+  const payload = encodeCBOR(components);
+  const bytes = new Uint8Array(header.length + payload.length);
+  bytes.set(header);
+  bytes.set(payload, header.length);
+  return base64url.encode(bytes);
+}
+
+// Decodes a proofValue into its CBOR array of the given length
+function parseProofValue(proofValue, header, length) {
+  let bytes;
+  let components;
+  try {
+    bytes = base64url.decode(proofValue);
+    if (!header.every((byte, i) => bytes[i] === byte)) {
+      throw invalidProofValue();
+    }
+    components = decodeCBOR(bytes.subarray(header.length));
+  } catch (error) {
+    throw error instanceof VerificationError ? error : invalidProofValue();
+  }
+  if (!Array.isArray(components) || components.length !== length) {
+    throw invalidProofValue();
+  }
+  return components;
+}
+
+function parseBaseProofValue(proofValue) {
+  const [baseSignature, publicKey, hmacKey, signatures, mandatoryPointers] =
+    parseProofValue(proofValue, BASE_PROOF_HEADER, 5);
+  if (!isValidBinaryData(baseSignature) || !isValidBinaryData(publicKey) ||
+    !isValidBinaryData(hmacKey) || hmacKey.length !== HMAC_KEY_LENGTH ||
+    !Array.isArray(signatures) || !signatures.every(isValidBinaryData) ||
+    !Array.isArray(mandatoryPointers) || !mandatoryPointers.every((pointer) => typeof pointer === 'string')) {
+    throw invalidProofValue();
+  }
+  return { baseSignature, publicKey, hmacKey, signatures, mandatoryPointers };
+}
+
+function parseDerivedProofValue(proofValue) {
+  const [baseSignature, publicKey, signatures, compressedLabelMap, mandatoryIndexes] =
+    parseProofValue(proofValue, DERIVED_PROOF_HEADER, 5);
+  if (!isValidBinaryData(baseSignature) || !isValidBinaryData(publicKey) ||
+    !Array.isArray(signatures) || !signatures.every(isValidBinaryData) ||
+    !(compressedLabelMap instanceof Map) ||
+    !Array.isArray(mandatoryIndexes) || !mandatoryIndexes.every(Number.isInteger)) {
+    throw invalidProofValue();
+  }
+
+  // Labels travel as c14n index -> HMAC digest
+  const labelMap = new Map();
+  for (const [index, digest] of compressedLabelMap) {
+    if (!Number.isInteger(index) || !isValidBinaryData(digest)) {
+      throw invalidProofValue();
+    }
+    labelMap.set(`c14n${index}`, base64url.encode(digest));
+  }
+  return { baseSignature, publicKey, signatures, labelMap, mandatoryIndexes };
+}
+
+function compressLabelMap(labelMap) {
+  const compressed = new Map();
+  for (const [canonical, label] of labelMap) {
+    compressed.set(Number(canonical.slice('c14n'.length)), base64url.decode(label));
+  }
+  return compressed;
+}
+
+// SM3(proofConfig) || ephemeral public key || SM3(mandatory N-Quads)
+async function createSignedData({ document, proof, publicKey, mandatory, documentLoader }) {
+  const { proofValue: _proofValue, ...proofConfig } = proof;
+  if (document['@context'] !== undefined) {
+    proofConfig['@context'] = document['@context'];
+  }
+
+  const canonicalProofConfig = await rdfcCryptosuite.canonize(proofConfig, { documentLoader });
+  return Buffer.concat([
+    sm3(encoder.encode(canonicalProofConfig)),
+    publicKey,
+    sm3(encoder.encode(mandatory.join('')))
+  ]);
+}
+
+/**
+ * Create a base proof for a document
+ *
+ * The issuer signs the whole document. Statements selected by
+ * `mandatoryPointers` must be disclosed by every derived proof.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Unsecured JSON-LD document
+ * @param {Object} options.signer - Signer from SM2Multikey#signer(); its id
+ *   becomes the proof's verificationMethod
+ * @param {string[]} [options.mandatoryPointers=[]] - JSON pointers to
+ *   statements that are always disclosed
+ * @param {string} [options.proofPurpose='assertionMethod'] - Proof purpose
+ * @param {Date|string} [options.created=now] - Creation time
+ * @param {Date|string} [options.expires] - Expiration time
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels signing
+ * @returns {Promise<Object>} Base proof including proofValue
+ * @throws {ArgumentError} If an argument is invalid or a pointer does not match
+ * @throws {FormatError} If the document cannot be canonicalized
+ */
+async function createBaseProof({
+  document,
+  signer,
+  mandatoryPointers = [],
+  proofPurpose = 'assertionMethod',
+  created = new Date(),
+  expires,
+  documentLoader = staticDocumentLoader,
+  signal
+} = {}) {
+  const proof = createProofOptions({ cryptosuite: NAME, document, signer, proofPurpose, created, expires });
+  // Derived documents only keep this proof, so it cannot join a proof set
+  if (document.proof !== undefined) {
+    throw new ArgumentError('Document already has a proof', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  assertPointers(mandatoryPointers, 'mandatoryPointers');
+  if (typeof signer.sign !== 'function') {
+    throw new ArgumentError('signer must have a sign function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const hmacKey = randomBytes(HMAC_KEY_LENGTH);
+  const { groups: { mandatory } } = await canonicalizeAndGroup({
+    document,
+    labelMapFactoryFunction: createHmacIdLabelMapFunction(hmacKey),
+    groupDefinitions: { mandatory: mandatoryPointers },
+    documentLoader
+  });
+
+  const ephemeralKey = SM2Multikey.generate();
+  const ephemeralSigner = ephemeralKey.signer();
+  const signatures = [];
+  for (const nquad of mandatory.nonMatching.values()) {
+    signatures.push(await ephemeralSigner.sign({ data: encoder.encode(nquad), signal }));
+  }
+
+  const publicKey = base58btc.decode(ephemeralKey.publicKeyMultibase);
+  const data = await createSignedData({
+    document,
+    proof,
+    publicKey,
+    mandatory: [...mandatory.matching.values()],
+    documentLoader
+  });
+  const baseSignature = await signer.sign({ data, signal });
+
+  proof.proofValue = serializeProofValue(BASE_PROOF_HEADER, [
+    baseSignature,
+    publicKey,
+    hmacKey,
+    signatures,
+    mandatoryPointers
+  ]);
+  return proof;
+}
+
+/**
+ * Derive a proof that discloses part of a document
+ *
+ * Run by the holder. The result holds the mandatory statements, the
+ * statements selected by `selectivePointers` and a derived proof over
+ * just those.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Document secured with a base proof
+ * @param {string[]} [options.selectivePointers=[]] - JSON pointers to disclose
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @returns {Promise<Object>} Reveal document with the derived proof attached
+ * @throws {ArgumentError} If an argument is invalid or a pointer does not match
+ * @throws {VerificationError} If the document has no valid base proof
+ */
+async function deriveProof({ document, selectivePointers = [], documentLoader = staticDocumentLoader } = {}) {
+  assertObject(document, 'document');
+  assertPointers(selectivePointers, 'selectivePointers');
+
+  const { proof, ...unsecured } = document;
+  if (!proof || proof.cryptosuite !== NAME || typeof proof.proofValue !== 'string' ||
+    !proof.proofValue.startsWith(MULTIBASE_BASE64URL_HEADER)) {
+    throw new VerificationError(`Document has no ${NAME} base proof`, { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+  }
+  const { baseSignature, publicKey, hmacKey, signatures, mandatoryPointers } =
+    parseBaseProofValue(proof.proofValue);
+
+  const combinedPointers = [...mandatoryPointers, ...selectivePointers];
+  if (combinedPointers.length === 0) {
+    throw new ArgumentError('Nothing to disclose', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const { groups, labelMap } = await canonicalizeAndGroup({
+    document: unsecured,
+    labelMapFactoryFunction: createHmacIdLabelMapFunction(hmacKey),
+    groupDefinitions: {
+      mandatory: mandatoryPointers,
+      selective: selectivePointers,
+      combined: combinedPointers
+    },
+    documentLoader
+  });
+
+  // Mandatory statements are identified by position among the revealed ones
+  const combinedIndexes = [...groups.combined.matching.keys()];
+  const mandatoryIndexes = [...groups.mandatory.matching.keys()]
+    .map((index) => combinedIndexes.indexOf(index));
+
+  // Only non-mandatory statements carry their own signature
+  const nonMandatoryIndexes = [...groups.mandatory.nonMatching.keys()];
+  const filteredSignatures = signatures.filter((_signature, i) =>
+    groups.selective.matching.has(nonMandatoryIndexes[i]));
+
+  // The verifier relabels the reveal document's c14n labels with the HMAC labels
+  let canonicalIdMap;
+  await labelReplacementCanonicalizeNQuads({
+    nquads: groups.combined.deskolemizedNQuads,
+    labelMapFactoryFunction: (idMap) => (canonicalIdMap = idMap)
+  });
+  const verifierLabelMap = new Map();
+  for (const [input, canonical] of canonicalIdMap) {
+    verifierLabelMap.set(canonical, labelMap.get(input));
+  }
+
+  const revealDocument = selectJsonLd({ document: unsecured, pointers: combinedPointers });
+  const proofValue = serializeProofValue(DERIVED_PROOF_HEADER, [
+    baseSignature,
+    publicKey,
+    filteredSignatures,
+    compressLabelMap(verifierLabelMap),
+    mandatoryIndexes
+  ]);
+  return { ...revealDocument, proof: { ...proof, proofValue } };
+}
+
+/**
+ * Verify a document secured with a derived proof
+ *
+ * Failures of the proof itself are reported in the result rather than
+ * thrown, as with the other SM2 cryptosuites.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Reveal document with a derived proof
+ * @param {Object|SM2Multikey} options.verificationMethod - Issuer key; its id
+ *   must match proof.verificationMethod when it has one
+ * @param {string} [options.expectedProofPurpose] - Required proofPurpose
+ * @param {ProofPurpose} [options.purpose] - Purpose to validate with instead
+ *   of expectedProofPurpose
+ * @param {Object} [options.controllerDocument] - Controller document that
+ *   must authorize the key for the proof purpose
+ * @param {Date} [options.date=now] - Time used to check `expires`
+ * @param {Function} [options.documentLoader] - JSON-LD document loader
+ * @param {AbortSignal} [options.signal] - Cancels verification
+ * @returns {Promise<{verified: boolean, error?: Error}>} Verification result
+ * @throws {ArgumentError} If the document or verification method is missing or invalid
+ */
+async function verifyDerivedProof({
+  document,
+  verificationMethod,
+  expectedProofPurpose,
+  purpose,
+  controllerDocument,
+  date = new Date(),
+  documentLoader = staticDocumentLoader,
+  signal
+} = {}) {
+  assertObject(document, 'document');
+  if (!verificationMethod || typeof verificationMethod !== 'object') {
+    throw new ArgumentError('verificationMethod is required', { code: ErrorCodes.ERR_ARGUMENT_MISSING });
+  }
+  assertPurposeOption(purpose);
+
+  const verifier = await createVerifier({ verificationMethod });
+  const { proof, ...unsecured } = document;
+  try {
+    await assertProof(document, proof, {
+      cryptosuite: NAME,
+      multibaseHeader: MULTIBASE_BASE64URL_HEADER,
+      verifier,
+      date
+    });
+    const { baseSignature, publicKey, signatures, labelMap, mandatoryIndexes } =
+      parseDerivedProofValue(proof.proofValue);
+
+    const { nquads } = await labelReplacementCanonicalizeJsonLd({
+      document: unsecured,
+      labelMapFactoryFunction: createLabelMapFunction(labelMap),
+      documentLoader
+    });
+    const mandatoryIndexSet = new Set(mandatoryIndexes);
+    const mandatory = nquads.filter((_nquad, i) => mandatoryIndexSet.has(i));
+    const nonMandatory = nquads.filter((_nquad, i) => !mandatoryIndexSet.has(i));
+    if (signatures.length !== nonMandatory.length) {
+      throw new VerificationError('Signature count does not match the disclosed statements', {
+        code: ErrorCodes.ERR_VERIFICATION_FAILED
+      });
+    }
+
+    const data = await createSignedData({ document: unsecured, proof, publicKey, mandatory, documentLoader });
+    if (!await verifier.verify({ data, signature: baseSignature, signal })) {
+      throw new VerificationError('Invalid base signature', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+    }
+
+    const ephemeralKey = SM2Multikey.from({ publicKeyMultibase: base58btc.encode(publicKey) });
+    const results = await SM2Multikey.verifyBatch(nonMandatory.map((nquad, i) => ({
+      key: ephemeralKey,
+      data: encoder.encode(nquad),
+      signature: signatures[i]
+    })));
+    if (!results.every(Boolean)) {
+      throw new VerificationError('Invalid statement signature', { code: ErrorCodes.ERR_VERIFICATION_FAILED });
+    }
+
+    await assertProofPurpose(document, proof, {
+      expectedProofPurpose,
+      purpose,
+      controllerDocument,
+      verificationMethod,
+      date
+    });
+    return { verified: true };
+  } catch (error) {
+    if (error?.name === 'AbortError' || error === signal?.reason) {
+      throw error;
+    }
+    return { verified: false, error };
+  }
+}
+
+/**
+ * sm2-sd-2023 cryptosuite
+ *
+ * `verifyProof` is the same function as `verifyDerivedProof`: base proofs
+ * are only meant for holders and are never verified directly.
+ *
+ * @type {Object}
+ */
+export const cryptosuite = {
+  name: NAME,
+  requiredAlgorithm: REQUIRED_ALGORITHM,
+  canonize: rdfcCryptosuite.canonize,
+  createVerifier,
+  createBaseProof,
+  deriveProof,
+  verifyDerivedProof,
+  verifyProof: verifyDerivedProof
+};
@@ -0,0 +1,382 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Selective Disclosure Primitives
+ *
+ * This module implements the selective disclosure functions of the Data
+ * Integrity ECDSA specification, with HMAC-SM3 in place of HMAC-SHA-256.
+ * They turn a JSON-LD document into canonical N-Quads whose blank node
+ * labels do not leak information, and group those N-Quads by the JSON
+ * pointers that select them.
+ *
+ * Processing Overview:
+ * ```
+ * document --skolemize--> ids for every blank node (urn:custom-scheme:...)
+ *          --toRDF------> deskolemized N-Quads
+ *          --RDFC-1.0---> canonical labels c14nN
+ *          --label map--> u<base64url(HMAC-SM3(key, c14nN))>
+ * pointers --select-----> JSON-LD subset --> matching / non-matching N-Quads
+ * ```
+ *
+ * JSON pointers are resolved against the compacted document, so they
+ * address the document as it is written.
+ *
+ * @module suites/selective-disclosure
+ * @private
+ * @see {@link https://www.w3.org/TR/vc-di-ecdsa/#selective-disclosure-functions|Selective Disclosure Functions}
+ */
+
+import jsonld from 'jsonld';
+import rdfCanonize from 'rdf-canonize';
+import { base64url } from 'multiformats/bases/base64';
+import { ArgumentError, FormatError, ErrorCodes } from '../core/errors.js';
+import { hmacSM3 } from '../crypto/sm3.js';
+import { randomBytes } from '../utils/random.js';
+
+const { NQuads } = rdfCanonize;
+
+const SKOLEM_PREFIX = 'urn:custom-scheme:';
+const QUAD_COMPONENTS = ['subject', 'predicate', 'object', 'graph'];
+
+const encoder = new TextEncoder();
+
+// Wraps JSON-LD processing errors so callers see the library's error types
+async function process(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof ArgumentError || error instanceof FormatError) {
+      throw error;
+    }
+    throw new FormatError('Failed to process JSON-LD document', {
+      code: ErrorCodes.ERR_FORMAT_INVALID,
+      cause: error
+    });
+  }
+}
+
+// Rewrites blank node labels (without "_:") of N-Quads through `relabel`
+function mapBlankNodes(nquads, relabel) {
+  return nquads.map((nquad) => {
+    const [quad] = NQuads.parse(nquad);
+    for (const name of QUAD_COMPONENTS) {
+      const term = quad[name];
+      if (term.termType === 'BlankNode') {
+        quad[name] = { ...term, value: `_:${relabel(term.value.slice(2))}` };
+      }
+    }
+    return NQuads.serializeQuad(quad);
+  });
+}
+
+function splitNQuads(nquads) {
+  return nquads.split('\n').slice(0, -1).map((nquad) => `${nquad}\n`);
+}
+
+/**
+ * Create a label map factory that relabels blank nodes with HMAC-SM3
+ *
+ * @param {Uint8Array} key - HMAC key
+ * @returns {Function} (canonicalIdMap) => Map of input label to HMAC label
+ */
+export function createHmacIdLabelMapFunction(key) {
+  return (canonicalIdMap) => {
+    const labelMap = new Map();
+    for (const [input, canonical] of canonicalIdMap) {
+      labelMap.set(input, base64url.encode(hmacSM3(key, encoder.encode(canonical))));
+    }
+    return labelMap;
+  };
+}
+
+/**
+ * Create a label map factory from a known canonical-to-final label map
+ *
+ * @param {Map<string, string>} labelMap - Canonical label to final label
+ * @returns {Function} (canonicalIdMap) => Map of input label to final label
+ * @throws {FormatError} When a canonical label is missing from labelMap
+ */
+export function createLabelMapFunction(labelMap) {
+  return (canonicalIdMap) => {
+    const bnodeIdMap = new Map();
+    for (const [input, canonical] of canonicalIdMap) {
+      const label = labelMap.get(canonical);
+      if (label === undefined) {
+        throw new FormatError(`No label for blank node ${canonical}`, { code: ErrorCodes.ERR_FORMAT_VALUE });
+      }
+      bnodeIdMap.set(input, label);
+    }
+    return bnodeIdMap;
+  };
+}
+
+/**
+ * Canonicalize N-Quads with RDFC-1.0 and relabel their blank nodes
+ *
+ * @param {Object} options - Options
+ * @param {string[]} options.nquads - N-Quads, one per entry
+ * @param {Function} options.labelMapFactoryFunction - Label map factory
+ * @returns {Promise<{nquads: string[], labelMap: Map<string, string>}>}
+ *   Sorted relabeled N-Quads and the input-to-final label map
+ */
+export async function labelReplacementCanonicalizeNQuads({ nquads, labelMapFactoryFunction }) {
+  const canonicalIdMap = new Map();
+  const canonical = await process(() => jsonld.canonize(nquads.join(''), {
+    algorithm: 'URDNA2015',
+    inputFormat: 'application/n-quads',
+    format: 'application/n-quads',
+    canonicalIdMap
+  }));
+
+  // rdf-canonize keys both sides with the "_:" prefix
+  const strippedIdMap = new Map();
+  for (const [input, label] of canonicalIdMap) {
+    strippedIdMap.set(input.slice(2), label.slice(2));
+  }
+  const labelMap = labelMapFactoryFunction(strippedIdMap);
+
+  const finalLabels = new Map();
+  for (const [input, label] of strippedIdMap) {
+    finalLabels.set(label, labelMap.get(input));
+  }
+  const relabeled = mapBlankNodes(splitNQuads(canonical), (label) => finalLabels.get(label));
+  return { nquads: relabeled.sort(), labelMap };
+}
+
+/**
+ * Canonicalize a JSON-LD document and relabel its blank nodes
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - JSON-LD document
+ * @param {Function} options.labelMapFactoryFunction - Label map factory
+ * @param {Function} options.documentLoader - JSON-LD document loader
+ * @returns {Promise<{nquads: string[], labelMap: Map<string, string>}>}
+ */
+export async function labelReplacementCanonicalizeJsonLd({ document, labelMapFactoryFunction, documentLoader }) {
+  const nquads = await process(() => jsonld.toRDF(document, {
+    format: 'application/n-quads',
+    documentLoader,
+    safe: true
+  }));
+  return labelReplacementCanonicalizeNQuads({ nquads: splitNQuads(nquads), labelMapFactoryFunction });
+}
+
+function skolemizeExpanded(elements, state) {
+  return elements.map((element) => {
+    if (!element || typeof element !== 'object' || '@value' in element) {
+      return element;
+    }
+
+    const skolemized = {};
+    for (const [property, value] of Object.entries(element)) {
+      skolemized[property] = Array.isArray(value) ?
+        skolemizeExpanded(value, state) : skolemizeExpanded([value], state)[0];
+    }
+
+    // Lists and sets are not nodes and cannot carry an @id
+    if ('@list' in element || '@set' in element) {
+      return skolemized;
+    }
+    if (skolemized['@id'] === undefined) {
+      skolemized['@id'] = `${SKOLEM_PREFIX}${state.prefix}_${state.count++}`;
+    } else if (skolemized['@id'].startsWith('_:')) {
+      skolemized['@id'] = `${SKOLEM_PREFIX}${skolemized['@id'].slice(2)}`;
+    }
+    return skolemized;
+  });
+}
+
+/**
+ * Give every blank node of a JSON-LD document a skolem IRI
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Compacted JSON-LD document
+ * @param {Function} options.documentLoader - JSON-LD document loader
+ * @returns {Promise<{expanded: Object[], compact: Object}>} Skolemized forms
+ */
+export async function skolemizeCompactJsonLd({ document, documentLoader }) {
+  const options = { documentLoader, safe: true };
+  return process(async () => {
+    const expanded = await jsonld.expand(document, options);
+    const state = { prefix: Buffer.from(randomBytes(16)).toString('hex'), count: 0 };
+    const skolemized = skolemizeExpanded(expanded, state);
+    const compact = await jsonld.compact(skolemized, document['@context'], options);
+    return { expanded: skolemized, compact };
+  });
+}
+
+/**
+ * Convert a skolemized document to N-Quads with blank nodes restored
+ *
+ * @param {Object} options - Options
+ * @param {Object|Object[]} options.document - Skolemized JSON-LD document
+ * @param {Function} options.documentLoader - JSON-LD document loader
+ * @returns {Promise<string[]>} N-Quads, one per entry
+ */
+export async function toDeskolemizedNQuads({ document, documentLoader }) {
+  const nquads = await process(() => jsonld.toRDF(document, {
+    format: 'application/n-quads',
+    documentLoader,
+    safe: true
+  }));
+
+  return splitNQuads(nquads).map((nquad) => {
+    const [quad] = NQuads.parse(nquad);
+    for (const name of QUAD_COMPONENTS) {
+      const term = quad[name];
+      if (term.termType === 'NamedNode' && term.value.startsWith(SKOLEM_PREFIX)) {
+        quad[name] = { termType: 'BlankNode', value: `_:${term.value.slice(SKOLEM_PREFIX.length)}` };
+      }
+    }
+    return NQuads.serializeQuad(quad);
+  });
+}
+
+/**
+ * Parse a JSON pointer (RFC 6901) into path segments
+ *
+ * @param {string} pointer - JSON pointer
+ * @returns {Array<string|number>} Property names and array indexes
+ * @throws {ArgumentError} If the pointer is malformed
+ */
+export function jsonPointerToPaths(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new ArgumentError(`Invalid JSON pointer: ${pointer}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  return pointer.split('/').slice(1).map((path) => {
+    if (/^(0|[1-9]\d*)$/.test(path)) {
+      return Number(path);
+    }
+    if (/~[^01]|~$/.test(path)) {
+      throw new ArgumentError(`Invalid JSON pointer: ${pointer}`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    return path.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+}
+
+function createInitialSelection(source) {
+  const selection = {};
+  if (typeof source.id === 'string' && !source.id.startsWith('_:')) {
+    selection.id = source.id;
+  }
+  if (source.type !== undefined) {
+    selection.type = source.type;
+  }
+  return selection;
+}
+
+function selectPaths(document, pointer, selection, arrays) {
+  const paths = jsonPointerToPaths(pointer);
+  if (paths.length === 0) {
+    Object.assign(selection, structuredClone(document));
+    return;
+  }
+
+  let value = document;
+  let selectedParent;
+  let selectedValue = selection;
+  for (const path of paths) {
+    if (!value || typeof value !== 'object' || value[path] === undefined) {
+      throw new ArgumentError(`JSON pointer does not match the document: ${pointer}`, {
+        code: ErrorCodes.ERR_ARGUMENT_INVALID
+      });
+    }
+    value = value[path];
+    selectedParent = selectedValue;
+    selectedValue = selectedParent[path];
+    if (selectedValue === undefined) {
+      if (Array.isArray(value)) {
+        selectedValue = [];
+        arrays.push(selectedValue);
+      } else if (value && typeof value === 'object') {
+        selectedValue = createInitialSelection(value);
+      }
+      selectedParent[path] = selectedValue;
+    }
+  }
+
+  if (!value || typeof value !== 'object') {
+    selectedValue = value;
+  } else if (Array.isArray(value)) {
+    selectedValue = structuredClone(value);
+  } else {
+    selectedValue = { ...selectedValue, ...structuredClone(value) };
+  }
+  selectedParent[paths.at(-1)] = selectedValue;
+}
+
+/**
+ * Select the parts of a JSON-LD document addressed by JSON pointers
+ *
+ * Selected objects keep their non-blank `id` and `type` so the selection
+ * still expresses the same graph structure.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Compacted JSON-LD document
+ * @param {string[]} options.pointers - JSON pointers
+ * @returns {Object|null} Selection document, or null for no pointers
+ * @throws {ArgumentError} If a pointer does not match the document
+ */
+export function selectJsonLd({ document, pointers }) {
+  if (pointers.length === 0) {
+    return null;
+  }
+
+  const arrays = [];
+  const selection = document['@context'] === undefined ? {} : { '@context': document['@context'] };
+  Object.assign(selection, createInitialSelection(document));
+  for (const pointer of pointers) {
+    selectPaths(document, pointer, selection, arrays);
+  }
+
+  // Selected array elements keep their indexes until all pointers are applied
+  for (const array of arrays) {
+    const compacted = array.filter(() => true);
+    array.length = 0;
+    array.push(...compacted);
+  }
+  return selection;
+}
+
+/**
+ * Canonicalize a document and group its N-Quads by JSON pointers
+ *
+ * Each group reports the canonical N-Quads (by index in the full sorted
+ * list) that its pointers select, the ones they do not, and the
+ * deskolemized N-Quads of the selection itself.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.document - Compacted JSON-LD document
+ * @param {Function} options.labelMapFactoryFunction - Label map factory
+ * @param {Object<string, string[]>} options.groupDefinitions - Pointers per group name
+ * @param {Function} options.documentLoader - JSON-LD document loader
+ * @returns {Promise<Object>} { groups, labelMap, nquads }
+ */
+export async function canonicalizeAndGroup({ document, labelMapFactoryFunction, groupDefinitions, documentLoader }) {
+  const { expanded, compact } = await skolemizeCompactJsonLd({ document, documentLoader });
+  const deskolemized = await toDeskolemizedNQuads({ document: expanded, documentLoader });
+  const { nquads, labelMap } = await labelReplacementCanonicalizeNQuads({
+    nquads: deskolemized,
+    labelMapFactoryFunction
+  });
+
+  const groups = {};
+  for (const [name, pointers] of Object.entries(groupDefinitions)) {
+    const selection = selectJsonLd({ document: compact, pointers });
+    const deskolemizedNQuads = selection ?
+      await toDeskolemizedNQuads({ document: selection, documentLoader }) : [];
+    const selected = new Set(mapBlankNodes(deskolemizedNQuads, (label) => labelMap.get(label)));
+
+    const matching = new Map();
+    const nonMatching = new Map();
+    nquads.forEach((nquad, index) => {
+      (selected.has(nquad) ? matching : nonMatching).set(index, nquad);
+    });
+    groups[name] = { matching, nonMatching, deskolemizedNQuads };
+  }
+
+  return { groups, labelMap, nquads };
+}
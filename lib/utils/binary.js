@@ -219,3 +219,38 @@ export function matchBinaryType(template, data) {
   
   return Buffer.isBuffer(template) ? toBuffer(data) : toUint8Array(data);
 }
+
+/**
+ * Compares two binary values without early exit
+ * 
+ * The running time depends only on the length of the inputs, not on where
+ * they differ, which makes this suitable for comparing MACs, confirmation
+ * hashes and other secret-derived values.
+ * 
+ * @param {Buffer|Uint8Array} a - First value
+ * @param {Buffer|Uint8Array} b - Second value
+ * @returns {boolean} True if both values have the same length and contents
+ * @throws {ArgumentError} If either input is not valid binary data
+ * 
+ * @example
+ * timingSafeEqual(Buffer.from('abc'), Buffer.from('abc')); // true
+ * timingSafeEqual(Buffer.from('abc'), Buffer.from('abd')); // false
+ */
+export function timingSafeEqual(a, b) {
+  if (!isValidBinaryData(a) || !isValidBinaryData(b)) {
+    throw new ArgumentError('Invalid binary data type', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID,
+      details: 'Both values must be Buffer or Uint8Array'
+    });
+  }
+
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
@@ -13,6 +13,7 @@
  * - DER format parsing and validation
  * - Public key coordinate extraction
  * - Private key value extraction
+ * - SPKI, PKCS#8 and SEC1 private key parsing
  * - Support for standard EC/SM2 OIDs
  * 
  * Security Considerations:
@@ -49,7 +50,7 @@
  */
 
 import { FormatError, ErrorCodes } from '../core/errors.js';
-import { ASN1, readDERLength, encodeDERLength, encodeDERSequence, encodeDEROID } from '../formats/der.js';
+import { ASN1, readDERLength, readDERElement, encodeDERLength, encodeDERSequence, encodeDEROID } from '../formats/der.js';
 import { isValidBinaryData, toBuffer, matchBinaryType } from './binary.js';
 
 /**
@@ -157,6 +158,107 @@ export const DER_PUBLIC_KEY_PREFIX = Buffer.from('3059301306072a8648ce3d02010608
 export const DER_PRIVATE_KEY_PREFIX = Buffer.from('308187020100301306072a8648ce3d020106082a811ccf5501822d046d306b0201010420', 'hex');
 export const DER_PRIVATE_KEY_SUFFIX = Buffer.from('a144034200', 'hex');
 
+/**
+ * DER encoding prefix and suffix for SEC1 SM2 private keys
+ * 
+ * These constants represent the ASN.1 DER encoding of the RFC 5915
+ * ECPrivateKey structure on its own, as written by `openssl ec`:
+ * ```asn1
+ * SEQUENCE {
+ *   INTEGER 1  // version
+ *   OCTET STRING // private key
+ *   [0] OBJECT IDENTIFIER SM2 (1.2.156.10197.1.301)
+ *   [1] public key
+ * }
+ * ```
+ * 
+ * Hex Breakdown (PREFIX):
+ * - 30 77: SEQUENCE (119 bytes)
+ * - 02 01 01: INTEGER version = 1
+ * - 04 20: OCTET STRING (32 bytes) for private key
+ * 
+ * Hex Breakdown (SUFFIX):
+ * - A0 0A: [0] EXPLICIT (10 bytes)
+ * - 06 08: OID (8 bytes) for SM2
+ * - 2A...2D: SM2 OID value
+ * - A1 44: [1] EXPLICIT (68 bytes)
+ * - 03 42: BIT STRING (66 bytes)
+ * - 00: No unused bits
+ * 
+ * @constant {Buffer}
+ */
+export const DER_EC_PRIVATE_KEY_PREFIX = Buffer.from('30770201010420', 'hex');
+export const DER_EC_PRIVATE_KEY_SUFFIX = Buffer.from('a00a06082a811ccf5501822da144034200', 'hex');
+
+/**
+ * Encoded NULL algorithm parameters
+ * 
+ * @private
+ * @constant {Buffer}
+ */
+const NULL_PARAMETERS = Buffer.from([ASN1.NULL, 0x00]);
+
+/**
+ * Verify that an AlgorithmIdentifier names the SM2 curve
+ * 
+ * Two forms are in use. RFC 5480 style encoders (OpenSSL, Node.js) write
+ * id-ecPublicKey with the SM2 curve as named-curve parameter; GM/T 0010
+ * style encoders (some GmSSL versions and hardware tokens) use the SM2
+ * OID as the algorithm itself, with absent, NULL or SM2 curve parameters.
+ * 
+ * @private
+ * @param {Buffer} algorithm - Contents of the AlgorithmIdentifier SEQUENCE
+ * @throws {FormatError} If the algorithm or curve is not SM2
+ */
+function assertSM2Algorithm(algorithm) {
+  const oid = readDERElement(algorithm, 0, ASN1.OBJECT_IDENTIFIER);
+  const parameters = algorithm.subarray(oid.end);
+
+  if (oid.value.equals(SM2_OID)) {
+    if (parameters.length === 0 || parameters.equals(NULL_PARAMETERS)) {
+      return;
+    }
+  } else if (!oid.value.equals(EC_OID)) {
+    throw new FormatError('Invalid EC algorithm identifier', { code: ErrorCodes.ERR_FORMAT_OID });
+  }
+
+  assertSM2Curve(parameters);
+}
+
+/**
+ * Verify that encoded ECParameters name the SM2 curve
+ * 
+ * Only the namedCurve choice is supported; explicit curve parameters are
+ * rejected.
+ * 
+ * @private
+ * @param {Buffer} parameters - Encoded ECParameters
+ * @throws {FormatError} If the parameters are not the SM2 curve OID
+ */
+function assertSM2Curve(parameters) {
+  const curve = readDERElement(parameters, 0, ASN1.OBJECT_IDENTIFIER);
+  if (curve.end !== parameters.length || !curve.value.equals(SM2_OID)) {
+    throw new FormatError('Invalid SM2 algorithm identifier', { code: ErrorCodes.ERR_FORMAT_OID });
+  }
+}
+
+/**
+ * Read an uncompressed public key point from BIT STRING contents
+ * 
+ * @param {Buffer} bits - BIT STRING contents, starting with the unused bits count
+ * @returns {Buffer} Raw public key (64 bytes: x||y coordinates)
+ * @throws {FormatError} If the point is not a 65-byte uncompressed point
+ */
+export function readPublicKeyBits(bits) {
+  if (bits.length !== 66 || bits[0] !== 0x00) {
+    throw new FormatError('Invalid public key length', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+  if (bits[1] !== 0x04) {
+    throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+  return bits.subarray(2);
+}
+
 /**
  * Parse a DER encoded SM2 public key into raw coordinates
  * 
@@ -166,15 +268,15 @@ export const DER_PRIVATE_KEY_SUFFIX = Buffer.from('a144034200', 'hex');
  * 
  * Processing Steps:
  * 1. Validates outer/inner SEQUENCE structures
- * 2. Verifies EC algorithm identifier (1.2.840.10045.2.1)
- * 3. Verifies SM2 curve identifier (1.2.156.10197.1.301)
- * 4. Extracts and validates public key coordinates
+ * 2. Verifies the algorithm identifier (see assertSM2Algorithm)
+ * 3. Extracts the uncompressed public key point
+ * 4. Rejects trailing data
  * 
  * ASN.1 Structure:
  * ```asn1
  * SubjectPublicKeyInfo ::= SEQUENCE {
  *   algorithm AlgorithmIdentifier {
- *     algorithm OBJECT IDENTIFIER, -- id-ecPublicKey
+ *     algorithm OBJECT IDENTIFIER, -- id-ecPublicKey or SM2
  *     parameters OBJECT IDENTIFIER -- SM2 curve
  *   },
  *   subjectPublicKey BIT STRING -- 0x04 || x || y
@@ -206,81 +308,22 @@ export const DER_PRIVATE_KEY_SUFFIX = Buffer.from('a144034200', 'hex');
  * ```
  */
 export function parsePublicKeyDER(der) {
-  let offset = 0;
-
-  // Skip sequence tag
-  if (der[offset++] !== ASN1.SEQUENCE) {
-    throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
-  }
-
-  // Skip sequence length
-  let [, newOffset] = readDERLength(der, offset);
-  offset = newOffset;
-
-  // Skip algorithm identifier sequence
-  if (der[offset++] !== ASN1.SEQUENCE) {
-    throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
-  }
-
-  [, offset] = readDERLength(der, offset);
-
-  // Read EC algorithm identifier
-  if (der[offset++] !== ASN1.OBJECT_IDENTIFIER) {
-    throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
-  }
-
-  [, offset] = readDERLength(der, offset);
-
-  // Verify EC algorithm identifier
-  const ecOIDLength = EC_OID.length;
-  if (offset + ecOIDLength > der.length ||
-      !der.subarray(offset, offset + ecOIDLength).equals(EC_OID)) {
-    throw new FormatError('Invalid EC algorithm identifier', { code: ErrorCodes.ERR_FORMAT_OID });
+  const spki = readDERElement(der, 0, ASN1.SEQUENCE);
+  if (spki.end !== der.length) {
+    throw new FormatError('Trailing data after public key', { code: ErrorCodes.ERR_FORMAT_INVALID });
   }
 
-  offset += ecOIDLength;
+  // Verify algorithm identifier
+  const algorithm = readDERElement(spki.value, 0, ASN1.SEQUENCE);
+  assertSM2Algorithm(algorithm.value);
 
-  // Read SM2 algorithm identifier
-  if (der[offset++] !== ASN1.OBJECT_IDENTIFIER) {
+  // Read subject public key
+  const subjectPublicKey = readDERElement(spki.value, algorithm.end, ASN1.BIT_STRING);
+  if (subjectPublicKey.end !== spki.value.length) {
     throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
   }
 
-  [, offset] = readDERLength(der, offset);
-
-  // Verify SM2 algorithm identifier
-  const sm2OIDLength = SM2_OID.length;
-  if (offset + sm2OIDLength > der.length ||
-      !der.subarray(offset, offset + sm2OIDLength).equals(SM2_OID)) {
-    throw new FormatError('Invalid SM2 algorithm identifier', { code: ErrorCodes.ERR_FORMAT_OID });
-  }
-
-  offset += sm2OIDLength;
-
-  // Read bit string tag
-  if (der[offset++] !== ASN1.BIT_STRING) {
-    throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
-  }
-
-  [, offset] = readDERLength(der, offset);
-
-  // Skip unused bits count
-  offset++;
-
-  // Extract coordinates
-  const coordLength = 32;
-  if (offset + coordLength * 2 + 1 > der.length) {
-    throw new FormatError('Invalid public key length', { code: ErrorCodes.ERR_FORMAT_LENGTH });
-  }
-
-  // Verify uncompressed format marker
-  if (der[offset++] !== 0x04) {
-    throw new FormatError('Invalid public key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
-  }
-
-  const x = der.subarray(offset, offset + coordLength);
-  const y = der.subarray(offset + coordLength, offset + coordLength * 2);
-
-  return matchBinaryType(der, Buffer.concat([x, y]));
+  return matchBinaryType(der, readPublicKeyBits(subjectPublicKey.value));
 }
 
 /**
@@ -466,3 +509,131 @@ export function extractSecretKeyD(der) {
 
   return matchBinaryType(der, der.subarray(offset, offset + length));
 }
+
+/**
+ * Parse a DER encoded SEC1 SM2 private key
+ * 
+ * This function decodes the RFC 5915 ECPrivateKey structure, either on
+ * its own (PEM label `EC PRIVATE KEY`, or `SM2 PRIVATE KEY` as written by
+ * OpenSSL 3) or as the payload of a PKCS#8 PrivateKeyInfo.
+ * 
+ * ASN.1 Structure:
+ * ```asn1
+ * ECPrivateKey ::= SEQUENCE {
+ *   version INTEGER { ecPrivkeyVer1(1) },
+ *   privateKey OCTET STRING,
+ *   parameters [0] EXPLICIT ECParameters {{ NamedCurve }} OPTIONAL,
+ *   publicKey [1] EXPLICIT BIT STRING OPTIONAL
+ * }
+ * ```
+ * 
+ * Curve parameters, when present, must name SM2. The embedded public key
+ * is returned as-is; callers should check it against the private key.
+ * 
+ * @param {Buffer|Uint8Array} der - DER encoded ECPrivateKey
+ * @returns {{secretKey: Buffer, publicKey: (Buffer|undefined)}} 32-byte
+ *   private key and 64-byte public key, if one is embedded
+ * @throws {FormatError} If DER format is invalid or names another curve
+ * 
+ * @example
+ * ```javascript
+ * const { secretKey, publicKey } = parseECPrivateKeyDER(sec1Der);
+ * console.log(secretKey.length); // 32 bytes
+ * ```
+ */
+export function parseECPrivateKeyDER(der) {
+  const ecPrivateKey = readDERElement(der, 0, ASN1.SEQUENCE);
+  if (ecPrivateKey.end !== der.length) {
+    throw new FormatError('Trailing data after private key', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  // Check version
+  const fields = ecPrivateKey.value;
+  const version = readDERElement(fields, 0, ASN1.INTEGER);
+  if (version.value.length !== 1 || version.value[0] !== 1) {
+    throw new FormatError('Unsupported private key version', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+
+  // Read private key value
+  const privateKey = readDERElement(fields, version.end, ASN1.OCTET_STRING);
+  if (privateKey.value.length !== 32) {
+    throw new FormatError('Invalid private key length', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+
+  // Read optional curve parameters and public key
+  let offset = privateKey.end;
+  let publicKey;
+  if (offset < fields.length && fields[offset] === ASN1.CONTEXT_SPECIFIC_0) {
+    const parameters = readDERElement(fields, offset);
+    assertSM2Curve(parameters.value);
+    offset = parameters.end;
+  }
+  if (offset < fields.length && fields[offset] === ASN1.CONTEXT_SPECIFIC) {
+    const publicKeyField = readDERElement(fields, offset);
+    const bits = readDERElement(publicKeyField.value, 0, ASN1.BIT_STRING);
+    if (bits.end !== publicKeyField.value.length) {
+      throw new FormatError('Invalid private key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
+    }
+    publicKey = readPublicKeyBits(bits.value);
+    offset = publicKeyField.end;
+  }
+  if (offset !== fields.length) {
+    throw new FormatError('Invalid private key format', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  return { secretKey: privateKey.value, publicKey };
+}
+
+/**
+ * Parse a DER encoded PKCS#8 SM2 private key
+ * 
+ * This function decodes a PKCS#8 PrivateKeyInfo (RFC 5208) or
+ * OneAsymmetricKey (RFC 5958) holding an SM2 ECPrivateKey. Both forms of
+ * the algorithm identifier are accepted, as in parsePublicKeyDER.
+ * 
+ * ASN.1 Structure:
+ * ```asn1
+ * PrivateKeyInfo ::= SEQUENCE {
+ *   version INTEGER { v1(0), v2(1) },
+ *   privateKeyAlgorithm AlgorithmIdentifier,
+ *   privateKey OCTET STRING, -- ECPrivateKey
+ *   attributes [0] IMPLICIT Attributes OPTIONAL,
+ *   publicKey [1] IMPLICIT BIT STRING OPTIONAL
+ * }
+ * ```
+ * 
+ * Attributes and the v2 public key field are ignored; the public key
+ * inside the ECPrivateKey is returned when present.
+ * 
+ * @param {Buffer|Uint8Array} der - DER encoded PrivateKeyInfo
+ * @returns {{secretKey: Buffer, publicKey: (Buffer|undefined)}} 32-byte
+ *   private key and 64-byte public key, if one is embedded
+ * @throws {FormatError} If DER format is invalid or the key is not SM2
+ * 
+ * @example
+ * ```javascript
+ * const { secretKey, publicKey } = parsePrivateKeyDER(pkcs8Der);
+ * console.log(secretKey.length); // 32 bytes
+ * ```
+ */
+export function parsePrivateKeyDER(der) {
+  const privateKeyInfo = readDERElement(der, 0, ASN1.SEQUENCE);
+  if (privateKeyInfo.end !== der.length) {
+    throw new FormatError('Trailing data after private key', { code: ErrorCodes.ERR_FORMAT_INVALID });
+  }
+
+  // Check version
+  const fields = privateKeyInfo.value;
+  const version = readDERElement(fields, 0, ASN1.INTEGER);
+  if (version.value.length !== 1 || version.value[0] > 1) {
+    throw new FormatError('Unsupported private key version', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+
+  // Verify algorithm identifier
+  const algorithm = readDERElement(fields, version.end, ASN1.SEQUENCE);
+  assertSM2Algorithm(algorithm.value);
+
+  // Decode the wrapped ECPrivateKey
+  const privateKey = readDERElement(fields, algorithm.end, ASN1.OCTET_STRING);
+  return parseECPrivateKeyDER(privateKey.value);
+}
@@ -48,7 +48,13 @@
 
 import { FormatError, ErrorCodes } from '../core/errors.js';
 import { isValidBinaryData, toBuffer, matchBinaryType } from './binary.js';
-import { DER_PUBLIC_KEY_PREFIX, DER_PRIVATE_KEY_PREFIX, DER_PRIVATE_KEY_SUFFIX } from './key-der.js';
+import {
+  DER_PUBLIC_KEY_PREFIX,
+  DER_PRIVATE_KEY_PREFIX,
+  DER_PRIVATE_KEY_SUFFIX,
+  DER_EC_PRIVATE_KEY_PREFIX,
+  DER_EC_PRIVATE_KEY_SUFFIX
+} from './key-der.js';
 
 /**
  * Validate SM2 public key coordinates
@@ -242,3 +248,44 @@ export function secretKeyToDER(d, x, y) {
     uncompressedPoint
   ]));
 }
+
+/**
+ * Convert SM2 private and public key components to SEC1 DER format
+ * 
+ * This function produces the bare RFC 5915 ECPrivateKey structure, with
+ * the SM2 curve OID and the public key included, as written by
+ * `openssl ec`. Use secretKeyToDER() for the PKCS#8 wrapping.
+ * 
+ * @param {Buffer|Uint8Array} d - Private key value (32 bytes)
+ * @param {Buffer|Uint8Array} x - Public key x coordinate (32 bytes)
+ * @param {Buffer|Uint8Array} y - Public key y coordinate (32 bytes)
+ * @returns {Buffer|Uint8Array} DER encoded ECPrivateKey
+ * @throws {FormatError} If any key component is invalid
+ * 
+ * @example
+ * ```javascript
+ * const derKey = secretKeyToSec1DER(d, x, y);
+ * console.log(derKey.toString('hex'));
+ * // Output: 30770201010420...
+ * ```
+ */
+export function secretKeyToSec1DER(d, x, y) {
+  if (!isValidBinaryData(d)) {
+    throw new FormatError('Invalid private key type', { code: ErrorCodes.ERR_FORMAT_TYPE });
+  }
+
+  if (d.length !== 32) {
+    throw new FormatError('Invalid private key length', { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+
+  validatePublicKeyCoordinates(x, y);
+
+  return matchBinaryType(d, Buffer.concat([
+    DER_EC_PRIVATE_KEY_PREFIX,
+    toBuffer(d),
+    DER_EC_PRIVATE_KEY_SUFFIX,
+    Buffer.from([0x04]),
+    toBuffer(x),
+    toBuffer(y)
+  ]));
+}
@@ -231,3 +231,103 @@ export function modularSquareRoot(a, p) {
 
   return r;
 }
+
+/**
+ * Computes the modular inverse using the extended Euclidean algorithm
+ * 
+ * This function finds x where a * x ≡ 1 (mod m). It is used for field
+ * inversion when converting Jacobian points to affine form and for the
+ * (1 + d)^-1 factor in SM2 signing.
+ * 
+ * Special cases:
+ * - Negative inputs are reduced into [0, m-1] first
+ * - Throws if a and m are not coprime
+ * 
+ * Time Complexity: O(log m)
+ * Space Complexity: O(1) additional space
+ * 
+ * @example
+ * const inv = modInverse(3n, 11n);
+ * console.log(inv); // 4n (3 * 4 = 12 ≡ 1 (mod 11))
+ * 
+ * @param {BigInt} a - The value to invert
+ * @param {BigInt} m - The modulus (must be positive)
+ * @returns {BigInt} The inverse of a modulo m
+ * @throws {FormatError} If inputs are invalid or a is not invertible
+ */
+export function modInverse(a, m) {
+  if (typeof a !== 'bigint' || typeof m !== 'bigint') {
+    throw new FormatError('Arguments must be BigInt', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  if (m <= BigInt(0)) {
+    throw new FormatError('Modulus must be positive', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  // Plain temporaries instead of destructuring keep this hot loop fast;
+  // batch verification runs it once per round of point additions
+  const zero = BigInt(0);
+  let r0 = ((a % m) + m) % m;
+  let r1 = m;
+  let x0 = BigInt(1);
+  let x1 = zero;
+  while (r1 !== zero) {
+    const q = r0 / r1;
+    let t = r0 - q * r1;
+    r0 = r1;
+    r1 = t;
+    t = x0 - q * x1;
+    x0 = x1;
+    x1 = t;
+  }
+
+  if (r0 !== BigInt(1)) {
+    throw new FormatError('Value is not invertible', { code: ErrorCodes.ERR_FORMAT_VALUE });
+  }
+
+  return ((x0 % m) + m) % m;
+}
+
+/**
+ * Converts big-endian bytes to a non-negative BigInt
+ * 
+ * @example
+ * bytesToBigInt(new Uint8Array([0x01, 0x00])); // 256n
+ * 
+ * @param {Buffer|Uint8Array} bytes - Big-endian byte string
+ * @returns {BigInt} Unsigned integer value
+ */
+export function bytesToBigInt(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex ? BigInt('0x' + hex) : BigInt(0);
+}
+
+/**
+ * Converts a non-negative BigInt to fixed-length big-endian bytes
+ * 
+ * The value is left-padded with zeros to the requested length, which is
+ * how SM2 encodes field elements and scalars (32 bytes each).
+ * 
+ * @example
+ * bigIntToBytes(256n, 4); // <Buffer 00 00 01 00>
+ * 
+ * @param {BigInt} value - Unsigned integer value
+ * @param {number} length - Output length in bytes
+ * @returns {Buffer} Big-endian byte string
+ * @throws {FormatError} If the value is negative or does not fit
+ */
+export function bigIntToBytes(value, length) {
+  if (typeof value !== 'bigint' || value < BigInt(0)) {
+    throw new FormatError('Value must be a non-negative BigInt', { code: ErrorCodes.ERR_FORMAT_INPUT });
+  }
+
+  const hex = value.toString(16);
+  if (hex.length > length * 2) {
+    throw new FormatError(`Value does not fit in ${length} bytes`, { code: ErrorCodes.ERR_FORMAT_LENGTH });
+  }
+
+  return Buffer.from(hex.padStart(length * 2, '0'), 'hex');
+}
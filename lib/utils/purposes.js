@@ -14,6 +14,7 @@
  * - Extensible proof purpose framework
  * - W3C standard purpose implementations
  * - DID-based verification
+ * - Challenge, freshness and replay checks for authentication
  * - Capability validation
  * - Chain of trust verification
  * 
@@ -35,19 +36,25 @@
  * import { createProofPurpose } from './purposes.js';
  * 
  * // Create a proof purpose for authentication
- * const purpose = createProofPurpose('authentication');
+ * const purpose = createProofPurpose('authentication', { challenge: session.challenge });
  * 
- * // Validate a proof
- * try {
- *   const isValid = purpose.validate(proof, document, {
- *     verificationMethod: 'did:example:123#key-1'
- *   });
- *   console.log('Proof is valid:', isValid);
- * } catch (error) {
+ * // Validate a proof against the signer's DID document
+ * const { valid, error, controller } = await purpose.validate(proof, document, {
+ *   controllerDocument: didDocument
+ * });
+ * if (!valid) {
  *   console.error('Validation failed:', error.message);
  * }
  * ```
  * 
+ * Validation Results:
+ * ```
+ * { valid: true, controller, verificationMethod }
+ * { valid: false, error }
+ * ```
+ * Invalid arguments are thrown as ArgumentError; everything that makes a
+ * proof unacceptable is reported as a VerificationError in the result.
+ * 
  * Standards Compliance:
  * - W3C Verifiable Credentials Data Model
  * - W3C Decentralized Identifiers (DIDs)
@@ -61,7 +68,7 @@
  * @see {@link https://w3c-ccg.github.io/ld-proofs/}
  */
 
-import { ArgumentError, OperationError, VerificationError } from '../core/errors.js';
+import { ArgumentError, OperationError, VerificationError, ErrorCodes } from '../core/errors.js';
 
 /**
  * Base class for all proof purposes
@@ -112,10 +119,7 @@ export class ProofPurpose {
    */
   constructor(term) {
     if (!term || typeof term !== 'string') {
-      throw new ArgumentError(
-        'term must be a string',
-        'E_INVALID_TERM'
-      );
+      throw new ArgumentError('term must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
     }
     this.term = term;
   }
@@ -148,62 +152,206 @@ export class ProofPurpose {
    * @param {object} proof - The proof to validate
    * @param {object} document - The document being proved
    * @param {object} [options={}] - Additional validation options
-   * @returns {boolean} True if validation succeeds
+   * @returns {Promise<{valid: boolean, error?: VerificationError}>} Validation result
    * @throws {ArgumentError} If parameters are invalid
-   * @throws {VerificationError} If validation fails
    * 
    * @example
    * ```javascript
    * const purpose = new ProofPurpose('test');
-   * try {
-   *   const isValid = purpose.validate({
-   *     type: 'SM2Signature2024',
-   *     purpose: 'test',
-   *     verificationMethod: 'did:example:123#key-1'
-   *   }, document);
-   *   console.log('Validation result:', isValid);
-   * } catch (error) {
-   *   console.error('Validation failed:', error);
-   * }
+   * const { valid, error } = await purpose.validate({
+   *   type: 'DataIntegrityProof',
+   *   proofPurpose: 'test',
+   *   verificationMethod: 'did:example:123#key-1'
+   * }, document);
+   * console.log('Validation result:', valid, error);
    * ```
    */
-  validate(proof, document, options = {}) {
+  async validate(proof, document, options = {}) {
     if (!proof || typeof proof !== 'object') {
-      throw new ArgumentError(
-        'proof must be an object',
-        'E_INVALID_PROOF'
-      );
+      throw new ArgumentError('proof must be an object', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
     }
     if (!document || typeof document !== 'object') {
-      throw new ArgumentError(
-        'document must be an object',
-        'E_INVALID_DOCUMENT'
-      );
+      throw new ArgumentError('document must be an object', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
     }
-    if (typeof options !== 'object') {
-      throw new ArgumentError(
-        'options must be an object',
-        'E_INVALID_OPTIONS'
-      );
+    if (!options || typeof options !== 'object') {
+      throw new ArgumentError('options must be an object', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
     }
 
     // Verify proof.purpose or proof.proofPurpose
     const purpose = proof.purpose || proof.proofPurpose;
     if (!purpose) {
-      throw new VerificationError(
-        'proof purpose not found',
-        'E_PURPOSE_MISSING'
-      );
+      return invalid('proof purpose not found');
     }
     if (purpose !== this.term) {
-      throw new VerificationError(
-        `proof purpose must be "${this.term}"`,
-        'E_PURPOSE_MISMATCH'
-      );
+      return invalid(`proof purpose must be "${this.term}"`);
     }
 
+    return { valid: true };
+  }
+}
+
+/**
+ * Build a failed validation result
+ * 
+ * @private
+ * @param {string} message - Reason the proof is not acceptable
+ * @param {Error} [cause] - Underlying error
+ * @returns {{valid: false, error: VerificationError}} Validation result
+ */
+function invalid(message, cause) {
+  return {
+    valid: false,
+    error: new VerificationError(message, { code: ErrorCodes.ERR_VERIFICATION_FAILED, cause })
+  };
+}
+
+/**
+ * Resolve a possibly relative DID URL against a controller document id
+ * 
+ * @private
+ * @param {string} reference - Absolute DID URL or fragment such as '#key-1'
+ * @param {string} base - Controller document id
+ * @returns {string} Absolute DID URL
+ */
+function resolveReference(reference, base) {
+  return reference.startsWith('#') ? `${base}${reference}` : reference;
+}
+
+/**
+ * Check that a date property lies in the future
+ * 
+ * @private
+ * @param {string} [value] - xsd:dateTime value, if present
+ * @param {Date} date - Current time
+ * @returns {boolean} True if the value is absent or later than date
+ */
+function isAfter(value, date) {
+  if (value === undefined) {
     return true;
   }
+  const time = Date.parse(value);
+  return !Number.isNaN(time) && time > date.getTime();
+}
+
+/**
+ * Base class for purposes backed by a verification relationship
+ * 
+ * A proof made for one of these purposes is only acceptable when its
+ * controller has authorized the signing key for that purpose, by listing
+ * the key under the relationship named by the purpose term in its
+ * controller document (usually a DID document).
+ * 
+ * Processing Steps:
+ * 1. Base validation (ProofPurpose)
+ * 2. Verification method presence
+ * 3. Controller document from options or resolver
+ * 4. Relationship membership (term) of the verification method
+ * 5. Controller round-trip (method.controller === document id)
+ * 6. Status validation (expires, revoked)
+ * 
+ * Without a controller document or resolver validation fails, unless the
+ * caller opts out with trustVerificationMethod. Then only steps 1 and 2
+ * run, so callers that already trust the key (for example a cryptosuite
+ * verifying with a known key) can still check the declared purpose.
+ * 
+ * Validation Options:
+ * - controllerDocument: Controller document of the signer
+ * - resolver: Object whose resolve(id) resolves to { controllerDocument }
+ * - trustVerificationMethod: Skip steps 3 to 6 when neither of the above is given
+ * - date: Time used for expiration and revocation checks (default: now)
+ * 
+ * @extends ProofPurpose
+ * 
+ * @example
+ * ```javascript
+ * const purpose = new AssertionMethod();
+ * const { valid, controller, verificationMethod } = await purpose.validate(proof, document, {
+ *   controllerDocument: {
+ *     id: 'did:example:123',
+ *     verificationMethod: [{ id: 'did:example:123#key-1', controller: 'did:example:123', ... }],
+ *     assertionMethod: ['did:example:123#key-1']
+ *   }
+ * });
+ * ```
+ */
+export class ControllerProofPurpose extends ProofPurpose {
+  /**
+   * Validate a proof against the signer's controller document
+   * 
+   * @param {object} proof - The proof to validate
+   * @param {object} document - The document being proved
+   * @param {object} [options={}] - Validation options
+   * @param {object} [options.controllerDocument] - Controller document
+   * @param {object} [options.resolver] - Resolver used when no controllerDocument is given
+   * @param {boolean} [options.trustVerificationMethod=false] - Accept the
+   *   verification method without a controllerDocument or resolver
+   * @param {Date} [options.date=now] - Time used for status checks
+   * @returns {Promise<object>} { valid: true, controller, verificationMethod } or { valid: false, error }
+   * @throws {ArgumentError} If parameters are invalid
+   */
+  async validate(proof, document, options = {}) {
+    const result = await super.validate(proof, document, options);
+    if (!result.valid) {
+      return result;
+    }
+
+    const methodId = typeof proof.verificationMethod === 'string' ?
+      proof.verificationMethod : proof.verificationMethod?.id;
+    if (typeof methodId !== 'string') {
+      return invalid('verificationMethod not found');
+    }
+
+    const { resolver, date = new Date() } = options;
+    let { controllerDocument } = options;
+    if (controllerDocument === undefined && resolver !== undefined) {
+      if (typeof resolver.resolve !== 'function') {
+        throw new ArgumentError('resolver must have a resolve function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+      }
+      try {
+        ({ controllerDocument } = await resolver.resolve(methodId) ?? {});
+      } catch (error) {
+        return invalid(`cannot resolve ${methodId}`, error);
+      }
+      if (controllerDocument === undefined) {
+        return invalid(`no controller document for ${methodId}`);
+      }
+    }
+    if (controllerDocument === undefined) {
+      if (options.trustVerificationMethod !== true) {
+        return invalid('no controller document or resolver to authorize the verification method');
+      }
+      return { valid: true, verificationMethod: proof.verificationMethod };
+    }
+    if (!controllerDocument || typeof controllerDocument !== 'object' ||
+      typeof controllerDocument.id !== 'string') {
+      return invalid('controller document must have an id');
+    }
+
+    // The relationship may reference a method or embed it
+    const controller = controllerDocument.id;
+    const findMethod = (entries) => [].concat(entries ?? []).find((entry) =>
+      resolveReference(typeof entry === 'string' ? entry : String(entry?.id), controller) === methodId);
+    const entry = findMethod(controllerDocument[this.term]);
+    if (entry === undefined) {
+      return invalid(`verification method is not authorized for ${this.term}`);
+    }
+    const method = typeof entry === 'string' ? findMethod(controllerDocument.verificationMethod) : entry;
+    if (!method || typeof method !== 'object') {
+      return invalid('verification method not found in controller document');
+    }
+
+    if (method.controller !== controller) {
+      return invalid(`verification method is not controlled by ${controller}`);
+    }
+    if (!isAfter(method.expires, date)) {
+      return invalid('verification method has expired');
+    }
+    if (!isAfter(method.revoked, date)) {
+      return invalid('verification method has been revoked');
+    }
+
+    return { valid: true, controller, verificationMethod: method };
+  }
 }
 
 /**
@@ -239,47 +387,45 @@ export class ProofPurpose {
  * - Creating verifiable statements
  * - Signing data objects
  * 
- * @extends ProofPurpose
+ * @extends ControllerProofPurpose
  * 
  * @example
  * ```javascript
  * const purpose = new AssertionMethod();
- * const isValid = purpose.validate(proof, document, {
- *   verificationMethod: 'did:example:123#key-1',
- *   documentLoader: customLoader
+ * const { valid, error } = await purpose.validate(proof, document, {
+ *   controllerDocument: didDocument
  * });
  * ```
  */
-export class AssertionMethod extends ProofPurpose {
+export class AssertionMethod extends ControllerProofPurpose {
   constructor() {
     super('assertionMethod');
   }
+}
 
-  /**
-   * Validate proof purpose
-   * 
-   * @param {object} proof - signature proof
-   * @param {object} document - document to be validated
-   * @param {object} options - validation options
-   * @returns {boolean} validation result
-   * @throws {VerificationError} if validation fails
-   */
-  validate(proof, document, options) {
-    super.validate(proof, document, options);
-
-    if (!proof.verificationMethod) {
-      throw new VerificationError(
-        'verificationMethod not found',
-        'E_VERIFICATION_METHOD_MISSING'
-      );
-    }
+/**
+ * Default tolerance for clock differences between prover and verifier (ms)
+ * @private
+ */
+const DEFAULT_CLOCK_SKEW = 5 * 60 * 1000;
 
-    // TODO: Implement DID document parsing and verification
-    // 1. Parse verificationMethod
-    // 2. Verify if verificationMethod is in the DID document's assertionMethod list
-    // 3. Verify verificationMethod status (expiration, revocation, etc.)
+/**
+ * Default time a memory nonce store remembers challenges without expiry (ms)
+ * @private
+ */
+const DEFAULT_NONCE_TTL = 24 * 60 * 60 * 1000;
 
-    return true;
+/**
+ * Check an optional non-negative duration option
+ * 
+ * @private
+ * @param {number} [value] - Duration in milliseconds
+ * @param {string} name - Option name
+ * @throws {ArgumentError} If value is given and is not a non-negative number
+ */
+function assertDuration(value, name) {
+  if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) {
+    throw new ArgumentError(`${name} must be a non-negative number`, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
   }
 }
 
@@ -288,14 +434,30 @@ export class AssertionMethod extends ProofPurpose {
  * 
  * This purpose is used when proving control over an identity through the
  * authentication relationship in a DID document. It ensures that the
- * signing key is explicitly authorized for authentication purposes.
+ * signing key is explicitly authorized for authentication purposes, and
+ * binds the proof to the verifier's login request.
  * 
  * Processing Steps:
- * 1. Base validation (ProofPurpose)
- * 2. Verification method presence
- * 3. DID document resolution
- * 4. Authentication verification
- * 5. Status validation
+ * 1. Controller validation (ControllerProofPurpose)
+ * 2. Challenge verification
+ * 3. Domain verification
+ * 4. Freshness of proof.created (maxAge, clockSkew)
+ * 5. Replay check against the nonce store
+ * 
+ * A challenge is required: without one any captured authentication proof
+ * from the same key could be replayed to this verifier.
+ * 
+ * The nonce store is consulted last, so a challenge is only consumed by a
+ * proof that passed every other check. Cryptosuites validate the purpose
+ * after the signature, so forged proofs cannot consume challenges either.
+ * 
+ * Nonce Store Interface:
+ * ```
+ * nonceStore.use(challenge, { expires, date }) -> Promise<boolean>
+ *   true on the first use of the challenge, false when it was seen before
+ *   expires  Date after which the proof would be too old anyway, if known
+ *   date     Time of the validation
+ * ```
  * 
  * Security Considerations:
  * - Identity verification
@@ -303,62 +465,167 @@ export class AssertionMethod extends ProofPurpose {
  * - Challenge verification
  * - Replay protection
  * 
- * Performance Notes:
- * - Cached authentication checks
- * - Minimal DID resolution
- * - Efficient key lookup
- * - Quick validation path
- * 
  * Common Use Cases:
  * - Identity verification
  * - Login/authentication flows
  * - Challenge-response protocols
  * - Session establishment
  * 
- * @extends ProofPurpose
+ * @extends ControllerProofPurpose
  * 
  * @example
  * ```javascript
- * const purpose = new Authentication();
- * const isValid = purpose.validate(proof, document, {
- *   challenge: 'abc123',
- *   domain: 'example.com'
+ * const purpose = new Authentication({
+ *   challenge: session.challenge,
+ *   domain: 'login.example.com',
+ *   maxAge: 60 * 1000,
+ *   nonceStore: createMemoryNonceStore()
+ * });
+ * const { valid, error } = await purpose.validate(proof, document, {
+ *   controllerDocument: didDocument
  * });
  * ```
  */
-export class Authentication extends ProofPurpose {
-  constructor() {
+export class Authentication extends ControllerProofPurpose {
+  /**
+   * Create an authentication purpose
+   * 
+   * @param {object} options - Options
+   * @param {string} options.challenge - Expected proof.challenge
+   * @param {string} [options.domain] - Expected proof.domain
+   * @param {number} [options.maxAge] - Maximum age of proof.created in
+   *   milliseconds; proof.created is required when set
+   * @param {number} [options.clockSkew=300000] - Tolerated clock difference
+   *   in milliseconds
+   * @param {object} [options.nonceStore] - Store used to reject reused challenges
+   * @throws {ArgumentError} If the challenge is missing or an option is invalid
+   */
+  constructor({ challenge, domain, maxAge, clockSkew = DEFAULT_CLOCK_SKEW, nonceStore } = {}) {
     super('authentication');
+    if (challenge === undefined) {
+      throw new ArgumentError('challenge is required', { code: ErrorCodes.ERR_ARGUMENT_MISSING });
+    }
+    if (typeof challenge !== 'string') {
+      throw new ArgumentError('challenge must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    if (domain !== undefined && typeof domain !== 'string') {
+      throw new ArgumentError('domain must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    assertDuration(maxAge, 'maxAge');
+    assertDuration(clockSkew, 'clockSkew');
+    if (nonceStore !== undefined && typeof nonceStore?.use !== 'function') {
+      throw new ArgumentError('nonceStore must have a use function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+
+    this.challenge = challenge;
+    this.domain = domain;
+    this.maxAge = maxAge;
+    this.clockSkew = clockSkew;
+    this.nonceStore = nonceStore;
   }
 
   /**
-   * Validate proof purpose
+   * Validate an authentication proof
    * 
-   * @param {object} proof - signature proof
-   * @param {object} document - document to be validated
-   * @param {object} options - validation options
-   * @returns {boolean} validation result
-   * @throws {VerificationError} if validation fails
+   * @param {object} proof - The proof to validate
+   * @param {object} document - The document being proved
+   * @param {object} [options={}] - Validation options, as for ControllerProofPurpose
+   * @param {Date} [options.date=now] - Time used for status and freshness checks
+   * @returns {Promise<object>} { valid: true, controller, verificationMethod } or { valid: false, error }
+   * @throws {ArgumentError} If parameters are invalid
    */
-  validate(proof, document, options) {
-    super.validate(proof, document, options);
+  async validate(proof, document, options = {}) {
+    const result = await super.validate(proof, document, options);
+    if (!result.valid) {
+      return result;
+    }
 
-    if (!proof.verificationMethod) {
-      throw new VerificationError(
-        'verificationMethod not found',
-        'E_VERIFICATION_METHOD_MISSING'
-      );
+    if (proof.challenge !== this.challenge) {
+      return invalid('authentication challenge does not match');
+    }
+    if (this.domain !== undefined && ![].concat(proof.domain ?? []).includes(this.domain)) {
+      return invalid('authentication domain does not match');
     }
 
-    // TODO: Implement DID document parsing and verification
-    // 1. Parse verificationMethod
-    // 2. Verify if verificationMethod is in the DID document's authentication list
-    // 3. Verify verificationMethod status (expiration, revocation, etc.)
+    const { date = new Date() } = options;
+    let expires;
+    if (proof.created !== undefined || this.maxAge !== undefined) {
+      const created = Date.parse(proof.created);
+      if (Number.isNaN(created)) {
+        return invalid('authentication proof has no valid created time');
+      }
+      if (created > date.getTime() + this.clockSkew) {
+        return invalid('authentication proof was created in the future');
+      }
+      if (this.maxAge !== undefined) {
+        if (date.getTime() - created > this.maxAge + this.clockSkew) {
+          return invalid('authentication proof is too old');
+        }
+        expires = new Date(created + this.maxAge + this.clockSkew);
+      }
+    }
 
-    return true;
+    if (this.nonceStore !== undefined) {
+      let fresh;
+      try {
+        fresh = await this.nonceStore.use(proof.challenge, { expires, date });
+      } catch (error) {
+        return invalid('cannot check the authentication challenge', error);
+      }
+      if (!fresh) {
+        return invalid('authentication challenge has already been used');
+      }
+    }
+
+    return result;
   }
 }
 
+/**
+ * Create an in-memory nonce store for Authentication
+ * 
+ * Challenges are remembered until their `expires` time has passed. When
+ * the proof age is not limited, so that no `expires` is given, they are
+ * remembered for `maxAge` milliseconds instead; a proof replayed after that
+ * is accepted again, so verifiers should also set Authentication's maxAge.
+ * Expired entries are pruned before each challenge is recorded.
+ * Deployments with several processes need a shared store with the same
+ * interface instead.
+ * 
+ * @param {object} [options={}] - Options
+ * @param {number} [options.maxAge=86400000] - How long challenges without an
+ *   `expires` time are remembered, in milliseconds
+ * @returns {object} Nonce store with a use(challenge, { expires, date }) method
+ * @throws {ArgumentError} If maxAge is not a non-negative number
+ * 
+ * @example
+ * ```javascript
+ * const nonceStore = createMemoryNonceStore({ maxAge: 10 * 60 * 1000 });
+ * await nonceStore.use('c-123');  // true
+ * await nonceStore.use('c-123');  // false
+ * ```
+ */
+export function createMemoryNonceStore({ maxAge = DEFAULT_NONCE_TTL } = {}) {
+  assertDuration(maxAge, 'maxAge');
+  const used = new Map();
+  return {
+    async use(nonce, { expires, date = new Date() } = {}) {
+      const now = date.getTime();
+      for (const [key, until] of used) {
+        if (until <= now) {
+          used.delete(key);
+        }
+      }
+
+      if (used.has(nonce)) {
+        return false;
+      }
+      used.set(nonce, expires === undefined ? now + maxAge : expires.getTime());
+      return true;
+    }
+  };
+}
+
 /**
  * Proof purpose for key agreement
  * 
@@ -392,75 +659,262 @@ export class Authentication extends ProofPurpose {
  * - Secure messaging setup
  * - End-to-end encryption
  * 
- * @extends ProofPurpose
+ * @extends ControllerProofPurpose
  * 
  * @example
  * ```javascript
  * const purpose = new KeyAgreement();
- * const isValid = purpose.validate(proof, document, {
- *   verificationMethod: 'did:example:123#key-1',
- *   keyType: 'SM2'
+ * const { valid, error } = await purpose.validate(proof, document, {
+ *   controllerDocument: didDocument
  * });
  * ```
  */
-export class KeyAgreement extends ProofPurpose {
+export class KeyAgreement extends ControllerProofPurpose {
   constructor() {
     super('keyAgreement');
   }
+}
 
-  /**
-   * Validate proof purpose
-   * 
-   * @param {object} proof - signature proof
-   * @param {object} document - document to be validated
-   * @param {object} options - validation options
-   * @returns {boolean} validation result
-   * @throws {VerificationError} if validation fails
-   */
-  validate(proof, document, options) {
-    super.validate(proof, document, options);
+/**
+ * Default maximum number of capabilities in a chain, including the root
+ * @private
+ */
+const DEFAULT_MAX_CHAIN_LENGTH = 10;
 
-    if (!proof.verificationMethod) {
-      throw new VerificationError(
-        'verificationMethod not found',
-        'E_VERIFICATION_METHOD_MISSING'
-      );
+/**
+ * Check and normalize the capability chain options of a purpose
+ * 
+ * @private
+ * @param {object} options - Purpose options
+ * @returns {object|undefined} Chain options, or undefined when no root
+ *   capability is expected and chains are not checked
+ * @throws {ArgumentError} If an option is invalid
+ */
+function chainOptions({
+  expectedRootCapability,
+  resolver,
+  suites,
+  maxChainLength = DEFAULT_MAX_CHAIN_LENGTH,
+  allowTargetAttenuation = false,
+  documentLoader
+}) {
+  if (expectedRootCapability === undefined) {
+    return undefined;
+  }
+  const argument = (message) => new ArgumentError(message, { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+
+  const roots = [].concat(expectedRootCapability);
+  for (const root of roots) {
+    if (!root || typeof root !== 'object' || typeof root.id !== 'string' ||
+      typeof root.invocationTarget !== 'string' || root.controller === undefined) {
+      throw argument('root capabilities must have an id, controller and invocationTarget');
     }
+  }
+  if (!resolver || typeof resolver.resolve !== 'function') {
+    throw argument('resolver must have a resolve function');
+  }
+  if (!Array.isArray(suites) || suites.length === 0 ||
+    !suites.every((suite) => typeof suite?.verifyProof === 'function')) {
+    throw argument('suites must be cryptosuites with a verifyProof function');
+  }
+  if (!Number.isInteger(maxChainLength) || maxChainLength < 1) {
+    throw argument('maxChainLength must be a positive integer');
+  }
+
+  return { roots, resolver, suites, maxChainLength, allowTargetAttenuation: !!allowTargetAttenuation, documentLoader };
+}
+
+// Controllers that may invoke ('invoker') or delegate ('delegator') a capability
+function capabilityControllers(capability, term) {
+  return [].concat(capability[term] ?? capability.controller ?? []);
+}
 
-    // TODO: Implement DID document parsing and verification
-    // 1. Parse verificationMethod
-    // 2. Verify if verificationMethod is in the DID document's keyAgreement list
-    // 3. Verify verificationMethod status (expiration, revocation, etc.)
+// Allowed actions of a capability; undefined allows every action
+function allowedActions(capability) {
+  return capability.allowedAction === undefined ? undefined : [].concat(capability.allowedAction);
+}
 
+// Whether target is the parent target or, with attenuation, a URL below it
+function isWithinTarget(target, parentTarget, allowTargetAttenuation) {
+  if (target === parentTarget) {
     return true;
   }
+  return allowTargetAttenuation && typeof target === 'string' &&
+    (target.startsWith(`${parentTarget}/`) || target.startsWith(`${parentTarget}?`));
+}
+
+// Id of a capabilityChain entry, which is an id or an embedded capability
+function entryId(entry) {
+  return typeof entry === 'string' ? entry : entry?.id;
+}
+
+/**
+ * Dereference a capability and verify the chain that leads to it
+ * 
+ * Root capabilities are only taken from the expected roots, never from the
+ * proof. A delegated capability must be embedded; its delegation proof is
+ * verified with the matching cryptosuite and a key from the resolver.
+ * 
+ * @private
+ * @param {string|object} entry - Root capability id or embedded capability
+ * @param {object} options - Chain options
+ * @param {Date} date - Time used for expiration checks
+ * @returns {Promise<object>} { valid: true, chain } with the capabilities
+ *   from the root to this one, or { valid: false, error }
+ */
+async function dereferenceCapability(entry, options, date) {
+  const id = entryId(entry);
+  const root = options.roots.find((capability) => capability.id === id);
+  if (root !== undefined) {
+    return { valid: true, chain: [root] };
+  }
+  if (typeof entry === 'string') {
+    return invalid(`${entry} is not an expected root capability`);
+  }
+  if (!entry || typeof entry !== 'object' || typeof id !== 'string') {
+    return invalid('capability must be a root capability id or an embedded capability');
+  }
+
+  const { proof } = entry;
+  if (!proof || typeof proof !== 'object' || typeof proof.verificationMethod !== 'string') {
+    return invalid(`capability ${id} has no delegation proof`);
+  }
+  const suite = options.suites.find((candidate) => candidate.name === proof.cryptosuite);
+  if (suite === undefined) {
+    return invalid(`unsupported cryptosuite for capability ${id}: ${proof.cryptosuite}`);
+  }
+
+  let resolved;
+  try {
+    resolved = await options.resolver.resolve(proof.verificationMethod);
+  } catch (error) {
+    return invalid(`cannot resolve ${proof.verificationMethod}`, error);
+  }
+  if (!resolved?.key || typeof resolved.controllerDocument?.id !== 'string') {
+    return invalid(`no controller document for ${proof.verificationMethod}`);
+  }
+
+  const { verified, error } = await suite.verifyProof({
+    document: entry,
+    verificationMethod: resolved.key,
+    purpose: new CapabilityDelegation(),
+    controllerDocument: resolved.controllerDocument,
+    date,
+    documentLoader: options.documentLoader
+  });
+  if (!verified) {
+    return invalid(`invalid delegation proof for capability ${id}`, error);
+  }
+  return checkDelegation(entry, resolved.controllerDocument.id, options, date);
+}
+
+/**
+ * Check a delegated capability against its parent
+ * 
+ * The parent chain is verified first. The capability must then name its
+ * parent in parentCapability and capabilityChain, be signed by a delegator
+ * of the parent, and may only narrow the parent's invocationTarget,
+ * allowedAction and expires.
+ * 
+ * @private
+ * @param {object} capability - Delegated capability with its proof
+ * @param {string} delegator - Controller of the key that signed the proof
+ * @param {object} options - Chain options
+ * @param {Date} date - Time used for expiration checks
+ * @returns {Promise<object>} { valid: true, chain } or { valid: false, error }
+ */
+async function checkDelegation(capability, delegator, options, date) {
+  const { id, proof } = capability;
+  const capabilityChain = proof?.capabilityChain;
+  if (!Array.isArray(capabilityChain) || capabilityChain.length === 0) {
+    return invalid(`capability ${id} has no capabilityChain`);
+  }
+  if (capabilityChain.length >= options.maxChainLength) {
+    return invalid(`capability chain is longer than ${options.maxChainLength}`);
+  }
+  if (capabilityChain.slice(0, -1).some((entry) => typeof entry !== 'string')) {
+    return invalid(`capabilityChain of ${id} may only embed the parent capability`);
+  }
+  const parentEntry = capabilityChain[capabilityChain.length - 1];
+  if (capability.parentCapability !== entryId(parentEntry)) {
+    return invalid(`parentCapability of ${id} does not match its capabilityChain`);
+  }
+
+  const result = await dereferenceCapability(parentEntry, options, date);
+  if (!result.valid) {
+    return result;
+  }
+  const parentChain = result.chain;
+  if (capabilityChain.length !== parentChain.length ||
+    capabilityChain.some((entry, i) => entryId(entry) !== parentChain[i].id)) {
+    return invalid(`capabilityChain of ${id} does not match the chain of its parent`);
+  }
+
+  const parent = parentChain[parentChain.length - 1];
+  if (!capabilityControllers(parent, 'delegator').includes(delegator)) {
+    return invalid(`${delegator} may not delegate capability ${parent.id}`);
+  }
+  if (capabilityControllers(capability, 'invoker').length === 0) {
+    return invalid(`capability ${id} has no controller`);
+  }
+  if (!isWithinTarget(capability.invocationTarget, parent.invocationTarget, options.allowTargetAttenuation)) {
+    return invalid(`invocationTarget of ${id} is not within its parent's`);
+  }
+  const parentActions = allowedActions(parent);
+  const actions = allowedActions(capability);
+  if (parentActions !== undefined &&
+    (actions === undefined || !actions.every((action) => parentActions.includes(action)))) {
+    return invalid(`allowedAction of ${id} exceeds its parent's`);
+  }
+
+  const expires = Date.parse(capability.expires);
+  if (Number.isNaN(expires)) {
+    return invalid(`capability ${id} has no valid expires`);
+  }
+  if (expires <= date.getTime()) {
+    return invalid(`capability ${id} has expired`);
+  }
+  if (parent.expires !== undefined && !(expires <= Date.parse(parent.expires))) {
+    return invalid(`capability ${id} expires after its parent`);
+  }
+
+  return { valid: true, chain: [...parentChain, capability] };
 }
 
 /**
  * Proof purpose for capability invocation
  * 
- * This purpose is used when exercising authorized capabilities through
- * the capabilityInvocation relationship. It verifies the authorization
- * to invoke a capability and validates the entire capability chain.
+ * This purpose is used when exercising authorized capabilities (ZCAP-LD)
+ * through the capabilityInvocation relationship. Configured with an
+ * expected root capability, it verifies the authorization to invoke a
+ * capability and validates the entire capability chain.
  * 
  * Processing Steps:
- * 1. Base validation (ProofPurpose)
- * 2. Verification method presence
- * 3. DID document resolution
- * 4. Capability chain validation
- * 5. Invocation verification
+ * 1. Controller validation (ControllerProofPurpose)
+ * 2. capabilityAction and invocationTarget against the expected values
+ * 3. Capability chain validation, from the invoked capability to the root
+ * 4. Invoker verification (invoker, or controller, of the capability)
+ * 5. Target and action within the invoked capability
+ * 
+ * Without expectedRootCapability only step 1 runs.
+ * 
+ * Capability Chain:
+ * ```
+ * root       { id: 'urn:zcap:root:...', controller, invocationTarget }
+ * delegated  { id, parentCapability, controller, invocationTarget,
+ *              allowedAction, expires, proof: {
+ *                proofPurpose: 'capabilityDelegation',
+ *                capabilityChain: [rootId, ..., embeddedParent] } }
+ * invocation proof: { proofPurpose: 'capabilityInvocation',
+ *              capability: rootId | embeddedCapability,
+ *              capabilityAction, invocationTarget }
+ * ```
  * 
  * Security Considerations:
  * - Capability chain integrity
  * - Authorization scope
  * - Delegation depth
- * - Revocation status
- * 
- * Performance Notes:
- * - Cached chain validation
- * - Efficient graph traversal
- * - Quick authorization check
- * - Minimal recursion
+ * - Expiration of every delegation
  * 
  * Common Use Cases:
  * - Exercising delegated permissions
@@ -468,48 +922,107 @@ export class KeyAgreement extends ProofPurpose {
  * - Executing authorized actions
  * - API access control
  * 
- * @extends ProofPurpose
+ * @extends ControllerProofPurpose
  * 
  * @example
  * ```javascript
- * const purpose = new CapabilityInvocation();
- * const isValid = purpose.validate(proof, document, {
- *   capability: 'did:example:123/capabilities/1',
- *   action: 'read'
+ * const purpose = new CapabilityInvocation({
+ *   expectedTarget: 'https://api.example.com/documents',
+ *   expectedAction: 'read',
+ *   expectedRootCapability: rootCapability,
+ *   resolver,
+ *   suites: [cryptosuite]
+ * });
+ * const { valid, error, capabilityChain } = await purpose.validate(proof, document, {
+ *   controllerDocument: didDocument
  * });
  * ```
  */
-export class CapabilityInvocation extends ProofPurpose {
-  constructor() {
+export class CapabilityInvocation extends ControllerProofPurpose {
+  /**
+   * Create a capability invocation purpose
+   * 
+   * @param {object} [options={}] - Options
+   * @param {string|string[]} [options.expectedTarget] - Accepted
+   *   invocationTarget; required with expectedRootCapability
+   * @param {string} [options.expectedAction] - Required capabilityAction
+   * @param {object|object[]} [options.expectedRootCapability] - Trusted root
+   *   capabilities; enables capability chain verification
+   * @param {object} [options.resolver] - Resolver for the keys of invokers
+   *   and delegators, returning { key, controllerDocument }
+   * @param {object[]} [options.suites] - Cryptosuites that verify delegation proofs
+   * @param {number} [options.maxChainLength=10] - Maximum number of
+   *   capabilities in a chain, including the root
+   * @param {boolean} [options.allowTargetAttenuation=false] - Allow
+   *   delegations and invocations for URLs below the parent's target
+   * @param {Function} [options.documentLoader] - JSON-LD document loader for the suites
+   * @throws {ArgumentError} If an option is invalid
+   */
+  constructor({ expectedTarget, expectedAction, ...options } = {}) {
     super('capabilityInvocation');
+    this.chainOptions = chainOptions(options);
+    if (this.chainOptions !== undefined &&
+      (expectedTarget === undefined || ![].concat(expectedTarget).every((target) => typeof target === 'string'))) {
+      throw new ArgumentError('expectedTarget is required', { code: ErrorCodes.ERR_ARGUMENT_MISSING });
+    }
+    if (expectedAction !== undefined && typeof expectedAction !== 'string') {
+      throw new ArgumentError('expectedAction must be a string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    this.expectedTarget = expectedTarget;
+    this.expectedAction = expectedAction;
   }
 
   /**
-   * Validate proof purpose
+   * Validate a capability invocation proof
    * 
-   * @param {object} proof - signature proof
-   * @param {object} document - document to be validated
-   * @param {object} options - validation options
-   * @returns {boolean} validation result
-   * @throws {VerificationError} if validation fails
+   * @param {object} proof - The proof to validate
+   * @param {object} document - The document being proved
+   * @param {object} [options={}] - Validation options, as for ControllerProofPurpose
+   * @returns {Promise<object>} { valid: true, controller, verificationMethod,
+   *   capability, capabilityChain } or { valid: false, error }
+   * @throws {ArgumentError} If parameters are invalid
    */
-  validate(proof, document, options) {
-    super.validate(proof, document, options);
+  async validate(proof, document, options = {}) {
+    const { chainOptions } = this;
+    const result = await super.validate(proof, document, { resolver: chainOptions?.resolver, ...options });
+    if (!result.valid || chainOptions === undefined) {
+      return result;
+    }
 
-    if (!proof.verificationMethod) {
-      throw new VerificationError(
-        'verificationMethod not found',
-        'E_VERIFICATION_METHOD_MISSING'
-      );
+    const { capabilityAction, invocationTarget } = proof;
+    if (typeof capabilityAction !== 'string') {
+      return invalid('invocation proof has no capabilityAction');
+    }
+    if (this.expectedAction !== undefined && capabilityAction !== this.expectedAction) {
+      return invalid('capabilityAction does not match');
+    }
+    if (!(this.expectedTarget !== undefined && [].concat(this.expectedTarget).includes(invocationTarget))) {
+      return invalid('invocationTarget does not match');
+    }
+    if (result.controller === undefined) {
+      return invalid('a controller document is required to identify the invoker');
     }
 
-    // TODO: Implement DID document parsing and verification
-    // 1. Parse verificationMethod
-    // 2. Verify if verificationMethod is in the DID document's capabilityInvocation list
-    // 3. Verify verificationMethod status (expiration, revocation, etc.)
-    // 4. Verify capability chain
+    const { date = new Date() } = options;
+    const dereferenced = await dereferenceCapability(proof.capability, chainOptions, date);
+    if (!dereferenced.valid) {
+      return dereferenced;
+    }
+    const capabilityChain = dereferenced.chain;
+    const capability = capabilityChain[capabilityChain.length - 1];
 
-    return true;
+    if (!capabilityControllers(capability, 'invoker').includes(result.controller)) {
+      return invalid(`${result.controller} may not invoke capability ${capability.id}`);
+    }
+    if (!isWithinTarget(invocationTarget, capability.invocationTarget, chainOptions.allowTargetAttenuation)) {
+      return invalid('invocationTarget is not within the capability');
+    }
+    const actions = allowedActions(capability);
+    if (actions !== undefined && !actions.includes(capabilityAction)) {
+      return invalid(`capabilityAction "${capabilityAction}" is not allowed by the capability`);
+    }
+
+    return { ...result, capability, capabilityChain };
   }
 }
 
@@ -517,27 +1030,24 @@ export class CapabilityInvocation extends ProofPurpose {
  * Proof purpose for capability delegation
  * 
  * This purpose is used when delegating capabilities to others through
- * the capabilityDelegation relationship. It verifies the authority
- * to delegate capabilities and validates the delegation chain.
+ * the capabilityDelegation relationship. Configured with an expected root
+ * capability, it verifies the authority to delegate the parent capability
+ * and validates the delegation chain of the capability being proved.
  * 
  * Processing Steps:
- * 1. Base validation (ProofPurpose)
- * 2. Verification method presence
- * 3. DID document resolution
- * 4. Delegation chain validation
- * 5. Authority verification
+ * 1. Controller validation (ControllerProofPurpose)
+ * 2. Parent chain validation, down from the root
+ * 3. Delegator verification (delegator, or controller, of the parent)
+ * 4. Attenuation of invocationTarget, allowedAction and expires
+ * 5. Maximum chain length
+ * 
+ * Without expectedRootCapability only step 1 runs.
  * 
  * Security Considerations:
  * - Delegation authority
  * - Chain of trust
  * - Scope limitations
- * - Revocation handling
- * 
- * Performance Notes:
- * - Efficient chain traversal
- * - Cached authority checks
- * - Quick validation path
- * - Minimal recursion
+ * - Expiration handling
  * 
  * Common Use Cases:
  * - Delegating permissions
@@ -545,48 +1055,68 @@ export class CapabilityInvocation extends ProofPurpose {
  * - Authorization transfer
  * - Access management
  * 
- * @extends ProofPurpose
+ * @extends ControllerProofPurpose
  * 
  * @example
  * ```javascript
- * const purpose = new CapabilityDelegation();
- * const isValid = purpose.validate(proof, document, {
- *   delegator: 'did:example:123',
- *   scope: ['read', 'write']
+ * const purpose = new CapabilityDelegation({
+ *   expectedRootCapability: rootCapability,
+ *   resolver,
+ *   suites: [cryptosuite]
+ * });
+ * const { valid, error } = await purpose.validate(capability.proof, capability, {
+ *   controllerDocument: didDocument
  * });
  * ```
  */
-export class CapabilityDelegation extends ProofPurpose {
-  constructor() {
+export class CapabilityDelegation extends ControllerProofPurpose {
+  /**
+   * Create a capability delegation purpose
+   * 
+   * @param {object} [options={}] - Options
+   * @param {object|object[]} [options.expectedRootCapability] - Trusted root
+   *   capabilities; enables capability chain verification
+   * @param {object} [options.resolver] - Resolver for the keys of delegators,
+   *   returning { key, controllerDocument }
+   * @param {object[]} [options.suites] - Cryptosuites that verify delegation proofs
+   * @param {number} [options.maxChainLength=10] - Maximum number of
+   *   capabilities in a chain, including the root
+   * @param {boolean} [options.allowTargetAttenuation=false] - Allow
+   *   delegations for URLs below the parent's target
+   * @param {Function} [options.documentLoader] - JSON-LD document loader for the suites
+   * @throws {ArgumentError} If an option is invalid
+   */
+  constructor(options = {}) {
     super('capabilityDelegation');
+    this.chainOptions = chainOptions(options);
   }
 
   /**
-   * Validate proof purpose
+   * Validate the delegation proof of a capability
    * 
-   * @param {object} proof - signature proof
-   * @param {object} document - document to be validated
-   * @param {object} options - validation options
-   * @returns {boolean} validation result
-   * @throws {VerificationError} if validation fails
+   * @param {object} proof - The delegation proof
+   * @param {object} document - The delegated capability
+   * @param {object} [options={}] - Validation options, as for ControllerProofPurpose
+   * @returns {Promise<object>} { valid: true, controller, verificationMethod,
+   *   capabilityChain } or { valid: false, error }
+   * @throws {ArgumentError} If parameters are invalid
    */
-  validate(proof, document, options) {
-    super.validate(proof, document, options);
-
-    if (!proof.verificationMethod) {
-      throw new VerificationError(
-        'verificationMethod not found',
-        'E_VERIFICATION_METHOD_MISSING'
-      );
+  async validate(proof, document, options = {}) {
+    const { chainOptions } = this;
+    const result = await super.validate(proof, document, { resolver: chainOptions?.resolver, ...options });
+    if (!result.valid || chainOptions === undefined) {
+      return result;
+    }
+    if (result.controller === undefined) {
+      return invalid('a controller document is required to identify the delegator');
     }
 
-    // TODO: Implement DID document parsing and verification
-    // 1. Parse verificationMethod
-    // 2. Verify if verificationMethod is in the DID document's capabilityDelegation list
-    // 3. Verify verificationMethod status (expiration, revocation, etc.)
-    // 4. Verify delegation chain
-
-    return true;
+    const { date = new Date() } = options;
+    const checked = await checkDelegation({ ...document, proof }, result.controller, chainOptions, date);
+    if (!checked.valid) {
+      return checked;
+    }
+    return { ...result, capabilityChain: checked.chain };
   }
 }
 
@@ -623,39 +1153,40 @@ export class CapabilityDelegation extends ProofPurpose {
  * - capabilityDelegation: For delegating capabilities
  * 
  * @param {string} term - The proof purpose term
+ * @param {object} [options] - Options for the Authentication,
+ *   CapabilityInvocation or CapabilityDelegation constructor
  * @returns {ProofPurpose} An instance of the appropriate proof purpose class
  * @throws {OperationError} If the term is not supported
+ * @throws {ArgumentError} If the options are invalid, e.g. authentication
+ *   without a challenge
  * 
  * @example
  * ```javascript
- * // Create an authentication purpose
- * const authPurpose = createProofPurpose('authentication');
+ * // Create an authentication purpose bound to a login challenge
+ * const authPurpose = createProofPurpose('authentication', { challenge, domain });
  * 
  * // Create a capability invocation purpose
  * const capPurpose = createProofPurpose('capabilityInvocation');
  * 
  * // Validate a proof
- * const isValid = authPurpose.validate(proof, document, {
- *   verificationMethod: 'did:example:123#key-1'
+ * const { valid } = await authPurpose.validate(proof, document, {
+ *   controllerDocument: didDocument
  * });
  * ```
  */
-export function createProofPurpose(term) {
+export function createProofPurpose(term, options) {
   switch (term) {
     case 'assertionMethod':
       return new AssertionMethod();
     case 'authentication':
-      return new Authentication();
+      return new Authentication(options);
     case 'keyAgreement':
       return new KeyAgreement();
     case 'capabilityInvocation':
-      return new CapabilityInvocation();
+      return new CapabilityInvocation(options);
     case 'capabilityDelegation':
-      return new CapabilityDelegation();
+      return new CapabilityDelegation(options);
     default:
-      throw new OperationError(
-        `unsupported proof purpose: ${term}`,
-        'E_UNSUPPORTED_PURPOSE'
-      );
+      throw new OperationError(`unsupported proof purpose: ${term}`, { code: ErrorCodes.ERR_OPERATION_INVALID });
   }
 }
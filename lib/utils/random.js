@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Secure Random Source
+ *
+ * Every random value the library draws (nonces, ephemeral keys, salts,
+ * IVs, serial numbers and proof ids) comes from this module, so that one
+ * source serves both crypto backends and the suites.
+ *
+ * By default the platform's `crypto.getRandomValues` is used. Node.js 16
+ * and 18 do not expose it globally, so the Node backend registers
+ * `node:crypto` with setRandomSource() when it is loaded.
+ *
+ * Usage Example:
+ * ```javascript
+ * import { randomBytes, randomUUID } from './random.js';
+ *
+ * const salt = randomBytes(16);
+ * const id = `urn:uuid:${randomUUID()}`;
+ * ```
+ *
+ * Standards Compliance:
+ * - RFC 9562: UUID version 4
+ *
+ * @module utils/random
+ */
+
+import { ArgumentError, OperationError, ErrorCodes } from '../core/errors.js';
+
+/**
+ * Fill a buffer from the platform's getRandomValues
+ *
+ * @private
+ * @param {Buffer} bytes - Buffer to fill
+ * @throws {OperationError} If no secure random source is available
+ */
+function getRandomValues(bytes) {
+  const webcrypto = globalThis.crypto;
+  if (!webcrypto || typeof webcrypto.getRandomValues !== 'function') {
+    throw new OperationError('No secure random number generator available', {
+      code: ErrorCodes.ERR_OPERATION_INVALID
+    });
+  }
+  webcrypto.getRandomValues(bytes);
+}
+
+let fillRandom = getRandomValues;
+
+/**
+ * Replace the random source
+ *
+ * @param {function(Buffer): void} fill - Fills a buffer with secure random bytes
+ * @throws {ArgumentError} If fill is not a function
+ *
+ * @example
+ * ```javascript
+ * import crypto from 'node:crypto';
+ *
+ * setRandomSource((bytes) => crypto.randomFillSync(bytes));
+ * ```
+ */
+export function setRandomSource(fill) {
+  if (typeof fill !== 'function') {
+    throw new ArgumentError('Random source must be a function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  fillRandom = fill;
+}
+
+/**
+ * Generate cryptographically secure random bytes
+ *
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} Random bytes
+ * @throws {OperationError} If no secure random source is available
+ */
+export function randomBytes(length) {
+  const bytes = Buffer.alloc(length);
+  fillRandom(bytes);
+  return bytes;
+}
+
+/**
+ * Generate a random (version 4) UUID
+ *
+ * @returns {string} Lower-case UUID such as '1b4e28ba-2fa1-41d2-883f-0016d3cca427'
+ * @throws {OperationError} If no secure random source is available
+ */
+export function randomUUID() {
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
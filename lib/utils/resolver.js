@@ -0,0 +1,229 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview Verification Method Resolvers
+ *
+ * A resolver turns the `verificationMethod` id of a proof into the key that
+ * verifies it and the controller document that authorizes that key. The
+ * credential helpers and the proof purposes accept any object with this
+ * interface, so applications can plug in their own DID resolution.
+ *
+ * Resolver Interface:
+ * ```
+ * resolver.resolve(id) -> Promise<{ key, controllerDocument, verificationMethod }>
+ *   key                SM2Multikey with the public key
+ *   controllerDocument Document (usually a DID document) listing the method
+ *   verificationMethod The method object from the controller document
+ * ```
+ * Resolvers reject with a KeyError (ERR_KEY_NOT_FOUND) for ids they cannot
+ * resolve.
+ *
+ * Built-in Resolvers:
+ * - createDidKeyResolver(): did:key identifiers, computed offline with resolveDidKey()
+ * - createMemoryResolver(documents): a fixed set of controller documents
+ * - combineResolvers(...resolvers): the first resolver that succeeds
+ *
+ * Usage Example:
+ * ```javascript
+ * import { combineResolvers, createDidKeyResolver, createMemoryResolver } from './resolver.js';
+ *
+ * const resolver = combineResolvers(createDidKeyResolver(), createMemoryResolver([didDocument]));
+ * const { key, controllerDocument } = await resolver.resolve('did:example:123#key-1');
+ * ```
+ *
+ * @module resolver
+ * @see {@link https://www.w3.org/TR/did-core/#verification-methods|DID Core Verification Methods}
+ * @see {@link https://w3c-ccg.github.io/did-method-key/|did:key}
+ */
+
+import { SM2Multikey } from '../core/multikey.js';
+import { ArgumentError, KeyError, ErrorCodes } from '../core/errors.js';
+import { DID_CONTEXT_V1_URL, MULTIKEY_CONTEXT_V1_URL } from '../core/constants.js';
+
+const DID_KEY_PREFIX = 'did:key:';
+
+// Relationships that may embed verification methods
+const RELATIONSHIPS = [
+  'assertionMethod',
+  'authentication',
+  'capabilityInvocation',
+  'capabilityDelegation',
+  'keyAgreement'
+];
+
+function notFound(id, cause) {
+  return new KeyError(`Cannot resolve ${id}`, { code: ErrorCodes.ERR_KEY_NOT_FOUND, cause });
+}
+
+function assertId(id) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new ArgumentError('id must be a non-empty string', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+}
+
+// Absolute id of a method, which may be given relative to its document
+function absoluteId(id, base) {
+  return typeof id === 'string' && id.startsWith('#') ? `${base}${id}` : id;
+}
+
+/**
+ * Find a verification method object in a controller document
+ *
+ * Looks at the `verificationMethod` entries and the methods embedded in
+ * relationships; relative ids such as `#key-1` are resolved against the
+ * document id.
+ *
+ * @param {Object} controllerDocument - Controller document
+ * @param {string} id - Absolute verification method id
+ * @returns {Object|undefined} Method with an absolute id, if present
+ */
+export function findVerificationMethod(controllerDocument, id) {
+  const candidates = [controllerDocument.verificationMethod, ...RELATIONSHIPS.map((term) => controllerDocument[term])]
+    .flatMap((entries) => [].concat(entries ?? []))
+    .filter((entry) => entry && typeof entry === 'object');
+
+  const method = candidates.find((entry) => absoluteId(entry.id, controllerDocument.id) === id);
+  return method && { ...method, id };
+}
+
+// The DID document of a did:key key
+function didKeyDocument(key) {
+  const { '@context': _context, ...verificationMethod } = key.export({ publicKey: true });
+  const document = {
+    '@context': [DID_CONTEXT_V1_URL, MULTIKEY_CONTEXT_V1_URL],
+    id: key.controller,
+    verificationMethod: [verificationMethod]
+  };
+  for (const term of RELATIONSHIPS) {
+    document[term] = [verificationMethod.id];
+  }
+  return document;
+}
+
+/**
+ * Produce the DID document of an SM2 did:key identifier
+ *
+ * The document is derived from the identifier itself, so no network
+ * access is needed: a single Multikey verification method with id
+ * `did:key:z...#z...`, referenced from assertionMethod, authentication,
+ * capabilityInvocation, capabilityDelegation and keyAgreement.
+ *
+ * @param {string} didKey - did:key identifier, optionally with its fragment
+ * @returns {Object} DID document
+ * @throws {ArgumentError} If didKey is not a did:key identifier
+ * @throws {FormatError} If the identifier does not encode an SM2 public key
+ * @see {@link https://w3c-ccg.github.io/did-method-key/#document-creation-algorithm|did:key Document Creation}
+ */
+export function resolveDidKey(didKey) {
+  return didKeyDocument(SM2Multikey.fromDidKey(didKey));
+}
+
+/**
+ * Create a resolver for did:key identifiers
+ *
+ * @returns {Object} Resolver whose controller documents come from resolveDidKey()
+ */
+export function createDidKeyResolver() {
+  return {
+    async resolve(id) {
+      assertId(id);
+      if (!id.startsWith(DID_KEY_PREFIX)) {
+        throw notFound(id);
+      }
+
+      let key;
+      try {
+        key = SM2Multikey.fromDidKey(id);
+      } catch (error) {
+        throw notFound(id, error);
+      }
+
+      const controllerDocument = didKeyDocument(key);
+      return { key, controllerDocument, verificationMethod: controllerDocument.verificationMethod[0] };
+    }
+  };
+}
+
+/**
+ * Create a resolver for a fixed set of controller documents
+ *
+ * A method id is split at `#`, and the method is looked up only in the
+ * document whose id is the part before it, among its `verificationMethod`
+ * entries and embedded relationship entries; relative ids such as
+ * `#key-1` are resolved against the document id. A document cannot
+ * supply methods for another controller.
+ *
+ * @param {Object[]|Map<string, Object>|Object<string, Object>} [documents=[]] -
+ *   Controller documents, each with an `id`
+ * @returns {Object} Resolver
+ * @throws {ArgumentError} If a document has no id
+ */
+export function createMemoryResolver(documents = []) {
+  const values = documents instanceof Map ? [...documents.values()] :
+    Array.isArray(documents) ? documents : Object.values(documents ?? {});
+
+  const controllers = new Map();
+  for (const document of values) {
+    if (!document || typeof document.id !== 'string') {
+      throw new ArgumentError('Controller documents must have an id', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    controllers.set(document.id, document);
+  }
+
+  return {
+    async resolve(id) {
+      assertId(id);
+
+      const [controllerId] = id.split('#');
+      const controllerDocument = controllers.get(controllerId);
+      const verificationMethod = controllerDocument && findVerificationMethod(controllerDocument, id);
+      if (verificationMethod === undefined) {
+        throw notFound(id);
+      }
+
+      try {
+        const key = SM2Multikey.from(verificationMethod);
+        return { key, controllerDocument, verificationMethod };
+      } catch (error) {
+        throw notFound(id, error);
+      }
+    }
+  };
+}
+
+/**
+ * Combine resolvers, trying each in turn
+ *
+ * A resolver that rejects with a KeyError passes the id on to the next
+ * one; any other error is returned to the caller.
+ *
+ * @param {...Object} resolvers - Resolvers with a resolve(id) method
+ * @returns {Object} Resolver
+ * @throws {ArgumentError} If a resolver has no resolve function
+ */
+export function combineResolvers(...resolvers) {
+  for (const resolver of resolvers) {
+    if (!resolver || typeof resolver.resolve !== 'function') {
+      throw new ArgumentError('resolver must have a resolve function', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+  }
+
+  return {
+    async resolve(id) {
+      let lastError;
+      for (const resolver of resolvers) {
+        try {
+          return await resolver.resolve(id);
+        } catch (error) {
+          if (!(error instanceof KeyError)) {
+            throw error;
+          }
+          lastError = error;
+        }
+      }
+      throw notFound(id, lastError);
+    }
+  };
+}
@@ -18,6 +18,7 @@
  * - Positive number enforcement
  * - Buffer/Uint8Array support
  * - Type-consistent output
+ * - Message/digest input validation
  * 
  * Security Considerations:
  * - Constant-time operations to prevent timing attacks
@@ -56,7 +57,7 @@
  * @module signature-format
  */
 
-import { FormatError, ErrorCodes } from '../core/errors.js';
+import { FormatError, ArgumentError, ErrorCodes } from '../core/errors.js';
 import { ASN1, readDERLength, encodeDERLength, encodeDERSequence } from '../formats/der.js';
 import { isValidBinaryData, toBuffer, matchBinaryType } from './binary.js';
 
@@ -307,3 +308,40 @@ export function signatureToDER(rawSignature, outputType) {
 
   return outputType ? matchBinaryType(outputType, result) : result;
 }
+
+/**
+ * Validate the message input of a sign or verify call
+ *
+ * Signing functions accept either the message itself (`data`), which is
+ * hashed as SM3(ZA || M), or an already computed 32-byte value e
+ * (`digest`). Exactly one of the two must be given.
+ *
+ * @param {Object} input - Call options
+ * @param {Buffer|Uint8Array} [input.data] - Message to hash
+ * @param {Buffer|Uint8Array} [input.digest] - Precomputed e
+ * @returns {boolean} True if a digest was given, false for data
+ * @throws {ArgumentError} If neither or both are given, or digest is not 32 bytes
+ *
+ * @example
+ * ```javascript
+ * if (validateMessageInput({ data, digest })) {
+ *   // sign e directly
+ * }
+ * ```
+ */
+export function validateMessageInput({ data, digest }) {
+  if (digest === undefined) {
+    if (!isValidBinaryData(data)) {
+      throw new ArgumentError('data must be Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+    }
+    return false;
+  }
+
+  if (data !== undefined) {
+    throw new ArgumentError('Provide either data or digest, not both', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  if (!isValidBinaryData(digest) || digest.length !== 32) {
+    throw new ArgumentError('digest must be a 32-byte Buffer or Uint8Array', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+  return true;
+}
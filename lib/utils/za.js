@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+/**
+ * @fileoverview SM2 Distinguishing Identifier (ZA) Utilities
+ *
+ * GB/T 32918.2 signatures do not hash the message directly. The signer
+ * first derives ZA from its user ID and public key, and the value that is
+ * actually signed is e = SM3(ZA || M). This module computes ZA so that every
+ * crypto backend applies it in exactly the same way.
+ *
+ * Key Features:
+ * - ZA computation per GB/T 32918.2 section 5.5
+ * - Default user ID handling
+ * - Raw mode (no ZA) support
+ * - Backend-independent digest injection
+ *
+ * ZA Structure:
+ * ```
+ * | ENTL | ID      | a  | b  | xG | yG | xA | yA |
+ * | 2B   | n bytes | 32 | 32 | 32 | 32 | 32 | 32 |
+ * ```
+ *
+ * User ID Modes:
+ * - undefined: Use the default ID '1234567812345678'
+ * - string/Buffer/Uint8Array: Use the given ID
+ * - null: Raw mode, the message is hashed without ZA
+ *
+ * Usage Example:
+ * ```javascript
+ * import { computeZA } from './za.js';
+ *
+ * const za = computeZA({ publicKey, userId: 'ALICE123@YAHOO.COM', digest });
+ * const e = digest(Buffer.concat([za, message]));
+ * ```
+ *
+ * Standards Compliance:
+ * - GB/T 32918.2-2016: SM2 Digital Signature
+ * - GM/T 0009-2012: SM2 Cryptography Algorithm Application Specification
+ *
+ * @module utils/za
+ * @see {@link http://www.gmbz.org.cn/main/viewfile/20180108023812835219.html|GB/T 32918}
+ */
+
+import { ArgumentError, ErrorCodes } from '../core/errors.js';
+import { SM2_CURVE, SM2_DEFAULT_USER_ID } from '../core/constants.js';
+import { isValidBinaryData, toBuffer } from './binary.js';
+
+/**
+ * Curve parameters a || b || xG || yG as they appear in ZA
+ *
+ * @private
+ * @constant {Buffer}
+ */
+const CURVE_PARAMS = Buffer.from(SM2_CURVE.A + SM2_CURVE.B + SM2_CURVE.GX + SM2_CURVE.GY, 'hex');
+
+/**
+ * Maximum user ID length in bytes
+ *
+ * ENTL is a 16-bit bit count, so the ID can be at most 8191 bytes long.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_USER_ID_LENGTH = 0xffff >> 3;
+
+/**
+ * Normalize a user ID option into bytes
+ *
+ * Strings are encoded as UTF-8. An undefined value selects the default
+ * user ID and null selects raw mode.
+ *
+ * @param {string|Buffer|Uint8Array|null} [userId] - User ID option
+ * @returns {Buffer|null} User ID bytes, or null for raw mode
+ * @throws {ArgumentError} If the user ID has an invalid type or length
+ *
+ * @example
+ * ```javascript
+ * normalizeUserId();            // <Buffer 31 32 33 ... 38>
+ * normalizeUserId('alice');     // <Buffer 61 6c 69 63 65>
+ * normalizeUserId(null);        // null
+ * ```
+ */
+export function normalizeUserId(userId) {
+  if (userId === null) {
+    return null;
+  }
+
+  if (userId === undefined) {
+    return Buffer.from(SM2_DEFAULT_USER_ID, 'utf8');
+  }
+
+  let id;
+  if (typeof userId === 'string') {
+    id = Buffer.from(userId, 'utf8');
+  } else if (isValidBinaryData(userId)) {
+    id = toBuffer(userId);
+  } else {
+    throw new ArgumentError('userId must be a string, Buffer, Uint8Array or null', {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+
+  if (id.length > MAX_USER_ID_LENGTH) {
+    throw new ArgumentError(`userId must not exceed ${MAX_USER_ID_LENGTH} bytes`, {
+      code: ErrorCodes.ERR_ARGUMENT_INVALID
+    });
+  }
+
+  return id;
+}
+
+/**
+ * Compute ZA for a public key and user ID
+ *
+ * The digest function is supplied by the caller so that each crypto
+ * backend can use its own SM3 implementation while producing identical
+ * results.
+ *
+ * Processing Steps:
+ * 1. Normalize the user ID
+ * 2. Build ENTL || ID || a || b || xG || yG || xA || yA
+ * 3. Hash with SM3
+ *
+ * @param {Object} options - Options
+ * @param {Buffer|Uint8Array} options.publicKey - Public key (64 bytes: x||y)
+ * @param {string|Buffer|Uint8Array|null} [options.userId] - User ID, null for raw mode
+ * @param {Function} options.digest - SM3 function returning a 32-byte Buffer
+ * @returns {Buffer|null} 32-byte ZA value, or null in raw mode
+ * @throws {ArgumentError} If the public key or user ID is invalid
+ *
+ * @example
+ * ```javascript
+ * const za = computeZA({
+ *   publicKey: key.publicKey,
+ *   digest: data => crypto.createHash('SM3').update(data).digest()
+ * });
+ * console.log(za.length); // 32
+ * ```
+ */
+export function computeZA({ publicKey, userId, digest }) {
+  const id = normalizeUserId(userId);
+  if (id === null) {
+    return null;
+  }
+
+  if (!isValidBinaryData(publicKey) || publicKey.length !== 64) {
+    throw new ArgumentError('publicKey must be 64 bytes', { code: ErrorCodes.ERR_ARGUMENT_INVALID });
+  }
+
+  const entl = Buffer.alloc(2);
+  entl.writeUInt16BE(id.length * 8);
+
+  return toBuffer(digest(Buffer.concat([
+    entl,
+    id,
+    CURVE_PARAMS,
+    toBuffer(publicKey)
+  ])));
+}
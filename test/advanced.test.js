@@ -60,16 +60,16 @@ describe('SM2Multikey Advanced Tests', () => {
   });
 
   describe('error recovery and edge cases', () => {
-    it('should handle large messages', () => {
+    it('should handle large messages', async () => {
       const key = SM2Multikey.generate();
       const largeMessage = Buffer.alloc(1024 * 1024, 'test message'); // 1MB
       
       // Sign and verify large message
       const { sign } = key.signer();
-      const signature = sign({ data: largeMessage });
+      const signature = await sign({ data: largeMessage });
       
       const { verify } = key.verifier();
-      const valid = verify({ data: largeMessage, signature });
+      const valid = await verify({ data: largeMessage, signature });
       
       assert.strictEqual(valid, true);
     });
@@ -85,7 +85,7 @@ describe('SM2Multikey Advanced Tests', () => {
       assert(end - start < 1000);
     });
 
-    it('should handle multiple sign/verify operations efficiently', () => {
+    it('should handle multiple sign/verify operations efficiently', async () => {
       const key = SM2Multikey.generate();
       const message = Buffer.from('test message');
       const iterations = 10;
@@ -96,8 +96,8 @@ describe('SM2Multikey Advanced Tests', () => {
       const start = Date.now();
       
       for (let i = 0; i < iterations; i++) {
-        const signature = sign({ data: message });
-        const valid = verify({ data: message, signature });
+        const signature = await sign({ data: message });
+        const valid = await verify({ data: message, signature });
         assert.strictEqual(valid, true);
       }
       
@@ -110,25 +110,25 @@ describe('SM2Multikey Advanced Tests', () => {
   });
 
   describe('compatibility', () => {
-    it('should handle different message encodings', () => {
+    it('should handle different message encodings', async () => {
       const key = SM2Multikey.generate();
       const { sign } = key.signer();
       const { verify } = key.verifier();
       
       // Test UTF-8 encoded Chinese characters
       const utf8Message = Buffer.from('测试消息', 'utf8');
-      const utf8Signature = sign({ data: utf8Message });
-      assert.strictEqual(verify({ data: utf8Message, signature: utf8Signature }), true);
+      const utf8Signature = await sign({ data: utf8Message });
+      assert.strictEqual(await verify({ data: utf8Message, signature: utf8Signature }), true);
       
       // Test Base64 encoded message
       const base64Message = Buffer.from('dGVzdCBtZXNzYWdl', 'base64');
-      const base64Signature = sign({ data: base64Message });
-      assert.strictEqual(verify({ data: base64Message, signature: base64Signature }), true);
+      const base64Signature = await sign({ data: base64Message });
+      assert.strictEqual(await verify({ data: base64Message, signature: base64Signature }), true);
       
       // Test hex encoded message
       const hexMessage = Buffer.from('74657374206d657373616765', 'hex');
-      const hexSignature = sign({ data: hexMessage });
-      assert.strictEqual(verify({ data: hexMessage, signature: hexSignature }), true);
+      const hexSignature = await sign({ data: hexMessage });
+      assert.strictEqual(await verify({ data: hexMessage, signature: hexSignature }), true);
     });
   });
 });
@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { after, describe, it } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import nodeImpl from '../lib/crypto/node.js';
+import browserImpl from '../lib/crypto/browser.js';
+
+const defaultImpl = process.env.FORCE_BROWSER_IMPL ? browserImpl : nodeImpl;
+
+describe('Async signer and verifier', () => {
+  after(() => SM2Multikey.setCryptoImpl(defaultImpl));
+
+  it('should expose the Data Integrity signer shape', async () => {
+    const key = SM2Multikey.generate({ id: 'did:example:123#key-1', controller: 'did:example:123' });
+    const signer = key.signer();
+    const verifier = key.verifier();
+
+    assert.strictEqual(signer.algorithm, 'SM2');
+    assert.strictEqual(signer.id, 'did:example:123#key-1');
+    assert.strictEqual(verifier.id, 'did:example:123#key-1');
+
+    const data = new Uint8Array([1, 2, 3]);
+    const pending = signer.sign({ data });
+    assert(pending instanceof Promise);
+    const signature = await pending;
+    assert(signature instanceof Uint8Array);
+
+    const result = verifier.verify({ data, signature });
+    assert(result instanceof Promise);
+    assert.strictEqual(await result, true);
+  });
+
+  it('should reject with the reason of an already aborted signal', async () => {
+    const key = SM2Multikey.generate();
+    const data = Buffer.from('abc');
+    const signature = await key.signer().sign({ data });
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(key.signer().sign({ data, signal: controller.signal }), { name: 'AbortError' });
+    await assert.rejects(key.verifier().verify({ data, signature, signal: controller.signal }), { name: 'AbortError' });
+
+    const reason = new Error('shutting down');
+    await assert.rejects(key.signer().sign({ data, signal: AbortSignal.abort(reason) }), reason);
+  });
+
+  it('should succeed when the signal is not aborted', async () => {
+    const key = SM2Multikey.generate();
+    const data = Buffer.from('abc');
+    const { signal } = new AbortController();
+    const signature = await key.signer().sign({ data, signal });
+    assert.strictEqual(await key.verifier().verify({ data, signature, signal }), true);
+  });
+
+  it('should support asynchronous backends and abort while pending', async () => {
+    const seen = [];
+    SM2Multikey.setCryptoImpl({
+      ...defaultImpl,
+      createSigner: (options) => {
+        const sign = defaultImpl.createSigner(options);
+        return async ({ data, signal }) => {
+          seen.push(signal);
+          await delay(20);
+          return sign({ data });
+        };
+      }
+    });
+
+    const key = SM2Multikey.generate();
+    const data = Buffer.from('remote');
+    const signature = await key.signer().sign({ data });
+    assert.strictEqual(await key.verifier().verify({ data, signature }), true);
+
+    const controller = new AbortController();
+    const pending = key.signer().sign({ data, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.strictEqual(seen[1], controller.signal);
+  });
+
+  it('should reject an invalid signal', async () => {
+    const key = SM2Multikey.generate();
+    await assert.rejects(
+      key.signer().sign({ data: Buffer.from('abc'), signal: 'stop' }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+  });
+});
@@ -0,0 +1,130 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+function signItems(keys, count, options = {}) {
+  return Promise.all(Array.from({ length: count }, async (_, i) => {
+    const key = keys[i % keys.length];
+    const data = crypto.randomBytes(40);
+    return { key, data, signature: await key.signer(options).sign({ data }), ...options };
+  }));
+}
+
+describe('SM2Multikey.verifyBatch', () => {
+  it('should accept a batch of valid signatures', async () => {
+    const keys = [SM2Multikey.generate(), SM2Multikey.generate()];
+    // 20 items over 2 keys exercises the shared per-key tables
+    const items = await signItems(keys, 20);
+    assert.deepEqual(await SM2Multikey.verifyBatch(items), items.map(() => true));
+  });
+
+  it('should report failures per item', async () => {
+    const keys = [SM2Multikey.generate(), SM2Multikey.generate(), SM2Multikey.generate()];
+    const items = await signItems(keys, 24);
+
+    const tampered = Buffer.from(items[3].signature);
+    tampered[10] ^= 1;
+    items[3] = { ...items[3], signature: tampered };
+    items[7] = { ...items[7], data: Buffer.from('other data') };
+    items[11] = { ...items[11], key: keys[(11 + 1) % 3] };
+    items[15] = { ...items[15], signature: Buffer.alloc(10) };
+
+    const expected = items.map((_, i) => ![3, 7, 11, 15].includes(i));
+    assert.deepEqual(await SM2Multikey.verifyBatch(items), expected);
+    assert.deepEqual(
+      await Promise.all(items.map(({ key, data, signature }) =>
+        key.verifier().verify({ data, signature }).catch(() => false))),
+      expected
+    );
+  });
+
+  it('should match individual results across many distinct keys', async () => {
+    // 30 one-off keys take the shared affine doubling rounds
+    const keys = Array.from({ length: 30 }, () => SM2Multikey.generate());
+    const items = await signItems(keys, 30);
+    items[4] = { ...items[4], data: Buffer.from('other data') };
+    const tampered = Buffer.from(items[17].signature);
+    tampered[40] ^= 1;
+    items[17] = { ...items[17], signature: tampered };
+
+    assert.deepEqual(await SM2Multikey.verifyBatch(items), items.map((_, i) => i !== 4 && i !== 17));
+  });
+
+  it('should verify faster than a verifier loop', async () => {
+    const keys = [SM2Multikey.generate(), SM2Multikey.generate()];
+    const items = await Promise.all(Array.from({ length: 32 }, async (_, i) => {
+      const key = keys[i % keys.length];
+      const digest = crypto.randomBytes(32);
+      return { key, digest, signature: await key.signer().sign({ digest }) };
+    }));
+
+    const elapsed = async (fn) => {
+      let best = Infinity;
+      for (let round = 0; round < 3; round++) {
+        const start = performance.now();
+        await fn();
+        best = Math.min(best, performance.now() - start);
+      }
+      return best;
+    };
+    const loop = await elapsed(async () => {
+      for (const { key, digest, signature } of items) {
+        assert.ok(await key.verifier().verify({ digest, signature }));
+      }
+    });
+    const batch = await elapsed(async () => {
+      assert.deepEqual(await SM2Multikey.verifyBatch(items), items.map(() => true));
+    });
+
+    // About three times faster in practice; leave room for noisy machines
+    assert.ok(batch * 1.5 < loop, `batch ${batch.toFixed(1)} ms, loop ${loop.toFixed(1)} ms`);
+  });
+
+  it('should honour user IDs and precomputed digests', async () => {
+    const key = SM2Multikey.generate();
+    const items = await signItems([key], 3, { userId: 'ALICE123@YAHOO.COM' });
+    items.push(...await signItems([key], 2, { userId: null }));
+
+    const deterministic = key.signer({ deterministic: true });
+    const data = Buffer.from('hashed elsewhere');
+    const signature = await deterministic.sign({ data });
+    const raw = SM2Multikey.from({ publicKey: key.publicKey });
+    items.push({ key: raw, data, signature });
+    items.push({ key, data, signature, userId: 'someone else' });
+
+    assert.deepEqual(await SM2Multikey.verifyBatch(items), [true, true, true, true, true, true, false]);
+  });
+
+  it('should return false for a key that is not on the curve', async () => {
+    const [good] = await signItems([SM2Multikey.generate()], 1);
+    const publicKey = Buffer.from(good.key.publicKey);
+    publicKey[63] ^= 1;
+    const bad = { ...good, key: SM2Multikey.from({ publicKey }) };
+
+    assert.deepEqual(await SM2Multikey.verifyBatch([good, bad, bad]), [true, false, false]);
+  });
+
+  it('should return an empty array for an empty batch', async () => {
+    const pending = SM2Multikey.verifyBatch([]);
+    assert.ok(pending instanceof Promise);
+    assert.deepEqual(await pending, []);
+  });
+
+  it('should reject malformed items', async () => {
+    const [item] = await signItems([SM2Multikey.generate()], 1);
+    const expected = { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID };
+
+    await assert.rejects(SM2Multikey.verifyBatch(item), expected);
+    await assert.rejects(SM2Multikey.verifyBatch([null]), expected);
+    await assert.rejects(SM2Multikey.verifyBatch([{ ...item, key: item.key.publicKey }]), expected);
+    await assert.rejects(SM2Multikey.verifyBatch([{ ...item, data: 'text' }]), expected);
+    await assert.rejects(SM2Multikey.verifyBatch([{ ...item, signature: undefined }]), expected);
+    await assert.rejects(SM2Multikey.verifyBatch([{ ...item, userId: 42 }]), expected);
+  });
+});
@@ -0,0 +1,227 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  didKey,
+  cryptosuite,
+  CapabilityInvocation,
+  CapabilityDelegation,
+  createDidKeyResolver,
+  createRootCapability,
+  delegateCapability,
+  invokeCapability,
+  verifyCapabilityInvocation
+} from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+const target = 'https://api.example.com/documents';
+const expires = '2030-01-01T00:00:00Z';
+const request = { action: 'read', path: '/documents/1' };
+
+const owner = didKey();
+const alice = didKey();
+const bob = didKey();
+const resolver = createDidKeyResolver();
+const root = createRootCapability({ invocationTarget: target, controller: owner.controller });
+
+const aliceCapability = await delegateCapability({
+  capability: { controller: alice.controller, allowedAction: ['read', 'write'], expires },
+  parentCapability: root,
+  key: owner
+});
+const bobCapability = await delegateCapability({
+  capability: { controller: bob.controller, allowedAction: ['read'], expires: new Date('2029-01-01T00:00:00Z') },
+  parentCapability: aliceCapability,
+  key: alice
+});
+
+function verify(document, options = {}) {
+  return verifyCapabilityInvocation({
+    document,
+    resolver,
+    expectedTarget: target,
+    expectedAction: 'read',
+    expectedRootCapability: root,
+    ...options
+  });
+}
+
+// Signs a delegation without the checks of delegateCapability
+async function forgeDelegation(capability, key, capabilityChain) {
+  const proof = await cryptosuite.createProof({
+    document: capability,
+    signer: key.signer(),
+    proofPurpose: 'capabilityDelegation',
+    capabilityChain
+  });
+  return { ...capability, proof };
+}
+
+describe('Authorization capabilities', () => {
+  it('should create root capabilities', () => {
+    assert.deepEqual(root, {
+      '@context': 'https://w3id.org/zcap/v1',
+      id: 'urn:zcap:root:https%3A%2F%2Fapi.example.com%2Fdocuments',
+      controller: owner.controller,
+      invocationTarget: target
+    });
+    assert.throws(() => createRootCapability({ invocationTarget: target }), {
+      name: 'ArgumentError',
+      code: ErrorCodes.ERR_ARGUMENT_MISSING
+    });
+  });
+
+  it('should delegate capabilities with their chain', () => {
+    assert.match(aliceCapability.id, /^urn:uuid:/);
+    assert.strictEqual(aliceCapability.parentCapability, root.id);
+    assert.strictEqual(aliceCapability.invocationTarget, target);
+    assert.strictEqual(aliceCapability.proof.proofPurpose, 'capabilityDelegation');
+    assert.deepEqual(aliceCapability.proof.capabilityChain, [root.id]);
+
+    assert.strictEqual(bobCapability.expires, '2029-01-01T00:00:00.000Z');
+    assert.deepEqual(bobCapability.proof.capabilityChain, [root.id, aliceCapability]);
+  });
+
+  it('should verify invocations of root and delegated capabilities', async () => {
+    const direct = await invokeCapability({ document: request, capability: root, capabilityAction: 'read', key: owner });
+    assert.strictEqual(direct.proof.capability, root.id);
+    assert.deepEqual(await verify(direct), { verified: true });
+
+    const delegated = await invokeCapability({ document: request, capability: bobCapability, capabilityAction: 'read', key: bob });
+    assert.strictEqual(delegated.proof.invocationTarget, target);
+    assert.deepEqual(await verify(delegated), { verified: true });
+  });
+
+  it('should return the capability chain from the purpose', async () => {
+    const invocation = await invokeCapability({ document: request, capability: bobCapability, capabilityAction: 'read', key: bob });
+    const purpose = new CapabilityInvocation({
+      expectedTarget: target,
+      expectedRootCapability: root,
+      resolver,
+      suites: [cryptosuite]
+    });
+    const result = await purpose.validate(invocation.proof, invocation);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.controller, bob.controller);
+    assert.deepEqual(result.capabilityChain.map(({ id }) => id), [root.id, aliceCapability.id, bobCapability.id]);
+
+    const delegation = new CapabilityDelegation({ expectedRootCapability: root, resolver, suites: [cryptosuite] });
+    const { proof, ...unsigned } = bobCapability;
+    assert.strictEqual((await delegation.validate(proof, unsigned)).capabilityChain.length, 3);
+  });
+
+  it('should reject actions, targets and invokers outside the capability', async () => {
+    const write = await invokeCapability({ document: request, capability: bobCapability, capabilityAction: 'write', key: bob });
+    assert.match((await verify(write)).error.message, /capabilityAction does not match/);
+    assert.match((await verify(write, { expectedAction: 'write' })).error.message, /not allowed by the capability/);
+
+    const other = await invokeCapability({
+      document: request,
+      capability: bobCapability,
+      capabilityAction: 'read',
+      invocationTarget: `${target}/1`,
+      key: bob
+    });
+    assert.match((await verify(other)).error.message, /invocationTarget does not match/);
+    assert.match((await verify(other, { expectedTarget: `${target}/1` })).error.message, /not within the capability/);
+    assert.strictEqual(
+      (await verify(other, { expectedTarget: `${target}/1`, allowTargetAttenuation: true })).verified,
+      true
+    );
+
+    const stolen = await cryptosuite.createProof({
+      document: request,
+      signer: alice.signer(),
+      proofPurpose: 'capabilityInvocation',
+      capability: bobCapability,
+      capabilityAction: 'read',
+      invocationTarget: target
+    });
+    assert.match((await verify({ ...request, proof: stolen })).error.message, /may not invoke/);
+
+    const tampered = await invokeCapability({ document: request, capability: bobCapability, capabilityAction: 'read', key: bob });
+    tampered.action = 'delete';
+    assert.match((await verify(tampered)).error.message, /Invalid signature/);
+  });
+
+  it('should verify every delegation in the chain', async () => {
+    const invoke = (capability) =>
+      invokeCapability({ document: request, capability, capabilityAction: 'read', key: bob });
+
+    // Embedded parent granting more than was signed
+    const [rootId, embedded] = bobCapability.proof.capabilityChain;
+    const widened = {
+      ...bobCapability,
+      proof: {
+        ...bobCapability.proof,
+        capabilityChain: [rootId, { ...embedded, allowedAction: ['read', 'write', 'delete'] }]
+      }
+    };
+    const widenedResult = await verify(await invoke(widened));
+    assert.match(widenedResult.error.message, /invalid delegation proof/);
+
+    // Delegation by someone who does not control the parent
+    const forged = await forgeDelegation({
+      '@context': 'https://w3id.org/zcap/v1',
+      id: 'urn:uuid:forged',
+      parentCapability: root.id,
+      invocationTarget: target,
+      controller: bob.controller,
+      expires
+    }, bob, [root.id]);
+    assert.match((await verify(await invoke(forged))).error.message, /may not delegate/);
+
+    // Escalated actions and expiry
+    const escalated = await forgeDelegation({
+      '@context': 'https://w3id.org/zcap/v1',
+      id: 'urn:uuid:escalated',
+      parentCapability: aliceCapability.id,
+      invocationTarget: target,
+      controller: bob.controller,
+      allowedAction: ['read', 'admin'],
+      expires: '2035-01-01T00:00:00Z'
+    }, alice, [root.id, aliceCapability]);
+    assert.match((await verify(await invoke(escalated))).error.message, /allowedAction/);
+
+    const expired = await verify(await invoke(bobCapability), { date: new Date('2029-06-01T00:00:00Z') });
+    assert.match(expired.error.message, /has expired/);
+  });
+
+  it('should enforce the root and the chain length', async () => {
+    const invocation = await invokeCapability({ document: request, capability: bobCapability, capabilityAction: 'read', key: bob });
+    assert.match((await verify(invocation, { maxChainLength: 2 })).error.message, /longer than 2/);
+
+    // A root made up by the invoker is not trusted, even for the same target
+    const otherRoot = createRootCapability({ invocationTarget: target, controller: bob.controller });
+    const unexpected = await invokeCapability({ document: request, capability: otherRoot, capabilityAction: 'read', key: bob });
+    assert.match((await verify(unexpected)).error.message, /may not invoke/);
+
+    const privateRoot = createRootCapability({ invocationTarget: `${target}/private`, controller: bob.controller });
+    const unknown = await invokeCapability({ document: request, capability: privateRoot, capabilityAction: 'read', key: bob });
+    const unknownResult = await verify(unknown, { expectedTarget: privateRoot.invocationTarget });
+    assert.match(unknownResult.error.message, /not an expected root capability/);
+  });
+
+  it('should validate arguments', async () => {
+    await assert.rejects(
+      delegateCapability({ capability: { controller: bob.controller }, parentCapability: root, key: owner }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_MISSING }
+    );
+    await assert.rejects(
+      delegateCapability({ capability: { controller: bob.controller, expires }, parentCapability: root, key: alice }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(
+      invokeCapability({ document: request, capability: bobCapability, capabilityAction: 'read', key: alice }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(verify(request, { expectedRootCapability: undefined }), { name: 'ArgumentError' });
+    await assert.rejects(verify(request, { expectedTarget: undefined }), { name: 'ArgumentError' });
+    assert.throws(() => new CapabilityInvocation({ expectedTarget: target, expectedRootCapability: root }), {
+      name: 'ArgumentError'
+    });
+  });
+});
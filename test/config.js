@@ -19,5 +19,45 @@ if (isNode && !process.env.FORCE_BROWSER_IMPL) {
 
 export const {
   SM2Multikey,
-  cryptosuite
+  cryptosuite,
+  rdfcCryptosuite,
+  sdCryptosuite,
+  documentLoader,
+  createDocumentLoader,
+  issueCredential,
+  verifyCredential,
+  createPresentation,
+  signPresentation,
+  verifyPresentation,
+  createRootCapability,
+  delegateCapability,
+  invokeCapability,
+  verifyCapabilityInvocation,
+  addProof,
+  verifyProofSet,
+  ProofPurpose,
+  ControllerProofPurpose,
+  AssertionMethod,
+  Authentication,
+  KeyAgreement,
+  CapabilityInvocation,
+  CapabilityDelegation,
+  createProofPurpose,
+  createMemoryNonceStore,
+  resolveDidKey,
+  createDidKeyResolver,
+  createMemoryResolver,
+  combineResolvers
 } = implementation;
+
+/**
+ * Generate a key whose controller is its own did:key
+ *
+ * @returns {SM2Multikey} Key with `id` set to the did:key verification method
+ */
+export function didKey() {
+  const key = SM2Multikey.generate();
+  key.controller = key.toDidKey();
+  key.id = `${key.controller}#${key.publicKeyMultibase}`;
+  return key;
+}
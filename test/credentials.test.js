@@ -0,0 +1,224 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  SM2Multikey,
+  rdfcCryptosuite,
+  sdCryptosuite,
+  issueCredential,
+  verifyCredential,
+  createPresentation,
+  signPresentation,
+  verifyPresentation,
+  createMemoryNonceStore
+} from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+const credential = {
+  '@context': ['https://www.w3.org/ns/credentials/v2'],
+  type: ['VerifiableCredential'],
+  issuer: 'did:example:issuer',
+  validFrom: '2024-01-01T00:00:00Z',
+  credentialSubject: { id: 'did:example:holder', name: '张三' }
+};
+
+const issuerKey = SM2Multikey.generate({ controller: 'did:example:issuer' });
+const holderKey = SM2Multikey.generate({ controller: 'did:example:holder' });
+
+// Resolves the public halves of known keys by id
+function createResolver(...keys) {
+  const methods = new Map(keys.map((key) => [key.id, SM2Multikey.from(key.export({ publicKey: true }))]));
+  return {
+    async resolve(id) {
+      if (!methods.has(id)) {
+        throw new Error(`Not found: ${id}`);
+      }
+      return { key: methods.get(id) };
+    }
+  };
+}
+
+const resolver = createResolver(issuerKey, holderKey);
+
+describe('Verifiable Credentials', () => {
+  it('should issue and verify a credential', async () => {
+    const vc = await issueCredential({ credential, key: issuerKey });
+    assert.strictEqual(vc.proof.cryptosuite, 'sm2-jcs-2023');
+    assert.strictEqual(vc.proof.proofPurpose, 'assertionMethod');
+    assert.strictEqual(vc.proof.verificationMethod, issuerKey.id);
+
+    assert.deepEqual(await verifyCredential({ credential: vc, resolver }), { verified: true });
+  });
+
+  it('should use the proof cryptosuite', async () => {
+    const vc = await issueCredential({ credential, key: issuerKey, cryptosuite: rdfcCryptosuite });
+    assert.strictEqual(vc.proof.cryptosuite, 'sm2-rdfc-2023');
+    assert.strictEqual((await verifyCredential({ credential: vc, resolver })).verified, true);
+
+    const proof = await sdCryptosuite.createBaseProof({
+      document: credential,
+      signer: issuerKey.signer(),
+      mandatoryPointers: ['/issuer']
+    });
+    const derived = await sdCryptosuite.deriveProof({
+      document: { ...credential, proof },
+      selectivePointers: ['/credentialSubject/name']
+    });
+    assert.strictEqual((await verifyCredential({ credential: derived, resolver })).verified, true);
+  });
+
+  it('should reject credentials not signed by the issuer', async () => {
+    const forged = await issueCredential({ credential: { ...credential, issuer: 'did:example:holder' }, key: issuerKey });
+    const { verified, error } = await verifyCredential({ credential: forged, resolver });
+    assert.strictEqual(verified, false);
+    assert.match(error.message, /not controlled by did:example:holder/);
+
+    const unknown = SM2Multikey.generate({ controller: 'did:example:issuer' });
+    const unresolved = await verifyCredential({ credential: await issueCredential({ credential, key: unknown }), resolver });
+    assert.strictEqual(unresolved.verified, false);
+    assert.strictEqual(unresolved.error.code, ErrorCodes.ERR_VERIFICATION_FAILED);
+  });
+
+  it('should detect tampering and validity period violations', async () => {
+    const vc = await issueCredential({
+      credential: { ...credential, validUntil: '2030-01-01T00:00:00Z' },
+      key: issuerKey
+    });
+
+    const tampered = { ...vc, credentialSubject: { ...vc.credentialSubject, name: '李四' } };
+    assert.strictEqual((await verifyCredential({ credential: tampered, resolver })).verified, false);
+
+    const early = await verifyCredential({ credential: vc, resolver, date: new Date('2023-01-01T00:00:00Z') });
+    assert.match(early.error.message, /not yet valid/);
+    const late = await verifyCredential({ credential: vc, resolver, date: new Date('2031-01-01T00:00:00Z') });
+    assert.match(late.error.message, /expired/);
+  });
+
+  it('should check the issuer controller document', async () => {
+    const vc = await issueCredential({ credential, key: issuerKey });
+    const method = issuerKey.export({ publicKey: true });
+    const withDocument = (controllerDocument) => ({
+      async resolve() {
+        return { key: SM2Multikey.from(method), controllerDocument };
+      }
+    });
+    const didDocument = { id: 'did:example:issuer', verificationMethod: [method], authentication: [method.id] };
+
+    const unauthorized = await verifyCredential({ credential: vc, resolver: withDocument(didDocument) });
+    assert.match(unauthorized.error.message, /not authorized for assertionMethod/);
+
+    const authorized = await verifyCredential({
+      credential: vc,
+      resolver: withDocument({ ...didDocument, assertionMethod: [method.id] })
+    });
+    assert.strictEqual(authorized.verified, true);
+  });
+
+  it('should validate arguments', async () => {
+    await assert.rejects(
+      issueCredential({ credential: { ...credential, type: ['Other'] }, key: issuerKey }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+    await assert.rejects(
+      issueCredential({ credential: { ...credential, '@context': ['https://example.com'] }, key: issuerKey }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(issueCredential({ credential, key: {} }), { name: 'ArgumentError' });
+    await assert.rejects(
+      issueCredential({ credential, key: issuerKey, cryptosuite: sdCryptosuite }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(verifyCredential({ credential }), { name: 'ArgumentError' });
+  });
+});
+
+describe('Verifiable Presentations', () => {
+  it('should create presentations for the credentials version', () => {
+    const presentation = createPresentation({ verifiableCredential: credential, holder: 'did:example:holder' });
+    assert.deepEqual(presentation, {
+      '@context': ['https://www.w3.org/ns/credentials/v2'],
+      type: ['VerifiablePresentation'],
+      holder: 'did:example:holder',
+      verifiableCredential: [credential]
+    });
+
+    const v1 = { ...credential, '@context': ['https://www.w3.org/2018/credentials/v1'] };
+    assert.deepEqual(createPresentation({ verifiableCredential: [v1] })['@context'], [v1['@context'][0]]);
+    assert.throws(() => createPresentation({ verifiableCredential: [v1, credential] }), { name: 'ArgumentError' });
+  });
+
+  it('should sign and verify a presentation', async () => {
+    const vc = await issueCredential({ credential, key: issuerKey });
+    const presentation = createPresentation({ verifiableCredential: [vc], holder: 'did:example:holder' });
+    const vp = await signPresentation({ presentation, key: holderKey, challenge: 'c-123', domain: 'example.com' });
+    assert.strictEqual(vp.proof.proofPurpose, 'authentication');
+    assert.strictEqual(vp.proof.challenge, 'c-123');
+
+    const result = await verifyPresentation({ presentation: vp, resolver, challenge: 'c-123', domain: 'example.com' });
+    assert.strictEqual(result.verified, true);
+    assert.deepEqual(result.presentationResult, { verified: true });
+    assert.deepEqual(result.credentialResults, [{ verified: true }]);
+  });
+
+  it('should reject wrong challenges, domains and holders', async () => {
+    const presentation = createPresentation({ holder: 'did:example:holder' });
+    const vp = await signPresentation({ presentation, key: holderKey, challenge: 'c-123', domain: 'example.com' });
+
+    const challenge = await verifyPresentation({ presentation: vp, resolver, challenge: 'other' });
+    assert.match(challenge.error.message, /challenge/);
+    const domain = await verifyPresentation({ presentation: vp, resolver, challenge: 'c-123', domain: 'other.com' });
+    assert.match(domain.error.message, /domain/);
+
+    const stolen = await verifyPresentation({
+      presentation: { ...vp, holder: 'did:example:issuer' },
+      resolver,
+      challenge: 'c-123'
+    });
+    assert.strictEqual(stolen.verified, false);
+
+    await assert.rejects(
+      signPresentation({ presentation, key: issuerKey, challenge: 'c-123' }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(signPresentation({ presentation, key: holderKey }), {
+      name: 'ArgumentError',
+      code: ErrorCodes.ERR_ARGUMENT_MISSING
+    });
+  });
+
+  it('should reject stale and replayed presentations', async () => {
+    const presentation = createPresentation({ holder: 'did:example:holder' });
+    const vp = await signPresentation({
+      presentation,
+      key: holderKey,
+      challenge: 'c-123',
+      created: '2025-01-01T12:00:00Z'
+    });
+    const options = { presentation: vp, resolver, challenge: 'c-123', maxAge: 60 * 1000 };
+
+    const fresh = { ...options, date: new Date('2025-01-01T12:00:30Z'), nonceStore: createMemoryNonceStore() };
+    assert.strictEqual((await verifyPresentation(fresh)).verified, true);
+    const replayed = await verifyPresentation(fresh);
+    assert.match(replayed.error.message, /already been used/);
+
+    const stale = await verifyPresentation({ ...options, date: new Date('2025-01-01T12:10:00Z') });
+    assert.match(stale.error.message, /too old/);
+    await assert.rejects(verifyPresentation({ ...options, maxAge: 'soon' }), { name: 'ArgumentError' });
+  });
+
+  it('should report invalid credentials inside a valid presentation', async () => {
+    const vc = await issueCredential({ credential, key: issuerKey });
+    const tampered = { ...vc, issuer: 'did:example:holder' };
+    const presentation = createPresentation({ verifiableCredential: [vc, tampered], holder: 'did:example:holder' });
+    const vp = await signPresentation({ presentation, key: holderKey, challenge: 'c-123' });
+
+    const result = await verifyPresentation({ presentation: vp, resolver, challenge: 'c-123' });
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.presentationResult.verified, true);
+    assert.deepEqual(result.credentialResults.map(({ verified }) => verified), [true, false]);
+    assert.strictEqual(result.error, result.credentialResults[1].error);
+  });
+});
@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey, cryptosuite } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { canonicalize } from '../lib/formats/jcs.js';
+
+const credential = {
+  '@context': ['https://www.w3.org/ns/credentials/v2'],
+  type: ['VerifiableCredential'],
+  issuer: 'did:example:issuer',
+  credentialSubject: { id: 'did:example:subject', name: '张三' }
+};
+
+function issuerKey() {
+  return SM2Multikey.generate({ controller: 'did:example:issuer' });
+}
+
+describe('JSON Canonicalization Scheme', () => {
+  it('should match the RFC 8785 examples', () => {
+    assert.strictEqual(
+      canonicalize({
+        numbers: [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+        string: '\u20ac$\u000F\u000aA\'\u0042\u0022\u005c\\"/',
+        literals: [null, true, false]
+      }),
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+
+    // Member names in UTF-16 code unit order; JSON.parse would hoist '1'
+    const names = ['\u20ac', '\r', '\ufb33', '1', '\ud83d\ude00', '\u0080', '\u00f6'];
+    const sorted = canonicalize(Object.fromEntries(names.map((name) => [name, 0])));
+    assert.strictEqual(sorted, '{"\\r":0,"1":0,"\u0080":0,"\u00f6":0,"\u20ac":0,"\ud83d\ude00":0,"\ufb33":0}');
+  });
+
+  it('should reject values outside I-JSON', () => {
+    assert.throws(() => canonicalize({ a: NaN }), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_VALUE });
+    assert.throws(() => canonicalize(['\ud800']), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_VALUE });
+    assert.throws(() => canonicalize(1n), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_TYPE });
+  });
+});
+
+describe('sm2-jcs-2023 cryptosuite', () => {
+  it('should expose the cryptosuite interface', () => {
+    assert.strictEqual(cryptosuite.name, 'sm2-jcs-2023');
+    assert.strictEqual(cryptosuite.requiredAlgorithm, 'SM2');
+    for (const name of ['canonize', 'createVerifier', 'createProofValue', 'verifyProof']) {
+      assert.strictEqual(typeof cryptosuite[name], 'function');
+    }
+  });
+
+  it('should issue and verify a DataIntegrityProof', async () => {
+    const key = issuerKey();
+    const proof = await cryptosuite.createProof({ document: credential, signer: key.signer() });
+
+    assert.strictEqual(proof.type, 'DataIntegrityProof');
+    assert.strictEqual(proof.cryptosuite, 'sm2-jcs-2023');
+    assert.strictEqual(proof.proofPurpose, 'assertionMethod');
+    assert.strictEqual(proof.verificationMethod, key.id);
+    assert.match(proof.created, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/);
+    assert.match(proof.proofValue, /^z/);
+
+    const result = await cryptosuite.verifyProof({
+      document: { ...credential, proof },
+      verificationMethod: key.export({ publicKey: true, includeContext: true }),
+      expectedProofPurpose: 'assertionMethod'
+    });
+    assert.deepEqual(result, { verified: true });
+  });
+
+  it('should not depend on member order', async () => {
+    const key = issuerKey();
+    const proof = await cryptosuite.createProof({ document: credential, signer: key.signer() });
+    const reordered = JSON.parse(JSON.stringify({ proof, ...credential }));
+    reordered.credentialSubject = { name: '张三', id: 'did:example:subject' };
+
+    const { verified } = await cryptosuite.verifyProof({ document: reordered, verificationMethod: key });
+    assert.strictEqual(verified, true);
+  });
+
+  it('should detect tampering with the document or proof', async () => {
+    const key = issuerKey();
+    const proof = await cryptosuite.createProof({ document: credential, signer: key.signer() });
+    const verify = (document) => cryptosuite.verifyProof({ document, verificationMethod: key });
+
+    const tampered = { ...credential, credentialSubject: { ...credential.credentialSubject, name: '李四' }, proof };
+    const result = await verify(tampered);
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.error.code, ErrorCodes.ERR_VERIFICATION_FAILED);
+
+    assert.strictEqual((await verify({ ...credential, proof: { ...proof, created: '2000-01-01T00:00:00Z' } })).verified, false);
+    assert.strictEqual((await verify({ ...credential, proof: { ...proof, cryptosuite: 'ecdsa-jcs-2019' } })).verified, false);
+    assert.strictEqual((await verify({ ...credential, '@context': ['https://example.com/other'], proof })).verified, false);
+    assert.strictEqual((await verify(credential)).verified, false);
+  });
+
+  it('should reject a different key or proof purpose', async () => {
+    const key = issuerKey();
+    const proof = await cryptosuite.createProof({ document: credential, signer: key.signer() });
+    const document = { ...credential, proof };
+
+    const other = await cryptosuite.verifyProof({ document, verificationMethod: issuerKey() });
+    assert.strictEqual(other.verified, false);
+
+    const purpose = await cryptosuite.verifyProof({
+      document,
+      verificationMethod: key,
+      expectedProofPurpose: 'authentication'
+    });
+    assert.strictEqual(purpose.verified, false);
+  });
+
+  it('should include optional proof options and honour expiry', async () => {
+    const key = issuerKey();
+    const proof = await cryptosuite.createProof({
+      document: credential,
+      signer: key.signer(),
+      proofPurpose: 'authentication',
+      created: new Date('2024-01-01T00:00:00.123Z'),
+      expires: '2024-02-01T00:00:00Z',
+      challenge: 'abc',
+      domain: 'example.com'
+    });
+    assert.strictEqual(proof.created, '2024-01-01T00:00:00Z');
+    assert.strictEqual(proof.challenge, 'abc');
+    assert.strictEqual(proof.domain, 'example.com');
+
+    const document = { ...credential, proof };
+    const before = await cryptosuite.verifyProof({ document, verificationMethod: key, date: new Date('2024-01-15') });
+    assert.strictEqual(before.verified, true);
+    const after = await cryptosuite.verifyProof({ document, verificationMethod: key, date: new Date('2024-03-01') });
+    assert.strictEqual(after.verified, false);
+  });
+
+  it('should verify documents without @context', async () => {
+    const key = issuerKey();
+    const document = { hello: 'world' };
+    const proof = await cryptosuite.createProof({ document, signer: key.signer({ deterministic: true }) });
+    assert.strictEqual(proof['@context'], undefined);
+
+    const { verified } = await cryptosuite.verifyProof({ document: { ...document, proof }, verificationMethod: key });
+    assert.strictEqual(verified, true);
+  });
+
+  it('should reject invalid arguments', async () => {
+    const key = issuerKey();
+    const expected = { name: 'ArgumentError' };
+
+    await assert.rejects(cryptosuite.createProof({ document: 'doc', signer: key.signer() }), expected);
+    await assert.rejects(cryptosuite.createProof({ document: credential, signer: {} }), expected);
+    await assert.rejects(
+      cryptosuite.createProof({ document: { ...credential, proof: {} }, signer: key.signer(), previousProof: 'urn:uuid:a' }),
+      expected
+    );
+    await assert.rejects(cryptosuite.verifyProof({ document: credential }), expected);
+  });
+});
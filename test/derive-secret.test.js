@@ -0,0 +1,69 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { kdf } from '../lib/crypto/sm2.js';
+
+describe('SM2 ECDH deriveSecret', () => {
+  it('should derive the same secret on both sides', () => {
+    const alice = SM2Multikey.generate();
+    const bob = SM2Multikey.generate();
+
+    const a = alice.deriveSecret({ publicKey: bob });
+    const b = bob.deriveSecret({ publicKey: alice.publicKey });
+    assert.strictEqual(a.length, 32);
+    assert.deepEqual(a, b);
+  });
+
+  it('should match OpenSSL ECDH', () => {
+    const alice = SM2Multikey.generate();
+    const ecdh = crypto.createECDH('SM2');
+    ecdh.generateKeys();
+    const peer = SM2Multikey.from({ publicKey: ecdh.getPublicKey().subarray(1) });
+
+    const expected = ecdh.computeSecret(Buffer.concat([Buffer.from([0x04]), alice.publicKey]));
+    assert.deepEqual(alice.deriveSecret({ publicKey: peer }), expected);
+  });
+
+  it('should apply the SM3 KDF when length is given', () => {
+    const alice = SM2Multikey.generate();
+    const bob = SM2Multikey.generate();
+
+    const raw = alice.deriveSecret({ publicKey: bob });
+    const derived = alice.deriveSecret({ publicKey: bob, length: 48 });
+    assert.strictEqual(derived.length, 48);
+    assert.deepEqual(derived, kdf(raw, 48));
+    assert.deepEqual(derived, bob.deriveSecret({ publicKey: alice, length: 48 }));
+  });
+
+  it('should reject invalid peer keys', () => {
+    const alice = SM2Multikey.generate();
+    const bad = Buffer.from(SM2Multikey.generate().publicKey);
+    bad[63] ^= 1;
+
+    assert.throws(() => alice.deriveSecret({ publicKey: bad }), { name: 'FormatError' });
+    assert.throws(
+      () => alice.deriveSecret({ publicKey: 'did:example:123' }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+  });
+
+  it('should validate options and key availability', () => {
+    const alice = SM2Multikey.generate();
+    const bob = SM2Multikey.generate();
+
+    assert.throws(
+      () => alice.deriveSecret({ publicKey: bob, length: -1 }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+    assert.throws(
+      () => SM2Multikey.from({ publicKey: alice.publicKey }).deriveSecret({ publicKey: bob }),
+      { name: 'KeyError', code: ErrorCodes.ERR_KEY_NOT_FOUND }
+    );
+  });
+});
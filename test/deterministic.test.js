@@ -0,0 +1,89 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { hmacSM3 } from '../lib/crypto/sm3.js';
+import nodeImpl from '../lib/crypto/node.js';
+import browserImpl from '../lib/crypto/browser.js';
+
+// GM/T 0003.5 key; signature cross-checked against an independent RFC 6979 implementation
+const vector = {
+  secretKey: Buffer.from('3945208F7B2144B13F36E38AC6D39F95889393692860B51A42FB81EF4DF7C5B8', 'hex'),
+  publicKey: Buffer.from(
+    '09F9DF311E5421A150DD7D161E4BC5C672179FAD1833FC076BB08FF356F35020' +
+    'CCEA490CE26775A52DC6EA718CC1AA600AED05FBF35E084A6632F6072DA9AD13', 'hex'),
+  message: Buffer.from('message digest'),
+  signature: '24858ee71d63e687feefe41f5af80a59f0791eb1dabc2bbe71daf0e57f06c367' +
+    '3d15550de52785a435004c937256ac715c0e04176ac57062c6722fa692f7a491'
+};
+
+describe('Deterministic SM2 signing', () => {
+  describe('HMAC-SM3', () => {
+    it('should match the native implementation', () => {
+      for (const keyLength of [0, 16, 64, 65, 100]) {
+        const key = crypto.randomBytes(keyLength);
+        const data = crypto.randomBytes(77);
+        assert.deepEqual(hmacSM3(key, data), crypto.createHmac('SM3', key).update(data).digest());
+      }
+    });
+  });
+
+  describe('signer({ deterministic: true })', () => {
+    it('should produce the known signature', async () => {
+      const key = SM2Multikey.from({ publicKey: vector.publicKey, secretKey: vector.secretKey });
+      const { sign } = key.signer({ deterministic: true });
+      assert.strictEqual((await sign({ data: vector.message })).toString('hex'), vector.signature);
+    });
+
+    it('should give identical output from both backends', () => {
+      const { publicKey, secretKey } = nodeImpl.generateKey();
+      const data = crypto.randomBytes(100);
+      for (const userId of [undefined, null, 'ALICE123@YAHOO.COM']) {
+        const a = nodeImpl.createSigner({ publicKey, secretKey, userId, deterministic: true })({ data });
+        const b = browserImpl.createSigner({ publicKey, secretKey, userId, deterministic: true })({ data });
+        assert.deepEqual(a, b);
+        assert(nodeImpl.createVerifier({ publicKey, userId })({ data, signature: a }));
+      }
+    });
+
+    it('should be repeatable and message dependent', async () => {
+      const key = SM2Multikey.generate();
+      const { sign } = key.signer({ deterministic: true });
+      const { verify } = key.verifier();
+      const data = Buffer.from('golden file');
+
+      const signature = await sign({ data });
+      assert.deepEqual(await sign({ data }), signature);
+      assert.notDeepEqual(await sign({ data: Buffer.from('golden file!') }), signature);
+      assert(await verify({ data, signature }));
+    });
+
+    it('should depend on the user ID', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('abc');
+      const a = await key.signer({ deterministic: true }).sign({ data });
+      const b = await key.signer({ deterministic: true, userId: 'other' }).sign({ data });
+      assert.notDeepEqual(a, b);
+    });
+
+    it('should keep random nonces by default', async () => {
+      const key = SM2Multikey.generate();
+      const { sign } = key.signer();
+      const data = Buffer.from('abc');
+      assert.notDeepEqual(await sign({ data }), await sign({ data }));
+    });
+
+    it('should reject a non-boolean flag', () => {
+      const key = SM2Multikey.generate();
+      assert.throws(
+        () => key.signer({ deterministic: 'yes' }),
+        { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+      );
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  SM2Multikey,
+  resolveDidKey,
+  createDidKeyResolver,
+  issueCredential,
+  verifyCredential
+} from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+describe('did:key', () => {
+  it('should round-trip keys through did:key', () => {
+    const key = SM2Multikey.generate();
+    const did = key.toDidKey();
+    assert.strictEqual(did, `did:key:${key.publicKeyMultibase}`);
+    assert.match(did, /^did:key:zEP/);
+
+    const imported = SM2Multikey.fromDidKey(did);
+    assert.deepEqual(imported.publicKey, key.publicKey);
+    assert.strictEqual(imported.controller, did);
+    assert.strictEqual(imported.id, `${did}#${key.publicKeyMultibase}`);
+    assert.ok(!imported.secretKey);
+    assert.deepEqual(SM2Multikey.fromDidKey(imported.id).publicKey, key.publicKey);
+  });
+
+  it('should derive the did:key from public keys only', () => {
+    const key = SM2Multikey.generate({ controller: 'did:example:123' });
+    const publicOnly = SM2Multikey.from(key.export({ publicKey: true }));
+    assert.strictEqual(publicOnly.toDidKey(), key.toDidKey());
+    assert.throws(() => new SM2Multikey().toDidKey(), { name: 'KeyError', code: ErrorCodes.ERR_KEY_NOT_FOUND });
+  });
+
+  it('should reject invalid identifiers', () => {
+    const key = SM2Multikey.generate();
+    const secret = key.export({ secretKey: true }).secretKeyMultibase;
+
+    assert.throws(() => SM2Multikey.fromDidKey('did:example:123'), { name: 'ArgumentError' });
+    assert.throws(() => SM2Multikey.fromDidKey(`${key.toDidKey()}#key-1`), { name: 'ArgumentError' });
+    assert.throws(() => SM2Multikey.fromDidKey(`did:key:${secret}`), {
+      name: 'FormatError',
+      code: ErrorCodes.ERR_KEY_FORMAT
+    });
+    assert.throws(() => SM2Multikey.fromDidKey('did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'), {
+      name: 'FormatError',
+      code: ErrorCodes.ERR_KEY_FORMAT
+    });
+  });
+
+  it('should produce the DID document', () => {
+    const key = SM2Multikey.generate();
+    const did = key.toDidKey();
+    const methodId = `${did}#${key.publicKeyMultibase}`;
+
+    assert.deepEqual(resolveDidKey(did), {
+      '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1'],
+      id: did,
+      verificationMethod: [{
+        type: 'Multikey',
+        id: methodId,
+        controller: did,
+        publicKeyMultibase: key.publicKeyMultibase
+      }],
+      assertionMethod: [methodId],
+      authentication: [methodId],
+      capabilityInvocation: [methodId],
+      capabilityDelegation: [methodId],
+      keyAgreement: [methodId]
+    });
+    assert.deepEqual(resolveDidKey(methodId), resolveDidKey(did));
+  });
+
+  it('should issue credentials as a did:key', async () => {
+    const key = SM2Multikey.generate();
+    const did = key.toDidKey();
+    key.controller = did;
+    key.id = `${did}#${key.publicKeyMultibase}`;
+
+    const credential = await issueCredential({
+      credential: {
+        '@context': ['https://www.w3.org/ns/credentials/v2'],
+        type: ['VerifiableCredential'],
+        issuer: did,
+        credentialSubject: { name: '张三' }
+      },
+      key
+    });
+    const result = await verifyCredential({ credential, resolver: createDidKeyResolver() });
+    assert.deepEqual(result, { verified: true });
+  });
+});
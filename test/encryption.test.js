@@ -0,0 +1,168 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { decodeCiphertext, encodeCiphertext } from '../lib/formats/ciphertext.js';
+import { randomUUID } from '../lib/utils/random.js';
+
+// GM/T 0003.5 encryption example ("encryption standard", C1C3C2)
+const vector = {
+  secretKey: Buffer.from('3945208F7B2144B13F36E38AC6D39F95889393692860B51A42FB81EF4DF7C5B8', 'hex'),
+  publicKey: Buffer.from(
+    '09F9DF311E5421A150DD7D161E4BC5C672179FAD1833FC076BB08FF356F35020' +
+    'CCEA490CE26775A52DC6EA718CC1AA600AED05FBF35E084A6632F6072DA9AD13', 'hex'),
+  message: Buffer.from('encryption standard'),
+  ciphertext: Buffer.from(
+    '04' +
+    '04EBFC718E8D1798620432268E77FEB6415E2EDE0E073C0F4F640ECD2E149A73' +
+    'E858F9D81E5430A57B36DAAB8F950A3C64E6EE6A63094D99283AFF767E124DF0' +
+    '59983C18F809E262923C53AEC295D30383B54E39D609D160AFCB1908D0BD8766' +
+    '21886CA989CA9C7D58087307CA93092D651EFA', 'hex')
+};
+
+describe('SM2 encryption', () => {
+  describe('known answer', () => {
+    it('should decrypt the GM/T 0003.5 ciphertext', () => {
+      const key = SM2Multikey.from({ publicKey: vector.publicKey, secretKey: vector.secretKey });
+      assert.deepEqual(key.decrypt({ ciphertext: vector.ciphertext }), vector.message);
+      assert.deepEqual(key.decrypt({ ciphertext: vector.ciphertext, mode: 'C1C3C2' }), vector.message);
+    });
+
+    it('should decrypt the same ciphertext re-encoded as C1C2C3 and DER', () => {
+      const key = SM2Multikey.from({ publicKey: vector.publicKey, secretKey: vector.secretKey });
+      const parts = decodeCiphertext(vector.ciphertext, 'C1C3C2');
+
+      const legacy = encodeCiphertext(parts, 'C1C2C3');
+      assert.deepEqual(key.decrypt({ ciphertext: legacy }), vector.message);
+
+      const der = encodeCiphertext(parts, 'DER');
+      assert.strictEqual(der[0], 0x30);
+      assert.deepEqual(decodeCiphertext(der, 'DER'), parts);
+      assert.deepEqual(key.decrypt({ ciphertext: der }), vector.message);
+    });
+  });
+
+  describe('round trip', () => {
+    for (const mode of ['C1C3C2', 'C1C2C3', 'DER']) {
+      it(`should encrypt and decrypt in ${mode} mode`, () => {
+        const key = SM2Multikey.generate();
+        const data = Buffer.from('session key material 0123456789abcdef');
+
+        const ciphertext = key.encrypt({ data, mode });
+        assert(Buffer.isBuffer(ciphertext));
+        assert.notDeepEqual(ciphertext, key.encrypt({ data, mode }));
+        assert.deepEqual(key.decrypt({ ciphertext, mode }), data);
+        assert.deepEqual(key.decrypt({ ciphertext }), data);
+      });
+    }
+
+    it('should default to C1C3C2', () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('abc');
+      const ciphertext = key.encrypt({ data });
+      assert.strictEqual(ciphertext.length, 65 + 32 + data.length);
+      assert.deepEqual(key.decrypt({ ciphertext, mode: 'C1C3C2' }), data);
+    });
+
+    it('should preserve Uint8Array input type', () => {
+      const key = SM2Multikey.generate();
+      const data = new Uint8Array([1, 2, 3, 4, 5]);
+      const ciphertext = key.encrypt({ data });
+      assert(!Buffer.isBuffer(ciphertext));
+      const plaintext = key.decrypt({ ciphertext });
+      assert(!Buffer.isBuffer(plaintext));
+      assert.deepEqual(Array.from(plaintext), [1, 2, 3, 4, 5]);
+    });
+
+    it('should handle multi-block plaintext', () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.alloc(1000, 0xab);
+      assert.deepEqual(key.decrypt({ ciphertext: key.encrypt({ data }) }), data);
+    });
+
+    it('should encrypt with a public-only key', () => {
+      const key = SM2Multikey.generate();
+      const publicOnly = SM2Multikey.from({ publicKey: key.publicKey });
+      const data = Buffer.from('for the key holder');
+      assert.deepEqual(key.decrypt({ ciphertext: publicOnly.encrypt({ data }) }), data);
+    });
+  });
+
+  describe('failures', () => {
+    it('should reject tampered ciphertext', () => {
+      const key = SM2Multikey.generate();
+      const ciphertext = key.encrypt({ data: Buffer.from('hello') });
+      ciphertext[ciphertext.length - 1] ^= 1;
+      assert.throws(
+        () => key.decrypt({ ciphertext }),
+        { name: 'OperationError', code: ErrorCodes.ERR_DECRYPTION_FAILED }
+      );
+    });
+
+    it('should reject ciphertext for another key', () => {
+      const alice = SM2Multikey.generate();
+      const bob = SM2Multikey.generate();
+      const ciphertext = alice.encrypt({ data: Buffer.from('hello') });
+      assert.throws(
+        () => bob.decrypt({ ciphertext }),
+        { name: 'OperationError', code: ErrorCodes.ERR_DECRYPTION_FAILED }
+      );
+    });
+
+    it('should reject a C1 point that is not on the curve', () => {
+      const key = SM2Multikey.generate();
+      const ciphertext = key.encrypt({ data: Buffer.from('hello') });
+      ciphertext[64] ^= 1;
+      assert.throws(() => key.decrypt({ ciphertext }), { name: 'FormatError' });
+    });
+
+    it('should reject invalid arguments', () => {
+      const key = SM2Multikey.generate();
+      assert.throws(
+        () => key.encrypt({ data: 'text' }),
+        { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+      );
+      assert.throws(
+        () => key.encrypt({ data: Buffer.from('x'), mode: 'C2C1C3' }),
+        { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+      );
+      assert.throws(
+        () => key.decrypt({ ciphertext: Buffer.alloc(10) }),
+        { name: 'FormatError' }
+      );
+    });
+
+    it('should require the private key to decrypt', () => {
+      const key = SM2Multikey.generate();
+      const publicOnly = SM2Multikey.from({ publicKey: key.publicKey });
+      assert.throws(
+        () => publicOnly.decrypt({ ciphertext: key.encrypt({ data: Buffer.from('x') }) }),
+        { name: 'KeyError', code: ErrorCodes.ERR_KEY_NOT_FOUND }
+      );
+    });
+  });
+
+  describe('random source', () => {
+    it('should not need a global getRandomValues with the Node backend', { skip: !!process.env.FORCE_BROWSER_IMPL }, () => {
+      // Node.js 16 and 18 have no globalThis.crypto
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+      Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+      try {
+        const key = SM2Multikey.generate();
+        const data = Buffer.from('no webcrypto');
+        assert.deepEqual(key.decrypt({ ciphertext: key.encrypt({ data }) }), data);
+        assert.match(randomUUID(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      } finally {
+        if (descriptor) {
+          Object.defineProperty(globalThis, 'crypto', descriptor);
+        } else {
+          delete globalThis.crypto;
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { SM3, sm3 } from '../lib/crypto/sm3.js';
+import {
+  CURVE,
+  decodePoint,
+  encodePoint,
+  generateKeyPair,
+  getPublicKey,
+  isOnCurve,
+  multiplyBase,
+  signDigest,
+  verifyDigest
+} from '../lib/crypto/sm2.js';
+import nodeImpl from '../lib/crypto/node.js';
+import browserImpl from '../lib/crypto/browser.js';
+
+// GM/T 0003.5 signature example
+const vector = {
+  secretKey: Buffer.from('3945208F7B2144B13F36E38AC6D39F95889393692860B51A42FB81EF4DF7C5B8', 'hex'),
+  publicKey: Buffer.from(
+    '09F9DF311E5421A150DD7D161E4BC5C672179FAD1833FC076BB08FF356F35020' +
+    'CCEA490CE26775A52DC6EA718CC1AA600AED05FBF35E084A6632F6072DA9AD13', 'hex'),
+  k: BigInt('0x59276E27D506861A16680F3AD9C02DCCEF3CC1FA3CDBE4CE6D54B80DEAC1BC21'),
+  e: Buffer.from('F0B43E94BA45ACCAACE692ED534382EB17E6AB5A19CE7B31F4486FDFC0D28640', 'hex'),
+  signature: Buffer.from(
+    'F5A03B0648D2C4630EEAC513E1BB81A15944DA3827D5B74143AC7EACEEE720B3' +
+    'B1B6AA29DF212FD8763182BC0D421CA1BB9038FD1F7F42D4840B69C485BBC1AA', 'hex')
+};
+
+describe('Built-in SM2/SM3 engine', () => {
+  describe('SM3', () => {
+    it('should match the GB/T 32905 examples', () => {
+      assert.strictEqual(
+        sm3(Buffer.from('abc')).toString('hex'),
+        '66c7f0f462eeedd9d1f2d46bdc10e4e24167c4875cf2f7a2297da02b8f4ba8e0'
+      );
+      assert.strictEqual(
+        sm3(Buffer.from('abcd'.repeat(16))).toString('hex'),
+        'debe9ff92275b8a138604889c18e5a4d6fdb70e5387e5765293dcba39c0c5732'
+      );
+    });
+
+    it('should match the native SM3 across block boundaries', () => {
+      for (const length of [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000]) {
+        const data = crypto.randomBytes(length);
+        const expected = crypto.createHash('SM3').update(data).digest();
+        assert.deepEqual(sm3(data), expected, `length ${length}`);
+
+        const hasher = new SM3();
+        for (let i = 0; i < length; i += 7) {
+          hasher.update(data.subarray(i, i + 7));
+        }
+        assert.deepEqual(hasher.digest(), expected, `incremental length ${length}`);
+      }
+    });
+
+    it('should not allow reuse after digest', () => {
+      const hasher = new SM3();
+      hasher.digest();
+      assert.throws(() => hasher.update(Buffer.from('x')), { name: 'StateError' });
+    });
+  });
+
+  describe('SM2', () => {
+    it('should derive the example public key', () => {
+      assert.deepEqual(getPublicKey(vector.secretKey), vector.publicKey);
+    });
+
+    it('should reproduce the example signature with the given k', () => {
+      const signature = signDigest({ digest: vector.e, secretKey: vector.secretKey, nonce: () => vector.k });
+      assert.deepEqual(signature, vector.signature);
+      assert.strictEqual(verifyDigest({ digest: vector.e, signature, publicKey: vector.publicKey }), true);
+    });
+
+    it('should reject tampered digests and signatures', () => {
+      const digest = Buffer.from(vector.e);
+      digest[0] ^= 1;
+      assert.strictEqual(verifyDigest({ digest, signature: vector.signature, publicKey: vector.publicKey }), false);
+
+      const signature = Buffer.from(vector.signature);
+      signature[63] ^= 1;
+      assert.strictEqual(verifyDigest({ digest: vector.e, signature, publicKey: vector.publicKey }), false);
+
+      assert.strictEqual(
+        verifyDigest({ digest: vector.e, signature: Buffer.alloc(64), publicKey: vector.publicKey }),
+        false
+      );
+    });
+
+    it('should generate valid key pairs', () => {
+      const { publicKey, secretKey } = generateKeyPair();
+      assert.strictEqual(publicKey.length, 64);
+      assert.strictEqual(secretKey.length, 32);
+      assert.deepEqual(getPublicKey(secretKey), publicKey);
+      assert(isOnCurve(decodePoint(publicKey)));
+    });
+
+    it('should round-trip point encoding', () => {
+      const G = { x: CURVE.gx, y: CURVE.gy };
+      assert.deepEqual(decodePoint(encodePoint(G)), G);
+      assert.deepEqual(multiplyBase(BigInt(1)), G);
+      assert.strictEqual(multiplyBase(CURVE.n), null);
+    });
+
+    it('should reject points that are not on the curve', () => {
+      const bad = Buffer.from(vector.publicKey);
+      bad[63] ^= 1;
+      assert.throws(() => decodePoint(bad), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_VALUE });
+      assert.throws(() => decodePoint(Buffer.alloc(32)), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_LENGTH });
+    });
+  });
+
+  describe('backend interoperability', () => {
+    it('should verify engine signatures with the native backend and vice versa', () => {
+      const { publicKey, secretKey } = browserImpl.generateKey();
+      const data = Buffer.from('interop message');
+
+      const engineSignature = browserImpl.createSigner({ publicKey, secretKey })({ data });
+      assert.strictEqual(nodeImpl.createVerifier({ publicKey })({ data, signature: engineSignature }), true);
+
+      const nativeSignature = nodeImpl.createSigner({ publicKey, secretKey })({ data });
+      assert.strictEqual(browserImpl.createVerifier({ publicKey })({ data, signature: nativeSignature }), true);
+    });
+
+    it('should agree on raw-mode signatures', () => {
+      const { publicKey, secretKey } = nodeImpl.generateKey();
+      const data = Buffer.from('raw mode');
+
+      const signature = nodeImpl.createSigner({ publicKey, secretKey, userId: null })({ data });
+      assert.strictEqual(browserImpl.createVerifier({ publicKey, userId: null })({ data, signature }), true);
+    });
+  });
+});
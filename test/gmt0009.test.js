@@ -0,0 +1,207 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { sm4EcbEncrypt, sm4EcbDecrypt } from '../lib/crypto/sm4.js';
+import { decodeCiphertext } from '../lib/formats/ciphertext.js';
+import {
+  encodeSM2Signature,
+  decodeSM2Signature,
+  decodeSM2PublicKey,
+  encodeSM2EnvelopedKey,
+  decodeSM2EnvelopedKey
+} from '../lib/formats/gmt0009.js';
+
+// Write one chunk to either a Node Writable or a WHATWG WritableStream
+async function feed(stream, data) {
+  if (typeof stream.getWriter === 'function') {
+    const writer = stream.getWriter();
+    await writer.write(data);
+    await writer.close();
+  } else {
+    stream.resume?.();
+    await pipeline(Readable.from([data]), stream);
+  }
+}
+
+// Private key of the OpenSSL fixtures in pem.test.js
+const secretKey = Buffer.from('3db11882f0dc7a8750f6bd86a71dfee232bf6819978d07a540ba815720e79b43', 'hex');
+
+describe('GM/T 0009', () => {
+  describe('SM2PublicKey and SM2PrivateKey', () => {
+    it('should round trip both structures', () => {
+      const key = SM2Multikey.fromDer(SM2Multikey.generate().toDer({ format: 'pkcs8' }));
+      const publicKey = key.toDer({ format: 'sm2-public-key' });
+      const privateKey = key.toDer({ format: 'sm2-private-key' });
+
+      assert.strictEqual(publicKey.subarray(0, 4).toString('hex'), '03420004');
+      assert.strictEqual(privateKey[0], 0x02);
+      assert.deepEqual(SM2Multikey.fromDer(publicKey).publicKey, key.publicKey);
+      assert.strictEqual(SM2Multikey.fromDer(publicKey).secretKey, null);
+      assert.deepEqual(SM2Multikey.fromDer(privateKey).publicKey, key.publicKey);
+      assert.deepEqual(SM2Multikey.fromDer(privateKey, { format: 'sm2-private-key' }).secretKey, key.secretKey);
+    });
+
+    it('should encode the private key as a minimal INTEGER', () => {
+      const key = SM2Multikey.fromDer(Buffer.concat([Buffer.from('0220', 'hex'), secretKey]));
+      assert.strictEqual(key.toDer({ format: 'sm2-private-key' }).toString('hex'), '0220' + secretKey.toString('hex'));
+
+      const small = Buffer.alloc(32);
+      small[31] = 0x80;
+      const der = SM2Multikey.fromDer(Buffer.from('02020080', 'hex')).toDer({ format: 'sm2-private-key' });
+      assert.strictEqual(der.toString('hex'), '02020080');
+      assert.deepEqual(SM2Multikey.fromDer(der).secretKey, small);
+    });
+
+    it('should reject invalid structures', () => {
+      const publicKey = SM2Multikey.generate().toDer({ format: 'sm2-public-key' });
+      const offCurve = Buffer.from(publicKey);
+      offCurve[offCurve.length - 1] ^= 1;
+      assert.throws(() => SM2Multikey.fromDer(offCurve), { name: 'FormatError' });
+      assert.throws(() => decodeSM2PublicKey(publicKey.subarray(0, -1)), { name: 'FormatError' });
+      assert.throws(() => SM2Multikey.fromDer(Buffer.from('020100', 'hex')), {
+        name: 'FormatError',
+        code: ErrorCodes.ERR_FORMAT_VALUE
+      });
+      assert.throws(() => SM2Multikey.fromDer(Buffer.from('0201ff', 'hex')), { name: 'FormatError' });
+      assert.throws(() => SM2Multikey.fromDer(Buffer.concat([publicKey, Buffer.from([0])])), { name: 'FormatError' });
+      assert.throws(() => SM2Multikey.generate().toPem({ format: 'sm2-public-key' }), { name: 'ArgumentError' });
+    });
+  });
+
+  describe('SM2Signature', () => {
+    it('should sign and verify DER signatures', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('GM/T 0009');
+      const raw = await key.signer({ deterministic: true }).sign({ data });
+      const der = await key.signer({ deterministic: true, signatureFormat: 'der' }).sign({ data });
+
+      assert.deepEqual(der, encodeSM2Signature(raw));
+      assert.deepEqual(decodeSM2Signature(der), raw);
+      assert.strictEqual(await key.verifier({ signatureFormat: 'der' }).verify({ data, signature: der }), true);
+      assert.strictEqual(await key.verifier().verify({ data, signature: raw }), true);
+    });
+
+    it('should verify malformed DER signatures as false', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('GM/T 0009');
+      const der = await key.signer({ signatureFormat: 'der' }).sign({ data });
+      const verifier = key.verifier({ signatureFormat: 'der' });
+
+      assert.strictEqual(await verifier.verify({ data, signature: der.subarray(0, -1) }), false);
+      assert.strictEqual(await verifier.verify({ data, signature: Buffer.concat([der, Buffer.from([0])]) }), false);
+      assert.strictEqual(await verifier.verify({ data: Buffer.from('other'), signature: der }), false);
+      await assert.rejects(verifier.verify({ data, signature: 'not bytes' }), { name: 'ArgumentError' });
+      assert.throws(() => key.signer({ signatureFormat: 'jws' }), { name: 'ArgumentError' });
+    });
+
+    it('should use DER signatures in streams', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('streamed');
+      const signer = key.signer({ signatureFormat: 'der' }).createStream();
+      await feed(signer, data);
+      const signature = await signer.signature;
+      assert.strictEqual(signature[0], 0x30);
+      assert.strictEqual(await key.verifier({ signatureFormat: 'der' }).verify({ data, signature }), true);
+
+      const verifier = key.verifier({ signatureFormat: 'der' });
+      const valid = verifier.createStream({ signature });
+      await feed(valid, data);
+      assert.strictEqual(await valid.result, true);
+      const malformed = verifier.createStream({ signature: signature.subarray(1) });
+      await feed(malformed, data);
+      assert.strictEqual(await malformed.result, false);
+    });
+  });
+
+  describe('SM2EnvelopedKey', () => {
+    it('should match OpenSSL sm4-ecb', () => {
+      const key = crypto.randomBytes(16);
+      const data = crypto.randomBytes(64);
+      const cipher = crypto.createCipheriv('sm4-ecb', key, null).setAutoPadding(false);
+      const expected = Buffer.concat([cipher.update(data), cipher.final()]);
+      assert.deepEqual(sm4EcbEncrypt({ key, data }), expected);
+      assert.deepEqual(sm4EcbDecrypt({ key, data: expected }), data);
+      assert.throws(() => sm4EcbEncrypt({ key, data: data.subarray(1) }), { name: 'ArgumentError' });
+    });
+
+    it('should round trip a key pair', () => {
+      const recipient = SM2Multikey.generate();
+      const key = SM2Multikey.generate();
+      const envelope = key.toEnvelopedKey({ recipient });
+
+      const { symEncryptedKey, publicKey, encryptedPrivateKey } = decodeSM2EnvelopedKey(envelope);
+      assert.deepEqual(publicKey, key.publicKey);
+      assert.strictEqual(encryptedPrivateKey.length, 32);
+      assert.strictEqual(symEncryptedKey.c2.length, 16);
+
+      const imported = SM2Multikey.fromEnvelopedKey(envelope, { recipient, controller: 'did:example:kmc' });
+      assert.deepEqual(imported.secretKey, key.secretKey);
+      assert.strictEqual(imported.id, `did:example:kmc#${key.publicKeyMultibase}`);
+
+      const byPublicKey = key.toEnvelopedKey({ recipient: recipient.publicKey });
+      assert.deepEqual(SM2Multikey.fromEnvelopedKey(byPublicKey, { recipient }).secretKey, key.secretKey);
+    });
+
+    it('should read the 64-byte private key form', () => {
+      const recipient = SM2Multikey.generate();
+      const key = SM2Multikey.fromDer(Buffer.concat([Buffer.from('0220', 'hex'), secretKey]));
+      const sm4Key = crypto.randomBytes(16);
+      const envelope = encodeSM2EnvelopedKey({
+        symEncryptedKey: decodeCiphertext(recipient.encrypt({ data: sm4Key, mode: 'DER' }), 'DER'),
+        publicKey: key.publicKey,
+        encryptedPrivateKey: sm4EcbEncrypt({ key: sm4Key, data: Buffer.concat([Buffer.alloc(32), secretKey]) })
+      });
+      assert.deepEqual(SM2Multikey.fromEnvelopedKey(envelope, { recipient }).secretKey, secretKey);
+    });
+
+    it('should reject envelopes for other recipients or keys', () => {
+      const recipient = SM2Multikey.generate();
+      const key = SM2Multikey.generate();
+      const envelope = key.toEnvelopedKey({ recipient });
+
+      assert.throws(() => SM2Multikey.fromEnvelopedKey(envelope, { recipient: SM2Multikey.generate() }), {
+        name: 'OperationError',
+        code: ErrorCodes.ERR_DECRYPTION_FAILED
+      });
+
+      const parts = decodeSM2EnvelopedKey(envelope);
+      const swapped = encodeSM2EnvelopedKey({ ...parts, publicKey: SM2Multikey.generate().publicKey });
+      assert.throws(() => SM2Multikey.fromEnvelopedKey(swapped, { recipient }), {
+        name: 'KeyError',
+        code: ErrorCodes.ERR_KEY_PAIR
+      });
+
+      const otherCipher = Buffer.from(envelope);
+      otherCipher[otherCipher.indexOf(Buffer.from('2a811ccf55016801', 'hex')) + 7] = 0x02;
+      assert.throws(() => SM2Multikey.fromEnvelopedKey(otherCipher, { recipient }), {
+        name: 'FormatError',
+        code: ErrorCodes.ERR_FORMAT_OID
+      });
+    });
+
+    it('should reject invalid arguments', () => {
+      const key = SM2Multikey.generate();
+      const publicOnly = SM2Multikey.from({ publicKeyMultibase: key.publicKeyMultibase });
+      const envelope = SM2Multikey.generate().toEnvelopedKey({ recipient: key });
+
+      assert.throws(() => publicOnly.toEnvelopedKey({ recipient: key }), { name: 'KeyError' });
+      assert.throws(() => key.toEnvelopedKey({}), { name: 'ArgumentError' });
+      assert.throws(() => SM2Multikey.fromEnvelopedKey(envelope, { recipient: publicOnly }), {
+        name: 'KeyError',
+        code: ErrorCodes.ERR_KEY_NOT_FOUND
+      });
+      assert.throws(() => SM2Multikey.fromEnvelopedKey(envelope, { recipient: key.secretKey }), { name: 'ArgumentError' });
+      assert.throws(() => SM2Multikey.fromEnvelopedKey(envelope.toString('hex'), { recipient: key }), {
+        name: 'ArgumentError'
+      });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { sm3 } from '../lib/crypto/sm3.js';
+import { encodeSM2Signature } from '../lib/formats/gmt0009.js';
+import { encodeIssuerAndSerialNumber } from '../lib/formats/x509.js';
+import {
+  ASN1,
+  encodeDERSequence,
+  encodeDEROID,
+  encodeDERInteger,
+  encodeDEROctetString,
+  encodeDERElement
+} from '../lib/formats/der.js';
+import {
+  DATA_OID,
+  SIGNED_DATA_OID,
+  decodeSignedMessage,
+  encodeSignedMessage,
+  decodeEnvelopedMessage,
+  encodeEnvelopedMessage
+} from '../lib/formats/gmt0010.js';
+
+async function holder(subject) {
+  const key = SM2Multikey.generate();
+  return { key, certificate: await key.createCertificate({ subject, encoding: 'der' }) };
+}
+
+// SignedData whose signature covers authenticated attributes, as GmSSL writes it
+async function signWithAttributes({ key, certificate }, content, digest = sm3(content)) {
+  const algorithm = (hex) => encodeDERSequence([encodeDEROID(Buffer.from(hex, 'hex'))]);
+  const attributes = Buffer.concat([
+    encodeDERSequence([
+      encodeDEROID(Buffer.from('2a864886f70d010903', 'hex')),
+      encodeDERElement(0x31, encodeDEROID(DATA_OID))
+    ]),
+    encodeDERSequence([
+      encodeDEROID(Buffer.from('2a864886f70d010904', 'hex')),
+      encodeDERElement(0x31, encodeDEROctetString(digest))
+    ])
+  ]);
+  const signature = await key.signer().sign({ data: encodeDERElement(0x31, attributes) });
+  const version = encodeDERInteger(Buffer.from([0x01]));
+  const signerInfo = encodeDERSequence([
+    version,
+    encodeIssuerAndSerialNumber(certificate),
+    algorithm('2a811ccf55018311'),
+    encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, attributes),
+    algorithm('2a811ccf5501822d01'),
+    encodeDEROctetString(encodeSM2Signature(signature))
+  ]);
+  const signedData = encodeDERSequence([
+    version,
+    encodeDERElement(0x31, algorithm('2a811ccf55018311')),
+    encodeDERSequence([
+      encodeDEROID(DATA_OID),
+      encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, encodeDEROctetString(content))
+    ]),
+    encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, certificate),
+    encodeDERElement(0x31, signerInfo)
+  ]);
+  return encodeDERSequence([encodeDEROID(SIGNED_DATA_OID), encodeDERElement(ASN1.CONTEXT_SPECIFIC_0, signedData)]);
+}
+
+describe('GM/T 0010', () => {
+  const data = Buffer.from('GM/T 0010 message content');
+
+  describe('SignedData', () => {
+    it('should round trip an embedded message', async () => {
+      const alice = await holder('C=CN, CN=Alice');
+      const signedData = await alice.key.toSignedData({ data, certificate: alice.certificate });
+
+      const message = decodeSignedMessage(signedData);
+      assert.deepEqual(message.content, data);
+      assert.deepEqual(message.certificates, [alice.certificate]);
+      assert.strictEqual(message.signerInfos[0].signedAttributes, null);
+
+      const { content, signers } = await SM2Multikey.verifySignedData(signedData);
+      assert.deepEqual(content, data);
+      assert.strictEqual(signers.length, 1);
+      assert.deepEqual(signers[0].publicKey, alice.key.publicKey);
+      assert.strictEqual(signers[0].certificate.subject.text, 'C=CN, CN=Alice');
+    });
+
+    it('should verify a detached message given the data', async () => {
+      const alice = await holder('CN=Alice');
+      const pem = await alice.key.createCertificate({ subject: 'CN=Alice' });
+      const signedData = await alice.key.toSignedData({ data, certificate: pem, detached: true });
+
+      assert.strictEqual(decodeSignedMessage(signedData).content, null);
+      assert.deepEqual((await SM2Multikey.verifySignedData(signedData, { data })).content, data);
+      await assert.rejects(SM2Multikey.verifySignedData(signedData), {
+        name: 'ArgumentError',
+        code: ErrorCodes.ERR_ARGUMENT_INVALID
+      });
+      await assert.rejects(SM2Multikey.verifySignedData(signedData, { data: Buffer.from('other') }), {
+        name: 'VerificationError',
+        code: ErrorCodes.ERR_VERIFICATION_FAILED
+      });
+    });
+
+    it('should reject tampered content', async () => {
+      const alice = await holder('CN=Alice');
+      const signedData = await alice.key.toSignedData({ data, certificate: alice.certificate });
+      const index = signedData.indexOf(data);
+      signedData[index] ^= 1;
+
+      await assert.rejects(SM2Multikey.verifySignedData(signedData), {
+        name: 'VerificationError',
+        code: ErrorCodes.ERR_VERIFICATION_FAILED
+      });
+    });
+
+    it('should look up signer certificates that are not embedded', async () => {
+      const alice = await holder('CN=Alice');
+      const { signerInfos } = decodeSignedMessage(await alice.key.toSignedData({ data, certificate: alice.certificate }));
+      const signedData = encodeSignedMessage({ content: data, signerInfos });
+
+      await assert.rejects(SM2Multikey.verifySignedData(signedData), {
+        name: 'VerificationError',
+        code: ErrorCodes.ERR_VERIFICATION_FAILED
+      });
+      const { signers } = await SM2Multikey.verifySignedData(signedData, { certificates: [alice.certificate] });
+      assert.deepEqual(signers[0].publicKey, alice.key.publicKey);
+    });
+
+    it('should check the messageDigest of authenticated attributes', async () => {
+      const alice = await holder('CN=Alice');
+      const signedData = await signWithAttributes(alice, data);
+
+      const [signerInfo] = decodeSignedMessage(signedData).signerInfos;
+      assert.strictEqual(signerInfo.signedAttributes[0], 0x31);
+      assert.deepEqual(signerInfo.messageDigest, sm3(data));
+      assert.deepEqual((await SM2Multikey.verifySignedData(signedData)).content, data);
+
+      await assert.rejects(SM2Multikey.verifySignedData(await signWithAttributes(alice, data, sm3(Buffer.from('x')))), {
+        name: 'VerificationError',
+        code: ErrorCodes.ERR_VERIFICATION_FAILED
+      });
+    });
+
+    it('should refuse a certificate for another key', async () => {
+      const alice = await holder('CN=Alice');
+      const bob = await holder('CN=Bob');
+
+      await assert.rejects(alice.key.toSignedData({ data, certificate: bob.certificate }), {
+        name: 'KeyError',
+        code: ErrorCodes.ERR_KEY_PAIR
+      });
+      await assert.rejects(SM2Multikey.from({ publicKey: alice.key.publicKey })
+        .toSignedData({ data, certificate: alice.certificate }), {
+        name: 'KeyError',
+        code: ErrorCodes.ERR_KEY_NOT_FOUND
+      });
+    });
+  });
+
+  describe('EnvelopedData', () => {
+    it('should open for every recipient', async () => {
+      const alice = await holder('CN=Alice');
+      const bob = await holder('CN=Bob');
+      const envelopedData = await SM2Multikey.createEnvelopedData({ data, recipients: [alice.certificate, bob.certificate] });
+
+      const { recipientInfos, iv, encryptedContent } = decodeEnvelopedMessage(envelopedData);
+      assert.strictEqual(recipientInfos.length, 2);
+      assert.strictEqual(iv.length, 16);
+      assert.strictEqual(encryptedContent.length % 16, 0);
+
+      assert.deepEqual(await alice.key.openEnvelopedData(envelopedData), data);
+      assert.deepEqual(await bob.key.openEnvelopedData(envelopedData, { certificate: bob.certificate }), data);
+      assert.deepEqual(await SM2Multikey.createEnvelopedData({ data: Buffer.alloc(0), recipients: [alice.certificate] })
+        .then((message) => alice.key.openEnvelopedData(message)), Buffer.alloc(0));
+    });
+
+    it('should reject keys that are not recipients', async () => {
+      const alice = await holder('CN=Alice');
+      const bob = await holder('CN=Bob');
+      const envelopedData = await SM2Multikey.createEnvelopedData({ data, recipients: [alice.certificate] });
+      const expected = { name: 'OperationError', code: ErrorCodes.ERR_DECRYPTION_FAILED };
+
+      await assert.rejects(bob.key.openEnvelopedData(envelopedData), expected);
+      await assert.rejects(alice.key.openEnvelopedData(envelopedData, { certificate: bob.certificate }), expected);
+    });
+
+    it('should reject invalid arguments', async () => {
+      const alice = await holder('CN=Alice');
+      const expected = { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID };
+
+      await assert.rejects(SM2Multikey.createEnvelopedData({ data, recipients: [] }), expected);
+      await assert.rejects(SM2Multikey.createEnvelopedData({ data: 'text', recipients: [alice.certificate] }), expected);
+      assert.throws(() => encodeEnvelopedMessage({
+        recipientInfos: [{ issuerAndSerialNumber: encodeIssuerAndSerialNumber(alice.certificate), encryptedKey: {} }],
+        iv: Buffer.alloc(8),
+        encryptedContent: Buffer.alloc(16)
+      }), expected);
+    });
+  });
+
+  describe('decoding', () => {
+    it('should reject other message types', async () => {
+      const alice = await holder('CN=Alice');
+      const signedData = await alice.key.toSignedData({ data, certificate: alice.certificate });
+      const envelopedData = await SM2Multikey.createEnvelopedData({ data, recipients: [alice.certificate] });
+      const expected = { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_OID };
+
+      assert.throws(() => decodeSignedMessage(envelopedData), expected);
+      assert.throws(() => decodeEnvelopedMessage(signedData), expected);
+      await assert.rejects(alice.key.openEnvelopedData(signedData), expected);
+    });
+
+    it('should reject malformed messages', () => {
+      const expected = { name: 'FormatError' };
+
+      assert.throws(() => decodeSignedMessage(Buffer.alloc(0)), expected);
+      assert.throws(() => decodeSignedMessage(Buffer.from('3000', 'hex')), expected);
+      assert.throws(() => decodeSignedMessage(encodeDERSequence([encodeDEROID(SIGNED_DATA_OID)])), expected);
+      assert.throws(() => decodeEnvelopedMessage(Buffer.from('300c06082a811ccf5506010402', 'hex')), expected);
+      assert.throws(() => decodeSignedMessage(Buffer.concat([
+        encodeSignedMessage({ content: data, signerInfos: [{ issuerAndSerialNumber: encodeDERSequence([]), signature: Buffer.alloc(64, 1) }] }),
+        Buffer.from([0])
+      ])), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_INVALID });
+    });
+  });
+});
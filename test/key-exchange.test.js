@@ -0,0 +1,174 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+function setup() {
+  return {
+    alice: SM2Multikey.generate(),
+    bob: SM2Multikey.generate(),
+    aliceEphemeral: SM2Multikey.generate(),
+    bobEphemeral: SM2Multikey.generate()
+  };
+}
+
+// Fixed keys; expected value cross-checked against an independent implementation
+const fixed = {
+  alice: {
+    secretKey: '3945208F7B2144B13F36E38AC6D39F95889393692860B51A42FB81EF4DF7C5B8',
+    publicKey: '09f9df311e5421a150dd7d161e4bc5c672179fad1833fc076bb08ff356f35020' +
+      'ccea490ce26775a52dc6ea718cc1aa600aed05fbf35e084a6632f6072da9ad13'
+  },
+  aliceEphemeral: {
+    secretKey: '59276E27D506861A16680F3AD9C02DCCEF3CC1FA3CDBE4CE6D54B80DEAC1BC21',
+    publicKey: '04ebfc718e8d1798620432268e77feb6415e2ede0e073c0f4f640ecd2e149a73' +
+      'e858f9d81e5430a57b36daab8f950a3c64e6ee6a63094d99283aff767e124df0'
+  },
+  bob: {
+    secretKey: '6FCBA2EF9AE0AB902BC3BDE3FF915D44BA4CC78F88E2F8E7F8996D3B8CCEEDEE',
+    publicKey: '26f1f3ef122785d17d3870c2434650363fdf4b2f450e8ed1b60fdc1fc6f019ab' +
+      'd9198bdbefa58476ec8225125b8ce3e10a100dc6976cc189d96da6889ebcd37a'
+  },
+  bobEphemeral: {
+    secretKey: '83A2C9C8B96E5AF70BD480B472409A9A327257F1EBB73F5B073354B248668563',
+    publicKey: '698c93c85618d221a6de87ca8f091a89cfaecc9fff2dd978f92769a40af3b740' +
+      'b058698f05ed5aadec7d50616e7a05e9aa151c9b693fdcada01f16cfacc994b4'
+  },
+  sharedKey: 'dfa91bb57abf3ac8a64a3a5f0d066dde'
+};
+
+function fromHex({ secretKey, publicKey }) {
+  return SM2Multikey.from({ secretKey: Buffer.from(secretKey, 'hex'), publicKey: Buffer.from(publicKey, 'hex') });
+}
+
+describe('SM2 key exchange', () => {
+  it('should derive the expected key for fixed inputs', () => {
+    const shared = ['initiator', 'responder'].map(role => {
+      const [self, selfEphemeral, peer, peerEphemeral, userId, peerUserId] = role === 'initiator'
+        ? [fixed.alice, fixed.aliceEphemeral, fixed.bob, fixed.bobEphemeral, 'ALICE123@YAHOO.COM', 'BILL456@YAHOO.COM']
+        : [fixed.bob, fixed.bobEphemeral, fixed.alice, fixed.aliceEphemeral, 'BILL456@YAHOO.COM', 'ALICE123@YAHOO.COM'];
+      return fromHex(self).exchangeKey({
+        role,
+        ephemeralKey: fromHex(selfEphemeral),
+        peerKey: Buffer.from(peer.publicKey, 'hex'),
+        peerEphemeralKey: Buffer.from(peerEphemeral.publicKey, 'hex'),
+        userId,
+        peerUserId
+      }).sharedKey.toString('hex');
+    });
+
+    assert.deepEqual(shared, [fixed.sharedKey, fixed.sharedKey]);
+  });
+
+  it('should agree on the same key with confirmation', () => {
+    const { alice, bob, aliceEphemeral, bobEphemeral } = setup();
+
+    // B receives RA and answers with RB and SB
+    const responder = bob.exchangeKey({
+      role: 'responder',
+      ephemeralKey: bobEphemeral,
+      peerKey: alice,
+      peerEphemeralKey: aliceEphemeral.publicKey,
+      userId: 'BILL456@YAHOO.COM',
+      peerUserId: 'ALICE123@YAHOO.COM'
+    });
+
+    // A checks SB and answers with SA
+    const initiator = alice.exchangeKey({
+      role: 'initiator',
+      ephemeralKey: aliceEphemeral,
+      peerKey: bob.publicKey,
+      peerEphemeralKey: bobEphemeral,
+      userId: 'ALICE123@YAHOO.COM',
+      peerUserId: 'BILL456@YAHOO.COM',
+      peerConfirmation: responder.confirmation
+    });
+
+    assert.strictEqual(initiator.sharedKey.length, 16);
+    assert.deepEqual(initiator.sharedKey, responder.sharedKey);
+    assert.deepEqual(initiator.confirmation, responder.expectedConfirmation);
+    assert.deepEqual(responder.confirmation, initiator.expectedConfirmation);
+    assert.notDeepEqual(initiator.confirmation, responder.confirmation);
+  });
+
+  it('should use the default user ID and requested length', () => {
+    const { alice, bob, aliceEphemeral, bobEphemeral } = setup();
+
+    const a = alice.exchangeKey({
+      role: 'initiator', ephemeralKey: aliceEphemeral, peerKey: bob, peerEphemeralKey: bobEphemeral, length: 48
+    });
+    const b = bob.exchangeKey({
+      role: 'responder', ephemeralKey: bobEphemeral, peerKey: alice, peerEphemeralKey: aliceEphemeral, length: 48
+    });
+
+    assert.strictEqual(a.sharedKey.length, 48);
+    assert.deepEqual(a.sharedKey, b.sharedKey);
+  });
+
+  it('should derive different keys when user IDs disagree', () => {
+    const { alice, bob, aliceEphemeral, bobEphemeral } = setup();
+
+    const a = alice.exchangeKey({
+      role: 'initiator', ephemeralKey: aliceEphemeral, peerKey: bob, peerEphemeralKey: bobEphemeral, userId: 'alice'
+    });
+    const b = bob.exchangeKey({
+      role: 'responder', ephemeralKey: bobEphemeral, peerKey: alice, peerEphemeralKey: aliceEphemeral, peerUserId: 'mallory'
+    });
+
+    assert.notDeepEqual(a.sharedKey, b.sharedKey);
+  });
+
+  it('should reject a wrong peer confirmation', () => {
+    const { alice, bob, aliceEphemeral, bobEphemeral } = setup();
+
+    const b = bob.exchangeKey({
+      role: 'responder', ephemeralKey: bobEphemeral, peerKey: alice, peerEphemeralKey: aliceEphemeral
+    });
+    const tampered = Buffer.from(b.confirmation);
+    tampered[0] ^= 1;
+
+    assert.throws(
+      () => alice.exchangeKey({
+        role: 'initiator',
+        ephemeralKey: aliceEphemeral,
+        peerKey: bob,
+        peerEphemeralKey: bobEphemeral,
+        peerConfirmation: tampered
+      }),
+      { name: 'VerificationError', code: ErrorCodes.ERR_VERIFICATION_FAILED }
+    );
+  });
+
+  it('should validate arguments', () => {
+    const { alice, bob, aliceEphemeral, bobEphemeral } = setup();
+    const base = { role: 'initiator', ephemeralKey: aliceEphemeral, peerKey: bob, peerEphemeralKey: bobEphemeral };
+
+    assert.throws(() => alice.exchangeKey({ ...base, role: 'observer' }), { name: 'ArgumentError' });
+    assert.throws(() => alice.exchangeKey({ ...base, length: 0 }), { name: 'ArgumentError' });
+    assert.throws(() => alice.exchangeKey({ ...base, userId: null }), { name: 'ArgumentError' });
+    assert.throws(() => alice.exchangeKey({ ...base, peerKey: Buffer.alloc(10) }), { name: 'ArgumentError' });
+    assert.throws(
+      () => alice.exchangeKey({ ...base, ephemeralKey: SM2Multikey.from({ publicKey: aliceEphemeral.publicKey }) }),
+      { name: 'KeyError', code: ErrorCodes.ERR_KEY_NOT_FOUND }
+    );
+    assert.throws(
+      () => SM2Multikey.from({ publicKey: alice.publicKey }).exchangeKey(base),
+      { name: 'KeyError', code: ErrorCodes.ERR_KEY_NOT_FOUND }
+    );
+  });
+
+  it('should reject a peer ephemeral key that is not on the curve', () => {
+    const { alice, bob, aliceEphemeral, bobEphemeral } = setup();
+    const bad = Buffer.from(bobEphemeral.publicKey);
+    bad[63] ^= 1;
+
+    assert.throws(
+      () => alice.exchangeKey({ role: 'initiator', ephemeralKey: aliceEphemeral, peerKey: bob, peerEphemeralKey: bad }),
+      { name: 'FormatError' }
+    );
+  });
+});
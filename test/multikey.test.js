@@ -95,29 +95,29 @@ describe('SM2Multikey', () => {
     });
 
     describe('signer and verifier', () => {
-        it('should sign and verify message', () => {
+        it('should sign and verify message', async () => {
             const key = SM2Multikey.generate();
             const message = Buffer.from('test message');
 
             const { sign } = key.signer();
-            const signature = sign({ data: message });
+            const signature = await sign({ data: message });
             assert(Buffer.isBuffer(signature));
 
             const { verify } = key.verifier();
-            const valid = verify({ data: message, signature });
+            const valid = await verify({ data: message, signature });
             assert.strictEqual(valid, true);
         });
 
-        it('should fail verification with wrong message', () => {
+        it('should fail verification with wrong message', async () => {
             const key = SM2Multikey.generate();
             const message = Buffer.from('test message');
             const wrongMessage = Buffer.from('wrong message');
 
             const { sign } = key.signer();
-            const signature = sign({ data: message });
+            const signature = await sign({ data: message });
 
             const { verify } = key.verifier();
-            const valid = verify({ data: wrongMessage, signature });
+            const valid = await verify({ data: wrongMessage, signature });
             assert.strictEqual(valid, false);
         });
 
@@ -203,7 +203,7 @@ describe('SM2Multikey', () => {
         ];
 
         testVectors.forEach(vector => {
-            it(vector.name, () => {
+            it(vector.name, async () => {
                 const key = SM2Multikey.from(vector.key);
                 assert.deepEqual(SM2Multikey.toJwk({
                     keyPair: key,
@@ -211,22 +211,23 @@ describe('SM2Multikey', () => {
                 }), vector.jwk);
 
                 const { sign } = key.signer();
-                const signature = sign({ data: vector.message });
+                const signature = await sign({ data: vector.message });
                 assert(Buffer.isBuffer(signature));
                 assert(signature.length > 0);
 
-                const { verify } = key.verifier();
-                const valid = verify({ data: vector.message, signature: vector.signature });
+                // Vector signatures were produced without ZA
+                const { verify } = key.verifier({ userId: null });
+                const valid = await verify({ data: vector.message, signature: vector.signature });
                 assert.strictEqual(valid, true);
             });
         });
 
-        it('should fail verification with wrong message', () => {
+        it('should fail verification with wrong message', async () => {
             const vector = testVectors[0];
             const key = SM2Multikey.from(vector.key);
             const wrongMessage = Buffer.from('wrong message');
             const { verify } = key.verifier();
-            const valid = verify({ data: wrongMessage, signature: vector.signature });
+            const valid = await verify({ data: wrongMessage, signature: vector.signature });
             assert.strictEqual(valid, false);
         });
 
@@ -252,14 +253,14 @@ describe('SM2Multikey', () => {
             );
         });
 
-        it('should fail verification with modified signature', () => {
+        it('should fail verification with modified signature', async () => {
             const vector = testVectors[0];
             const key = SM2Multikey.from(vector.key);
             const modifiedSignature = Buffer.from(vector.signature);
             modifiedSignature[0] ^= 1;
 
             const { verify } = key.verifier();
-            const valid = verify({ data: vector.message, signature: modifiedSignature });
+            const valid = await verify({ data: vector.message, signature: modifiedSignature });
             assert.strictEqual(valid, false);
         });
     });
@@ -287,31 +288,31 @@ describe('SM2Multikey', () => {
         ];
 
         for (const vector of signatureTestVectors) {
-            it(`should sign and verify ${vector.name}`, () => {
+            it(`should sign and verify ${vector.name}`, async () => {
                 const key = new SM2Multikey();
                 key.publicKey = vector.publicKey;
                 key.secretKey = vector.privateKey;
 
                 const { sign } = key.signer();
-                const signature = sign({ data: vector.message });
+                const signature = await sign({ data: vector.message });
 
                 const { verify } = key.verifier();
-                const valid = verify({ data: vector.message, signature });
+                const valid = await verify({ data: vector.message, signature });
 
                 assert.strictEqual(valid, true);
             });
 
-            it(`should fail verification with wrong message for ${vector.name}`, () => {
+            it(`should fail verification with wrong message for ${vector.name}`, async () => {
                 const key = new SM2Multikey();
                 key.publicKey = vector.publicKey;
                 key.secretKey = vector.privateKey;
 
                 const { sign } = key.signer();
-                const signature = sign({ data: vector.message });
+                const signature = await sign({ data: vector.message });
 
                 const { verify } = key.verifier();
                 const wrongMessage = Buffer.from('wrong message');
-                const valid = verify({ data: wrongMessage, signature });
+                const valid = await verify({ data: wrongMessage, signature });
 
                 assert.strictEqual(valid, false);
             });
@@ -354,43 +355,43 @@ describe('SM2Multikey', () => {
         ];
 
         // Test signature verification with test vectors
-        it('SM2Multikey signature test vectors', () => {
+        it('SM2Multikey signature test vectors', async () => {
             for (const vector of testVectors) {
                 const key = SM2Multikey.from(vector.key);
 
-                // Test verification with test vector signature
-                const { verify } = key.verifier();
-                assert.strictEqual(verify({ data: vector.message, signature: vector.signature }), true, `${vector.name}: Should verify test vector signature`);
+                // Test verification with test vector signature (produced without ZA)
+                const { verify } = key.verifier({ userId: null });
+                assert.strictEqual(await verify({ data: vector.message, signature: vector.signature }), true, `${vector.name}: Should verify test vector signature`);
 
                 // Test signing and verification
                 const { sign } = key.signer();
-                const newSignature = sign({ data: vector.message });
-                assert.strictEqual(verify({ data: vector.message, signature: newSignature }), true, `${vector.name}: Should verify generated signature`);
+                const newSignature = await sign({ data: vector.message });
+                assert.strictEqual(await key.verifier().verify({ data: vector.message, signature: newSignature }), true, `${vector.name}: Should verify generated signature`);
 
                 // Test verification with wrong message
                 const wrongMessage = Buffer.from('wrong message');
-                assert.strictEqual(verify({ data: wrongMessage, signature: vector.signature }), false, `${vector.name}: Should fail verification with wrong message`);
+                assert.strictEqual(await verify({ data: wrongMessage, signature: vector.signature }), false, `${vector.name}: Should fail verification with wrong message`);
             }
         });
 
         // Test error cases
-        it('SM2Multikey signature error cases', () => {
+        it('SM2Multikey signature error cases', async () => {
             const key = SM2Multikey.from(testVectors[0].key);
 
             // Test signing with invalid message
             const { sign } = key.signer();
-            assert.throws(() => sign({ data: null }), { message: /data must be Buffer or Uint8Array/ });
-            assert.throws(() => sign({ data: undefined }), { message: /data must be Buffer or Uint8Array/ });
+            await assert.rejects(sign({ data: null }), { message: /data must be Buffer or Uint8Array/ });
+            await assert.rejects(sign({ data: undefined }), { message: /data must be Buffer or Uint8Array/ });
 
             // Test verification with invalid signature
             const { verify } = key.verifier();
-            assert.throws(() => verify({ data: Buffer.from('test'), signature: null }), { message: /signature must be Buffer or Uint8Array/ });
-            assert.throws(() => verify({ data: Buffer.from('test'), signature: undefined }), { message: /signature must be Buffer or Uint8Array/ });
+            await assert.rejects(verify({ data: Buffer.from('test'), signature: null }), { message: /signature must be Buffer or Uint8Array/ });
+            await assert.rejects(verify({ data: Buffer.from('test'), signature: undefined }), { message: /signature must be Buffer or Uint8Array/ });
         });
     });
 
     describe('from and export', () => {
-        it('should correctly import exported key with raw buffers', () => {
+        it('should correctly import exported key with raw buffers', async () => {
             // Generate a key pair
             const originalKey = SM2Multikey.generate();
 
@@ -408,16 +409,16 @@ describe('SM2Multikey', () => {
 
             // Test signing and verification
             const message = Buffer.from('test message');
-            const signature = importedKey.signer().sign({ data: message });
-            const valid = importedKey.verifier().verify({ data: message, signature });
+            const signature = await importedKey.signer().sign({ data: message });
+            const valid = await importedKey.verifier().verify({ data: message, signature });
             assert.strictEqual(valid, true);
 
             // Verify original key can verify signature from imported key
-            const validCross = originalKey.verifier().verify({ data: message, signature });
+            const validCross = await originalKey.verifier().verify({ data: message, signature });
             assert.strictEqual(validCross, true);
         });
 
-        it('should handle Buffer data in exported key', () => {
+        it('should handle Buffer data in exported key', async () => {
             const key = SM2Multikey.generate();
             const exported = key.export({
                 publicKey: true,
@@ -442,8 +443,8 @@ describe('SM2Multikey', () => {
 
             // Test signing and verification
             const message = Buffer.from('test message');
-            const signature = importedFromHex.signer().sign({ data: message });
-            const valid = importedFromHex.verifier().verify({ data: message, signature });
+            const signature = await importedFromHex.signer().sign({ data: message });
+            const valid = await importedFromHex.verifier().verify({ data: message, signature });
             assert.strictEqual(valid, true);
         });
     });
@@ -0,0 +1,97 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { computeZA } from '../lib/utils/za.js';
+import { sm3 } from '../lib/crypto/sm3.js';
+
+// e = SM3(ZA || M), as computed by a remote host
+function digestOf(key, data, userId) {
+  const za = computeZA({ publicKey: key.publicKey, userId, digest: sm3 });
+  return sm3(za ? Buffer.concat([za, data]) : data);
+}
+
+describe('Pre-hashed sign and verify', () => {
+  const data = Buffer.from('payload hashed on another host');
+
+  it('should interoperate with message signing', async () => {
+    const key = SM2Multikey.generate();
+    const digest = digestOf(key, data);
+
+    const fromDigest = await key.signer().sign({ digest });
+    assert(await key.verifier().verify({ data, signature: fromDigest }));
+
+    const fromData = await key.signer().sign({ data });
+    assert(await key.verifier().verify({ digest, signature: fromData }));
+  });
+
+  it('should honour the user ID used for e', async () => {
+    const key = SM2Multikey.generate();
+    const digest = digestOf(key, data, 'ALICE123@YAHOO.COM');
+    const signature = await key.signer().sign({ digest });
+
+    assert(await key.verifier({ userId: 'ALICE123@YAHOO.COM' }).verify({ data, signature }));
+    assert(!await key.verifier().verify({ data, signature }));
+  });
+
+  it('should match deterministic signatures over the same e', async () => {
+    const key = SM2Multikey.generate();
+    const signer = key.signer({ deterministic: true });
+    assert.deepEqual(await signer.sign({ digest: digestOf(key, data) }), await signer.sign({ data }));
+  });
+
+  it('should reject a wrong digest', async () => {
+    const key = SM2Multikey.generate();
+    const signature = await key.signer().sign({ digest: digestOf(key, data) });
+    assert(!await key.verifier().verify({ digest: crypto.randomBytes(32), signature }));
+  });
+
+  it('should preserve the digest binary type', async () => {
+    const key = SM2Multikey.generate();
+    const signature = await key.signer().sign({ digest: new Uint8Array(digestOf(key, data)) });
+    assert(!Buffer.isBuffer(signature));
+    assert.strictEqual(signature.length, 64);
+  });
+
+  it('should validate the digest input', async () => {
+    const key = SM2Multikey.generate();
+    const { sign } = key.signer();
+    const { verify } = key.verifier();
+    const digest = digestOf(key, data);
+    const expected = { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID };
+
+    await assert.rejects(sign({ digest: Buffer.alloc(31) }), expected);
+    await assert.rejects(sign({ digest: Buffer.alloc(33) }), expected);
+    await assert.rejects(sign({ digest: 'e' }), expected);
+    await assert.rejects(sign({ data, digest }), expected);
+    await assert.rejects(sign({}), expected);
+    await assert.rejects(verify({ digest: Buffer.alloc(20), signature: Buffer.alloc(64) }), expected);
+  });
+
+  it('should sign digests without a global getRandomValues', { skip: !!process.env.FORCE_BROWSER_IMPL }, async () => {
+    const key = SM2Multikey.generate();
+    const digest = digestOf(key, data);
+    // Node.js 16 and 18 have no globalThis.crypto
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+    let signatures;
+    try {
+      signatures = [await key.signer().sign({ digest }), await key.signer().sign({ digest })];
+    } finally {
+      if (descriptor) {
+        Object.defineProperty(globalThis, 'crypto', descriptor);
+      } else {
+        delete globalThis.crypto;
+      }
+    }
+    assert.notDeepEqual(signatures[0], signatures[1]);
+    for (const signature of signatures) {
+      assert(await key.verifier().verify({ data, signature }));
+    }
+  });
+});
@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  SM2Multikey,
+  cryptosuite,
+  rdfcCryptosuite,
+  sdCryptosuite,
+  createDidKeyResolver,
+  didKey,
+  addProof,
+  verifyProofSet
+} from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+const document = {
+  '@context': ['https://www.w3.org/ns/credentials/v2'],
+  type: ['VerifiableCredential'],
+  issuer: 'did:example:registry',
+  credentialSubject: { id: 'did:example:property', name: '张三' }
+};
+
+const partyA = didKey();
+const partyB = didKey();
+const notary = didKey();
+const resolver = createDidKeyResolver();
+
+async function coSigned() {
+  const signedByA = await addProof({ document, signer: partyA.signer(), id: 'urn:uuid:a' });
+  return addProof({ document: signedByA, signer: partyB.signer(), id: 'urn:uuid:b', cryptosuite: rdfcCryptosuite });
+}
+
+describe('Proof sets and chains', () => {
+  it('should add independent proofs as a proof set', async () => {
+    const signedByA = await addProof({ document, signer: partyA.signer() });
+    assert.match(signedByA.proof.id, /^urn:uuid:/);
+
+    const signed = await coSigned();
+    assert.deepEqual(signed.proof.map(({ id }) => id), ['urn:uuid:a', 'urn:uuid:b']);
+    assert.deepEqual(signed.proof.map(({ cryptosuite }) => cryptosuite), ['sm2-jcs-2023', 'sm2-rdfc-2023']);
+
+    const { verified, results } = await verifyProofSet({ document: signed, resolver });
+    assert.strictEqual(verified, true);
+    assert.deepEqual(results, signed.proof.map((proof) => ({ proof, verified: true })));
+
+    // Each proof also verifies on its own
+    const [proofA] = signed.proof;
+    assert.deepEqual(await cryptosuite.verifyProof({ document: signed, proof: proofA, verificationMethod: partyA }), {
+      verified: true
+    });
+  });
+
+  it('should chain proofs with previousProof', async () => {
+    const signed = await addProof({
+      document: await coSigned(),
+      signer: notary.signer(),
+      id: 'urn:uuid:notary',
+      cryptosuite: rdfcCryptosuite,
+      previousProof: ['urn:uuid:a', 'urn:uuid:b']
+    });
+    assert.deepEqual(signed.proof[2].previousProof, ['urn:uuid:a', 'urn:uuid:b']);
+
+    const { verified, results } = await verifyProofSet({ document: signed, resolver, expectedProofPurpose: 'assertionMethod' });
+    assert.strictEqual(verified, true);
+    assert.strictEqual(results.length, 3);
+
+    // The notary's proof covers the proofs it was chained to
+    const [proofA, proofB, notarized] = signed.proof;
+    const altered = { ...signed, proof: [{ ...proofA, created: '2020-01-01T00:00:00Z' }, proofB, notarized] };
+    const alteredResult = await verifyProofSet({ document: altered, resolver });
+    assert.strictEqual(alteredResult.verified, false);
+    assert.deepEqual(alteredResult.results.map(({ verified }) => verified), [false, true, false]);
+    assert.strictEqual(alteredResult.error, alteredResult.results[0].error);
+
+    const removed = await verifyProofSet({ document: { ...signed, proof: [proofB, notarized] }, resolver });
+    assert.deepEqual(removed.results.map(({ verified }) => verified), [true, false]);
+    assert.match(removed.results[1].error.message, /previousProof urn:uuid:a not found/);
+  });
+
+  it('should report each failing proof', async () => {
+    const signed = await coSigned();
+    const tampered = { ...signed, credentialSubject: { ...signed.credentialSubject, name: '李四' } };
+    const result = await verifyProofSet({ document: tampered, resolver });
+    assert.deepEqual(result.results.map(({ verified }) => verified), [false, false]);
+
+    const unknown = SM2Multikey.generate({ controller: 'did:example:unknown' });
+    const withUnknown = await addProof({ document: signed, signer: unknown.signer() });
+    const unresolved = await verifyProofSet({ document: withUnknown, resolver });
+    assert.deepEqual(unresolved.results.map(({ verified }) => verified), [true, true, false]);
+    assert.match(unresolved.error.message, /Cannot resolve/);
+
+    const purpose = await verifyProofSet({ document: signed, resolver, expectedProofPurpose: 'authentication' });
+    assert.strictEqual(purpose.verified, false);
+
+    const empty = await verifyProofSet({ document, resolver });
+    assert.deepEqual(empty.results, []);
+    assert.strictEqual(empty.error.code, ErrorCodes.ERR_VERIFICATION_FAILED);
+  });
+
+  it('should validate arguments', async () => {
+    const signed = await coSigned();
+    await assert.rejects(
+      addProof({ document: signed, signer: notary.signer(), previousProof: 'urn:uuid:missing' }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+    await assert.rejects(addProof({ document: signed, signer: notary.signer(), id: 'urn:uuid:a' }), {
+      name: 'ArgumentError'
+    });
+    await assert.rejects(
+      sdCryptosuite.createBaseProof({ document: signed, signer: notary.signer() }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(verifyProofSet({ document: signed }), { name: 'ArgumentError' });
+  });
+});
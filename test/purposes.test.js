@@ -0,0 +1,328 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey, cryptosuite, createMemoryNonceStore } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import {
+  AssertionMethod,
+  Authentication,
+  CapabilityInvocation,
+  createProofPurpose
+} from '../lib/utils/purposes.js';
+
+const controller = 'did:example:issuer';
+const methodId = `${controller}#key-1`;
+const method = { id: methodId, type: 'Multikey', controller, publicKeyMultibase: 'z...' };
+
+const controllerDocument = {
+  id: controller,
+  verificationMethod: [method],
+  assertionMethod: [methodId],
+  authentication: ['#key-1'],
+  capabilityInvocation: [{ ...method, id: `${controller}#key-2` }]
+};
+
+const document = { name: 'test' };
+
+function proofFor(proofPurpose, verificationMethod = methodId) {
+  return { type: 'DataIntegrityProof', proofPurpose, verificationMethod };
+}
+
+describe('Proof purposes', () => {
+  it('should accept methods listed under the relationship', async () => {
+    const result = await new AssertionMethod().validate(proofFor('assertionMethod'), document, { controllerDocument });
+    assert.deepEqual(result, { valid: true, controller, verificationMethod: method });
+
+    const relative = await new Authentication({ challenge: 'c-123' }).validate(
+      { ...proofFor('authentication'), challenge: 'c-123' },
+      document,
+      { controllerDocument }
+    );
+    assert.strictEqual(relative.valid, true);
+
+    const embedded = await new CapabilityInvocation().validate(
+      proofFor('capabilityInvocation', `${controller}#key-2`),
+      document,
+      { controllerDocument }
+    );
+    assert.strictEqual(embedded.verificationMethod.id, `${controller}#key-2`);
+  });
+
+  it('should reject methods outside the relationship', async () => {
+    const { valid, error } = await new CapabilityInvocation().validate(
+      proofFor('capabilityInvocation'),
+      document,
+      { controllerDocument }
+    );
+    assert.strictEqual(valid, false);
+    assert.strictEqual(error.name, 'VerificationError');
+    assert.strictEqual(error.code, ErrorCodes.ERR_VERIFICATION_FAILED);
+    assert.match(error.message, /capabilityInvocation/);
+  });
+
+  it('should require the method controller to round-trip', async () => {
+    const foreign = {
+      ...controllerDocument,
+      verificationMethod: [{ ...method, controller: 'did:example:mallory' }]
+    };
+    const { valid, error } = await new AssertionMethod().validate(proofFor('assertionMethod'), document, {
+      controllerDocument: foreign
+    });
+    assert.strictEqual(valid, false);
+    assert.match(error.message, /not controlled by/);
+  });
+
+  it('should reject expired and revoked methods', async () => {
+    const date = new Date('2025-01-01T00:00:00Z');
+    const withMethod = (properties) => ({
+      ...controllerDocument,
+      verificationMethod: [{ ...method, ...properties }]
+    });
+    const purpose = new AssertionMethod();
+    const proof = proofFor('assertionMethod');
+
+    const expired = await purpose.validate(proof, document, {
+      controllerDocument: withMethod({ expires: '2024-12-31T00:00:00Z' }),
+      date
+    });
+    assert.match(expired.error.message, /expired/);
+
+    const revoked = await purpose.validate(proof, document, {
+      controllerDocument: withMethod({ revoked: '2024-06-01T00:00:00Z' }),
+      date
+    });
+    assert.match(revoked.error.message, /revoked/);
+
+    const later = await purpose.validate(proof, document, {
+      controllerDocument: withMethod({ revoked: '2025-06-01T00:00:00Z', expires: '2026-01-01T00:00:00Z' }),
+      date
+    });
+    assert.strictEqual(later.valid, true);
+  });
+
+  it('should resolve the controller document', async () => {
+    const resolver = {
+      async resolve(id) {
+        if (id !== methodId) {
+          throw new Error('not found');
+        }
+        return { controllerDocument };
+      }
+    };
+    const purpose = new AssertionMethod();
+    assert.strictEqual((await purpose.validate(proofFor('assertionMethod'), document, { resolver })).valid, true);
+
+    const unknown = await purpose.validate(proofFor('assertionMethod', 'did:example:other#key'), document, { resolver });
+    assert.strictEqual(unknown.valid, false);
+    assert.strictEqual(unknown.error.cause.message, 'not found');
+  });
+
+  it('should fail closed without a controller document or resolver', async () => {
+    const purpose = createProofPurpose('assertionMethod');
+    const { valid, error } = await purpose.validate(proofFor('assertionMethod'), document);
+    assert.strictEqual(valid, false);
+    assert.strictEqual(error.name, 'VerificationError');
+    assert.match(error.message, /no controller document or resolver/);
+
+    const notOptedOut = await purpose.validate(proofFor('assertionMethod'), document, { trustVerificationMethod: 'yes' });
+    assert.strictEqual(notOptedOut.valid, false);
+  });
+
+  it('should only check the purpose for trusted verification methods', async () => {
+    const purpose = createProofPurpose('assertionMethod');
+    const trusted = { trustVerificationMethod: true };
+    assert.strictEqual((await purpose.validate(proofFor('assertionMethod'), document, trusted)).valid, true);
+
+    const mismatch = await purpose.validate(proofFor('authentication'), document, trusted);
+    assert.match(mismatch.error.message, /must be "assertionMethod"/);
+    const missing = await purpose.validate({ type: 'DataIntegrityProof', proofPurpose: 'assertionMethod' }, document, trusted);
+    assert.match(missing.error.message, /verificationMethod/);
+
+    await assert.rejects(purpose.validate(null, document), { name: 'ArgumentError' });
+    assert.throws(() => createProofPurpose('unknown'), {
+      name: 'OperationError',
+      code: ErrorCodes.ERR_OPERATION_INVALID
+    });
+  });
+
+  it('should check the controller document when verifying proofs', async () => {
+    const key = SM2Multikey.generate({ controller });
+    const proof = await cryptosuite.createProof({ document, signer: key.signer() });
+    const keyDocument = { ...controllerDocument, verificationMethod: [key.export({ publicKey: true })] };
+
+    const authorized = await cryptosuite.verifyProof({
+      document: { ...document, proof },
+      verificationMethod: key,
+      expectedProofPurpose: 'assertionMethod',
+      controllerDocument: { ...keyDocument, assertionMethod: [key.id] }
+    });
+    assert.deepEqual(authorized, { verified: true });
+
+    const unauthorized = await cryptosuite.verifyProof({
+      document: { ...document, proof },
+      verificationMethod: key,
+      expectedProofPurpose: 'assertionMethod',
+      controllerDocument: keyDocument
+    });
+    assert.strictEqual(unauthorized.verified, false);
+  });
+
+  it('should require the verifying key to be the named method\'s key', async () => {
+    const authorized = SM2Multikey.generate({ controller, id: `${controller}#key-1` });
+    const other = SM2Multikey.generate({ controller, id: `${controller}#key-2` });
+    const keyDocument = {
+      id: controller,
+      verificationMethod: [authorized.export({ publicKey: true }), other.export({ publicKey: true })],
+      assertionMethod: [authorized.id]
+    };
+
+    // Signed by key-2 but naming key-1, verified with key-2 stripped of its id
+    const signer = { ...other.signer(), id: authorized.id };
+    const proof = await cryptosuite.createProof({ document, signer });
+    const borrowed = await cryptosuite.verifyProof({
+      document: { ...document, proof },
+      verificationMethod: SM2Multikey.from({ publicKey: other.publicKey }),
+      expectedProofPurpose: 'assertionMethod',
+      controllerDocument: keyDocument
+    });
+    assert.strictEqual(borrowed.verified, false);
+    assert.match(borrowed.error.message, /does not match the controller document/);
+
+    const missing = await cryptosuite.verifyProof({
+      document: { ...document, proof },
+      verificationMethod: SM2Multikey.from({ publicKey: other.publicKey }),
+      controllerDocument: { id: controller }
+    });
+    assert.match(missing.error.message, /not found in controller document/);
+
+    const genuine = await cryptosuite.createProof({ document, signer: authorized.signer() });
+    const verified = await cryptosuite.verifyProof({
+      document: { ...document, proof: genuine },
+      verificationMethod: SM2Multikey.from({ publicKey: authorized.publicKey }),
+      expectedProofPurpose: 'assertionMethod',
+      controllerDocument: keyDocument
+    });
+    assert.deepEqual(verified, { verified: true });
+  });
+
+  it('should bind authentication proofs to the challenge and domain', async () => {
+    const purpose = new Authentication({ challenge: 'c-123', domain: 'example.com' });
+    const proof = { ...proofFor('authentication'), challenge: 'c-123', domain: 'example.com' };
+    assert.strictEqual((await purpose.validate(proof, document, { controllerDocument })).valid, true);
+    assert.strictEqual((await purpose.validate({ ...proof, domain: ['other.com', 'example.com'] }, document, { controllerDocument })).valid, true);
+
+    const challenge = await purpose.validate({ ...proof, challenge: 'c-456' }, document, { controllerDocument });
+    assert.match(challenge.error.message, /challenge does not match/);
+    const domain = await purpose.validate({ ...proof, domain: undefined }, document, { controllerDocument });
+    assert.match(domain.error.message, /domain does not match/);
+
+    assert.throws(() => new Authentication({ challenge: 42 }), { name: 'ArgumentError' });
+    assert.throws(() => new Authentication({ challenge: 'c-123', maxAge: -1 }), { name: 'ArgumentError' });
+    assert.throws(() => new Authentication({ challenge: 'c-123', nonceStore: {} }), { name: 'ArgumentError' });
+  });
+
+  it('should require an authentication challenge', async () => {
+    assert.throws(() => new Authentication(), { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_MISSING });
+    assert.throws(() => new Authentication({ domain: 'example.com' }), { name: 'ArgumentError' });
+    assert.throws(() => createProofPurpose('authentication'), { name: 'ArgumentError' });
+
+    const key = SM2Multikey.generate({ controller });
+    const proof = await cryptosuite.createProof({ document, signer: key.signer(), proofPurpose: 'authentication' });
+    const result = await cryptosuite.verifyProof({
+      document: { ...document, proof },
+      verificationMethod: key,
+      expectedProofPurpose: 'authentication'
+    });
+    assert.strictEqual(result.verified, false);
+    assert.match(result.error.message, /challenge is required/);
+  });
+
+  it('should enforce the authentication proof age', async () => {
+    const date = new Date('2025-01-01T12:00:00Z');
+    const purpose = createProofPurpose('authentication', { challenge: 'c-123', maxAge: 60 * 1000, clockSkew: 10 * 1000 });
+    const proofAt = (created) => ({ ...proofFor('authentication'), challenge: 'c-123', created });
+
+    assert.strictEqual((await purpose.validate(proofAt('2025-01-01T11:59:00Z'), document, { controllerDocument, date })).valid, true);
+    assert.strictEqual((await purpose.validate(proofAt('2025-01-01T12:00:05Z'), document, { controllerDocument, date })).valid, true);
+
+    const old = await purpose.validate(proofAt('2025-01-01T11:58:00Z'), document, { controllerDocument, date });
+    assert.match(old.error.message, /too old/);
+    const future = await purpose.validate(proofAt('2025-01-01T12:01:00Z'), document, { controllerDocument, date });
+    assert.match(future.error.message, /in the future/);
+    const missing = await purpose.validate({ ...proofFor('authentication'), challenge: 'c-123' }, document, { controllerDocument, date });
+    assert.match(missing.error.message, /created/);
+  });
+
+  it('should reject replayed authentication challenges', async () => {
+    const nonceStore = createMemoryNonceStore();
+    const purpose = new Authentication({ challenge: 'c-123', maxAge: 60 * 1000, clockSkew: 0, nonceStore });
+    const proof = { ...proofFor('authentication'), challenge: 'c-123', created: '2025-01-01T12:00:00Z' };
+    const date = new Date('2025-01-01T12:00:30Z');
+
+    assert.strictEqual((await purpose.validate(proof, document, { controllerDocument, date })).valid, true);
+    const replayed = await purpose.validate(proof, document, { controllerDocument, date });
+    assert.match(replayed.error.message, /already been used/);
+
+    // Remembered only until the proof would be too old anyway
+    assert.strictEqual(await nonceStore.use('c-123', { date: new Date('2025-01-01T12:02:00Z') }), true);
+
+    // Proofs that fail other checks do not consume the challenge
+    const mismatch = await purpose.validate({ ...proof, challenge: 'c-456', proofPurpose: 'other' }, document, { controllerDocument, date });
+    assert.strictEqual(mismatch.valid, false);
+    assert.strictEqual(await nonceStore.use('c-456'), true);
+
+    const failing = new Authentication({
+      challenge: 'c-789',
+      nonceStore: { use: async () => { throw new Error('offline'); } }
+    });
+    const unchecked = await failing.validate({ ...proofFor('authentication'), challenge: 'c-789' }, document, { controllerDocument });
+    assert.strictEqual(unchecked.error.cause.message, 'offline');
+  });
+
+  it('should expire challenges without a proof age limit', async () => {
+    const nonceStore = createMemoryNonceStore({ maxAge: 60 * 1000 });
+    const date = new Date('2025-01-01T12:00:00Z');
+    assert.strictEqual(await nonceStore.use('c-123', { date }), true);
+    assert.strictEqual(await nonceStore.use('c-123', { date: new Date('2025-01-01T12:00:59Z') }), false);
+    assert.strictEqual(await nonceStore.use('c-123', { date: new Date('2025-01-01T12:01:00Z') }), true);
+
+    const defaults = createMemoryNonceStore();
+    assert.strictEqual(await defaults.use('c-456', { date }), true);
+    assert.strictEqual(await defaults.use('c-456', { date: new Date('2025-01-01T23:59:59Z') }), false);
+    assert.strictEqual(await defaults.use('c-456', { date: new Date('2025-01-02T12:00:00Z') }), true);
+
+    assert.throws(() => createMemoryNonceStore({ maxAge: -1 }), { name: 'ArgumentError' });
+  });
+
+  it('should only consume challenges of proofs with valid signatures', async () => {
+    const key = SM2Multikey.generate({ controller });
+    const proof = await cryptosuite.createProof({
+      document,
+      signer: key.signer(),
+      proofPurpose: 'authentication',
+      challenge: 'c-123'
+    });
+    const purpose = new Authentication({ challenge: 'c-123', nonceStore: createMemoryNonceStore() });
+
+    const forged = await cryptosuite.verifyProof({
+      document: { ...document, name: 'forged', proof },
+      verificationMethod: key,
+      purpose
+    });
+    assert.match(forged.error.message, /Invalid signature/);
+
+    const secured = { ...document, proof };
+    assert.deepEqual(await cryptosuite.verifyProof({ document: secured, verificationMethod: key, purpose }), {
+      verified: true
+    });
+    const replayed = await cryptosuite.verifyProof({ document: secured, verificationMethod: key, purpose });
+    assert.match(replayed.error.message, /already been used/);
+
+    await assert.rejects(cryptosuite.verifyProof({ document: secured, verificationMethod: key, purpose: {} }), {
+      name: 'ArgumentError'
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey, rdfcCryptosuite, documentLoader, createDocumentLoader } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+const credential = {
+  '@context': ['https://www.w3.org/ns/credentials/v2'],
+  type: ['VerifiableCredential'],
+  issuer: 'did:example:issuer',
+  credentialSubject: { id: 'did:example:subject', name: '张三' }
+};
+
+function issuerKey() {
+  return SM2Multikey.generate({ controller: 'did:example:issuer' });
+}
+
+describe('Static document loader', () => {
+  it('should serve the bundled contexts', async () => {
+    for (const url of [
+      'https://w3id.org/security/multikey/v1',
+      'https://w3id.org/security/data-integrity/v2',
+      'https://www.w3.org/ns/credentials/v2'
+    ]) {
+      const { documentUrl, document } = await documentLoader(url);
+      assert.strictEqual(documentUrl, url);
+      assert.strictEqual(typeof document['@context'], 'object');
+    }
+  });
+
+  it('should reject unknown URLs', async () => {
+    await assert.rejects(documentLoader('https://example.com/context'), {
+      name: 'OperationError',
+      code: ErrorCodes.ERR_OPERATION_INVALID
+    });
+  });
+
+  it('should serve additional documents', async () => {
+    const context = { '@context': { nickname: 'https://example.com/vocab#nickname' } };
+    const loader = createDocumentLoader({ 'https://example.com/context': context });
+    assert.strictEqual((await loader('https://example.com/context')).document, context);
+    assert((await loader('https://www.w3.org/ns/credentials/v2')).document);
+  });
+});
+
+describe('sm2-rdfc-2023 cryptosuite', () => {
+  it('should canonicalize to N-Quads offline', async () => {
+    assert.strictEqual(rdfcCryptosuite.name, 'sm2-rdfc-2023');
+    const nquads = await rdfcCryptosuite.canonize(credential);
+    assert.match(nquads, /^<did:example:subject> <https:\/\/schema\.org\/name> "张三" \.$/m);
+    assert.match(nquads, /_:c14n0 <https:\/\/www\.w3\.org\/2018\/credentials#issuer> <did:example:issuer> \.$/m);
+  });
+
+  it('should issue and verify a DataIntegrityProof', async () => {
+    const key = issuerKey();
+    const proof = await rdfcCryptosuite.createProof({ document: credential, signer: key.signer() });
+    assert.strictEqual(proof.cryptosuite, 'sm2-rdfc-2023');
+
+    const result = await rdfcCryptosuite.verifyProof({
+      document: { ...credential, proof },
+      verificationMethod: key.export({ publicKey: true, includeContext: true }),
+      expectedProofPurpose: 'assertionMethod'
+    });
+    assert.deepEqual(result, { verified: true });
+  });
+
+  it('should ignore changes that do not alter the RDF dataset', async () => {
+    const key = issuerKey();
+    const proof = await rdfcCryptosuite.createProof({ document: credential, signer: key.signer() });
+    const expanded = {
+      ...credential,
+      type: 'VerifiableCredential',
+      credentialSubject: { 'https://schema.org/name': '张三', id: 'did:example:subject' },
+      proof
+    };
+
+    const { verified } = await rdfcCryptosuite.verifyProof({ document: expanded, verificationMethod: key });
+    assert.strictEqual(verified, true);
+  });
+
+  it('should detect tampering and reject other suites', async () => {
+    const key = issuerKey();
+    const proof = await rdfcCryptosuite.createProof({ document: credential, signer: key.signer() });
+
+    const tampered = await rdfcCryptosuite.verifyProof({
+      document: { ...credential, issuer: 'did:example:mallory', proof },
+      verificationMethod: key
+    });
+    assert.strictEqual(tampered.verified, false);
+
+    const jcs = await rdfcCryptosuite.verifyProof({
+      document: { ...credential, proof: { ...proof, cryptosuite: 'sm2-jcs-2023' } },
+      verificationMethod: key
+    });
+    assert.strictEqual(jcs.verified, false);
+  });
+
+  it('should refuse to sign undefined terms', async () => {
+    const key = issuerKey();
+    await assert.rejects(
+      rdfcCryptosuite.createProof({ document: { ...credential, unknown: 1 }, signer: key.signer() }),
+      { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_INVALID }
+    );
+  });
+
+  it('should use a custom document loader', async () => {
+    const key = issuerKey();
+    const context = { '@context': { nickname: 'https://example.com/vocab#nickname' } };
+    const loader = createDocumentLoader({ 'https://example.com/context': context });
+    const document = {
+      ...credential,
+      '@context': [...credential['@context'], 'https://example.com/context'],
+      credentialSubject: { ...credential.credentialSubject, nickname: 'San' }
+    };
+
+    await assert.rejects(
+      rdfcCryptosuite.createProof({ document, signer: key.signer() }),
+      { name: 'FormatError' }
+    );
+
+    const proof = await rdfcCryptosuite.createProof({ document, signer: key.signer(), documentLoader: loader });
+    const { verified } = await rdfcCryptosuite.verifyProof({
+      document: { ...document, proof },
+      verificationMethod: key,
+      documentLoader: loader
+    });
+    assert.strictEqual(verified, true);
+  });
+});
@@ -0,0 +1,143 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  SM2Multikey,
+  AssertionMethod,
+  createProofPurpose,
+  issueCredential,
+  verifyCredential,
+  createDidKeyResolver,
+  createMemoryResolver,
+  combineResolvers
+} from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+function didDocumentFor(key, relationships = { assertionMethod: ['#key-1'] }) {
+  const { '@context': _context, ...method } = key.export({ publicKey: true });
+  return {
+    id: key.controller,
+    verificationMethod: [{ ...method, id: '#key-1' }],
+    ...relationships
+  };
+}
+
+describe('Resolvers', () => {
+  it('should export the proof purposes', () => {
+    assert.ok(createProofPurpose('assertionMethod') instanceof AssertionMethod);
+  });
+
+  it('should resolve did:key identifiers offline', async () => {
+    const key = SM2Multikey.generate();
+    const did = `did:key:${key.publicKeyMultibase}`;
+    const id = `${did}#${key.publicKeyMultibase}`;
+
+    const { key: resolved, controllerDocument, verificationMethod } = await createDidKeyResolver().resolve(id);
+    assert.deepEqual(resolved.publicKey, key.publicKey);
+    assert.strictEqual(resolved.id, id);
+    assert.strictEqual(resolved.controller, did);
+    assert.strictEqual(controllerDocument.id, did);
+    assert.deepEqual(controllerDocument.verificationMethod, [verificationMethod]);
+    for (const term of ['assertionMethod', 'authentication', 'capabilityInvocation', 'capabilityDelegation', 'keyAgreement']) {
+      assert.deepEqual(controllerDocument[term], [id]);
+    }
+
+    assert.strictEqual((await createDidKeyResolver().resolve(did)).verificationMethod.id, id);
+  });
+
+  it('should reject ids that are not SM2 did:key identifiers', async () => {
+    const key = SM2Multikey.generate();
+    const resolver = createDidKeyResolver();
+    for (const id of [
+      'did:example:123#key-1',
+      `did:key:${key.publicKeyMultibase}#other`,
+      'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK'
+    ]) {
+      await assert.rejects(resolver.resolve(id), { name: 'KeyError', code: ErrorCodes.ERR_KEY_NOT_FOUND });
+    }
+    await assert.rejects(resolver.resolve(42), { name: 'ArgumentError' });
+  });
+
+  it('should resolve methods from controller documents', async () => {
+    const key = SM2Multikey.generate({ controller: 'did:example:issuer' });
+    const embedded = SM2Multikey.generate({ controller: 'did:example:issuer' });
+    const { '@context': _context, ...embeddedMethod } = embedded.export({ publicKey: true });
+    const document = didDocumentFor(key, { assertionMethod: ['#key-1'], authentication: [embeddedMethod] });
+
+    for (const documents of [[document], { issuer: document }, new Map([[document.id, document]])]) {
+      const resolver = createMemoryResolver(documents);
+      const { key: resolved, controllerDocument, verificationMethod } =
+        await resolver.resolve('did:example:issuer#key-1');
+      assert.deepEqual(resolved.publicKey, key.publicKey);
+      assert.strictEqual(controllerDocument, document);
+      assert.strictEqual(verificationMethod.id, 'did:example:issuer#key-1');
+    }
+
+    const resolver = createMemoryResolver([document]);
+    assert.deepEqual((await resolver.resolve(embedded.id)).key.publicKey, embedded.publicKey);
+    await assert.rejects(resolver.resolve('did:example:issuer#key-2'), { name: 'KeyError' });
+    assert.throws(() => createMemoryResolver([{}]), { name: 'ArgumentError' });
+  });
+
+  it('should only take methods from the document of their DID', async () => {
+    const key = SM2Multikey.generate({ controller: 'did:example:issuer' });
+    const impostor = SM2Multikey.generate({ controller: 'did:example:impostor' });
+    const { '@context': _context, ...method } = impostor.export({ publicKey: true });
+    const forged = {
+      id: 'did:example:impostor',
+      verificationMethod: [{ ...method, id: 'did:example:issuer#key-2' }],
+      assertionMethod: ['did:example:issuer#key-2']
+    };
+
+    const resolver = createMemoryResolver([didDocumentFor(key), forged]);
+    assert.strictEqual((await resolver.resolve('did:example:issuer#key-1')).controllerDocument.id, 'did:example:issuer');
+    await assert.rejects(resolver.resolve('did:example:issuer#key-2'), {
+      name: 'KeyError',
+      code: ErrorCodes.ERR_KEY_NOT_FOUND
+    });
+    await assert.rejects(createMemoryResolver([forged]).resolve('did:example:issuer#key-2'), { name: 'KeyError' });
+  });
+
+  it('should combine resolvers', async () => {
+    const key = SM2Multikey.generate({ controller: 'did:example:issuer' });
+    const didKey = SM2Multikey.generate();
+    const resolver = combineResolvers(createDidKeyResolver(), createMemoryResolver([didDocumentFor(key)]));
+
+    assert.strictEqual((await resolver.resolve('did:example:issuer#key-1')).controllerDocument.id, 'did:example:issuer');
+    assert.strictEqual(
+      (await resolver.resolve(`did:key:${didKey.publicKeyMultibase}`)).controllerDocument.id,
+      `did:key:${didKey.publicKeyMultibase}`
+    );
+    await assert.rejects(resolver.resolve('did:example:other#key-1'), {
+      name: 'KeyError',
+      code: ErrorCodes.ERR_KEY_NOT_FOUND
+    });
+
+    const failing = { resolve: async () => { throw new Error('network'); } };
+    await assert.rejects(combineResolvers(failing, createDidKeyResolver()).resolve('did:key:z'), { message: 'network' });
+    assert.throws(() => combineResolvers({}), { name: 'ArgumentError' });
+  });
+
+  it('should verify credentials through a resolver', async () => {
+    const key = SM2Multikey.generate({ controller: 'did:example:issuer' });
+    key.id = 'did:example:issuer#key-1';
+    const credential = await issueCredential({
+      credential: {
+        '@context': ['https://www.w3.org/ns/credentials/v2'],
+        type: ['VerifiableCredential'],
+        issuer: 'did:example:issuer',
+        credentialSubject: { name: '张三' }
+      },
+      key
+    });
+
+    const authorized = createMemoryResolver([didDocumentFor(key)]);
+    assert.deepEqual(await verifyCredential({ credential, resolver: authorized }), { verified: true });
+
+    const unauthorized = createMemoryResolver([didDocumentFor(key, { authentication: ['#key-1'] })]);
+    assert.strictEqual((await verifyCredential({ credential, resolver: unauthorized })).verified, false);
+  });
+});
@@ -0,0 +1,177 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey, sdCryptosuite } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { encodeCBOR, decodeCBOR } from '../lib/formats/cbor.js';
+
+const credential = {
+  '@context': ['https://www.w3.org/ns/credentials/v2', { '@vocab': 'https://example.com/vocab#' }],
+  type: ['VerifiableCredential'],
+  issuer: 'did:example:issuer',
+  validFrom: '2024-01-01T00:00:00Z',
+  credentialSubject: {
+    name: '张三',
+    birthDate: '1990-01-01',
+    address: { locality: '北京', country: 'CN' },
+    degrees: [{ name: 'BS' }, { name: 'MS' }]
+  }
+};
+
+const mandatoryPointers = ['/issuer', '/validFrom'];
+
+function issuerKey() {
+  return SM2Multikey.generate({ controller: 'did:example:issuer' });
+}
+
+async function issue(key, options = {}) {
+  const proof = await sdCryptosuite.createBaseProof({
+    document: credential,
+    signer: key.signer(),
+    mandatoryPointers,
+    ...options
+  });
+  return { ...credential, proof };
+}
+
+describe('CBOR encoding', () => {
+  it('should round-trip the supported types', () => {
+    const value = [0, 23, 24, 255, 65536, 2 ** 40, 'sm2', new Uint8Array([1, 2, 3]), [], new Map([[1, 'a']])];
+    const decoded = decodeCBOR(encodeCBOR(value));
+    assert.deepEqual(decoded.slice(0, 7), value.slice(0, 7));
+    assert.deepEqual([...decoded[7]], [1, 2, 3]);
+    assert.deepEqual(decoded[9], value[9]);
+  });
+
+  it('should use the shortest encoding', () => {
+    assert.deepEqual([...encodeCBOR(23)], [0x17]);
+    assert.deepEqual([...encodeCBOR(24)], [0x18, 0x18]);
+    assert.deepEqual([...encodeCBOR([1, 'a'])], [0x82, 0x01, 0x61, 0x61]);
+  });
+
+  it('should reject malformed input and unsupported values', () => {
+    assert.throws(() => decodeCBOR(Uint8Array.of(0x82, 0x01)), { code: ErrorCodes.ERR_FORMAT_INVALID });
+    assert.throws(() => decodeCBOR(Uint8Array.of(0x01, 0x02)), { code: ErrorCodes.ERR_FORMAT_INVALID });
+    assert.throws(() => decodeCBOR(Uint8Array.of(0x9f, 0xff)), { code: ErrorCodes.ERR_FORMAT_INVALID });
+    assert.throws(() => encodeCBOR(-1), { code: ErrorCodes.ERR_FORMAT_ENCODE });
+    assert.throws(() => encodeCBOR({}), { code: ErrorCodes.ERR_FORMAT_ENCODE });
+  });
+});
+
+describe('sm2-sd-2023 cryptosuite', () => {
+  it('should create a base proof', async () => {
+    const key = issuerKey();
+    const { proof } = await issue(key);
+    assert.strictEqual(sdCryptosuite.name, 'sm2-sd-2023');
+    assert.strictEqual(proof.cryptosuite, 'sm2-sd-2023');
+    assert.strictEqual(proof.verificationMethod, key.id);
+    assert.match(proof.proofValue, /^u2V0A/);
+  });
+
+  it('should derive and verify a selective disclosure', async () => {
+    const key = issuerKey();
+    const derived = await sdCryptosuite.deriveProof({
+      document: await issue(key),
+      selectivePointers: ['/credentialSubject/name', '/credentialSubject/degrees/1', '/credentialSubject/address/locality']
+    });
+
+    assert.match(derived.proof.proofValue, /^u2V0B/);
+    assert.strictEqual(derived.issuer, credential.issuer);
+    assert.deepEqual(derived.credentialSubject, {
+      name: '张三',
+      degrees: [{ name: 'MS' }],
+      address: { locality: '北京' }
+    });
+
+    const result = await sdCryptosuite.verifyDerivedProof({
+      document: derived,
+      verificationMethod: key,
+      expectedProofPurpose: 'assertionMethod'
+    });
+    assert.deepEqual(result, { verified: true });
+    assert.strictEqual(sdCryptosuite.verifyProof, sdCryptosuite.verifyDerivedProof);
+  });
+
+  it('should disclose only mandatory statements when nothing is selected', async () => {
+    const key = issuerKey();
+    const derived = await sdCryptosuite.deriveProof({ document: await issue(key) });
+    assert.strictEqual(derived.credentialSubject, undefined);
+    assert.strictEqual(derived.validFrom, credential.validFrom);
+
+    const { verified } = await sdCryptosuite.verifyDerivedProof({ document: derived, verificationMethod: key });
+    assert.strictEqual(verified, true);
+  });
+
+  it('should detect changed, added and removed statements', async () => {
+    const key = issuerKey();
+    const derived = await sdCryptosuite.deriveProof({
+      document: await issue(key),
+      selectivePointers: ['/credentialSubject/name', '/credentialSubject/birthDate']
+    });
+
+    const tampered = [
+      { ...derived, credentialSubject: { ...derived.credentialSubject, name: '李四' } },
+      { ...derived, credentialSubject: { ...derived.credentialSubject, nickname: 'San' } },
+      { ...derived, credentialSubject: { name: derived.credentialSubject.name } },
+      { ...derived, validFrom: '2025-01-01T00:00:00Z' }
+    ];
+    for (const document of tampered) {
+      const { verified, error } = await sdCryptosuite.verifyDerivedProof({ document, verificationMethod: key });
+      assert.strictEqual(verified, false);
+      assert.strictEqual(error.name, 'VerificationError');
+    }
+  });
+
+  it('should reject other keys and base proofs', async () => {
+    const key = issuerKey();
+    const document = await issue(key);
+    const derived = await sdCryptosuite.deriveProof({ document, selectivePointers: ['/credentialSubject/name'] });
+
+    const other = SM2Multikey.generate();
+    const wrongKey = await sdCryptosuite.verifyDerivedProof({ document: derived, verificationMethod: other });
+    assert.strictEqual(wrongKey.verified, false);
+
+    const base = await sdCryptosuite.verifyDerivedProof({ document, verificationMethod: key });
+    assert.strictEqual(base.verified, false);
+    assert.strictEqual(base.error.code, ErrorCodes.ERR_VERIFICATION_FAILED);
+  });
+
+  it('should hide blank node labels behind HMAC-SM3 values', async () => {
+    const key = issuerKey();
+    const first = await sdCryptosuite.deriveProof({
+      document: await issue(key),
+      selectivePointers: ['/credentialSubject/name']
+    });
+    const second = await sdCryptosuite.deriveProof({
+      document: await issue(key),
+      selectivePointers: ['/credentialSubject/name']
+    });
+
+    // Each base proof uses a fresh HMAC key and ephemeral key
+    assert.notStrictEqual(first.proof.proofValue, second.proof.proofValue);
+  });
+
+  it('should validate arguments', async () => {
+    const key = issuerKey();
+    await assert.rejects(
+      sdCryptosuite.createBaseProof({ document: credential, signer: key.signer(), mandatoryPointers: ['/missing'] }),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+    await assert.rejects(
+      sdCryptosuite.createBaseProof({ document: credential, signer: key.signer(), mandatoryPointers: 'issuer' }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(
+      sdCryptosuite.deriveProof({ document: credential, selectivePointers: ['/issuer'] }),
+      { name: 'VerificationError' }
+    );
+    await assert.rejects(
+      sdCryptosuite.deriveProof({ document: await issue(key, { mandatoryPointers: [] }) }),
+      { name: 'ArgumentError' }
+    );
+    await assert.rejects(sdCryptosuite.verifyDerivedProof({ document: credential }), { name: 'ArgumentError' });
+  });
+});
@@ -0,0 +1,106 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+
+// Feed chunks into either a Node Writable or a WHATWG WritableStream
+async function feed(stream, chunks) {
+  if (typeof stream.getWriter === 'function') {
+    const writer = stream.getWriter();
+    for (const chunk of chunks) {
+      await writer.write(chunk);
+    }
+    await writer.close();
+  } else {
+    stream.resume?.();
+    await pipeline(Readable.from(chunks), stream);
+  }
+}
+
+function split(data, size) {
+  const chunks = [];
+  for (let i = 0; i < data.length; i += size) {
+    chunks.push(data.subarray(i, i + size));
+  }
+  return chunks;
+}
+
+describe('Streaming sign and verify', () => {
+  const data = crypto.randomBytes(200000);
+
+  it('should produce a signature that verifies one-shot', async () => {
+    const key = SM2Multikey.generate();
+    const stream = key.signer().createStream();
+    await feed(stream, split(data, 4096));
+
+    const signature = await stream.signature;
+    assert.strictEqual(signature.length, 64);
+    assert(await key.verifier().verify({ data, signature }));
+  });
+
+  it('should match deterministic one-shot signing regardless of chunking', async () => {
+    const key = SM2Multikey.generate();
+    const signer = key.signer({ deterministic: true, userId: 'ALICE123@YAHOO.COM' });
+    const expected = await signer.sign({ data });
+
+    for (const size of [1000, 65536]) {
+      const stream = signer.createStream();
+      await feed(stream, split(data, size));
+      assert.deepEqual(await stream.signature, expected);
+    }
+  });
+
+  it('should verify a stream against a signature', async () => {
+    const key = SM2Multikey.generate();
+    const signature = await key.signer({ userId: null }).sign({ data });
+
+    const good = key.verifier({ userId: null }).createStream({ signature });
+    await feed(good, split(data, 8192));
+    assert.strictEqual(await good.result, true);
+
+    const tampered = Buffer.from(data);
+    tampered[100] ^= 1;
+    const bad = key.verifier({ userId: null }).createStream({ signature });
+    await feed(bad, split(tampered, 8192));
+    assert.strictEqual(await bad.result, false);
+  });
+
+  it('should handle an empty stream', async () => {
+    const key = SM2Multikey.generate();
+    const stream = key.signer().createStream();
+    await feed(stream, []);
+    assert(await key.verifier().verify({ data: Buffer.alloc(0), signature: await stream.signature }));
+  });
+
+  it('should push the signature on the readable side of the Node stream', async (t) => {
+    const key = SM2Multikey.generate();
+    const stream = key.signer().createStream();
+    if (typeof stream.getWriter === 'function') {
+      t.skip('browser backend returns a WritableStream');
+      return;
+    }
+
+    const output = [];
+    await pipeline(Readable.from(split(data, 4096)), stream, async function (source) {
+      for await (const chunk of source) {
+        output.push(chunk);
+      }
+    });
+    assert.deepEqual(Buffer.concat(output), await stream.signature);
+  });
+
+  it('should require a signature for verify streams', () => {
+    const key = SM2Multikey.generate();
+    assert.throws(
+      () => key.verifier().createStream(),
+      { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+    );
+  });
+});
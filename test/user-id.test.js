@@ -0,0 +1,106 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { computeZA } from '../lib/utils/za.js';
+
+// GM/T 0003.5 signature example with the default user ID
+const vector = {
+  secretKey: Buffer.from('3945208F7B2144B13F36E38AC6D39F95889393692860B51A42FB81EF4DF7C5B8', 'hex'),
+  publicKey: Buffer.from(
+    '09F9DF311E5421A150DD7D161E4BC5C672179FAD1833FC076BB08FF356F35020' +
+    'CCEA490CE26775A52DC6EA718CC1AA600AED05FBF35E084A6632F6072DA9AD13', 'hex'),
+  message: Buffer.from('message digest'),
+  za: Buffer.from('b2e14c5c79c6df5b85f4fe7ed8db7a262b9da7e07ccb0ea9f4747b8ccda8a4f3', 'hex'),
+  signature: Buffer.from(
+    'F5A03B0648D2C4630EEAC513E1BB81A15944DA3827D5B74143AC7EACEEE720B3' +
+    'B1B6AA29DF212FD8763182BC0D421CA1BB9038FD1F7F42D4840B69C485BBC1AA', 'hex')
+};
+
+const digest = data => crypto.createHash('SM3').update(data).digest();
+
+describe('SM2 user ID (ZA)', () => {
+  describe('computeZA', () => {
+    it('should match the GM/T 0003.5 ZA value for the default ID', () => {
+      const za = computeZA({ publicKey: vector.publicKey, digest });
+      assert.deepEqual(za, vector.za);
+    });
+
+    it('should return null in raw mode', () => {
+      assert.strictEqual(computeZA({ publicKey: vector.publicKey, userId: null, digest }), null);
+    });
+
+    it('should reject a public key of the wrong length', () => {
+      assert.throws(
+        () => computeZA({ publicKey: Buffer.alloc(33), digest }),
+        { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+      );
+    });
+  });
+
+  describe('signer and verifier', () => {
+    it('should verify the GM/T 0003.5 signature with the default ID', async () => {
+      const key = SM2Multikey.from({ publicKey: vector.publicKey });
+      assert.strictEqual(await key.verifier().verify({ data: vector.message, signature: vector.signature }), true);
+      assert.strictEqual(
+        await key.verifier({ userId: '1234567812345678' }).verify({ data: vector.message, signature: vector.signature }),
+        true
+      );
+    });
+
+    it('should not verify the GM/T 0003.5 signature in raw mode', async () => {
+      const key = SM2Multikey.from({ publicKey: vector.publicKey });
+      assert.strictEqual(
+        await key.verifier({ userId: null }).verify({ data: vector.message, signature: vector.signature }),
+        false
+      );
+    });
+
+    it('should round-trip with a custom user ID', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('test message');
+      const userId = 'ALICE123@YAHOO.COM';
+
+      const signature = await key.signer({ userId }).sign({ data });
+      assert.strictEqual(await key.verifier({ userId }).verify({ data, signature }), true);
+      assert.strictEqual(await key.verifier().verify({ data, signature }), false);
+      assert.strictEqual(await key.verifier({ userId: 'BOB' }).verify({ data, signature }), false);
+      assert.strictEqual(await key.verifier({ userId: null }).verify({ data, signature }), false);
+    });
+
+    it('should accept binary user IDs', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('test message');
+      const userId = new Uint8Array([0x41, 0x4c, 0x49, 0x43, 0x45]);
+
+      const signature = await key.signer({ userId }).sign({ data });
+      assert.strictEqual(await key.verifier({ userId: 'ALICE' }).verify({ data, signature }), true);
+    });
+
+    it('should round-trip in raw mode', async () => {
+      const key = SM2Multikey.generate();
+      const data = Buffer.from('test message');
+
+      const signature = await key.signer({ userId: null }).sign({ data });
+      assert.strictEqual(await key.verifier({ userId: null }).verify({ data, signature }), true);
+      assert.strictEqual(await key.verifier().verify({ data, signature }), false);
+    });
+
+    it('should throw on an invalid user ID', () => {
+      const key = SM2Multikey.generate();
+      assert.throws(
+        () => key.signer({ userId: 123 }),
+        { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+      );
+      assert.throws(
+        () => key.verifier({ userId: 'x'.repeat(8192) }),
+        { name: 'ArgumentError', code: ErrorCodes.ERR_ARGUMENT_INVALID }
+      );
+    });
+  });
+});
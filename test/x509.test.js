@@ -0,0 +1,283 @@
+/*!
+ * Copyright (c) 2024 Instun, Inc. All rights reserved.
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { SM2Multikey } from './config.js';
+import { ErrorCodes } from '../lib/core/errors.js';
+import { decodePem } from '../lib/formats/pem.js';
+import { decodeDEROID, encodeDEROIDValue } from '../lib/formats/der.js';
+import {
+  parseCertificate,
+  parseCertificationRequest,
+  encodeTBSCertificate
+} from '../lib/formats/x509.js';
+
+// OpenSSL 3 `req -x509` / `x509 -req` with -sm3 and the default SM2 ID.
+// The root is self-signed with the key in pem.test.js and issued the leaf.
+const root = `-----BEGIN CERTIFICATE-----
+MIIBsDCCAVWgAwIBAgICEAEwCgYIKoEcz1UBg3UwPTELMAkGA1UEBhMCQ04xEzAR
+BgNVBAoMCkV4YW1wbGUgQ0ExGTAXBgNVBAMMEEV4YW1wbGUgU00yIFJvb3QwHhcN
+MjYxMDE5MTgyMjA4WhcNMzYxMDE2MTgyMjA4WjA9MQswCQYDVQQGEwJDTjETMBEG
+A1UECgwKRXhhbXBsZSBDQTEZMBcGA1UEAwwQRXhhbXBsZSBTTTIgUm9vdDBZMBMG
+ByqGSM49AgEGCCqBHM9VAYItA0IABMSR0wc0GwSwmeCZOY93/7mktYPg6O6mQEMz
+8i7oQ73M9o9+q/u3Y7d2rP4UNvk62y4v8RH+6vnP2z/kyFqnQfWjRTBDMBIGA1Ud
+EwEB/wQIMAYBAf8CAQAwDgYDVR0PAQH/BAQDAgEGMB0GA1UdDgQWBBRI9fNHckiT
+KW3XaBW5c34RY+UzrzAKBggqgRzPVQGDdQNJADBGAiEA/EBAwk6pAXYCdEhU3khq
+JzlkjGsuzZahRnR53SZ8vN8CIQDG4r6AHA+sQsvSmNQWiuUcxxx7TRrU1P4ZndtJ
+ul+TXQ==
+-----END CERTIFICATE-----
+`;
+
+const leaf = `-----BEGIN CERTIFICATE-----
+MIIB4DCCAYegAwIBAgICIAIwCgYIKoEcz1UBg3UwPTELMAkGA1UEBhMCQ04xEzAR
+BgNVBAoMCkV4YW1wbGUgQ0ExGTAXBgNVBAMMEEV4YW1wbGUgU00yIFJvb3QwHhcN
+MjYxMDE5MTgyMjEwWhcNMjcxMDE5MTgyMjEwWjA1MQswCQYDVQQGEwJDTjEVMBMG
+A1UECgwM56S65L6L5YWs5Y+4MQ8wDQYDVQQDDAblvKDkuIkwWTATBgcqhkjOPQIB
+BggqgRzPVQGCLQNCAATOfkzNUxF2ODJsPteK6UFxgLeHQmq5Ib0UUQH75Egv0WEJ
+U6FdDZir4y1qYVbDwvum3ALpmEI8h5m9RlUTWj6Xo38wfTAMBgNVHRMBAf8EAjAA
+MA4GA1UdDwEB/wQEAwIGwDAdBgNVHSUEFjAUBggrBgEFBQcDAgYIKwYBBQUHAwQw
+HQYDVR0OBBYEFOnJDdu8VKZRNgwi1w9BNu3knPfdMB8GA1UdIwQYMBaAFEj180dy
+SJMpbddoFblzfhFj5TOvMAoGCCqBHM9VAYN1A0cAMEQCIAyhT4kBy/ZBRpNT39Y2
+PFSgy9deq/VMmQeu8DVietmyAiBlGPwGQMTcuF6kQ0DvS37+mbGZsHNMlepuGbu0
+THYKyw==
+-----END CERTIFICATE-----
+`;
+
+const secretKey = Buffer.from('3db11882f0dc7a8750f6bd86a71dfee232bf6819978d07a540ba815720e79b43', 'hex');
+const leafPublicKey = 'ce7e4ccd53117638326c3ed78ae9417180b787426ab921bd145101fbe4482fd1' +
+  '610953a15d0d98abe32d6a6156c3c2fba6dc02e998423c8799bd4655135a3e97';
+
+const derOf = (pem) => decodePem(pem)[0].der;
+
+describe('X.509 certificates', () => {
+  describe('parseCertificate', () => {
+    it('should decode OIDs', () => {
+      assert.strictEqual(decodeDEROID(Buffer.from('2a811ccf55018375', 'hex')), '1.2.156.10197.1.501');
+      assert.strictEqual(decodeDEROID(Buffer.from('551d0f', 'hex')), '2.5.29.15');
+      assert.throws(() => decodeDEROID(Buffer.from('2a81', 'hex')), { name: 'FormatError' });
+      assert.strictEqual(encodeDEROIDValue('1.2.840.113549.1.9.14').toString('hex'), '2a864886f70d01090e');
+      assert.throws(() => encodeDEROIDValue('1.40'), { name: 'FormatError' });
+    });
+
+    it('should read the root metadata', () => {
+      const certificate = parseCertificate(derOf(root));
+      assert.strictEqual(certificate.version, 3);
+      assert.strictEqual(certificate.serialNumber, '1001');
+      assert.strictEqual(certificate.subject.text, 'C=CN, O=Example CA, CN=Example SM2 Root');
+      assert.strictEqual(certificate.issuer.text, certificate.subject.text);
+      assert.deepEqual(certificate.basicConstraints, { ca: true, pathLength: 0 });
+      assert.deepEqual(certificate.keyUsage, ['keyCertSign', 'cRLSign']);
+      assert.strictEqual(certificate.extendedKeyUsage, null);
+      assert.deepEqual(certificate.extensions.map(({ oid, critical }) => [oid, critical]), [
+        ['2.5.29.19', true],
+        ['2.5.29.15', true],
+        ['2.5.29.14', false]
+      ]);
+    });
+
+    it('should read the leaf metadata', () => {
+      const certificate = parseCertificate(derOf(leaf));
+      assert.strictEqual(certificate.serialNumber, '2002');
+      assert.strictEqual(certificate.subject.text, 'C=CN, O=示例公司, CN=张三');
+      assert.deepEqual(certificate.subject.attributes[2], { type: 'CN', oid: '2.5.4.3', value: '张三' });
+      assert.deepEqual(certificate.validity, {
+        notBefore: new Date('2026-10-19T18:22:10Z'),
+        notAfter: new Date('2027-10-19T18:22:10Z')
+      });
+      assert.deepEqual(certificate.basicConstraints, { ca: false, pathLength: null });
+      assert.deepEqual(certificate.keyUsage, ['digitalSignature', 'nonRepudiation']);
+      assert.deepEqual(certificate.extendedKeyUsage, ['clientAuth', 'emailProtection']);
+      assert.strictEqual(certificate.authorityKeyIdentifier, parseCertificate(derOf(root)).subjectKeyIdentifier);
+      assert.strictEqual(certificate.signature.length, 64);
+    });
+  });
+
+  describe('fromCertificate', () => {
+    it('should import a self-signed certificate', async () => {
+      const key = await SM2Multikey.fromCertificate(root, { controller: 'did:example:ca' });
+      assert.deepEqual(key.publicKey, SM2Multikey.fromDer(Buffer.concat([Buffer.from('0220', 'hex'), secretKey])).publicKey);
+      assert.strictEqual(key.secretKey, null);
+      assert.strictEqual(key.id, `did:example:ca#${key.publicKeyMultibase}`);
+      assert.strictEqual(key.certificate.subject.text, 'C=CN, O=Example CA, CN=Example SM2 Root');
+      assert.deepEqual(key.certificate.validity.notAfter, new Date('2036-10-16T18:22:08Z'));
+    });
+
+    it('should verify a certificate against its issuer', async () => {
+      const issuer = await SM2Multikey.fromCertificate(root);
+      const key = await SM2Multikey.fromCertificate(leaf, { issuer });
+      assert.strictEqual(key.publicKey.toString('hex'), leafPublicKey);
+      assert.deepEqual(key.certificate.keyUsage, ['digitalSignature', 'nonRepudiation']);
+
+      const fromDer = await SM2Multikey.fromCertificate(derOf(leaf), { issuer: issuer.publicKey });
+      assert.deepEqual(fromDer.publicKey, key.publicKey);
+    });
+
+    it('should reject bad signatures', async () => {
+      await assert.rejects(SM2Multikey.fromCertificate(leaf), {
+        name: 'ArgumentError',
+        code: ErrorCodes.ERR_ARGUMENT_INVALID
+      });
+      await assert.rejects(SM2Multikey.fromCertificate(leaf, { issuer: SM2Multikey.generate() }), {
+        name: 'VerificationError',
+        code: ErrorCodes.ERR_VERIFICATION_FAILED
+      });
+
+      // Change a byte of the notAfter time
+      const tampered = Buffer.from(derOf(root));
+      tampered[tampered.indexOf('361016') + 5] ^= 1;
+      await assert.rejects(SM2Multikey.fromCertificate(tampered), { name: 'VerificationError' });
+    });
+
+    it('should reject other certificates and inputs', async () => {
+      // SM2-with-SHA1 (1.2.156.10197.1.502) in both algorithm fields
+      const other = Buffer.from(derOf(root).toString('hex').replaceAll('2a811ccf55018375', '2a811ccf55018376'), 'hex');
+      await assert.rejects(SM2Multikey.fromCertificate(other), { name: 'FormatError', code: ErrorCodes.ERR_FORMAT_OID });
+      await assert.rejects(SM2Multikey.fromCertificate(derOf(root).subarray(0, -1)), { name: 'FormatError' });
+      await assert.rejects(SM2Multikey.fromCertificate(SM2Multikey.generate().toPem()), { name: 'FormatError' });
+      await assert.rejects(SM2Multikey.fromCertificate(42), { name: 'ArgumentError' });
+    });
+  });
+
+  describe('encodeTBSCertificate', () => {
+    it('should reproduce the OpenSSL certificates', () => {
+      for (const pem of [root, leaf]) {
+        const certificate = parseCertificate(derOf(pem));
+        const tbs = encodeTBSCertificate({
+          ...certificate,
+          ...certificate.validity,
+          extensions: Object.fromEntries([
+            'basicConstraints',
+            'keyUsage',
+            'extendedKeyUsage',
+            'subjectKeyIdentifier',
+            'authorityKeyIdentifier'
+          ].filter((name) => certificate[name] !== null).map((name) => [name, certificate[name]]))
+        });
+        assert.deepEqual(tbs, certificate.tbsCertificate);
+      }
+    });
+  });
+
+  describe('createCsr', () => {
+    it('should create a signed request', async () => {
+      const key = SM2Multikey.generate();
+      const pem = await key.createCsr({
+        subject: 'C=CN, O=Example\\, Inc., CN=service.example.com',
+        extensions: { keyUsage: ['digitalSignature', 'keyAgreement'], extendedKeyUsage: ['serverAuth', '1.2.3.4'] }
+      });
+      assert.match(pem, /^-----BEGIN CERTIFICATE REQUEST-----/);
+
+      const request = parseCertificationRequest(decodePem(pem)[0].der);
+      assert.strictEqual(request.subject.text, 'C=CN, O=Example\\, Inc., CN=service.example.com');
+      assert.strictEqual(request.subject.attributes[1].value, 'Example, Inc.');
+      assert.deepEqual(request.keyUsage, ['digitalSignature', 'keyAgreement']);
+      assert.deepEqual(request.extendedKeyUsage, ['serverAuth', '1.2.3.4']);
+      assert.deepEqual(SM2Multikey.fromDer(request.subjectPublicKeyInfo).publicKey, key.publicKey);
+      const verifier = key.verifier();
+      assert.strictEqual(await verifier.verify({ data: request.certificationRequestInfo, signature: request.signature }), true);
+
+      const der = await key.createCsr({ subject: [{ type: 'CN', value: '张三' }], encoding: 'der' });
+      const minimal = parseCertificationRequest(der);
+      assert.strictEqual(minimal.subject.text, 'CN=张三');
+      assert.strictEqual(minimal.keyUsage, null);
+    });
+
+    it('should reject invalid requests', async () => {
+      const key = SM2Multikey.generate();
+      const publicOnly = SM2Multikey.from({ publicKeyMultibase: key.publicKeyMultibase });
+      await assert.rejects(publicOnly.createCsr({ subject: 'CN=x' }), { name: 'KeyError' });
+      await assert.rejects(key.createCsr({}), { name: 'ArgumentError' });
+      await assert.rejects(key.createCsr({ subject: 'CN' }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCsr({ subject: 'C=中国' }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCsr({ subject: 'XX=1' }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCsr({ subject: 'CN=x', extensions: { nameConstraints: {} } }), {
+        name: 'ArgumentError'
+      });
+      await assert.rejects(key.createCsr({ subject: 'CN=x', extensions: { keyUsage: ['signing'] } }), {
+        name: 'ArgumentError'
+      });
+      await assert.rejects(key.createCsr({ subject: 'CN=x', encoding: 'base64' }), { name: 'ArgumentError' });
+    });
+  });
+
+  describe('createCertificate', () => {
+    it('should create a self-signed certificate', async () => {
+      const key = SM2Multikey.generate();
+      const notBefore = new Date('2026-01-01T00:00:00.500Z');
+      const pem = await key.createCertificate({
+        subject: 'C=CN, O=Example, CN=Example Root',
+        serial: 0x1001,
+        notBefore,
+        notAfter: new Date('2051-01-01T00:00:00Z'),
+        extensions: { basicConstraints: { ca: true, pathLength: 1 }, keyUsage: ['keyCertSign', 'cRLSign'] }
+      });
+
+      const imported = await SM2Multikey.fromCertificate(pem);
+      assert.deepEqual(imported.publicKey, key.publicKey);
+      const { certificate } = imported;
+      assert.strictEqual(certificate.serialNumber, '1001');
+      assert.strictEqual(certificate.issuer.text, 'C=CN, O=Example, CN=Example Root');
+      assert.deepEqual(certificate.validity, {
+        notBefore: new Date('2026-01-01T00:00:00Z'),
+        notAfter: new Date('2051-01-01T00:00:00Z')
+      });
+      assert.deepEqual(certificate.basicConstraints, { ca: true, pathLength: 1 });
+      assert.deepEqual(certificate.keyUsage, ['keyCertSign', 'cRLSign']);
+
+      // GeneralizedTime after 2049, PrintableString countryName
+      const der = decodePem(pem)[0].der;
+      assert.notStrictEqual(der.indexOf('20510101000000Z'), -1);
+      assert.notStrictEqual(der.indexOf(Buffer.from('130243', 'hex')), -1);
+    });
+
+    it('should issue certificates with another key', async () => {
+      const ca = SM2Multikey.generate();
+      const rootPem = await ca.createCertificate({
+        subject: 'C=CN, O=Example CA, CN=Example SM2 Root',
+        extensions: { basicConstraints: { ca: true }, subjectKeyIdentifier: 'a1b2c3' }
+      });
+      const rootKey = await SM2Multikey.fromCertificate(rootPem);
+
+      const key = SM2Multikey.generate();
+      const der = await key.createCertificate({
+        subject: 'C=CN, O=示例公司, CN=张三',
+        issuerKey: ca,
+        issuer: rootKey.certificate.subject,
+        extensions: { keyUsage: ['digitalSignature'], authorityKeyIdentifier: 'a1b2c3' },
+        encoding: 'der'
+      });
+
+      const imported = await SM2Multikey.fromCertificate(der, { issuer: rootKey });
+      assert.deepEqual(imported.publicKey, key.publicKey);
+      assert.strictEqual(imported.certificate.issuer.text, 'C=CN, O=Example CA, CN=Example SM2 Root');
+      assert.strictEqual(imported.certificate.authorityKeyIdentifier, 'a1b2c3');
+      assert.ok(imported.certificate.serialNumber.length <= 32);
+      const { notBefore, notAfter } = imported.certificate.validity;
+      assert.strictEqual(notAfter - notBefore, 365 * 24 * 60 * 60 * 1000);
+      await assert.rejects(SM2Multikey.fromCertificate(der, { issuer: key }), { name: 'VerificationError' });
+    });
+
+    it('should reject invalid certificates', async () => {
+      const key = SM2Multikey.generate();
+      const ca = SM2Multikey.generate();
+      const subject = 'CN=x';
+      await assert.rejects(key.createCertificate({ subject, issuerKey: ca }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCertificate({ subject, issuerKey: ca.publicKey, issuer: 'CN=ca' }), {
+        name: 'ArgumentError'
+      });
+      await assert.rejects(
+        key.createCertificate({ subject, issuerKey: SM2Multikey.from({ publicKeyMultibase: ca.publicKeyMultibase }), issuer: 'CN=ca' }),
+        { name: 'KeyError' }
+      );
+      await assert.rejects(key.createCertificate({ subject, serial: 0 }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCertificate({ subject, serial: Buffer.alloc(21, 1) }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCertificate({ subject, notBefore: 'today' }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCertificate({ subject, notAfter: new Date(0) }), { name: 'ArgumentError' });
+      await assert.rejects(key.createCertificate({ subject, extensions: { basicConstraints: { pathLength: 0 } } }), {
+        name: 'ArgumentError'
+      });
+    });
+  });
+});